@@ -1,4 +1,50 @@
 import { z } from 'zod';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+/**
+ * One blocking dimension (analysis.blocking.dimensions); also names the
+ * variable of an analysis.weighting margin
+ */
+const BlockingDimensionSchema = z.discriminatedUnion('type', [
+  z.object({ type: z.literal('impressionBand') }).strict(),
+  z.object({ type: z.literal('source') }).strict(),
+  // A tag pack feature, keyed "<present>"/"<absent>" (default
+  // hasTokenPromo -> tokenPromo/noTokenPromo)
+  z.object({
+    type: z.literal('feature'),
+    feature: z.string().min(1),
+    present: z.string().min(1).optional(),
+    absent: z.string().min(1).optional()
+  }).strict(),
+  // The post's sampling window, or fixed windows of its timestamp
+  z.object({ type: z.literal('timeWindow'), minutes: z.number().int().positive().optional() }).strict(),
+  z.object({ type: z.literal('language'), field: z.string().min(1).default('language') }).strict(),
+  z.object({
+    type: z.literal('contentLength'),
+    bounds: z.array(z.number().int().positive()).min(1).default([80, 280]),
+    labels: z.array(z.string().min(1)).default(['short', 'medium', 'long'])
+  }).strict(),
+  // Any post field by dotted path
+  z.object({ type: z.literal('field'), field: z.string().min(1), missing: z.string().min(1).default('unknown') }).strict()
+]);
+
+/**
+ * Cross-field checks of a blocking dimension (discriminated unions cannot refine)
+ * @param {Object} d - Parsed dimension
+ * @param {Array} path - Issue path of the dimension
+ * @param {Object} ctx - Zod refinement context
+ */
+function checkDimension(d, path, ctx) {
+  if (d.type !== 'contentLength') return;
+  if (d.labels.length !== d.bounds.length + 1) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: [...path, 'labels'], message: 'contentLength needs one more label than bounds' });
+  }
+  if (d.bounds.some((b, j) => j > 0 && b <= d.bounds[j - 1])) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: [...path, 'bounds'], message: 'contentLength bounds must be ascending' });
+  }
+}
 
 /**
  * Schema for CER-Telemetry configuration
@@ -10,27 +56,159 @@ export const ConfigSchema = z.object({
     timeout: z.number().int().positive().default(30000),
     retryAttempts: z.number().int().min(0).max(10).default(3),
     retryBackoff: z.number().int().positive().default(1000),
+    maxBackoffMs: z.number().int().positive().default(60000),
+    retryJitter: z.enum(['none', 'full', 'equal']).default('equal'),
+    // Give up instead of honouring a Retry-After / rate-limit reset longer than this
+    maxRetryAfterMs: z.number().int().positive().default(300000),
+    circuitBreaker: z.object({
+      enabled: z.boolean().default(true),
+      // Consecutive transient failures (5xx, timeouts, connection errors) that open the circuit
+      // (at most api.retryAttempts + 1, or one request gives up before it opens)
+      failureThreshold: z.number().int().positive().default(3),
+      // Time the circuit stays open before a half-open trial request
+      resetTimeoutMs: z.number().int().positive().default(30000),
+      halfOpenMaxCalls: z.number().int().positive().default(1)
+    }).default({ enabled: true, failureThreshold: 3, resetTimeoutMs: 30000, halfOpenMaxCalls: 1 }),
     rateLimit: z.object({
       maxRequests: z.number().int().positive().default(100),
       windowMs: z.number().int().positive().default(60000)
-    })
+    }),
+    // On-disk response cache (see lib/collectors/response-cache.js)
+    cache: z.object({
+      mode: z.enum(['off', 'read', 'write', 'readwrite', 'offline']).default('off'),
+      // Defaults to <output.baseDir>/.cache/responses
+      dir: z.string().optional(),
+      bucketMinutes: z.number().int().positive().default(60),
+      // Pin the time bucket (ISO timestamp) to replay a past run's responses
+      bucket: z.string().optional()
+    }).default({ mode: 'off', bucketMinutes: 60 })
   }),
 
+  // Data source for analyze (see lib/collectors/index.js); --input selects
+  // filesystem and --dry-run selects synthetic
+  collector: z.object({
+    type: z.enum(['moltx', 'rest', 'filesystem', 'synthetic']).default('moltx'),
+    // Generic paginated REST API
+    rest: z.object({
+      url: z.string().url(),
+      // Environment variable holding a bearer token
+      tokenEnv: z.string().optional(),
+      params: z.record(z.union([z.string(), z.number()])).default({}),
+      pagination: z.object({
+        type: z.enum(['offset', 'page', 'cursor']).default('offset'),
+        pageSize: z.number().int().positive().default(100),
+        limitParam: z.string().default('limit'),
+        offsetParam: z.string().default('offset'),
+        pageParam: z.string().default('page'),
+        firstPage: z.number().int().min(0).default(1),
+        cursorParam: z.string().default('cursor')
+      }).default({}),
+      // Dotted JSON paths into each response
+      postsPath: z.string().default('posts'),
+      nextCursorPath: z.string().default('next_cursor'),
+      // Canonical post field -> item field (dotted paths allowed)
+      fieldMap: z.record(z.string()).default({})
+    }).optional(),
+    filesystem: z.object({
+      path: z.string()
+    }).optional(),
+    // Seeded scenario generator (config/scenarios/<scenario>.json or a path);
+    // seed overrides the scenario file's seed
+    synthetic: z.object({
+      scenario: z.string().min(1).default('baseline'),
+      seed: z.union([z.number().int(), z.string().min(1)]).optional()
+    }).default({ scenario: 'baseline' })
+  }).refine(
+    collector => collector.type !== 'rest' || collector.rest !== undefined,
+    { message: 'collector.rest is required when collector.type is "rest"', path: ['rest'] }
+  ).default({ type: 'moltx', synthetic: { scenario: 'baseline' } }),
+
   // Sampling Configuration
   sampling: z.object({
     minSampleSize: z.number().int().positive().default(100),
     maxSampleSize: z.number().int().positive().default(10000),
+    // Draw from sampling.strata with per-stratum quotas (needs at least one stratum)
     stratified: z.boolean().default(true),
+    // proportional: maxSampleSize split by populationSize; fixed: each stratum's quota
+    allocation: z.enum(['proportional', 'fixed']).default('proportional'),
+    strata: z.array(z.object({
+      name: z.string().regex(/^[A-Za-z0-9_-]+$/, 'stratum names may use letters, digits, _ and -'),
+      endpoint: z.string().startsWith('/').default('/v1/trending'),
+      params: z.record(z.union([z.string(), z.number()])).default({}),
+      // Posts of the stratum's feed to scan (N_h); the quota is drawn uniformly from them
+      populationSize: z.number().int().positive(),
+      quota: z.number().int().positive().optional()
+    })).default([]),
+    // Unstratified alternative to taking the top maxSampleSize trending posts:
+    // scan up to scanLimit posts and keep a seeded reservoir sample of
+    // maxSampleSize (see lib/collectors/reservoir-sampler.js)
+    reservoir: z.object({
+      enabled: z.boolean().default(false),
+      // uniform, or weighted by impressions (priority sampling)
+      mode: z.enum(['uniform', 'weighted']).default('uniform'),
+      scanLimit: z.number().int().positive().default(50000),
+      // Drawn at random (and recorded in meta.sampling) when unset; also seeds the per-stratum draws
+      seed: z.union([z.number().int(), z.string().min(1)]).optional()
+    }).default({ enabled: false, mode: 'uniform', scanLimit: 50000 }),
+    // Time windows of batchSizeMinutes; posts are tagged with their window
     temporal: z.object({
       enabled: z.boolean().default(true),
-      batchSizeMinutes: z.number().int().positive().default(60)
+      batchSizeMinutes: z.number().int().positive().default(60),
+      // client: bucket collected posts by timestamp; query: fetch each window with since/until
+      strategy: z.enum(['client', 'query']).default('client'),
+      // query strategy: period covered, ending at the last window boundary before `until` (default now)
+      lookbackMinutes: z.number().int().positive().default(1440),
+      until: z.string().optional()
     })
+  }).superRefine((sampling, ctx) => {
+    const names = new Set();
+    sampling.strata.forEach((stratum, i) => {
+      if (names.has(stratum.name)) {
+        ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['strata', i, 'name'], message: `duplicate stratum "${stratum.name}"` });
+      }
+      names.add(stratum.name);
+      if (sampling.allocation === 'fixed' && stratum.quota === undefined) {
+        ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['strata', i, 'quota'], message: 'fixed allocation needs a quota per stratum' });
+      }
+    });
+    if (sampling.reservoir.enabled) {
+      if (sampling.reservoir.scanLimit < sampling.maxSampleSize) {
+        ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['reservoir', 'scanLimit'], message: 'scanLimit must be at least maxSampleSize' });
+      }
+      if (sampling.stratified && sampling.strata.length > 0) {
+        ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['reservoir', 'enabled'], message: 'reservoir sampling does not combine with sampling.strata' });
+      }
+      if (sampling.temporal?.enabled && sampling.temporal.strategy === 'query') {
+        ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['reservoir', 'enabled'], message: 'reservoir sampling does not combine with sampling.temporal.strategy "query"' });
+      }
+    }
   }),
 
+  // Offline ingestion (analyze --input)
+  ingest: z.object({
+    format: z.enum(['jsonl', 'csv', 'arrow']).optional(),
+    // Canonical post field -> source column (dotted paths allowed for JSONL)
+    fieldMap: z.record(z.string()).default({}),
+    // Posts per batch when streaming an input file
+    batchSize: z.number().int().positive().default(10000),
+    // Posts failing the post schema (or timestamped in the future) are set
+    // aside in quarantine.jsonl; the data_quality invariant fails the run
+    // when more than maxRate of the collected posts were quarantined
+    quarantine: z.object({
+      enabled: z.boolean().default(true),
+      maxRate: z.number().min(0).max(1).default(0.05),
+      futureSkewMinutes: z.number().min(0).default(5)
+    }).default({})
+  }).default({ fieldMap: {} }),
+
   // Analysis Configuration
   analysis: z.object({
     confidenceLevel: z.number().min(0).max(1).default(0.95),
     minBlockSize: z.number().int().positive().default(30),
+    // Blocks under minBlockSize: drop them, merge them up by collapsing the
+    // last blocking dimension, or pool them into an _other block. Either way
+    // analysis.json's blockLedger records where every original cell went.
+    smallBlocks: z.enum(['drop', 'merge', 'pool']).default('drop'),
     impressionBands: z.object({
       low: z.number().int().min(0),
       mid: z.number().int().min(0),
@@ -39,9 +217,74 @@ export const ConfigSchema = z.object({
     computeEffectSizes: z.boolean().default(true),
     enableTrendDetection: z.boolean().default(true),
 
+    // Intra-run prevalence series per block. Without windowMinutes, posts
+    // are bucketed by their sampling.temporal window tags.
+    series: z.object({
+      windowMinutes: z.number().int().positive().optional()
+    }).strict().default({}),
+
     // Multiple-testing control (Benjamini–Hochberg FDR target)
     fdrQ: z.number().min(0).max(1).default(0.05),
 
+    // Feature taxonomy: tag pack ids (config/tag-packs/<id>.json) or paths;
+    // their versions and content hash are recorded with every run
+    tagPacks: z.array(z.string().min(1)).min(1).default(['core']),
+
+    // Blocking scheme: each dimension is one part of the block key. Its
+    // version and content hash are recorded with every run, and block keys
+    // only line up between runs with the same hash.
+    blocking: z.object({
+      version: z.string().min(1).default('1'),
+      dimensions: z.array(BlockingDimensionSchema).min(1).default([
+        { type: 'impressionBand' },
+        { type: 'source' },
+        { type: 'feature', feature: 'hasTokenPromo' }
+      ])
+    }).superRefine((blocking, ctx) => {
+      blocking.dimensions.forEach((d, i) => checkDimension(d, ['dimensions', i], ctx));
+    }).default({}),
+
+    // Calibration weights to known population margins (see weighting.js):
+    // post-stratification on one margin, or raking (iterative proportional
+    // fitting) to several. Each margin is a blocking dimension with target
+    // shares per category; posts in unlisted categories get weight 0.
+    weighting: z.object({
+      enabled: z.boolean().default(false),
+      method: z.enum(['poststratify', 'rake']).default('rake'),
+      margins: z.array(z.object({
+        dimension: BlockingDimensionSchema,
+        shares: z.record(z.number().min(0).max(1))
+      }).strict()).default([]),
+      maxIterations: z.number().int().positive().default(100),
+      tolerance: z.number().positive().default(1e-6)
+    }).strict().superRefine((weighting, ctx) => {
+      if (weighting.enabled && weighting.margins.length === 0) {
+        ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['margins'], message: 'weighting needs at least one margin' });
+      }
+      if (weighting.method === 'poststratify' && weighting.margins.length > 1) {
+        ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['margins'], message: 'poststratify takes a single margin; use rake for several' });
+      }
+      weighting.margins.forEach((margin, i) => {
+        checkDimension(margin.dimension, ['margins', i, 'dimension'], ctx);
+        const total = Object.values(margin.shares).reduce((sum, share) => sum + share, 0);
+        if (Math.abs(total - 1) > 1e-6) {
+          ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['margins', i, 'shares'], message: `margin shares must sum to 1, got ${total}` });
+        }
+      });
+    }).default({}),
+
+    // Relative error of the impression median/quartiles (quantile sketch)
+    sketchAccuracy: z.number().gt(0).lt(1).default(0.01),
+
+    // Streaming mode: analyze collector batches as they arrive instead of
+    // materializing every post; dedup uses a Bloom filter sized for
+    // sampling.maxSampleSize at falsePositiveRate. No input snapshot is written.
+    streaming: z.object({
+      enabled: z.boolean().default(false),
+      dedup: z.enum(['bloom', 'exact']).default('bloom'),
+      falsePositiveRate: z.number().gt(0).lt(1).default(0.001)
+    }).default({}),
+
     // Experimental: activation-delta drift (proxy/open-model mode)
     // This does not run against MoltX production models unless activations are available.
     activationDrift: z.object({
@@ -56,11 +299,27 @@ export const ConfigSchema = z.object({
   // Output Configuration
   output: z.object({
     baseDir: z.string().default('./outputs/moltx_runs'),
-    formats: z.array(z.enum(['json', 'csv', 'parquet', 'html'])).default(['json', 'csv']),
+    formats: z.array(z.enum(['json', 'csv', 'parquet', 'html'])).default(['json', 'csv', 'html']),
     includeProvenance: z.boolean().default(true),
-    generateReport: z.boolean().default(true)
+    generateReport: z.boolean().default(true),
+    // Raw input snapshot for `replay` (stored next to meta.json)
+    snapshot: z.object({
+      enabled: z.boolean().default(true),
+      compress: z.boolean().default(true),
+      redact: z.boolean().default(false)
+    }).default({ enabled: true, compress: true, redact: false })
   }),
 
+  // Daemon mode (`watch`): interval or 5-field cron schedule
+  watch: z.object({
+    intervalMinutes: z.number().positive().default(60),
+    cron: z.string().optional(),
+    // Compare every cycle against this run instead of the previous cycle
+    baselineRunId: z.string().optional(),
+    // Defaults to <output.baseDir>/watch_state.json
+    stateFile: z.string().optional()
+  }).default({ intervalMinutes: 60 }),
+
   // Reporting Configuration
   reporting: z.object({
     safetyReport: z.object({
@@ -77,7 +336,9 @@ export const ConfigSchema = z.object({
     enablePiiDetection: z.boolean().default(true),
     enableDifferentialPrivacy: z.boolean().default(false),
     epsilonPrivacy: z.number().positive().default(1.0),
-    kAnonymity: z.number().int().positive().default(5)
+    kAnonymity: z.number().int().positive().default(5),
+    // Abort analyze (exit code 20) when PII is found in raw posts
+    failOnPii: z.boolean().default(false)
   }),
 
   // Logging Configuration
@@ -91,33 +352,73 @@ export const ConfigSchema = z.object({
   validation: z.object({
     enforceInvariants: z.boolean().default(true),
     failOnViolation: z.boolean().default(true),
-    generateValidationReport: z.boolean().default(true)
+    generateValidationReport: z.boolean().default(true),
+    // Per-invariant severity overrides (critical | error | warning); warnings never block
+    severities: z.record(z.enum(['critical', 'error', 'warning'])).default({})
   })
 });
 
 export const defaultConfig = {
   api: {
-    baseUrl: process.env.MOLTX_API_URL || 'https://api.moltx.example.com',
+    baseUrl: 'https://api.moltx.example.com',
     timeout: 30000,
     retryAttempts: 3,
     retryBackoff: 1000,
+    maxBackoffMs: 60000,
+    retryJitter: 'equal',
+    maxRetryAfterMs: 300000,
+    circuitBreaker: {
+      enabled: true,
+      failureThreshold: 3,
+      resetTimeoutMs: 30000,
+      halfOpenMaxCalls: 1
+    },
     rateLimit: {
       maxRequests: 100,
       windowMs: 60000
+    },
+    cache: {
+      mode: 'off',
+      bucketMinutes: 60
+    }
+  },
+  collector: {
+    type: 'moltx',
+    synthetic: {
+      scenario: 'baseline'
     }
   },
   sampling: {
     minSampleSize: 100,
     maxSampleSize: 10000,
     stratified: true,
+    allocation: 'proportional',
+    strata: [],
+    reservoir: {
+      enabled: false,
+      mode: 'uniform',
+      scanLimit: 50000
+    },
     temporal: {
       enabled: true,
-      batchSizeMinutes: 60
+      batchSizeMinutes: 60,
+      strategy: 'client',
+      lookbackMinutes: 1440
+    }
+  },
+  ingest: {
+    fieldMap: {},
+    batchSize: 10000,
+    quarantine: {
+      enabled: true,
+      maxRate: 0.05,
+      futureSkewMinutes: 5
     }
   },
   analysis: {
     confidenceLevel: 0.95,
     minBlockSize: 30,
+    smallBlocks: 'drop',
     impressionBands: {
       low: 100,
       mid: 1000,
@@ -125,7 +426,30 @@ export const defaultConfig = {
     },
     computeEffectSizes: true,
     enableTrendDetection: true,
+    series: {},
     fdrQ: 0.05,
+    tagPacks: ['core'],
+    blocking: {
+      version: '1',
+      dimensions: [
+        { type: 'impressionBand' },
+        { type: 'source' },
+        { type: 'feature', feature: 'hasTokenPromo' }
+      ]
+    },
+    weighting: {
+      enabled: false,
+      method: 'rake',
+      margins: [],
+      maxIterations: 100,
+      tolerance: 1e-6
+    },
+    sketchAccuracy: 0.01,
+    streaming: {
+      enabled: false,
+      dedup: 'bloom',
+      falsePositiveRate: 0.001
+    },
     activationDrift: {
       enabled: false,
       threshold: 0.5,
@@ -135,9 +459,17 @@ export const defaultConfig = {
   },
   output: {
     baseDir: './outputs/moltx_runs',
-    formats: ['json', 'csv'],
+    formats: ['json', 'csv', 'html'],
     includeProvenance: true,
-    generateReport: true
+    generateReport: true,
+    snapshot: {
+      enabled: true,
+      compress: true,
+      redact: false
+    }
+  },
+  watch: {
+    intervalMinutes: 60
   },
   reporting: {
     safetyReport: {
@@ -152,30 +484,285 @@ export const defaultConfig = {
     enablePiiDetection: true,
     enableDifferentialPrivacy: false,
     epsilonPrivacy: 1.0,
-    kAnonymity: 5
+    kAnonymity: 5,
+    failOnPii: false
   },
   logging: {
-    level: process.env.LOG_LEVEL || 'info',
-    pretty: process.env.NODE_ENV !== 'production',
-    file: process.env.LOG_FILE
+    level: 'info',
+    pretty: true
   },
   validation: {
     enforceInvariants: true,
     failOnViolation: true,
-    generateValidationReport: true
+    generateValidationReport: true,
+    severities: {}
   }
 };
 
 /**
- * Load and validate configuration
+ * Error class for configuration loading errors
+ */
+export class ConfigError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'ConfigError';
+    this.details = details;
+  }
+}
+
+/**
+ * Environment variables that override configuration values.
+ * Each entry maps a variable name to a dotted config path and a value parser.
+ */
+const toNumber = (v) => Number(v);
+const toBoolean = (v) => ['1', 'true', 'yes', 'on'].includes(String(v).trim().toLowerCase());
+
+export const ENV_OVERRIDES = {
+  MOLTX_API_URL: { path: 'api.baseUrl' },
+  MOLTX_CACHE_MODE: { path: 'api.cache.mode' },
+  LOG_LEVEL: { path: 'logging.level' },
+  LOG_FILE: { path: 'logging.file' },
+  MAX_SAMPLES: { path: 'sampling.maxSampleSize', parse: toNumber },
+  MIN_SAMPLE_SIZE: { path: 'sampling.minSampleSize', parse: toNumber },
+  ENABLE_PII_DETECTION: { path: 'privacy.enablePiiDetection', parse: toBoolean },
+  FAIL_ON_VIOLATION: { path: 'validation.failOnViolation', parse: toBoolean }
+};
+
+const CONFIG_DIR = path.dirname(fileURLToPath(import.meta.url));
+
+const isPlainObject = (x) => x !== null && typeof x === 'object' && !Array.isArray(x);
+
+/**
+ * Deep merge plain objects; arrays and scalars from source replace target
+ * @param {Object} target - Base object
+ * @param {Object} source - Overriding object
+ * @returns {Object} New merged object
+ */
+export function deepMerge(target, source) {
+  if (!isPlainObject(source)) return source === undefined ? target : source;
+
+  const out = isPlainObject(target) ? { ...target } : {};
+  for (const [key, value] of Object.entries(source)) {
+    if (value === undefined) continue;
+    out[key] = isPlainObject(value) && isPlainObject(out[key])
+      ? deepMerge(out[key], value)
+      : value;
+  }
+  return out;
+}
+
+/**
+ * Set a value at a dotted path, creating intermediate objects
+ * @param {Object} obj - Target object
+ * @param {string} dottedPath - e.g. "sampling.maxSampleSize"
+ * @param {*} value - Value to set
+ * @returns {Object} The target object
+ */
+export function setPath(obj, dottedPath, value) {
+  const parts = dottedPath.split('.');
+  let node = obj;
+  for (const part of parts.slice(0, -1)) {
+    if (!isPlainObject(node[part])) node[part] = {};
+    node = node[part];
+  }
+  node[parts[parts.length - 1]] = value;
+  return obj;
+}
+
+/**
+ * Replace ${VAR} and ${VAR:-fallback} placeholders in string values
+ * @param {*} value - Parsed JSON value
+ * @param {Object} env - Environment variables
+ * @param {string} source - Layer name (for error messages)
+ * @param {string} prefix - Current dotted path
+ * @returns {*} Interpolated value
+ */
+export function interpolateEnv(value, env = process.env, source = 'config', prefix = '') {
+  if (typeof value === 'string') {
+    return value.replace(/\$\{([A-Za-z_][A-Za-z0-9_]*)(?::-([^}]*))?\}/g, (match, name, fallback) => {
+      if (env[name] !== undefined && env[name] !== '') return env[name];
+      if (fallback !== undefined) return fallback;
+      throw new ConfigError(`Environment variable ${name} is not set (referenced at ${prefix} in ${source})`, {
+        variable: name,
+        path: prefix,
+        source
+      });
+    });
+  }
+
+  if (Array.isArray(value)) {
+    return value.map((item, i) => interpolateEnv(item, env, source, `${prefix}[${i}]`));
+  }
+
+  if (isPlainObject(value)) {
+    const out = {};
+    for (const [key, child] of Object.entries(value)) {
+      out[key] = interpolateEnv(child, env, source, prefix ? `${prefix}.${key}` : key);
+    }
+    return out;
+  }
+
+  return value;
+}
+
+/**
+ * Record the layer that set each leaf value
+ * Arrays and empty objects count as leaves.
+ */
+function recordOrigins(obj, layer, origins, prefix = '') {
+  for (const [key, value] of Object.entries(obj)) {
+    if (value === undefined) continue;
+    const dotted = prefix ? `${prefix}.${key}` : key;
+
+    if (isPlainObject(value) && Object.keys(value).length > 0) {
+      recordOrigins(value, layer, origins, dotted);
+      continue;
+    }
+
+    // A leaf replacing a subtree owns everything beneath it
+    for (const existing of Object.keys(origins)) {
+      if (existing.startsWith(`${dotted}.`)) delete origins[existing];
+    }
+    origins[dotted] = layer;
+  }
+}
+
+/**
+ * Build the environment-variable layer
+ * @param {Object} env - Environment variables
+ * @returns {{ values: Object, origins: Object }} Layer values and per-path origin labels
+ */
+export function envLayer(env = process.env) {
+  const values = {};
+  const origins = {};
+
+  for (const [name, { path: dotted, parse }] of Object.entries(ENV_OVERRIDES)) {
+    if (env[name] === undefined || env[name] === '') continue;
+    setPath(values, dotted, parse ? parse(env[name]) : env[name]);
+    origins[dotted] = `env:${name}`;
+  }
+
+  return { values, origins };
+}
+
+/**
+ * Built-in defaults for an environment (pretty logs everywhere but production)
+ * @param {Object} env - Environment variables
+ * @returns {Object} Default config
+ */
+function defaultsFor(env) {
+  return deepMerge(defaultConfig, { logging: { pretty: env.NODE_ENV !== 'production' } });
+}
+
+/**
+ * Read a JSON config file and interpolate environment placeholders
+ * @param {string} file - Path to JSON config
+ * @param {Object} env - Environment variables
+ * @returns {Object} Config layer
+ */
+function readConfigFile(file, env) {
+  let parsed;
+  try {
+    parsed = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  } catch (error) {
+    throw new ConfigError(`Failed to read config file ${file}: ${error.message}`, { file });
+  }
+
+  // Drop editor/documentation keys such as "$schema" and "description"
+  for (const key of Object.keys(parsed)) {
+    if (key.startsWith('$') || key === 'description') delete parsed[key];
+  }
+
+  return interpolateEnv(parsed, env, file);
+}
+
+/**
+ * Leaf paths of a parsed config (arrays and empty objects are leaves)
+ */
+function leafPaths(obj, prefix = '', out = []) {
+  for (const [key, value] of Object.entries(obj)) {
+    const dotted = prefix ? `${prefix}.${key}` : key;
+    if (isPlainObject(value) && Object.keys(value).length > 0) {
+      leafPaths(value, dotted, out);
+    } else if (value !== undefined) {
+      out.push(dotted);
+    }
+  }
+  return out;
+}
+
+/**
+ * Load configuration from layers, lowest precedence first:
+ * defaults, config/<NODE_ENV>.json, --config file, environment variables, CLI flags.
+ *
+ * @param {Object} options - Loader options
+ * @param {string} [options.configFile] - Explicit config file (--config)
+ * @param {Object} [options.cli] - Overrides from CLI flags the user actually passed
+ * @param {Object} [options.env] - Environment (defaults to process.env)
+ * @param {string} [options.configDir] - Directory holding <NODE_ENV>.json files
+ * @returns {{ config: Object, origins: Object, layers: Array<Object> }} Validated config,
+ *   origin label per leaf path, and the layers that were applied
+ */
+export function loadLayeredConfig({ configFile, cli = {}, env = process.env, configDir = CONFIG_DIR } = {}) {
+  const origins = {};
+  const layers = [];
+  let merged = {};
+
+  const apply = (name, values, layerOrigins = null) => {
+    merged = deepMerge(merged, values);
+    if (layerOrigins) {
+      for (const dotted of Object.keys(layerOrigins)) {
+        recordOrigins(setPath({}, dotted, true), layerOrigins[dotted], origins);
+      }
+    } else {
+      recordOrigins(values, name, origins);
+    }
+    layers.push({ name, keys: leafPaths(values).length });
+  };
+
+  apply('default', defaultsFor(env));
+
+  const nodeEnv = env.NODE_ENV || 'development';
+  const envFile = path.join(configDir, `${nodeEnv}.json`);
+  if (fs.existsSync(envFile)) {
+    apply(`file:${path.relative(process.cwd(), envFile) || envFile}`, readConfigFile(envFile, env));
+  }
+
+  if (configFile) {
+    if (!fs.existsSync(configFile)) {
+      throw new ConfigError(`Config file not found: ${configFile}`, { file: configFile });
+    }
+    apply(`file:${configFile}`, readConfigFile(configFile, env));
+  }
+
+  const fromEnv = envLayer(env);
+  apply('env', fromEnv.values, fromEnv.origins);
+
+  apply('cli', cli);
+
+  const config = ConfigSchema.parse(merged);
+
+  // Values filled in by zod defaults; drop origins for keys the schema stripped
+  const finalOrigins = {};
+  for (const dotted of leafPaths(config)) {
+    finalOrigins[dotted] = origins[dotted] ?? 'schema-default';
+  }
+
+  return { config, origins: finalOrigins, layers };
+}
+
+/**
+ * Load and validate configuration from defaults, environment variables and
+ * programmatic overrides (deep-merged). Config files are only read by
+ * loadLayeredConfig.
  * @param {Object} overrides - Configuration overrides
  * @returns {Object} Validated configuration
  */
 export function loadConfig(overrides = {}) {
-  const config = {
-    ...defaultConfig,
-    ...overrides
-  };
+  const config = deepMerge(
+    deepMerge(defaultsFor(process.env), envLayer(process.env).values),
+    overrides
+  );
 
   return ConfigSchema.parse(config);
 }
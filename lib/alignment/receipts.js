@@ -0,0 +1,101 @@
+/**
+ * Receipt Loading
+ *
+ * Reads telemetry receipts for the alignment pack from a directory of JSON
+ * receipts, a JSONL file, or a single JSON file (object or array).
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * Normalize a receipt loaded from disk
+ *
+ * @param {Object} receipt - Raw receipt
+ * @returns {Object} Receipt with runId populated from run_id when needed
+ */
+function normalizeReceipt(receipt) {
+  if (receipt && !receipt.runId && receipt.run_id) {
+    receipt.runId = receipt.run_id;
+  }
+  return receipt;
+}
+
+/**
+ * Parse JSONL text, skipping blank lines
+ *
+ * @param {string} text - JSONL content
+ * @param {string} file - Source file (for warnings)
+ * @param {Object} logger - Logger instance
+ * @returns {Array<Object>} Receipts
+ */
+function parseJsonl(text, file, logger) {
+  const receipts = [];
+  const lines = text.split('\n');
+
+  for (let i = 0; i < lines.length; i++) {
+    if (!lines[i].trim()) continue;
+    try {
+      receipts.push(normalizeReceipt(JSON.parse(lines[i])));
+    } catch (error) {
+      logger.warn({ file, line: i + 1, error: error.message }, 'Skipping invalid receipt line');
+    }
+  }
+
+  return receipts;
+}
+
+/**
+ * Read receipts from one file
+ *
+ * @param {string} file - .json or .jsonl file
+ * @param {Object} logger - Logger instance
+ * @returns {Promise<Array<Object>>} Receipts
+ */
+async function readReceiptFile(file, logger) {
+  const text = await fs.readFile(file, 'utf-8');
+
+  if (file.endsWith('.jsonl') || file.endsWith('.ndjson')) {
+    return parseJsonl(text, file, logger);
+  }
+
+  try {
+    const parsed = JSON.parse(text);
+    return (Array.isArray(parsed) ? parsed : [parsed]).map(normalizeReceipt);
+  } catch (error) {
+    logger.warn({ file, error: error.message }, 'Skipping invalid receipt JSON');
+    return [];
+  }
+}
+
+/**
+ * Load receipts from a directory or file
+ *
+ * Directory entries are read in name order so the resulting receipt list
+ * (and therefore its hash) is stable across runs.
+ *
+ * @param {string} inputPath - Directory, .jsonl or .json path
+ * @param {Object} logger - Logger instance
+ * @returns {Promise<{ receipts: Array<Object>, files: Array<string> }>} Receipts and the files they came from
+ */
+export async function loadReceipts(inputPath, logger) {
+  const resolved = path.resolve(inputPath);
+  const stat = await fs.stat(resolved);
+
+  const files = stat.isDirectory()
+    ? (await fs.readdir(resolved))
+        .filter(f => /\.(json|jsonl|ndjson)$/.test(f))
+        .sort()
+        .map(f => path.join(resolved, f))
+    : [resolved];
+
+  const receipts = [];
+  for (const file of files) {
+    receipts.push(...await readReceiptFile(file, logger));
+  }
+
+  logger.info({ input: resolved, files: files.length, receiptCount: receipts.length },
+    'Receipts loaded');
+
+  return { receipts, files };
+}
@@ -0,0 +1,522 @@
+/**
+ * Bounded-memory, mergeable accumulators for streaming analysis.
+ *
+ * Each accumulator takes values one at a time (add) and can absorb another
+ * accumulator of the same kind (merge), so a dataset can be analyzed batch by
+ * batch, or in partitions that are combined afterwards, without holding the
+ * posts themselves. Counts, sketches and extrema do not depend on how the
+ * input was batched; floating-point sums can differ in the last bits.
+ */
+
+/**
+ * Relative-error quantile sketch (DDSketch).
+ *
+ * Values are counted in logarithmic buckets of width gamma = (1 + a) / (1 - a),
+ * so any quantile is estimated within relative error `a` of a true sample
+ * value. Memory is bounded by maxBuckets; when exceeded, the lowest buckets
+ * are collapsed (losing accuracy only in the lowest quantiles). Buckets merge
+ * by addition, which makes the sketch order-independent and deterministic.
+ * Only non-negative values are supported.
+ */
+export class QuantileSketch {
+  /**
+   * @param {Object} options - { relativeAccuracy, maxBuckets }
+   */
+  constructor({ relativeAccuracy = 0.01, maxBuckets = 2048 } = {}) {
+    if (!(relativeAccuracy > 0 && relativeAccuracy < 1)) {
+      throw new RangeError(`relativeAccuracy must be in (0, 1), got ${relativeAccuracy}`);
+    }
+    this.relativeAccuracy = relativeAccuracy;
+    this.maxBuckets = maxBuckets;
+    this.gamma = (1 + relativeAccuracy) / (1 - relativeAccuracy);
+    this.logGamma = Math.log(this.gamma);
+    this.buckets = new Map();
+    this.zeroCount = 0;
+    this.count = 0;
+    this.min = Infinity;
+    this.max = -Infinity;
+  }
+
+  /**
+   * Add a value
+   * @param {number} value - Non-negative finite value
+   */
+  add(value) {
+    if (!(value >= 0) || !Number.isFinite(value)) {
+      throw new RangeError(`QuantileSketch only accepts non-negative finite values, got ${value}`);
+    }
+
+    if (value === 0) {
+      this.zeroCount++;
+    } else {
+      const index = Math.ceil(Math.log(value) / this.logGamma);
+      this.buckets.set(index, (this.buckets.get(index) ?? 0) + 1);
+      if (this.buckets.size > this.maxBuckets) this.collapse();
+    }
+
+    this.count++;
+    this.min = Math.min(this.min, value);
+    this.max = Math.max(this.max, value);
+  }
+
+  /**
+   * Fold the lowest buckets together until the sketch is back within maxBuckets
+   */
+  collapse() {
+    const indexes = [...this.buckets.keys()].sort((a, b) => a - b);
+    const excess = indexes.length - this.maxBuckets;
+    if (excess <= 0) return;
+
+    const target = indexes[excess];
+    let folded = 0;
+    for (const index of indexes.slice(0, excess)) {
+      folded += this.buckets.get(index);
+      this.buckets.delete(index);
+    }
+    this.buckets.set(target, this.buckets.get(target) + folded);
+  }
+
+  /**
+   * Absorb another sketch built with the same accuracy
+   * @param {QuantileSketch} other - Sketch to merge
+   * @returns {QuantileSketch} this
+   */
+  merge(other) {
+    if (other.relativeAccuracy !== this.relativeAccuracy) {
+      throw new Error('Cannot merge quantile sketches with different relative accuracy');
+    }
+
+    for (const [index, n] of other.buckets) {
+      this.buckets.set(index, (this.buckets.get(index) ?? 0) + n);
+    }
+    if (this.buckets.size > this.maxBuckets) this.collapse();
+
+    this.zeroCount += other.zeroCount;
+    this.count += other.count;
+    this.min = Math.min(this.min, other.min);
+    this.max = Math.max(this.max, other.max);
+    return this;
+  }
+
+  /**
+   * Estimate a quantile
+   * @param {number} q - Quantile in [0, 1]
+   * @returns {number|null} Estimate (null when empty)
+   */
+  quantile(q) {
+    if (this.count === 0) return null;
+    if (q <= 0) return this.min;
+    if (q >= 1) return this.max;
+
+    const rank = q * (this.count - 1);
+    if (rank < this.zeroCount) return 0;
+
+    let seen = this.zeroCount;
+    const indexes = [...this.buckets.keys()].sort((a, b) => a - b);
+    for (const index of indexes) {
+      seen += this.buckets.get(index);
+      if (seen > rank) {
+        const estimate = (2 * Math.pow(this.gamma, index)) / (this.gamma + 1);
+        return Math.min(this.max, Math.max(this.min, estimate));
+      }
+    }
+    return this.max;
+  }
+}
+
+/**
+ * Count, mean, variance (Welford / Chan et al. pairwise update), min and max
+ */
+export class Moments {
+  constructor() {
+    this.count = 0;
+    this.mean = 0;
+    this.m2 = 0;
+    this.min = Infinity;
+    this.max = -Infinity;
+  }
+
+  /**
+   * Add a value
+   * @param {number} value - Finite value
+   */
+  add(value) {
+    this.count++;
+    const delta = value - this.mean;
+    this.mean += delta / this.count;
+    this.m2 += delta * (value - this.mean);
+    this.min = Math.min(this.min, value);
+    this.max = Math.max(this.max, value);
+  }
+
+  /**
+   * Absorb another accumulator
+   * @param {Moments} other - Moments to merge
+   * @returns {Moments} this
+   */
+  merge(other) {
+    if (other.count === 0) return this;
+    if (this.count === 0) {
+      Object.assign(this, { count: other.count, mean: other.mean, m2: other.m2, min: other.min, max: other.max });
+      return this;
+    }
+
+    const count = this.count + other.count;
+    const delta = other.mean - this.mean;
+    this.mean += (delta * other.count) / count;
+    this.m2 += other.m2 + (delta * delta * this.count * other.count) / count;
+    this.count = count;
+    this.min = Math.min(this.min, other.min);
+    this.max = Math.max(this.max, other.max);
+    return this;
+  }
+
+  /**
+   * Population standard deviation
+   * @returns {number|null}
+   */
+  get stdDev() {
+    return this.count > 0 ? Math.sqrt(this.m2 / this.count) : null;
+  }
+}
+
+/**
+ * Moments plus a quantile sketch; summary() has the shape of
+ * StatisticalAnalyzer.summarize(), with sketched median and quartiles
+ */
+export class NumericSummary {
+  /**
+   * @param {Object} options - QuantileSketch options
+   */
+  constructor(options = {}) {
+    this.moments = new Moments();
+    this.sketch = new QuantileSketch(options);
+  }
+
+  add(value) {
+    this.moments.add(value);
+    this.sketch.add(value);
+  }
+
+  merge(other) {
+    this.moments.merge(other.moments);
+    this.sketch.merge(other.sketch);
+    return this;
+  }
+
+  /**
+   * @returns {Object} { count, mean, median, stdDev, min, max, q1, q3 }
+   */
+  summary() {
+    const { count, mean, min, max, stdDev } = this.moments;
+    if (count === 0) {
+      return { count: 0, mean: null, median: null, stdDev: null, min: null, max: null };
+    }
+
+    return {
+      count,
+      mean,
+      median: this.sketch.quantile(0.5),
+      stdDev,
+      min,
+      max,
+      q1: this.sketch.quantile(0.25),
+      q3: this.sketch.quantile(0.75)
+    };
+  }
+}
+
+/**
+ * 32-bit FNV-1a of a string with a seed
+ */
+function fnv1a(text, seed) {
+  let hash = (0x811c9dc5 ^ seed) >>> 0;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash;
+}
+
+/**
+ * Bloom filter for bounded-memory deduplication.
+ *
+ * Sized for `expectedItems` at `falsePositiveRate`. A false positive makes a
+ * new key look seen (the post is dropped as a duplicate); a seen key is never
+ * reported as new. Past `expectedItems` the filter keeps working but its
+ * false-positive rate climbs, so it counts its set bits and reports the rate
+ * at its actual fill.
+ */
+export class BloomFilter {
+  /**
+   * @param {Object} options - { expectedItems, falsePositiveRate }
+   */
+  constructor({ expectedItems, falsePositiveRate = 0.001 }) {
+    const n = Math.max(1, expectedItems);
+    this.expectedItems = n;
+    this.falsePositiveRate = falsePositiveRate;
+    this.bits = Math.max(8, Math.ceil((-n * Math.log(falsePositiveRate)) / (Math.LN2 * Math.LN2)));
+    this.hashes = Math.max(1, Math.round((this.bits / n) * Math.LN2));
+    this.array = new Uint8Array(Math.ceil(this.bits / 8));
+    this.items = 0;
+    this.setBits = 0;
+  }
+
+  /**
+   * Whether more keys were added than the filter was sized for
+   * @returns {boolean}
+   */
+  get overfilled() {
+    return this.items > this.expectedItems;
+  }
+
+  /**
+   * Add a key
+   * @param {*} key - Key (stringified)
+   * @returns {boolean} True when the key was not (probably) present before
+   */
+  add(key) {
+    const text = String(key);
+    const h1 = fnv1a(text, 0);
+    const h2 = (fnv1a(text, 0x5bd1e995) | 1) >>> 0;
+    let added = false;
+
+    for (let i = 0; i < this.hashes; i++) {
+      const bit = (h1 + i * h2) % this.bits;
+      const byte = bit >>> 3;
+      const mask = 1 << (bit & 7);
+      if ((this.array[byte] & mask) === 0) {
+        this.array[byte] |= mask;
+        this.setBits++;
+        added = true;
+      }
+    }
+
+    if (added) this.items++;
+    return added;
+  }
+
+  /**
+   * @returns {Object} Sizing and actual fill for provenance
+   */
+  describe() {
+    const fill = this.setBits / this.bits;
+    return {
+      method: 'bloom',
+      bits: this.bits,
+      hashes: this.hashes,
+      expectedItems: this.expectedItems,
+      falsePositiveRate: this.falsePositiveRate,
+      items: this.items,
+      // Share of bits set, and the chance that a new key now looks seen
+      fill,
+      estimatedFalsePositiveRate: fill ** this.hashes,
+      overfilled: this.overfilled
+    };
+  }
+}
+
+/**
+ * Exact deduplication with a Set, for in-memory runs
+ */
+export class ExactDeduplicator {
+  constructor() {
+    this.seen = new Set();
+  }
+
+  add(key) {
+    if (this.seen.has(key)) return false;
+    this.seen.add(key);
+    return true;
+  }
+
+  describe() {
+    return { method: 'exact' };
+  }
+}
+
+/**
+ * Counts and sums behind one block's prevalence, weighting, overlap and
+ * impression statistics (everything PrevalenceAnalyzer reports per block)
+ */
+export class BlockAccumulator {
+  /**
+   * @param {Array<string>} features - Boolean feature names
+   * @param {Object} options - QuantileSketch options for impressions
+   */
+  constructor(features, options = {}) {
+    this.features = features;
+    this.options = options;
+    this.count = 0;
+    this.featureCounts = Object.fromEntries(features.map(f => [f, 0]));
+    this.pairCounts = {};
+    for (let i = 0; i < features.length; i++) {
+      for (let j = i + 1; j < features.length; j++) {
+        this.pairCounts[`${features[i]}_AND_${features[j]}`] = 0;
+      }
+    }
+
+    // Impression weights (a missing or zero weight counts as 1, as in weightedPrevalence)
+    this.totalImpressions = 0;
+    this.impressionWeight = 0;
+    this.impressionWeighted = Object.fromEntries(features.map(f => [f, 0]));
+
+    // Design weights from a stratified sample
+    this.designWeighted = false;
+    this.designWeight = 0;
+    this.designWeightSq = 0;
+    this.designWeightedCounts = Object.fromEntries(features.map(f => [f, 0]));
+
+    this.impressions = new NumericSummary(options);
+    this.firstTimestamp = null;
+    this.lastTimestamp = null;
+
+    // Per-window counts behind the intra-run prevalence series
+    this.windows = new Map();
+    this.untimed = 0;
+
+    // Per weighting cell design-weight sums behind calibrated prevalences
+    this.cells = new Map();
+  }
+
+  /**
+   * Add one post's extracted features
+   * @param {Object} post - Output of PrevalenceAnalyzer.extractFeatures
+   * @param {Object|null} window - { start, end } window of the post, null when untimed
+   * @param {Array<string>|null} cell - Weighting cell of the post (see weighting.js)
+   */
+  add(post, window = null, cell = null) {
+    this.count++;
+
+    if (window) {
+      const bucket = this.windowBucket(window);
+      bucket.count++;
+      for (const f of this.features) {
+        if (post[f]) bucket.featureCounts[f]++;
+      }
+    } else {
+      this.untimed++;
+    }
+
+    const impressionWeight = post.impressions || 1;
+    const designWeight = post.designWeight ?? 1;
+    if (cell) {
+      const bucket = this.cellBucket(cell);
+      const w = designWeight || 1;
+      bucket.count++;
+      bucket.weight += w;
+      bucket.weightSq += w * w;
+      for (const f of this.features) {
+        if (post[f]) bucket.featureWeights[f] += w;
+      }
+    }
+    this.totalImpressions += post.impressions ?? 0;
+    this.impressionWeight += impressionWeight;
+    this.designWeight += designWeight || 1;
+    this.designWeightSq += (designWeight || 1) ** 2;
+    if (post.designWeight !== null && post.designWeight !== undefined) this.designWeighted = true;
+
+    for (let i = 0; i < this.features.length; i++) {
+      const f1 = this.features[i];
+      if (!post[f1]) continue;
+      this.featureCounts[f1]++;
+      this.impressionWeighted[f1] += impressionWeight;
+      this.designWeightedCounts[f1] += designWeight || 1;
+      for (let j = i + 1; j < this.features.length; j++) {
+        const f2 = this.features[j];
+        if (post[f2]) this.pairCounts[`${f1}_AND_${f2}`]++;
+      }
+    }
+
+    if (post.impressions !== null && post.impressions !== undefined) {
+      this.impressions.add(post.impressions);
+    }
+    if (post.timestamp !== null && post.timestamp !== undefined) {
+      this.firstTimestamp = this.firstTimestamp === null ? post.timestamp : Math.min(this.firstTimestamp, post.timestamp);
+      this.lastTimestamp = this.lastTimestamp === null ? post.timestamp : Math.max(this.lastTimestamp, post.timestamp);
+    }
+  }
+
+  /**
+   * Counts of one time window, created on first use
+   * @param {Object} window - { start, end } ISO bounds
+   * @returns {Object} { start, end, count, featureCounts }
+   */
+  windowBucket(window) {
+    let bucket = this.windows.get(window.start);
+    if (!bucket) {
+      bucket = {
+        start: window.start,
+        end: window.end,
+        count: 0,
+        featureCounts: Object.fromEntries(this.features.map(f => [f, 0]))
+      };
+      this.windows.set(window.start, bucket);
+    }
+    return bucket;
+  }
+
+  /**
+   * Sums of one weighting cell, created on first use
+   * @param {Array<string>} parts - Margin categories of the cell
+   * @returns {Object} { parts, count, weight, weightSq, featureWeights }
+   */
+  cellBucket(parts) {
+    const key = JSON.stringify(parts);
+    let bucket = this.cells.get(key);
+    if (!bucket) {
+      bucket = {
+        parts,
+        count: 0,
+        weight: 0,
+        weightSq: 0,
+        featureWeights: Object.fromEntries(this.features.map(f => [f, 0]))
+      };
+      this.cells.set(key, bucket);
+    }
+    return bucket;
+  }
+
+  /**
+   * Absorb another block accumulator over the same features
+   * @param {BlockAccumulator} other - Accumulator to merge
+   * @returns {BlockAccumulator} this
+   */
+  merge(other) {
+    const sumInto = (target, source) => {
+      for (const key of Object.keys(target)) target[key] += source[key];
+    };
+
+    this.count += other.count;
+    sumInto(this.featureCounts, other.featureCounts);
+    sumInto(this.pairCounts, other.pairCounts);
+    sumInto(this.impressionWeighted, other.impressionWeighted);
+    sumInto(this.designWeightedCounts, other.designWeightedCounts);
+    this.totalImpressions += other.totalImpressions;
+    this.impressionWeight += other.impressionWeight;
+    this.designWeight += other.designWeight;
+    this.designWeightSq += other.designWeightSq;
+    this.designWeighted = this.designWeighted || other.designWeighted;
+    this.impressions.merge(other.impressions);
+    this.untimed += other.untimed;
+    for (const window of other.windows.values()) {
+      const bucket = this.windowBucket(window);
+      bucket.count += window.count;
+      sumInto(bucket.featureCounts, window.featureCounts);
+    }
+    for (const cell of other.cells.values()) {
+      const bucket = this.cellBucket(cell.parts);
+      bucket.count += cell.count;
+      bucket.weight += cell.weight;
+      bucket.weightSq += cell.weightSq;
+      sumInto(bucket.featureWeights, cell.featureWeights);
+    }
+
+    for (const ts of [other.firstTimestamp, other.lastTimestamp]) {
+      if (ts === null) continue;
+      this.firstTimestamp = this.firstTimestamp === null ? ts : Math.min(this.firstTimestamp, ts);
+      this.lastTimestamp = this.lastTimestamp === null ? ts : Math.max(this.lastTimestamp, ts);
+    }
+    return this;
+  }
+}
@@ -0,0 +1,278 @@
+import { canonicalHash } from '../utils/hashing.js';
+import { postWindow } from '../collectors/time-windows.js';
+
+/**
+ * Error class for blocking schemes that cannot be applied
+ */
+export class BlockingSchemeError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'BlockingSchemeError';
+    this.details = details;
+  }
+}
+
+/**
+ * Dimension types of analysis.blocking.dimensions
+ */
+export const BLOCKING_DIMENSIONS = ['impressionBand', 'source', 'feature', 'timeWindow', 'language', 'contentLength', 'field'];
+
+/**
+ * Strategies for blocks under analysis.minBlockSize (analysis.smallBlocks):
+ *
+ *  drop  - leave them out of block-level output (overall still counts them)
+ *  merge - collapse their last, least important dimension to MERGED_PART and
+ *          pool cells that then share a key, repeating with the next
+ *          dimension while the result is still too small
+ *  pool  - pool them all into the OTHER_BLOCK block
+ */
+export const SMALL_BLOCK_STRATEGIES = ['drop', 'merge', 'pool'];
+
+/**
+ * Key part of a dimension collapsed by the merge strategy
+ */
+export const MERGED_PART = '*';
+
+/**
+ * Block key of the pool strategy's block
+ */
+export const OTHER_BLOCK = '_other';
+
+/**
+ * Plain block key: key parts joined with "_", a null part (a dimension
+ * collapsed by the merge strategy) written as MERGED_PART
+ * @param {Array<string|null>} parts - Key parts, one per dimension
+ * @returns {string} Block key
+ */
+export function plainBlockKey(parts) {
+  return parts.map(part => (part === null ? MERGED_PART : String(part))).join('_');
+}
+
+/**
+ * Escaped block key: as plainBlockKey, with every "%", "_" and "*" inside a
+ * part percent-encoded, so distinct parts never share a key
+ * @param {Array<string|null>} parts - Key parts, one per dimension
+ * @returns {string} Block key
+ */
+export function encodeBlockKey(parts) {
+  return parts
+    .map(part => (part === null
+      ? MERGED_PART
+      : String(part).replace(/[%_*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`)))
+    .join('_');
+}
+
+/**
+ * Block keys of a run's cells. A cell keeps its plain key unless that key is
+ * ambiguous: shared with another cell of the run, equal to OTHER_BLOCK, or
+ * built from a part containing "%" or "*". Ambiguous cells get the escaped
+ * key, which always contains "%" and so never meets a plain one. Keys of
+ * ordinary values (e.g. `very_high_feed_tokenPromo`) therefore stay as they
+ * always were, and two cells never share a key.
+ * @param {Array<Array<string|null>>} cells - Distinct key parts
+ * @returns {Map<string, string>} JSON of the parts -> block key
+ */
+export function assignBlockKeys(cells) {
+  const plainCounts = new Map();
+  for (const parts of cells) {
+    const plain = plainBlockKey(parts);
+    plainCounts.set(plain, (plainCounts.get(plain) ?? 0) + 1);
+  }
+
+  return new Map(cells.map(parts => {
+    const plain = plainBlockKey(parts);
+    const ambiguous = plainCounts.get(plain) > 1
+      || plain === OTHER_BLOCK
+      || parts.some(part => part !== null && /[%*]/.test(part));
+    return [JSON.stringify(parts), ambiguous ? encodeBlockKey(parts) : plain];
+  }));
+}
+
+/**
+ * The original block key: impression band, source endpoint and token promotion
+ */
+export const DEFAULT_BLOCKING = {
+  version: '1',
+  dimensions: [
+    { type: 'impressionBand' },
+    { type: 'source' },
+    { type: 'feature', feature: 'hasTokenPromo' }
+  ]
+};
+
+/**
+ * Key part for a feature flag: hasTokenPromo -> tokenPromo / noTokenPromo
+ * @param {string} feature - Feature id
+ * @returns {Object} { present, absent }
+ */
+function featureLabels(feature) {
+  const stem = feature.replace(/^has(?=[A-Z])/, '');
+  const name = stem.charAt(0).toLowerCase() + stem.slice(1);
+  return { present: name, absent: `no${name.charAt(0).toUpperCase()}${name.slice(1)}` };
+}
+
+/**
+ * Value at a dotted path of a post
+ * @param {Object} post - Raw post
+ * @param {string} field - Path such as "author.lang"
+ * @returns {*} Value, undefined when any step is missing
+ */
+function fieldValue(post, field) {
+  return field.split('.').reduce((value, step) => (value === null || value === undefined ? undefined : value[step]), post);
+}
+
+/**
+ * Dimension with its defaults filled in, so equal schemes hash equally
+ * @param {Object} dimension - Configured dimension
+ * @returns {Object} Normalized dimension
+ */
+function normalizeDimension(dimension) {
+  switch (dimension.type) {
+    case 'feature':
+      return { type: 'feature', feature: dimension.feature, ...featureLabels(dimension.feature), ...dimension };
+    case 'timeWindow':
+      return { type: 'timeWindow', minutes: null, ...dimension };
+    case 'language':
+      return { type: 'language', field: 'language', ...dimension };
+    case 'contentLength':
+      return { type: 'contentLength', bounds: [80, 280], labels: ['short', 'medium', 'long'], ...dimension };
+    case 'field':
+      return { type: 'field', missing: 'unknown', ...dimension };
+    default:
+      return { ...dimension };
+  }
+}
+
+/**
+ * Display name of a dimension: its type, feature id, or "field:<path>"
+ * @param {Object} dimension - Normalized dimension
+ * @returns {string}
+ */
+export function dimensionName(dimension) {
+  if (dimension.type === 'feature') return dimension.feature;
+  if (dimension.type === 'field') return `field:${dimension.field}`;
+  return dimension.type;
+}
+
+/**
+ * How posts are partitioned into blocks (analysis.blocking). Each dimension
+ * contributes one part of the block key, joined with "_" (see
+ * assignBlockKeys for parts that contain the separator):
+ *
+ *  impressionBand - analysis.impressionBands band of the post
+ *  source         - collector source endpoint
+ *  feature        - a tag pack feature, as "<present>" / "<absent>" labels
+ *  timeWindow     - start of the post's `_window` tag, or of a
+ *                   `minutes`-wide window of its timestamp ("untimed" if none)
+ *  language       - lower-cased post field (default `language`)
+ *  contentLength  - band of the content length between ascending `bounds`
+ *  field          - any post field by dotted path (`missing` when absent)
+ *
+ * Dimensions are listed most important first; the merge small-block
+ * strategy collapses them from the end. The scheme's version and content
+ * hash go into analysis summaries and meta.json; block keys from runs with
+ * different hashes do not line up.
+ */
+export class BlockingScheme {
+  /**
+   * @param {Object} scheme - { version, dimensions }
+   * @param {Array<string>} features - Feature ids of the run's taxonomy
+   */
+  constructor(scheme, features) {
+    this.version = scheme.version ?? DEFAULT_BLOCKING.version;
+    this.dimensions = (scheme.dimensions ?? DEFAULT_BLOCKING.dimensions).map(normalizeDimension);
+
+    for (const dimension of this.dimensions) {
+      if (!BLOCKING_DIMENSIONS.includes(dimension.type)) {
+        throw new BlockingSchemeError(`Unknown blocking dimension: ${dimension.type}`, { dimension });
+      }
+      if (dimension.type === 'feature' && !features.includes(dimension.feature)) {
+        throw new BlockingSchemeError(
+          `Blocking dimension uses feature ${dimension.feature}, which the tag packs do not define`,
+          { dimension, features }
+        );
+      }
+      if (dimension.type === 'contentLength' && dimension.labels.length !== dimension.bounds.length + 1) {
+        throw new BlockingSchemeError('contentLength needs one more label than bounds', { dimension });
+      }
+    }
+
+    this.hash = canonicalHash({ version: this.version, dimensions: this.dimensions });
+  }
+
+  /**
+   * Scheme from config.analysis.blocking (default: DEFAULT_BLOCKING)
+   * @param {Object} config - Configuration
+   * @param {Array<string>} features - Feature ids of the run's taxonomy
+   * @returns {BlockingScheme}
+   */
+  static fromConfig(config, features) {
+    return new BlockingScheme(config.analysis?.blocking ?? DEFAULT_BLOCKING, features);
+  }
+
+  /**
+   * Key part of one dimension
+   * @param {Object} dimension - Normalized dimension
+   * @param {Object} features - Extracted features of the post
+   * @param {Object} post - Raw post
+   * @returns {string}
+   */
+  part(dimension, features, post) {
+    switch (dimension.type) {
+      case 'impressionBand':
+        return features.impressionBand;
+      case 'source':
+        return features.sourceEndpoint;
+      case 'feature':
+        return features[dimension.feature] ? dimension.present : dimension.absent;
+      case 'timeWindow':
+        return postWindow(post, features.timestamp, dimension.minutes)?.start ?? 'untimed';
+      case 'language': {
+        const value = fieldValue(post, dimension.field);
+        return typeof value === 'string' && value.trim() !== '' ? value.trim().toLowerCase() : 'unknown';
+      }
+      case 'contentLength': {
+        const index = dimension.bounds.findIndex(bound => features.contentLength < bound);
+        return dimension.labels[index === -1 ? dimension.bounds.length : index];
+      }
+      case 'field': {
+        const value = fieldValue(post, dimension.field);
+        return value === undefined || value === null || value === '' ? dimension.missing : String(value);
+      }
+    }
+  }
+
+  /**
+   * Key parts of a post, one per dimension
+   * @param {Object} features - Extracted features of the post
+   * @param {Object} post - Raw post (for windows and custom fields)
+   * @returns {Array<string>} Key parts
+   */
+  parts(features, post = {}) {
+    return this.dimensions.map(dimension => this.part(dimension, features, post));
+  }
+
+  /**
+   * Plain block key of a post (a run escapes it when ambiguous, see assignBlockKeys)
+   * @param {Object} features - Extracted features of the post
+   * @param {Object} post - Raw post (for windows and custom fields)
+   * @returns {string} Block key
+   */
+  key(features, post = {}) {
+    return plainBlockKey(this.parts(features, post));
+  }
+
+  /**
+   * Identity of the scheme for analysis summaries and meta.json
+   * @returns {Object} { version, hash, layout, dimensions }
+   */
+  describe() {
+    return {
+      version: this.version,
+      hash: this.hash,
+      // Human-readable key layout, e.g. "impressionBand_source_hasTokenPromo"
+      layout: this.dimensions.map(dimensionName).join('_'),
+      dimensions: this.dimensions
+    };
+  }
+}
@@ -1,23 +1,50 @@
 import { StatisticalAnalyzer } from './statistical-analyzer.js';
+import { BlockAccumulator, BloomFilter, ExactDeduplicator } from './accumulators.js';
+import { postWindow, toEpochMs } from '../collectors/time-windows.js';
+import { Taxonomy } from './tag-packs.js';
+import { BlockingScheme, OTHER_BLOCK, assignBlockKeys } from './blocking.js';
+import { Weighting } from './weighting.js';
 
 /**
- * Prevalence analyzer with blocking and stratification
+ * Prevalence analyzer with blocking and stratification.
+ *
+ * The boolean text features come from the tag packs in
+ * analysis.tagPacks (see tag-packs.js), and the block key from the
+ * dimensions in analysis.blocking (see blocking.js); analysis.weighting adds
+ * prevalences calibrated to population margins (see weighting.js). Posts
+ * are reduced to per-block count/sum accumulators as they are read, so the
+ * same code serves in-memory runs (analyze) and streaming runs over batches
+ * that never sit in memory together (analyzeStream).
  */
 export class PrevalenceAnalyzer {
-  constructor(config, logger) {
+  /**
+   * @param {Object} config - Configuration
+   * @param {Object} logger - Logger
+   * @param {Object} options - { taxonomy } prebuilt Taxonomy (default: from analysis.tagPacks)
+   * @throws {BlockingSchemeError} When analysis.blocking uses a feature the tag packs do not define
+   * @throws {WeightingError} When analysis.weighting has unusable margins
+   */
+  constructor(config, logger, { taxonomy } = {}) {
     this.config = config;
     this.logger = logger;
     this.stats = new StatisticalAnalyzer(config, logger);
+    this.taxonomy = taxonomy ?? Taxonomy.fromConfig(config);
+    this.features = this.taxonomy.featureIds;
+    this.blocking = BlockingScheme.fromConfig(config, this.features);
+    this.weighting = Weighting.fromConfig(config, this.features, logger);
+    // Width of the intra-run series windows; null uses the posts' _window tags
+    this.seriesMinutes = config.analysis.series?.windowMinutes ?? null;
   }
 
   /**
    * Assign impression band to a post
-   * @param {number} impressions - Number of impressions
-   * @returns {string} Band name
+   * @param {number|null} impressions - Number of impressions
+   * @returns {string} Band name ('unknown' when impressions are missing)
    */
   getImpressionBand(impressions) {
     const { low, mid, high } = this.config.analysis.impressionBands;
     
+    if (impressions === null) return 'unknown';
     if (impressions < low) return 'low';
     if (impressions < mid) return 'mid';
     if (impressions < high) return 'high';
@@ -31,73 +58,57 @@ export class PrevalenceAnalyzer {
    */
   extractFeatures(post) {
     const text = (post.content || '').toLowerCase();
+    // Missing values stay null; posts are schema-checked (and quarantined) at ingest
+    const impressions = Number.isFinite(post.impressions) ? post.impressions : null;
     
     return {
       id: post.id,
-      impressions: post.impressions || 0,
-      impressionBand: this.getImpressionBand(post.impressions || 0),
+      impressions,
+      impressionBand: this.getImpressionBand(impressions),
       sourceEndpoint: post.source || 'unknown',
+      // Inverse inclusion probability from a stratified sample (null when unweighted)
+      designWeight: post._sampling?.designWeight ?? null,
       
-      // Text-based proxy features
-      hasTokenPromo: /\b(token|crypto|coin|nft|airdrop)\b/i.test(text),
-      hasSafetyLanguage: /\b(safe|safety|secure|trust|verify)\b/i.test(text),
-      hasEngineeringLanguage: /\b(api|code|deploy|build|engineer)\b/i.test(text),
-      hasOutboundPressure: /\b(click|buy|act now|limited|urgent)\b/i.test(text),
-      hasReceiptSignals: /\b(receipt|confirmation|verified|authentic)\b/i.test(text),
+      // Text-based proxy features (tag packs)
+      ...this.taxonomy.match(text),
       
       // Additional metadata
       hasMedia: !!post.media,
       hasLinks: !!post.links,
       contentLength: text.length,
-      timestamp: post.timestamp || Date.now()
+      timestamp: toEpochMs(post.timestamp)
     };
   }
 
   /**
-   * Create blocks for stratified analysis
-   * @param {Array<Object>} posts - Array of posts with features
-   * @returns {Object} Posts grouped by block
+   * Block key of a post under the blocking scheme (analysis.blocking)
+   * @param {Object} features - Extracted features of the post
+   * @param {Object} post - Raw post, for time windows and custom fields
+   * @returns {string} Block key
    */
-  createBlocks(posts) {
-    const blocks = {};
-
-    for (const post of posts) {
-      // Create block key from multiple factors
-      const blockKey = [
-        post.impressionBand,
-        post.sourceEndpoint,
-        post.hasTokenPromo ? 'tokenPromo' : 'noTokenPromo'
-      ].join('_');
-
-      if (!blocks[blockKey]) {
-        blocks[blockKey] = [];
-      }
-      blocks[blockKey].push(post);
-    }
-
-    // Filter blocks that don't meet minimum size
-    const filteredBlocks = {};
-    for (const [key, posts] of Object.entries(blocks)) {
-      if (posts.length >= this.config.analysis.minBlockSize) {
-        filteredBlocks[key] = posts;
-      } else {
-        this.logger.warn({ blockKey: key, size: posts.length }, 
-          'Block below minimum size threshold');
-      }
-    }
+  blockKey(features, post = {}) {
+    return this.blocking.key(features, post);
+  }
 
-    return filteredBlocks;
+  /**
+   * Empty accumulator for one block
+   * @returns {BlockAccumulator} Accumulator over the taxonomy's features
+   */
+  createAccumulator() {
+    return new BlockAccumulator(this.features, {
+      relativeAccuracy: this.config.analysis.sketchAccuracy ?? 0.01
+    });
   }
 
   /**
    * Calculate prevalence for a feature in a block
-   * @param {Array<Object>} posts - Posts in block
+   * @param {BlockAccumulator} block - Block accumulator
    * @param {string} feature - Feature name
    * @returns {Object} Prevalence statistics
    */
-  calculatePrevalence(posts, feature) {
-    const total = posts.length;
-    const withFeature = posts.filter(p => p[feature]).length;
+  calculatePrevalence(block, feature) {
+    const total = block.count;
+    const withFeature = block.featureCounts[feature];
 
     const ci = this.stats.wilsonConfidenceInterval(withFeature, total);
 
@@ -115,106 +126,222 @@ export class PrevalenceAnalyzer {
 
   /**
    * Calculate impression-weighted prevalence
-   * @param {Array<Object>} posts - Posts in block
+   * @param {BlockAccumulator} block - Block accumulator
    * @param {string} feature - Feature name
    * @returns {Object} Weighted prevalence statistics
    */
-  calculateWeightedPrevalence(posts, feature) {
-    const items = posts.map(p => ({
-      count: p[feature] ? 1 : 0,
-      weight: p.impressions
-    }));
+  calculateWeightedPrevalence(block, feature) {
+    return {
+      prevalence: block.impressionWeight > 0 ? block.impressionWeighted[feature] / block.impressionWeight : 0,
+      totalImpressions: block.totalImpressions,
+      weightedSum: block.impressionWeighted[feature]
+    };
+  }
+
+  /**
+   * Design-weighted (Hájek) prevalence: sum of w_i * y_i over sum of w_i,
+   * with w_i the inverse inclusion probability recorded by the sampler
+   * @param {BlockAccumulator} block - Block accumulator
+   * @param {string} feature - Feature name
+   * @returns {Object} Design-weighted prevalence statistics
+   */
+  calculateDesignWeightedPrevalence(block, feature) {
+    return {
+      prevalence: block.designWeight > 0 ? block.designWeightedCounts[feature] / block.designWeight : 0,
+      // Estimated number of posts with the feature in the sampled population
+      estimatedCount: block.designWeightedCounts[feature],
+      totalWeight: block.designWeight,
+      sampleSize: block.count
+    };
+  }
 
-    const weighted = this.stats.weightedPrevalence(items);
-    const totalImpressions = posts.reduce((sum, p) => sum + p.impressions, 0);
+  /**
+   * Prevalences under the run's calibration weights (analysis.weighting),
+   * with Wilson intervals at the block's Kish effective sample size so they
+   * widen with the design effect of the weights
+   * @param {BlockAccumulator} block - Block accumulator
+   * @param {Object} calibration - From Weighting.calibrate()
+   * @returns {Object} { calibration, prevalences }
+   */
+  calculateCalibratedPrevalences(block, calibration) {
+    const { includedPosts, totalWeight, effectiveN, designEffect, featureWeights } = this.weighting.apply(block, calibration);
+
+    const prevalences = {};
+    for (const feature of block.features) {
+      const prevalence = totalWeight > 0 ? featureWeights[feature] / totalWeight : 0;
+      const ci = this.stats.wilsonConfidenceInterval(prevalence * effectiveN, effectiveN);
+      prevalences[feature] = {
+        prevalence,
+        effectiveN,
+        confidence: {
+          lower: ci.lower,
+          upper: ci.upper,
+          level: ci.confidence ?? this.stats.confidenceLevel
+        }
+      };
+    }
 
     return {
-      prevalence: weighted.prevalence,
-      totalImpressions,
-      weightedSum: weighted.weightedSum
+      calibration: {
+        includedPosts,
+        effectiveN,
+        designEffect,
+        // Estimated share of the target population in this block
+        populationShare: calibration.totalWeight > 0 ? totalWeight / calibration.totalWeight : 0
+      },
+      prevalences
     };
   }
 
   /**
    * Calculate overlap between features
-   * @param {Array<Object>} posts - Posts in block
-   * @param {Array<string>} features - Features to check overlap
+   * @param {BlockAccumulator} block - Block accumulator
    * @returns {Object} Overlap statistics
    */
-  calculateOverlap(posts, features) {
+  calculateOverlap(block) {
     const overlaps = {};
 
     // Pairwise overlaps
-    for (let i = 0; i < features.length; i++) {
-      for (let j = i + 1; j < features.length; j++) {
-        const f1 = features[i];
-        const f2 = features[j];
-        const key = `${f1}_AND_${f2}`;
-        
-        const count = posts.filter(p => p[f1] && p[f2]).length;
-        overlaps[key] = {
-          count,
-          total: posts.length,
-          prevalence: count / posts.length
-        };
-      }
+    for (const [key, count] of Object.entries(block.pairCounts)) {
+      overlaps[key] = {
+        count,
+        total: block.count,
+        prevalence: count / block.count
+      };
     }
 
     // Individual feature counts
-    for (const feature of features) {
+    for (const feature of block.features) {
       overlaps[feature] = {
-        count: posts.filter(p => p[feature]).length,
-        total: posts.length,
-        prevalence: posts.filter(p => p[feature]).length / posts.length
+        count: block.featureCounts[feature],
+        total: block.count,
+        prevalence: block.featureCounts[feature] / block.count
       };
     }
 
     return overlaps;
   }
 
+  /**
+   * Prevalence series of a block over time windows, with a Wilson interval
+   * per window. With analysis.enableTrendDetection, each feature's series
+   * gets a Mann-Kendall test and Sen's slope (prevalence change per hour).
+   * @param {BlockAccumulator} block - Block accumulator
+   * @returns {Object} { windowMinutes, windows, untimed, buckets, trends? }
+   */
+  calculateSeries(block) {
+    const buckets = [...block.windows.values()]
+      .sort((a, b) => a.start.localeCompare(b.start))
+      .map(({ start, end, count, featureCounts }) => ({
+        start,
+        end,
+        count,
+        prevalences: Object.fromEntries(block.features.map(feature => {
+          const ci = this.stats.wilsonConfidenceInterval(featureCounts[feature], count);
+          return [feature, { count: featureCounts[feature], prevalence: ci.point, lower: ci.lower, upper: ci.upper }];
+        }))
+      }));
+
+    const series = { windowMinutes: this.seriesMinutes, windows: buckets.length, untimed: block.untimed, buckets };
+    if (!this.config.analysis.enableTrendDetection) return series;
+
+    const t0 = buckets.length > 0 ? Date.parse(buckets[0].start) : 0;
+    const hours = buckets.map(b => (Date.parse(b.start) - t0) / 3600000);
+    series.trends = Object.fromEntries(block.features.map(feature => {
+      const values = buckets.map(b => b.prevalences[feature].prevalence);
+      const mannKendall = this.stats.mannKendallTest(values);
+      return [feature, {
+        windows: values.length,
+        trend: mannKendall.trend,
+        significant: !!mannKendall.significant,
+        S: mannKendall.S,
+        tau: mannKendall.tau,
+        Z: mannKendall.Z ?? null,
+        pValue: mannKendall.pValue ?? null,
+        sensSlopePerHour: this.stats.sensSlope(values, hours).slope
+      }];
+    }));
+    return series;
+  }
+
   /**
    * Analyze a single block
-   * @param {Array<Object>} posts - Posts in block
+   * @param {BlockAccumulator} block - Block accumulator
    * @param {string} blockKey - Block identifier
+   * @param {Object|null} calibration - From Weighting.calibrate(), when weighting
    * @returns {Object} Block analysis results
    */
-  analyzeBlock(posts, blockKey) {
-    const features = [
-      'hasTokenPromo',
-      'hasSafetyLanguage',
-      'hasEngineeringLanguage',
-      'hasOutboundPressure',
-      'hasReceiptSignals'
-    ];
-
+  analyzeBlock(block, blockKey, calibration = null) {
     const prevalences = {};
     const weightedPrevalences = {};
+    const designWeightedPrevalences = block.designWeighted ? {} : undefined;
 
-    for (const feature of features) {
-      prevalences[feature] = this.calculatePrevalence(posts, feature);
-      weightedPrevalences[feature] = this.calculateWeightedPrevalence(posts, feature);
+    for (const feature of block.features) {
+      prevalences[feature] = this.calculatePrevalence(block, feature);
+      weightedPrevalences[feature] = this.calculateWeightedPrevalence(block, feature);
+      if (block.designWeighted) {
+        designWeightedPrevalences[feature] = this.calculateDesignWeightedPrevalence(block, feature);
+      }
     }
-
-    const overlaps = this.calculateOverlap(posts, features);
-
-    // Calculate summary stats for impressions
-    const impressions = posts.map(p => p.impressions);
-    const impressionStats = this.stats.summarize(impressions);
+    const calibrated = calibration ? this.calculateCalibratedPrevalences(block, calibration) : null;
 
     return {
       blockKey,
-      sampleSize: posts.length,
-      impressionStats,
+      sampleSize: block.count,
+      // Median and quartiles come from a quantile sketch (analysis.sketchAccuracy)
+      impressionStats: block.impressions.summary(),
       prevalences,
       weightedPrevalences,
-      overlaps,
+      ...(block.designWeighted ? { designWeightedPrevalences } : {}),
+      ...(calibrated ? { calibration: calibrated.calibration, calibratedPrevalences: calibrated.prevalences } : {}),
+      overlaps: this.calculateOverlap(block),
+      series: this.calculateSeries(block),
       metadata: {
-        firstTimestamp: Math.min(...posts.map(p => p.timestamp)),
-        lastTimestamp: Math.max(...posts.map(p => p.timestamp))
+        firstTimestamp: block.firstTimestamp,
+        lastTimestamp: block.lastTimestamp
       }
     };
   }
 
+  /**
+   * Compare one feature's prevalence between two blocks
+   * @param {Object} prev1 - Prevalence entry from the first block
+   * @param {Object} prev2 - Prevalence entry from the second block
+   * @returns {Object} Effect size, chi-square and relative risk
+   */
+  compareFeature(prev1, prev2) {
+    const p1 = prev1.prevalence;
+    const p2 = prev2.prevalence;
+
+    // Effect size
+    const effectSize = this.stats.cohensH(p1, p2);
+
+    // Chi-square test
+    const contingency = [
+      [prev1.count, prev1.total - prev1.count],
+      [prev2.count, prev2.total - prev2.count]
+    ];
+
+    const chiSquare = this.stats.chiSquareTest(contingency);
+
+    // Relative risk
+    const rr = this.stats.relativeRisk(
+      prev1.count,
+      prev1.total - prev1.count,
+      prev2.count,
+      prev2.total - prev2.count
+    );
+
+    return {
+      block1_prevalence: p1,
+      block2_prevalence: p2,
+      difference: p1 - p2,
+      effectSize,
+      chiSquare,
+      relativeRisk: rr
+    };
+  }
+
   /**
    * Compare two blocks for differences
    * @param {Object} block1 - First block analysis
@@ -224,45 +351,22 @@ export class PrevalenceAnalyzer {
   compareBlocks(block1, block2) {
     const comparisons = {};
 
-    const features = Object.keys(block1.prevalences);
+    // Features of both blocks (runs compared across tag packs may differ)
+    const features = Object.keys(block1.prevalences).filter(f => f in block2.prevalences);
 
     // Pass 1: compute per-feature comparisons and collect numeric p-values.
     const pValues = [];
     for (const feature of features) {
-      const p1 = block1.prevalences[feature].prevalence;
-      const p2 = block2.prevalences[feature].prevalence;
-
-      // Effect size
-      const effectSize = this.stats.cohensH(p1, p2);
-
-      // Chi-square test
-      const contingency = [
-        [block1.prevalences[feature].count,
-         block1.prevalences[feature].total - block1.prevalences[feature].count],
-        [block2.prevalences[feature].count,
-         block2.prevalences[feature].total - block2.prevalences[feature].count]
-      ];
-
-      const chiSquare = this.stats.chiSquareTest(contingency);
-
-      // Relative risk
-      const rr = this.stats.relativeRisk(
-        block1.prevalences[feature].count,
-        block1.prevalences[feature].total - block1.prevalences[feature].count,
-        block2.prevalences[feature].count,
-        block2.prevalences[feature].total - block2.prevalences[feature].count
+      const comparison = this.compareFeature(
+        block1.prevalences[feature],
+        block2.prevalences[feature]
       );
 
-      const pNumeric = chiSquare.pValueNumeric ?? null;
+      const pNumeric = comparison.chiSquare.pValueNumeric ?? null;
       pValues.push(pNumeric);
 
       comparisons[feature] = {
-        block1_prevalence: p1,
-        block2_prevalence: p2,
-        difference: p1 - p2,
-        effectSize,
-        chiSquare,
-        relativeRisk: rr,
+        ...comparison,
         multipleTesting: {
           method: 'Benjamini-Hochberg',
           family: 'compareBlocks:features',
@@ -298,51 +402,235 @@ export class PrevalenceAnalyzer {
   }
 
   /**
-   * Perform full blocked analysis
+   * Resolve cells under analysis.minBlockSize with the analysis.smallBlocks
+   * strategy (see SMALL_BLOCK_STRATEGIES in blocking.js). The ledger lists
+   * every original cell with its size and the block it ended up in (null
+   * when dropped), so block-level output accounts for every unique post.
+   * @param {Object} state - From createState()
+   * @returns {Object} { blocks: Map of block key -> accumulator, ledger }
+   */
+  partitionBlocks(state) {
+    const minBlockSize = this.config.analysis.minBlockSize;
+    const strategy = this.config.analysis.smallBlocks ?? 'drop';
+    const blocks = new Map();
+    const cells = [];
+    let small = [];
+
+    // Cells and merged groups are keyed by the JSON of their parts until the
+    // run's block keys are assigned at the end
+    for (const key of [...state.blocks.keys()].sort()) {
+      const block = state.blocks.get(key);
+      if (block.count >= minBlockSize) {
+        blocks.set(key, block);
+        cells.push({ cell: key, size: block.count, action: 'kept', into: key });
+      } else {
+        small.push({ keys: [key], parts: JSON.parse(key), block });
+      }
+    }
+
+    // Pool groups of small cells into one block; groups still too small are returned
+    const pool = (groups, action, keyOf) => {
+      const merged = new Map();
+      for (const group of groups) {
+        const key = keyOf(group);
+        const target = merged.get(key) ?? { keys: [], parts: group.parts, block: this.createAccumulator() };
+        target.keys.push(...group.keys);
+        target.block.merge(group.block);
+        merged.set(key, target);
+      }
+
+      const rest = [];
+      for (const [key, group] of merged) {
+        if (group.block.count >= minBlockSize && !blocks.has(key)) {
+          blocks.set(key, group.block);
+          for (const cell of group.keys) {
+            cells.push({ cell, size: state.blocks.get(cell).count, action, into: key });
+          }
+        } else {
+          rest.push(group);
+        }
+      }
+      return rest;
+    };
+
+    if (strategy === 'merge') {
+      const dimensions = this.blocking.dimensions.length;
+      for (let collapsed = 1; collapsed <= dimensions && small.length > 0; collapsed++) {
+        const coarsen = group => group.parts
+          .map((part, i) => (i >= dimensions - collapsed ? null : part));
+        small = pool(small.map(group => ({ ...group, parts: coarsen(group) })), 'merged', group => JSON.stringify(group.parts));
+      }
+    } else if (strategy === 'pool' && small.length > 0) {
+      small = pool(small, 'pooled', () => OTHER_BLOCK);
+    }
+
+    for (const group of small) {
+      for (const cell of group.keys) {
+        cells.push({ cell, size: state.blocks.get(cell).count, action: 'dropped', into: null });
+      }
+    }
+
+    const blockKeys = assignBlockKeys([...new Set([...state.blocks.keys(), ...blocks.keys()])]
+      .filter(key => key !== OTHER_BLOCK)
+      .map(key => JSON.parse(key)));
+    const blockKey = key => (key === null || key === OTHER_BLOCK ? key : blockKeys.get(key));
+
+    for (const entry of cells) {
+      entry.cell = blockKey(entry.cell);
+      entry.into = blockKey(entry.into);
+      if (entry.action === 'dropped') {
+        this.logger.warn({ blockKey: entry.cell, size: entry.size, strategy }, 'Block below minimum size threshold');
+      }
+    }
+
+    cells.sort((a, b) => a.cell.localeCompare(b.cell));
+    const count = action => cells.filter(c => c.action === action);
+    const posts = list => list.reduce((sum, c) => sum + c.size, 0);
+
+    return {
+      blocks: new Map([...blocks]
+        .map(([key, block]) => [blockKey(key), block])
+        .sort(([a], [b]) => a.localeCompare(b))),
+      ledger: {
+        strategy,
+        minBlockSize,
+        cells,
+        summary: Object.fromEntries(['kept', 'merged', 'pooled', 'dropped']
+          .map(action => [action, { cells: count(action).length, posts: posts(count(action)) }]))
+      }
+    };
+  }
+
+  /**
+   * Fresh analysis state: deduplicator and per-block accumulators
+   * @param {Object} options - { dedup } 'exact' (Set) or 'bloom' (bounded memory)
+   * @returns {Object} State for accumulate() / finalize()
+   */
+  createState({ dedup = 'exact' } = {}) {
+    const deduplicator = dedup === 'bloom'
+      ? new BloomFilter({
+        expectedItems: this.config.sampling.maxSampleSize,
+        falsePositiveRate: this.config.analysis.streaming?.falsePositiveRate ?? 0.001
+      })
+      : new ExactDeduplicator();
+
+    // blocks: JSON of the cell's key parts -> accumulator
+    return { rawPosts: 0, uniquePosts: 0, deduplicator, blocks: new Map() };
+  }
+
+  /**
+   * Extract features from a batch of posts, drop duplicate IDs and add the
+   * rest to their block accumulators
+   * @param {Object} state - From createState()
    * @param {Array<Object>} posts - Raw posts
-   * @returns {Object} Complete analysis results
    */
-  analyze(posts) {
-    this.logger.info({ totalPosts: posts.length }, 'Starting prevalence analysis');
+  accumulate(state, posts) {
+    state.rawPosts += posts.length;
 
-    // Extract features
-    const postsWithFeatures = posts.map(p => this.extractFeatures(p));
+    for (const post of posts) {
+      const features = this.extractFeatures(post);
+      if (!state.deduplicator.add(features.id)) continue;
+      state.uniquePosts++;
 
-    // Deduplicate by ID
-    const uniquePosts = Array.from(
-      new Map(postsWithFeatures.map(p => [p.id, p])).values()
-    );
+      const key = JSON.stringify(this.blocking.parts(features, post));
+      if (!state.blocks.has(key)) {
+        state.blocks.set(key, this.createAccumulator());
+      }
+      const window = postWindow(post, features.timestamp, this.seriesMinutes,
+        this.config.sampling?.temporal?.batchSizeMinutes ?? 60);
+      state.blocks.get(key).add(features, window, this.weighting?.cell(features, post) ?? null);
+    }
+  }
 
+  /**
+   * Turn accumulated state into analysis results
+   * @param {Object} state - From createState()
+   * @returns {Object} Complete analysis results
+   */
+  finalize(state) {
+    const dedup = state.deduplicator.describe();
     this.logger.info({ 
-      raw: posts.length, 
-      unique: uniquePosts.length 
+      raw: state.rawPosts, 
+      unique: state.uniquePosts,
+      dedup: dedup.method
     }, 'Deduplicated posts');
+    if (dedup.overfilled) {
+      this.logger.warn({
+        expectedItems: dedup.expectedItems,
+        items: dedup.items,
+        falsePositiveRate: dedup.falsePositiveRate,
+        estimatedFalsePositiveRate: dedup.estimatedFalsePositiveRate
+      }, 'More unique posts than the Bloom filter was sized for (sampling.maxSampleSize); some may have been dropped as duplicates');
+    }
 
-    // Create blocks
-    const blocks = this.createBlocks(uniquePosts);
+    // Overall stats (unblocked) merge every cell, including those below the minimum size
+    const overall = this.createAccumulator();
+    for (const block of state.blocks.values()) {
+      overall.merge(block);
+    }
 
-    this.logger.info({ 
-      blockCount: Object.keys(blocks).length 
-    }, 'Created blocks');
+    // One set of calibration weights, fitted over the whole run
+    const calibration = this.weighting?.calibrate(overall) ?? null;
 
-    // Analyze each block
+    const { blocks, ledger } = this.partitionBlocks(state);
     const blockAnalyses = {};
-    for (const [blockKey, blockPosts] of Object.entries(blocks)) {
-      blockAnalyses[blockKey] = this.analyzeBlock(blockPosts, blockKey);
+    for (const [blockKey, block] of blocks) {
+      blockAnalyses[blockKey] = this.analyzeBlock(block, blockKey, calibration);
     }
 
-    // Overall stats (unblocked)
-    const overallAnalysis = this.analyzeBlock(uniquePosts, 'overall');
+    this.logger.info({ 
+      blockCount: Object.keys(blockAnalyses).length 
+    }, 'Created blocks');
 
     return {
       summary: {
-        rawPosts: posts.length,
-        uniquePosts: uniquePosts.length,
-        blockCount: Object.keys(blocks).length,
-        minBlockSize: this.config.analysis.minBlockSize
+        rawPosts: state.rawPosts,
+        uniquePosts: state.uniquePosts,
+        blockCount: Object.keys(blockAnalyses).length,
+        minBlockSize: this.config.analysis.minBlockSize,
+        taxonomy: this.taxonomy.describe(),
+        blocking: this.blocking.describe(),
+        ...(calibration ? { weighting: calibration.summary } : {}),
+        // Kish effective n, (Σw)² / Σw², of a sample drawn with design weights
+        ...(overall.designWeighted && overall.designWeightSq > 0
+          ? { designEffectiveN: (overall.designWeight ** 2) / overall.designWeightSq }
+          : {}),
+        ...(dedup.method === 'exact' ? {} : { dedup })
       },
-      overall: overallAnalysis,
-      blocks: blockAnalyses
+      overall: this.analyzeBlock(overall, 'overall', calibration),
+      blocks: blockAnalyses,
+      blockLedger: ledger
     };
   }
+
+  /**
+   * Perform full blocked analysis
+   * @param {Array<Object>} posts - Raw posts
+   * @returns {Object} Complete analysis results
+   */
+  analyze(posts) {
+    this.logger.info({ totalPosts: posts.length }, 'Starting prevalence analysis');
+
+    const state = this.createState();
+    this.accumulate(state, posts);
+    return this.finalize(state);
+  }
+
+  /**
+   * Blocked analysis over batches of posts without holding them in memory.
+   * Deduplication defaults to analysis.streaming.dedup (a Bloom filter sized
+   * for sampling.maxSampleSize unless set to 'exact').
+   * @param {AsyncIterable<Array<Object>>} batches - Batches of raw posts
+   * @param {Object} options - { dedup } 'exact' or 'bloom'
+   * @returns {Promise<Object>} Complete analysis results
+   */
+  async analyzeStream(batches, { dedup = this.config.analysis.streaming?.dedup ?? 'bloom' } = {}) {
+    this.logger.info({ dedup }, 'Starting streaming prevalence analysis');
+
+    const state = this.createState({ dedup });
+    for await (const batch of batches) {
+      this.accumulate(state, batch);
+    }
+    return this.finalize(state);
+  }
 }
@@ -0,0 +1,155 @@
+import { PrevalenceAnalyzer } from './prevalence-analyzer.js';
+import { checkTaxonomies } from './tag-packs.js';
+
+const FAMILY = 'compareRuns:block×feature';
+
+/**
+ * Block-level comparison of two analysis runs.
+ * Blocks are matched by key and every shared block × feature pair forms one
+ * Benjamini-Hochberg family, so shifts confined to a few strata are not
+ * averaged away by the overall comparison. Runs measured with different
+ * tag packs are refused unless the mismatch is explicitly allowed; then only
+ * features present in both runs are compared. Runs blocked under different
+ * schemes are compared with a warning: their block keys rarely line up, so
+ * most blocks land in onlyInRun1/onlyInRun2.
+ */
+export class RunComparator {
+  constructor(config, logger) {
+    this.config = config;
+    this.logger = logger;
+    this.analyzer = new PrevalenceAnalyzer(config, logger);
+  }
+
+  /**
+   * Compare two stored analyses
+   * @param {Object} run1 - analysis.json of the first run
+   * @param {Object} run2 - analysis.json of the second run
+   * @param {Object} ids - { run1, run2 } run identifiers for the report
+   * @param {Object} options - { allowTaxonomyMismatch }
+   * @returns {Object} Comparison report
+   * @throws {TaxonomyMismatchError} When the runs' tag packs differ and the mismatch is not allowed
+   */
+  compare(run1, run2, ids = {}, { allowTaxonomyMismatch = false } = {}) {
+    const taxonomy = checkTaxonomies(run1.summary?.taxonomy, run2.summary?.taxonomy, {
+      allowMismatch: allowTaxonomyMismatch
+    });
+    if (taxonomy.match === false) {
+      this.logger.warn({ run1: ids.run1, run2: ids.run2 }, 'Comparing runs measured with different tag packs');
+    } else if (taxonomy.match === null) {
+      this.logger.warn({ run1: ids.run1, run2: ids.run2 }, 'A run has no recorded taxonomy; tag packs cannot be checked');
+    }
+
+    const blocking1 = run1.summary?.blocking ?? null;
+    const blocking2 = run2.summary?.blocking ?? null;
+    const blocking = {
+      match: blocking1 && blocking2 ? blocking1.hash === blocking2.hash : null,
+      run1: blocking1,
+      run2: blocking2
+    };
+    if (blocking.match === false) {
+      this.logger.warn({
+        run1: ids.run1,
+        run2: ids.run2,
+        layout1: blocking1.layout,
+        layout2: blocking2.layout
+      }, 'Runs use different blocking schemes; block keys may not line up');
+    }
+
+    const blocks1 = run1.blocks || {};
+    const blocks2 = run2.blocks || {};
+
+    const shared = Object.keys(blocks1).filter(key => key in blocks2).sort();
+    const onlyIn = (blocks, other) => Object.keys(blocks)
+      .filter(key => !(key in other))
+      .sort()
+      .map(blockKey => ({ blockKey, sampleSize: blocks[blockKey].sampleSize }));
+
+    // Pass 1: every shared block × feature pair
+    const tests = [];
+    const blockComparisons = {};
+    for (const blockKey of shared) {
+      const b1 = blocks1[blockKey];
+      const b2 = blocks2[blockKey];
+      const features = Object.keys(b1.prevalences).filter(f => f in (b2.prevalences || {}));
+
+      blockComparisons[blockKey] = {
+        sampleSize1: b1.sampleSize,
+        sampleSize2: b2.sampleSize,
+        features: {}
+      };
+
+      for (const feature of features) {
+        const comparison = this.analyzer.compareFeature(b1.prevalences[feature], b2.prevalences[feature]);
+        const pValue = comparison.chiSquare.pValueNumeric ?? null;
+
+        blockComparisons[blockKey].features[feature] = {
+          ...comparison,
+          multipleTesting: { method: 'Benjamini-Hochberg', family: FAMILY, pValue, qValue: null, rejected: null }
+        };
+        tests.push({ blockKey, feature, pValue });
+      }
+    }
+
+    // Pass 2: BH-FDR across the whole family
+    const qTarget = this.config.analysis?.fdrQ ?? 0.05;
+    const bh = this.analyzer.stats.benjaminiHochberg(tests.map(t => t.pValue), qTarget);
+
+    const significant = [];
+    tests.forEach(({ blockKey, feature }, i) => {
+      const entry = blockComparisons[blockKey].features[feature];
+      entry.multipleTesting.qValue = bh.qValues[i];
+      entry.multipleTesting.rejected = bh.rejected[i];
+      entry.multipleTesting.qTarget = qTarget;
+
+      if (bh.rejected[i]) {
+        significant.push({
+          blockKey,
+          feature,
+          block1_prevalence: entry.block1_prevalence,
+          block2_prevalence: entry.block2_prevalence,
+          difference: entry.difference,
+          effectSize: entry.effectSize.h,
+          qValue: bh.qValues[i]
+        });
+      }
+    });
+
+    significant.sort((a, b) => a.qValue - b.qValue || Math.abs(b.difference) - Math.abs(a.difference));
+
+    const onlyInRun1 = onlyIn(blocks1, blocks2);
+    const onlyInRun2 = onlyIn(blocks2, blocks1);
+
+    this.logger.info({
+      sharedBlocks: shared.length,
+      tests: tests.length,
+      rejected: bh.k,
+      onlyInRun1: onlyInRun1.length,
+      onlyInRun2: onlyInRun2.length
+    }, 'Compared runs block by block');
+
+    return {
+      run1: ids.run1 ?? null,
+      run2: ids.run2 ?? null,
+      taxonomy,
+      blocking,
+      comparison: this.analyzer.compareBlocks(run1.overall, run2.overall),
+      blocks: blockComparisons,
+      onlyInRun1,
+      onlyInRun2,
+      summary: {
+        sharedBlocks: shared.length,
+        tests: tests.length,
+        significant: significant.length
+      },
+      significant,
+      multipleTesting: {
+        method: 'Benjamini-Hochberg',
+        family: FAMILY,
+        qTarget,
+        thresholdP: bh.thresholdP,
+        k: bh.k,
+        m: tests.length
+      }
+    };
+  }
+}
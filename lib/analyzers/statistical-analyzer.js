@@ -323,15 +323,51 @@ export class StatisticalAnalyzer {
     else if (Z > 0) trend = 'increasing';
     else trend = 'decreasing';
 
+    // Two-sided p-value under the normal approximation
+    const pValue = 2 * (1 - this.normalCdf(Math.abs(Z)));
+
     return {
       S,
       tau,
       Z,
+      pValue: Math.min(1, Math.max(0, pValue)),
       trend,
       significant: Math.abs(Z) >= 1.96
     };
   }
 
+  /**
+   * Sen's slope estimator (median of pairwise slopes)
+   * @param {Array<number>} values - Series values
+   * @param {Array<number>} times - Optional x positions (defaults to 0..n-1)
+   * @returns {Object} Slope and intercept
+   */
+  sensSlope(values, times = null) {
+    const n = values.length;
+    const x = times || values.map((_, i) => i);
+
+    if (n < 2) {
+      return { slope: null, intercept: null, pairs: 0 };
+    }
+
+    const slopes = [];
+    for (let i = 0; i < n - 1; i++) {
+      for (let j = i + 1; j < n; j++) {
+        const dx = x[j] - x[i];
+        if (dx !== 0) slopes.push((values[j] - values[i]) / dx);
+      }
+    }
+
+    if (slopes.length === 0) {
+      return { slope: null, intercept: null, pairs: 0 };
+    }
+
+    const slope = ss.median(slopes);
+    const intercept = ss.median(values.map((v, i) => v - slope * x[i]));
+
+    return { slope, intercept, pairs: slopes.length };
+  }
+
   /**
    * Calculate basic summary statistics
    * @param {Array<number>} data - Numeric data
@@ -0,0 +1,196 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { z } from 'zod';
+import { canonicalHash } from '../utils/hashing.js';
+
+/**
+ * Directory of the named tag packs (config/tag-packs/<id>.json)
+ */
+export const TAG_PACK_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../../config/tag-packs');
+
+/**
+ * Error class for unknown or malformed tag packs
+ */
+export class TagPackError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'TagPackError';
+    this.details = details;
+  }
+}
+
+/**
+ * Error class for comparing runs measured with different taxonomies
+ */
+export class TaxonomyMismatchError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'TaxonomyMismatchError';
+    this.details = details;
+  }
+}
+
+/**
+ * Per-post fields PrevalenceAnalyzer.extractFeatures sets itself, which
+ * features cannot be named after
+ */
+export const RESERVED_FEATURE_IDS = [
+  'id', 'impressions', 'impressionBand', 'sourceEndpoint', 'designWeight',
+  'hasMedia', 'hasLinks', 'contentLength', 'timestamp'
+];
+
+const regexSource = z.string().min(1).refine(source => {
+  try {
+    new RegExp(source, 'i');
+    return true;
+  } catch {
+    return false;
+  }
+}, { message: 'Invalid regular expression' });
+
+/**
+ * A versioned set of boolean text features. A feature is present when any
+ * pattern matches the lower-cased post text and no exclusion does; patterns
+ * are case-insensitive. Examples are phrases that trip this feature and no
+ * other, which the synthetic collector uses to write labelled posts.
+ */
+export const TagPackSchema = z.object({
+  id: z.string().regex(/^[A-Za-z0-9_-]+$/, 'tag pack ids may use letters, digits, _ and -'),
+  version: z.string().min(1),
+  description: z.string().default(''),
+  features: z.array(z.object({
+    id: z.string().regex(/^[A-Za-z][A-Za-z0-9]*$/, 'feature ids are alphanumeric identifiers')
+      .refine(id => !RESERVED_FEATURE_IDS.includes(id), { message: 'reserved post field name' }),
+    description: z.string().default(''),
+    patterns: z.array(regexSource).min(1),
+    exclusions: z.array(regexSource).default([]),
+    examples: z.array(z.string().min(1)).default([])
+  }).strict()).min(1)
+}).strict();
+
+/**
+ * Load and validate a tag pack by id (config/tag-packs/<id>.json) or path.
+ * Synchronous, like config loading, so analyzers can be built from config alone.
+ * @param {string} ref - Tag pack id or JSON file path
+ * @returns {Object} Parsed pack with { file, sha256 } (hash of its canonical JSON)
+ */
+export function loadTagPack(ref) {
+  const isPath = ref.endsWith('.json') || ref.includes('/') || ref.includes(path.sep);
+  const file = isPath ? path.resolve(ref) : path.join(TAG_PACK_DIR, `${ref}.json`);
+
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  } catch (error) {
+    throw new TagPackError(
+      error.code === 'ENOENT' ? `Tag pack not found: ${ref}` : `Tag pack ${file} is not valid JSON: ${error.message}`,
+      { file }
+    );
+  }
+
+  const parsed = TagPackSchema.safeParse(raw);
+  if (!parsed.success) {
+    throw new TagPackError(`Invalid tag pack ${file}`, { file, issues: parsed.error.issues });
+  }
+
+  return { ...parsed.data, file, sha256: canonicalHash(parsed.data) };
+}
+
+/**
+ * The features measured by a run: the union of its tag packs, in pack order
+ */
+export class Taxonomy {
+  /**
+   * @param {Array<Object>} packs - Loaded tag packs (see loadTagPack)
+   */
+  constructor(packs) {
+    this.packs = packs;
+    this.features = [];
+
+    const owners = new Map();
+    for (const pack of packs) {
+      for (const feature of pack.features) {
+        if (owners.has(feature.id)) {
+          throw new TagPackError(`Feature ${feature.id} is defined by both ${owners.get(feature.id)} and ${pack.id}`);
+        }
+        owners.set(feature.id, pack.id);
+        this.features.push({
+          ...feature,
+          pack: pack.id,
+          matchers: feature.patterns.map(p => new RegExp(p, 'i')),
+          excluders: feature.exclusions.map(p => new RegExp(p, 'i'))
+        });
+      }
+    }
+
+    this.featureIds = this.features.map(f => f.id);
+  }
+
+  /**
+   * Taxonomy from config.analysis.tagPacks (default: the core pack)
+   * @param {Object} config - Configuration
+   * @returns {Taxonomy}
+   */
+  static fromConfig(config) {
+    return new Taxonomy((config.analysis?.tagPacks ?? ['core']).map(loadTagPack));
+  }
+
+  /**
+   * Feature flags for a text
+   * @param {string} text - Lower-cased post text
+   * @returns {Object} Feature id -> boolean
+   */
+  match(text) {
+    const flags = {};
+    for (const feature of this.features) {
+      flags[feature.id] = feature.matchers.some(re => re.test(text)) && !feature.excluders.some(re => re.test(text));
+    }
+    return flags;
+  }
+
+  /**
+   * Identity of the taxonomy for meta.json, analysis summaries and the STR
+   * manifest. The hash covers every pack's content, so editing a pattern
+   * changes it even when the version is not bumped.
+   * @returns {Object} { hash, packs: [{ id, version, sha256 }], features }
+   */
+  describe() {
+    const packs = this.packs.map(({ id, version, sha256 }) => ({ id, version, sha256 }));
+    return { hash: canonicalHash(packs), packs, features: this.featureIds };
+  }
+}
+
+/**
+ * Short label for a taxonomy descriptor, e.g. "core@1.0.0"
+ * @param {Object|null} taxonomy - Taxonomy descriptor
+ * @returns {string}
+ */
+export function taxonomyLabel(taxonomy) {
+  return taxonomy ? taxonomy.packs.map(p => `${p.id}@${p.version}`).join('+') : 'unrecorded';
+}
+
+/**
+ * Check that two runs were measured with the same tag packs
+ * @param {Object|null} taxonomy1 - First run's taxonomy descriptor
+ * @param {Object|null} taxonomy2 - Second run's taxonomy descriptor
+ * @param {Object} options - { allowMismatch } report instead of throwing
+ * @returns {Object} { match, run1, run2 } match is null when a run has no recorded taxonomy
+ */
+export function checkTaxonomies(taxonomy1, taxonomy2, { allowMismatch = false } = {}) {
+  const result = {
+    match: taxonomy1 && taxonomy2 ? taxonomy1.hash === taxonomy2.hash : null,
+    run1: taxonomy1 ?? null,
+    run2: taxonomy2 ?? null
+  };
+
+  if (result.match === false && !allowMismatch) {
+    throw new TaxonomyMismatchError(
+      `Runs use different tag packs (${taxonomyLabel(taxonomy1)} vs ${taxonomyLabel(taxonomy2)}); ` +
+      'pass --allow-taxonomy-mismatch to compare them anyway',
+      { run1: taxonomy1, run2: taxonomy2 }
+    );
+  }
+
+  return result;
+}
@@ -0,0 +1,81 @@
+import { StatisticalAnalyzer } from './statistical-analyzer.js';
+
+const DAY_MS = 86400000;
+
+/**
+ * Cross-run trend analysis of feature prevalence
+ */
+export class TrendAnalyzer {
+  constructor(config, logger) {
+    this.config = config;
+    this.logger = logger;
+    this.stats = new StatisticalAnalyzer(config, logger);
+  }
+
+  /**
+   * Build a prevalence time series for one feature from stored runs
+   * @param {Array<Object>} runs - [{ runId, timestamp, analysis }] in time order
+   * @param {Object} options - { feature, block } (block defaults to 'overall')
+   * @returns {Object} { points, missing }
+   */
+  buildSeries(runs, { feature, block = 'overall' }) {
+    const points = [];
+    const missing = [];
+
+    for (const { runId, timestamp, analysis } of runs) {
+      const blockAnalysis = block === 'overall'
+        ? analysis?.overall
+        : analysis?.blocks?.[block];
+
+      const prev = blockAnalysis?.prevalences?.[feature];
+      if (!prev || typeof prev.prevalence !== 'number') {
+        missing.push({ runId, reason: blockAnalysis ? 'feature_missing' : 'block_missing' });
+        continue;
+      }
+
+      points.push({
+        runId,
+        timestamp,
+        prevalence: prev.prevalence,
+        lower: prev.confidence?.lower ?? null,
+        upper: prev.confidence?.upper ?? null,
+        count: prev.count,
+        total: prev.total
+      });
+    }
+
+    return { points, missing };
+  }
+
+  /**
+   * Run Mann-Kendall and Sen's slope over a series
+   * @param {Array<Object>} points - Series points from buildSeries
+   * @returns {Object} Trend results
+   */
+  analyze(points) {
+    const values = points.map(p => p.prevalence);
+    const mannKendall = this.stats.mannKendallTest(values);
+
+    const t0 = points.length > 0 ? Date.parse(points[0].timestamp) : 0;
+    const days = points.map(p => (Date.parse(p.timestamp) - t0) / DAY_MS);
+
+    const perRun = this.stats.sensSlope(values);
+    const perDay = days.every(Number.isFinite)
+      ? this.stats.sensSlope(values, days)
+      : { slope: null, intercept: null, pairs: 0 };
+
+    return {
+      n: points.length,
+      mannKendall,
+      sensSlope: {
+        perRun: perRun.slope,
+        perDay: perDay.slope,
+        intercept: perRun.intercept
+      },
+      trend: mannKendall.trend,
+      significant: !!mannKendall.significant,
+      first: points[0]?.prevalence ?? null,
+      last: points[points.length - 1]?.prevalence ?? null
+    };
+  }
+}
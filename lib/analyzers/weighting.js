@@ -0,0 +1,246 @@
+import { canonicalHash } from '../utils/hashing.js';
+import { BlockingScheme, BlockingSchemeError, dimensionName } from './blocking.js';
+
+/**
+ * Error class for weighting settings that cannot be applied
+ */
+export class WeightingError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'WeightingError';
+    this.details = details;
+  }
+}
+
+/**
+ * Methods of analysis.weighting:
+ *
+ *  poststratify - scale each category of a single margin to its share
+ *  rake         - iterative proportional fitting: cycle through the margins,
+ *                 scaling to each in turn, until every margin is within
+ *                 `tolerance` of its shares (or maxIterations cycles)
+ */
+export const WEIGHTING_METHODS = ['poststratify', 'rake'];
+
+/**
+ * Calibration of the sample to known population margins (analysis.weighting).
+ *
+ * Each margin is a blocking dimension (see blocking.js) with target shares
+ * per category, e.g. a source mix or impression-band shares. Posts are
+ * grouped into weighting cells, one per combination of margin categories;
+ * every cell gets a factor g, and a post's calibrated weight is g times its
+ * design weight (1 when unweighted). Cells in a category without a positive
+ * share are excluded (g = 0). Listed categories with no posts cannot be
+ * reached; their shares are dropped and the rest renormalized.
+ *
+ * Weights are scaled to sum to the number of included posts. The Kish
+ * effective sample size n_eff = (sum w)^2 / sum w^2 and the design effect
+ * n / n_eff measure the precision they cost.
+ */
+export class Weighting {
+  /**
+   * @param {Object} settings - { method, margins, maxIterations, tolerance }
+   * @param {Array<string>} features - Feature ids of the run's taxonomy
+   * @param {Object} logger - Logger
+   * @throws {WeightingError} When the margins are missing, malformed or use unknown features
+   */
+  constructor(settings, features, logger) {
+    this.logger = logger;
+    this.method = settings.method ?? 'rake';
+    this.maxIterations = settings.maxIterations ?? 100;
+    this.tolerance = settings.tolerance ?? 1e-6;
+    const margins = settings.margins ?? [];
+
+    if (!WEIGHTING_METHODS.includes(this.method)) {
+      throw new WeightingError(`Unknown weighting method: ${this.method}`, { method: this.method });
+    }
+    if (margins.length === 0) {
+      throw new WeightingError('Weighting needs at least one margin');
+    }
+    if (this.method === 'poststratify' && margins.length > 1) {
+      throw new WeightingError('poststratify takes a single margin; use rake for several', { margins: margins.length });
+    }
+
+    try {
+      this.scheme = new BlockingScheme({ dimensions: margins.map(m => m.dimension) }, features);
+    } catch (error) {
+      if (!(error instanceof BlockingSchemeError)) throw error;
+      throw new WeightingError(`Weighting margin: ${error.message}`, error.details);
+    }
+
+    this.margins = margins.map((margin, i) => {
+      const total = Object.values(margin.shares).reduce((sum, share) => sum + share, 0);
+      if (Object.values(margin.shares).some(share => !(share >= 0)) || Math.abs(total - 1) > 1e-6) {
+        throw new WeightingError(`Shares of margin ${dimensionName(this.scheme.dimensions[i])} must be non-negative and sum to 1`, {
+          shares: margin.shares
+        });
+      }
+      return { name: dimensionName(this.scheme.dimensions[i]), dimension: this.scheme.dimensions[i], shares: margin.shares };
+    });
+
+    this.hash = canonicalHash({ method: this.method, margins: this.margins.map(({ dimension, shares }) => ({ dimension, shares })) });
+  }
+
+  /**
+   * Weighting from config.analysis.weighting
+   * @param {Object} config - Configuration
+   * @param {Array<string>} features - Feature ids of the run's taxonomy
+   * @param {Object} logger - Logger
+   * @returns {Weighting|null} Null unless analysis.weighting.enabled
+   */
+  static fromConfig(config, features, logger) {
+    const settings = config.analysis?.weighting;
+    return settings?.enabled ? new Weighting(settings, features, logger) : null;
+  }
+
+  /**
+   * Weighting cell of a post: its category on each margin
+   * @param {Object} features - Extracted features of the post
+   * @param {Object} post - Raw post
+   * @returns {Array<string>} Categories, one per margin
+   */
+  cell(features, post = {}) {
+    return this.scheme.parts(features, post);
+  }
+
+  /**
+   * Whether every margin lists the cell's category with a positive share
+   * @param {Array<string>} parts - Categories of the cell
+   * @returns {boolean}
+   */
+  covers(parts) {
+    return this.margins.every((margin, i) => (margin.shares[parts[i]] ?? 0) > 0);
+  }
+
+  /**
+   * Fit cell factors to the margins over the cells of a block (the overall
+   * block, so every post of the run shares one set of weights)
+   * @param {BlockAccumulator} block - Accumulator with weighting cells
+   * @returns {Object} { factors: Map of cell key -> g, totalWeight, summary }
+   */
+  calibrate(block) {
+    const included = [...block.cells].filter(([, cell]) => this.covers(cell.parts));
+    const excludedPosts = block.count - included.reduce((sum, [, cell]) => sum + cell.count, 0);
+
+    // Target shares over the categories the sample reaches
+    const emptyCategories = [];
+    const targets = this.margins.map((margin, i) => {
+      const present = new Set(included.map(([, cell]) => cell.parts[i]));
+      const listed = Object.entries(margin.shares).filter(([, share]) => share > 0);
+      for (const [category] of listed) {
+        if (!present.has(category)) emptyCategories.push({ margin: margin.name, category });
+      }
+      const reached = listed.filter(([category]) => present.has(category));
+      const total = reached.reduce((sum, [, share]) => sum + share, 0);
+      return new Map(reached.map(([category, share]) => [category, share / total]));
+    });
+
+    if (emptyCategories.length > 0) {
+      this.logger.warn({ emptyCategories }, 'Weighting margin categories have no posts; renormalized the remaining shares');
+    }
+    if (excludedPosts > 0) {
+      this.logger.warn({ excludedPosts }, 'Posts outside the weighting margins get weight 0');
+    }
+
+    const factors = new Map(included.map(([key]) => [key, 1]));
+    const marginTotals = i => {
+      const totals = new Map();
+      for (const [key, cell] of included) {
+        totals.set(cell.parts[i], (totals.get(cell.parts[i]) ?? 0) + factors.get(key) * cell.weight);
+      }
+      return totals;
+    };
+    const deviation = () => Math.max(0, ...targets.map((target, i) => {
+      const totals = marginTotals(i);
+      const grand = [...totals.values()].reduce((sum, w) => sum + w, 0);
+      return Math.max(...[...target].map(([category, share]) => Math.abs(totals.get(category) / grand - share)));
+    }));
+
+    let iterations = 0;
+    let converged = included.length > 0 && deviation() <= this.tolerance;
+    while (!converged && included.length > 0 && iterations < this.maxIterations) {
+      iterations++;
+      targets.forEach((target, i) => {
+        const totals = marginTotals(i);
+        const grand = [...totals.values()].reduce((sum, w) => sum + w, 0);
+        for (const [key, cell] of included) {
+          factors.set(key, factors.get(key) * target.get(cell.parts[i]) * grand / totals.get(cell.parts[i]));
+        }
+      });
+      converged = deviation() <= this.tolerance;
+    }
+
+    if (included.length === 0) {
+      this.logger.warn({ margins: this.margins.map(m => m.name) }, 'No posts fall inside the weighting margins');
+    } else if (!converged) {
+      this.logger.warn({ iterations, deviation: deviation() }, 'Raking did not converge to the margins');
+    }
+
+    // Scale weights to sum to the included sample size
+    const includedPosts = block.count - excludedPosts;
+    const weight = included.reduce((sum, [key, cell]) => sum + factors.get(key) * cell.weight, 0);
+    for (const [key, g] of factors) factors.set(key, weight > 0 ? (g * includedPosts) / weight : 0);
+
+    const calibration = { factors, totalWeight: includedPosts };
+    const { effectiveN, designEffect } = this.apply(block, calibration);
+    const g = [...factors.values()];
+
+    return {
+      ...calibration,
+      summary: {
+        ...this.describe(),
+        iterations,
+        converged,
+        includedPosts,
+        excludedPosts,
+        emptyCategories,
+        effectiveN,
+        designEffect,
+        factorRange: g.length > 0 ? { min: Math.min(...g), max: Math.max(...g) } : null
+      }
+    };
+  }
+
+  /**
+   * Calibrated weight totals of a block under fitted factors
+   * @param {BlockAccumulator} block - Accumulator with weighting cells
+   * @param {Object} calibration - From calibrate()
+   * @returns {Object} { includedPosts, totalWeight, effectiveN, designEffect, featureWeights }
+   */
+  apply(block, calibration) {
+    let includedPosts = 0;
+    let totalWeight = 0;
+    let sumSquares = 0;
+    const featureWeights = Object.fromEntries(block.features.map(f => [f, 0]));
+
+    for (const [key, cell] of block.cells) {
+      const g = calibration.factors.get(key) ?? 0;
+      if (g === 0) continue;
+      includedPosts += cell.count;
+      totalWeight += g * cell.weight;
+      sumSquares += g * g * cell.weightSq;
+      for (const f of block.features) featureWeights[f] += g * cell.featureWeights[f];
+    }
+
+    const effectiveN = sumSquares > 0 ? (totalWeight * totalWeight) / sumSquares : 0;
+    return {
+      includedPosts,
+      totalWeight,
+      effectiveN,
+      designEffect: effectiveN > 0 ? includedPosts / effectiveN : null,
+      featureWeights
+    };
+  }
+
+  /**
+   * Identity of the weighting for analysis summaries and meta.json
+   * @returns {Object} { method, hash, margins }
+   */
+  describe() {
+    return {
+      method: this.method,
+      hash: this.hash,
+      margins: this.margins.map(({ name, shares }) => ({ dimension: name, shares }))
+    };
+  }
+}
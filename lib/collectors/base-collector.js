@@ -0,0 +1,87 @@
+import { ExactDeduplicator } from '../analyzers/accumulators.js';
+
+/**
+ * Collector interface.
+ *
+ * A collector is constructed with (config, logger) and
+ *  - initialize(): loads credentials / checks its input before fetching
+ *  - fetch(options): async iterator yielding batches (arrays) of posts
+ *  - describe(): provenance for meta.json, { source, ...details }, where
+ *    `source` is what meta.source records and details land in meta.collection
+ *
+ * Collectors that set `checkpointed` accept a PageStaging area in fetch()
+ * and can be resumed with `analyze --resume`.
+ */
+export class BaseCollector {
+  constructor(config, logger) {
+    this.config = config;
+    this.logger = logger;
+  }
+
+  /**
+   * Whether fetch() supports a PageStaging area
+   */
+  get checkpointed() {
+    return false;
+  }
+
+  /**
+   * Prepare the collector (credentials, input checks)
+   */
+  async initialize() {}
+
+  /**
+   * Yield batches of posts
+   * @param {Object} options - { maxPosts, staging }
+   */
+  async *fetch(options = {}) {
+    throw new Error(`${this.constructor.name} does not implement fetch()`);
+  }
+
+  /**
+   * Per-fetch filter of post IDs already yielded: add(id) is true for a new ID.
+   * Streaming runs get no filter (null): the analyzer already deduplicates
+   * them in bounded memory, and a Set of every ID would grow with the input.
+   * @returns {ExactDeduplicator|null}
+   */
+  idFilter() {
+    return this.config.analysis?.streaming?.enabled ? null : new ExactDeduplicator();
+  }
+
+  /**
+   * Provenance of the last fetch
+   * @returns {Object} { source, ...details }
+   */
+  describe() {
+    return { source: this.constructor.name };
+  }
+
+  /**
+   * fetch() with the last batch trimmed so no more than maxPosts are yielded
+   * @param {Object} options - { maxPosts, staging }
+   */
+  async *batches(options = {}) {
+    const { maxPosts = null } = options;
+    let total = 0;
+
+    for await (const batch of this.fetch(options)) {
+      const take = maxPosts ? batch.slice(0, maxPosts - total) : batch;
+      total += take.length;
+      if (take.length > 0) yield take;
+      if (maxPosts && total >= maxPosts) return;
+    }
+  }
+
+  /**
+   * Drain fetch() into an array
+   * @param {Object} options - { maxPosts, staging }
+   * @returns {Promise<Array>} Posts
+   */
+  async collect(options = {}) {
+    const posts = [];
+    for await (const batch of this.batches(options)) {
+      posts.push(...batch);
+    }
+    return posts;
+  }
+}
@@ -0,0 +1,160 @@
+/**
+ * Circuit breaker states
+ */
+export const CircuitState = Object.freeze({
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half-open'
+});
+
+/**
+ * Error raised when a request is refused because the circuit is open
+ */
+export class CircuitOpenError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'CircuitOpenError';
+    this.details = details;
+  }
+}
+
+/**
+ * Circuit breaker guarding an upstream API.
+ *
+ * closed:    requests flow; consecutive failures are counted and reaching
+ *            failureThreshold opens the circuit.
+ * open:      requests fail fast with CircuitOpenError until resetTimeoutMs
+ *            has passed since the circuit opened (retryInMs); callers that
+ *            can wait should do so and then send the trial request.
+ * half-open: up to halfOpenMaxCalls trial requests are let through; a success
+ *            closes the circuit, a failure opens it again. Every admitted
+ *            request must be released, whatever its outcome, so a trial that
+ *            ends neutrally (429, other 4xx) frees its slot for the next one.
+ */
+export class CircuitBreaker {
+  /**
+   * @param {Object} options - { enabled, failureThreshold, resetTimeoutMs, halfOpenMaxCalls }
+   * @param {Object} logger - Logger
+   * @param {Object} deps - { now } clock (for tests)
+   */
+  constructor(options = {}, logger, { now = () => Date.now() } = {}) {
+    this.enabled = options.enabled ?? true;
+    this.failureThreshold = options.failureThreshold ?? 3;
+    this.resetTimeoutMs = options.resetTimeoutMs ?? 30000;
+    this.halfOpenMaxCalls = options.halfOpenMaxCalls ?? 1;
+    this.logger = logger;
+    this.now = now;
+
+    this.state = CircuitState.CLOSED;
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.halfOpenCalls = 0;
+    this.trips = 0;
+    this.rejected = 0;
+    this.transitions = [];
+  }
+
+  transition(to, reason) {
+    if (this.state === to) return;
+    const entry = { from: this.state, to, at: new Date(this.now()).toISOString(), reason };
+    this.transitions.push(entry);
+    this.state = to;
+    this.logger.warn(entry, 'Circuit breaker state change');
+  }
+
+  /**
+   * Time until an open circuit admits a trial request
+   * @returns {number} Milliseconds (0 unless open)
+   */
+  retryInMs() {
+    if (!this.enabled || this.state !== CircuitState.OPEN) return 0;
+    return Math.max(0, this.openedAt + this.resetTimeoutMs - this.now());
+  }
+
+  /**
+   * Admit a request or throw CircuitOpenError. Pair every successful
+   * acquire() with release().
+   */
+  acquire() {
+    if (!this.enabled) return;
+
+    if (this.state === CircuitState.OPEN) {
+      const retryInMs = this.retryInMs();
+      if (retryInMs > 0) {
+        this.rejected++;
+        throw new CircuitOpenError(
+          `Circuit breaker open after ${this.consecutiveFailures} consecutive failure(s); retry in ${Math.ceil(retryInMs / 1000)}s`,
+          { state: this.state, retryInMs, trips: this.trips }
+        );
+      }
+      this.halfOpenCalls = 0;
+      this.transition(CircuitState.HALF_OPEN, 'reset timeout elapsed');
+    }
+
+    if (this.state === CircuitState.HALF_OPEN) {
+      if (this.halfOpenCalls >= this.halfOpenMaxCalls) {
+        this.rejected++;
+        throw new CircuitOpenError('Circuit breaker half-open; trial request already in flight', {
+          state: this.state,
+          trips: this.trips
+        });
+      }
+      this.halfOpenCalls++;
+    }
+  }
+
+  /**
+   * Return an admitted request's half-open trial slot, whatever its outcome
+   */
+  release() {
+    if (!this.enabled) return;
+    if (this.state === CircuitState.HALF_OPEN && this.halfOpenCalls > 0) {
+      this.halfOpenCalls--;
+    }
+  }
+
+  /**
+   * Record a successful request
+   */
+  recordSuccess() {
+    if (!this.enabled) return;
+    this.consecutiveFailures = 0;
+    if (this.state === CircuitState.HALF_OPEN) {
+      this.transition(CircuitState.CLOSED, 'trial request succeeded');
+    }
+  }
+
+  /**
+   * Record a failed request (transient upstream failure)
+   */
+  recordFailure() {
+    if (!this.enabled) return;
+    this.consecutiveFailures++;
+
+    const shouldOpen = this.state === CircuitState.HALF_OPEN
+      || (this.state === CircuitState.CLOSED && this.consecutiveFailures >= this.failureThreshold);
+
+    if (shouldOpen) {
+      this.trips++;
+      this.openedAt = this.now();
+      this.transition(
+        CircuitState.OPEN,
+        this.state === CircuitState.HALF_OPEN ? 'trial request failed' : `${this.consecutiveFailures} consecutive failures`
+      );
+    }
+  }
+
+  /**
+   * Breaker summary for meta.json
+   * @returns {Object} { enabled, state, trips, rejected, transitions }
+   */
+  summary() {
+    return {
+      enabled: this.enabled,
+      state: this.state,
+      trips: this.trips,
+      rejected: this.rejected,
+      transitions: this.transitions.map(t => ({ ...t }))
+    };
+  }
+}
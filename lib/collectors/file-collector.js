@@ -0,0 +1,358 @@
+import fs from 'fs';
+import fsp from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import readline from 'readline';
+import { parse as parseCsv } from 'csv-parse';
+import { RecordBatchReader } from 'apache-arrow';
+import { BaseCollector } from './base-collector.js';
+
+/**
+ * Supported on-disk post dump formats
+ */
+export const INPUT_FORMATS = ['jsonl', 'csv', 'arrow'];
+
+/**
+ * Canonical post fields that can be mapped from source columns
+ */
+export const POST_FIELDS = ['id', 'content', 'impressions', 'source', 'timestamp'];
+
+/**
+ * Error class for ingestion errors
+ */
+export class IngestError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'IngestError';
+    this.details = details;
+  }
+}
+
+/**
+ * Whether a parsed record is an object with fields (not null, a scalar or an array)
+ * @param {*} value - Parsed record
+ * @returns {boolean}
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Parse a field map specification of the form "id=post_id,content=text"
+ * @param {string} spec - Comma-separated target=source pairs
+ * @returns {Object} Field map keyed by canonical field name
+ */
+export function parseFieldMap(spec) {
+  const fieldMap = {};
+  if (!spec) return fieldMap;
+
+  for (const pair of String(spec).split(',')) {
+    const [target, source] = pair.split('=').map(s => s?.trim());
+    if (!target || !source) {
+      throw new IngestError(`Invalid field mapping: "${pair}" (expected target=source)`);
+    }
+    if (!POST_FIELDS.includes(target)) {
+      throw new IngestError(`Unknown post field in mapping: ${target}`, { allowed: POST_FIELDS });
+    }
+    fieldMap[target] = source;
+  }
+
+  return fieldMap;
+}
+
+/**
+ * Infer input format from a file extension
+ * @param {string} filePath - Input file path
+ * @returns {string|null} Format name
+ */
+export function inferInputFormat(filePath) {
+  const ext = path.extname(filePath).toLowerCase();
+  if (ext === '.jsonl' || ext === '.ndjson') return 'jsonl';
+  if (ext === '.csv') return 'csv';
+  if (ext === '.arrow' || ext === '.feather' || ext === '.ipc') return 'arrow';
+  return null;
+}
+
+/**
+ * Collector that streams posts from local JSONL, CSV or Arrow dumps
+ * (the `filesystem` collector type)
+ */
+export class FileCollector extends BaseCollector {
+  /**
+   * @param {Object} config - Configuration (uses config.ingest and config.collector.filesystem)
+   * @param {Object} logger - Logger
+   * @param {Object} options - { path } input file, overriding collector.filesystem.path
+   */
+  constructor(config, logger, { path: inputPath } = {}) {
+    super(config, logger);
+    this.inputPath = inputPath ?? config.collector?.filesystem?.path ?? null;
+    this.source = null;
+  }
+
+  /**
+   * Check that an input file was configured
+   */
+  async initialize() {
+    if (!this.inputPath) {
+      throw new IngestError('No input file: pass --input or set collector.filesystem.path');
+    }
+  }
+
+  /**
+   * Yield the posts of the input file in batches of ingest.batchSize, reading
+   * the file as a stream
+   * @param {Object} options - { maxPosts }
+   */
+  async *fetch({ maxPosts = null } = {}) {
+    const { resolvedPath, resolvedFormat } = await this.open(this.inputPath, this.config.ingest?.format);
+    const fieldMap = this.config.ingest?.fieldMap ?? {};
+    const batchSize = this.config.ingest?.batchSize ?? 10000;
+
+    // records grows as batches are read, so the descriptor is right even when
+    // the consumer stops early
+    this.source = {
+      type: 'file',
+      path: resolvedPath,
+      format: resolvedFormat,
+      sha256: await this.hashFile(resolvedPath),
+      fieldMap,
+      records: 0
+    };
+
+    let batch = [];
+    for await (const post of this.stream(resolvedPath, { format: resolvedFormat, fieldMap })) {
+      batch.push(post);
+      this.source.records++;
+      if (maxPosts && this.source.records >= maxPosts) break;
+      if (batch.length >= batchSize) {
+        yield batch;
+        batch = [];
+      }
+    }
+    if (batch.length > 0) yield batch;
+
+    this.logger.info({ postCount: this.source.records, sha256: this.source.sha256 }, 'Read posts from file');
+  }
+
+  /**
+   * Provenance of the last fetch: the file descriptor from load()
+   * @returns {Object} { source }
+   */
+  describe() {
+    return { source: this.source };
+  }
+
+  /**
+   * Resolve a dotted source path against a raw record
+   * @param {Object} record - Raw record
+   * @param {string} sourcePath - Column name or dotted path
+   * @returns {*} Value
+   */
+  resolveField(record, sourcePath) {
+    if (isPlainObject(record) && sourcePath in record) return record[sourcePath];
+
+    let value = record;
+    for (const part of sourcePath.split('.')) {
+      if (value === null || value === undefined) return undefined;
+      value = value[part];
+    }
+    return value;
+  }
+
+  /**
+   * Map a raw record onto the post shape expected by PrevalenceAnalyzer.
+   * A record that is not an object (a JSONL line holding null, a number, a
+   * string or an array) is passed through unmapped, so PostValidator
+   * quarantines it as not_an_object.
+   * @param {*} record - Raw record
+   * @param {Object} fieldMap - Field map keyed by canonical field name
+   * @returns {Object|*} Post, or the record itself when it is not an object
+   */
+  mapRecord(record, fieldMap = {}) {
+    if (!isPlainObject(record)) return record;
+
+    const post = {};
+
+    for (const field of POST_FIELDS) {
+      const value = this.resolveField(record, fieldMap[field] || field);
+      if (value === undefined || value === null || value === '') continue;
+      post[field] = value;
+    }
+
+    if (post.id !== undefined) post.id = String(post.id);
+    if (post.content !== undefined) post.content = String(post.content);
+
+    if (post.impressions !== undefined) {
+      const n = Number(post.impressions);
+      if (Number.isFinite(n)) post.impressions = n;
+      else delete post.impressions;
+    }
+
+    if (post.timestamp !== undefined) {
+      const ts = this.normalizeTimestamp(post.timestamp);
+      if (ts !== undefined) post.timestamp = ts;
+      else delete post.timestamp;
+    }
+
+    return post;
+  }
+
+  /**
+   * Normalize epoch numbers, bigints and ISO strings to epoch milliseconds
+   * @param {*} value - Raw timestamp
+   * @returns {number|undefined} Epoch milliseconds
+   */
+  normalizeTimestamp(value) {
+    if (typeof value === 'bigint') return Number(value);
+    if (value instanceof Date) return value.getTime();
+
+    const n = Number(value);
+    if (Number.isFinite(n)) return n;
+
+    const parsed = Date.parse(String(value));
+    return Number.isFinite(parsed) ? parsed : undefined;
+  }
+
+  /**
+   * Compute SHA-256 of an input file without loading it into memory
+   * @param {string} filePath - Input file path
+   * @returns {Promise<string>} Hex digest
+   */
+  async hashFile(filePath) {
+    const hash = crypto.createHash('sha256');
+    for await (const chunk of fs.createReadStream(filePath)) {
+      hash.update(chunk);
+    }
+    return hash.digest('hex');
+  }
+
+  /**
+   * Stream raw records from a JSONL file
+   * @param {string} filePath - Input file path
+   */
+  async *readJsonl(filePath) {
+    const rl = readline.createInterface({
+      input: fs.createReadStream(filePath, { encoding: 'utf-8' }),
+      crlfDelay: Infinity
+    });
+
+    let lineNumber = 0;
+    for await (const line of rl) {
+      lineNumber++;
+      if (!line.trim()) continue;
+      try {
+        yield JSON.parse(line);
+      } catch (error) {
+        throw new IngestError(`Invalid JSON on line ${lineNumber} of ${filePath}`, {
+          lineNumber,
+          error: error.message
+        });
+      }
+    }
+  }
+
+  /**
+   * Stream raw records from a CSV file with a header row
+   * @param {string} filePath - Input file path
+   */
+  async *readCsv(filePath) {
+    const parser = fs.createReadStream(filePath).pipe(parseCsv({
+      columns: true,
+      skip_empty_lines: true,
+      trim: true
+    }));
+
+    for await (const record of parser) {
+      yield record;
+    }
+  }
+
+  /**
+   * Stream raw records from an Arrow IPC (file or stream) dump
+   * @param {string} filePath - Input file path
+   */
+  async *readArrow(filePath) {
+    const reader = await RecordBatchReader.from(fs.createReadStream(filePath));
+
+    for await (const batch of reader) {
+      for (const row of batch) {
+        yield row.toJSON();
+      }
+    }
+  }
+
+  /**
+   * Stream mapped posts from an input file
+   * @param {string} filePath - Input file path
+   * @param {Object} options - { format, fieldMap }
+   */
+  async *stream(filePath, { format, fieldMap = {} } = {}) {
+    const resolvedFormat = format || inferInputFormat(filePath);
+
+    if (!INPUT_FORMATS.includes(resolvedFormat)) {
+      throw new IngestError(`Unsupported input format: ${resolvedFormat}`, {
+        filePath,
+        supported: INPUT_FORMATS
+      });
+    }
+
+    const readers = {
+      jsonl: () => this.readJsonl(filePath),
+      csv: () => this.readCsv(filePath),
+      arrow: () => this.readArrow(filePath)
+    };
+
+    for await (const record of readers[resolvedFormat]()) {
+      yield this.mapRecord(record, fieldMap);
+    }
+  }
+
+  /**
+   * Resolve an input file and its format, checking that it exists
+   * @param {string} filePath - Input file path
+   * @param {string} format - Explicit format (inferred from the extension if omitted)
+   * @returns {Promise<Object>} { resolvedPath, resolvedFormat }
+   */
+  async open(filePath, format) {
+    const resolvedPath = path.resolve(filePath);
+    const resolvedFormat = format || inferInputFormat(resolvedPath);
+
+    try {
+      await fsp.access(resolvedPath);
+    } catch {
+      throw new IngestError(`Input file not found: ${filePath}`, { filePath });
+    }
+
+    this.logger.info({ file: resolvedPath, format: resolvedFormat }, 'Reading posts from file');
+    return { resolvedPath, resolvedFormat };
+  }
+
+  /**
+   * Read all posts from an input file and describe its provenance
+   * @param {string} filePath - Input file path
+   * @param {Object} options - { format, fieldMap, maxPosts }
+   * @returns {Promise<Object>} { posts, source }
+   */
+  async load(filePath, { format, fieldMap = {}, maxPosts = null } = {}) {
+    const { resolvedPath, resolvedFormat } = await this.open(filePath, format);
+
+    const posts = [];
+    for await (const post of this.stream(resolvedPath, { format: resolvedFormat, fieldMap })) {
+      posts.push(post);
+      if (maxPosts && posts.length >= maxPosts) break;
+    }
+
+    const source = {
+      type: 'file',
+      path: resolvedPath,
+      format: resolvedFormat,
+      sha256: await this.hashFile(resolvedPath),
+      fieldMap,
+      records: posts.length
+    };
+
+    this.logger.info({ postCount: posts.length, sha256: source.sha256 }, 'Loaded posts from file');
+
+    return { posts, source };
+  }
+}
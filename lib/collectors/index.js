@@ -0,0 +1,33 @@
+import { MoltxCollector } from './moltx-collector.js';
+import { RestCollector } from './rest-collector.js';
+import { FileCollector } from './file-collector.js';
+import { SyntheticCollector } from './synthetic-collector.js';
+
+/**
+ * Collector implementations by config.collector.type
+ */
+export const COLLECTORS = {
+  moltx: MoltxCollector,
+  rest: RestCollector,
+  filesystem: FileCollector,
+  synthetic: SyntheticCollector
+};
+
+export const COLLECTOR_TYPES = Object.keys(COLLECTORS);
+
+/**
+ * Create the configured collector
+ * @param {Object} config - Configuration
+ * @param {Object} logger - Logger
+ * @param {Object} options - { type, path } type overrides collector.type; path is the filesystem input
+ * @returns {BaseCollector} Collector
+ */
+export function createCollector(config, logger, { type = config.collector?.type ?? 'moltx', path } = {}) {
+  const Collector = COLLECTORS[type];
+  if (!Collector) {
+    throw new Error(`Unknown collector type "${type}" (expected one of: ${COLLECTOR_TYPES.join(', ')})`);
+  }
+  return type === 'filesystem'
+    ? new Collector(config, logger, { path })
+    : new Collector(config, logger);
+}
@@ -1,15 +1,28 @@
 import fs from 'fs/promises';
 import path from 'path';
+import { ResponseCache } from './response-cache.js';
+import { CircuitBreaker } from './circuit-breaker.js';
+import { backoffDelay, parseRateLimit, parseRetryAfter } from './retry-policy.js';
+import { planWindows, windowTag } from './time-windows.js';
+import { BaseCollector } from './base-collector.js';
+import { StratifiedSampler } from './stratified-sampler.js';
+import { ReservoirSampler, randomSeed } from './reservoir-sampler.js';
+
+export const TRENDING_ENDPOINT = '/v1/trending';
+
+// Connection-level failures worth retrying (Node fetch reports them as error.cause.code)
+const RETRYABLE_NETWORK_CODES = new Set(['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE', 'UND_ERR_SOCKET']);
 
 /**
  * Error class for API errors
  */
 export class ApiError extends Error {
-  constructor(message, statusCode, isRetryable = false) {
+  constructor(message, statusCode, isRetryable = false, retryAfterMs = null) {
     super(message);
     this.name = 'ApiError';
     this.statusCode = statusCode;
     this.isRetryable = isRetryable;
+    this.retryAfterMs = retryAfterMs;
   }
 }
 
@@ -48,23 +61,57 @@ class RateLimiter {
 }
 
 /**
- * MoltX API Collector with retry logic and rate limiting
+ * MoltX API Collector with retry logic, rate limiting and a circuit breaker
  */
-export class MoltxCollector {
+export class MoltxCollector extends BaseCollector {
   constructor(config, logger) {
-    this.config = config;
-    this.logger = logger;
+    super(config, logger);
     this.rateLimiter = new RateLimiter(
       config.api.rateLimit.maxRequests,
       config.api.rateLimit.windowMs
     );
     this.bearerToken = null;
+    this.cache = new ResponseCache(config, logger);
+    this.breaker = new CircuitBreaker(config.api.circuitBreaker, logger, { now: () => this.now() });
+    if (this.breaker.enabled && this.breaker.failureThreshold > config.api.retryAttempts + 1) {
+      logger.warn({ failureThreshold: this.breaker.failureThreshold, attempts: config.api.retryAttempts + 1 },
+        'api.circuitBreaker.failureThreshold exceeds the attempts of one request; the circuit can never open');
+    }
+    this.rateLimitResetAt = null;
+    this.stats = {
+      requests: 0,
+      retries: 0,
+      failures: 0,
+      retryAfterWaits: 0,
+      rateLimitWaits: 0,
+      circuitWaits: 0,
+      backoffMs: 0,
+      statusCodes: {}
+    };
+    // Overridable for tests
+    this.random = Math.random;
+    this.sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+    this.now = () => Date.now();
+
+    // Provenance of the last fetch()
+    this.staging = null;
+    this.design = null;
+    this.windowQuery = null;
+  }
+
+  get checkpointed() {
+    return true;
   }
 
   /**
    * Initialize the collector by loading the API token
    */
   async initialize() {
+    if (this.cache.mode === 'offline') {
+      this.logger.info({ bucket: this.cache.bucket }, 'MoltX collector initialized in offline cache mode');
+      return;
+    }
+
     try {
       // Try environment variable first
       this.bearerToken = process.env.MOLTX_API_TOKEN;
@@ -87,64 +134,111 @@ export class MoltxCollector {
   }
 
   /**
-   * Make an API request with retry logic
+   * Make an API request, served from the response cache when it has the
+   * entry (GET only) and otherwise fetched with retry logic
    * @param {string} endpoint - API endpoint
    * @param {Object} options - Fetch options
    * @returns {Promise<Object>} Response data
    */
   async request(endpoint, options = {}) {
+    const cacheable = this.cache.enabled && (options.method ?? 'GET').toUpperCase() === 'GET';
+
+    if (cacheable && this.cache.readable) {
+      const cached = await this.cache.get(endpoint);
+      if (cached !== null) {
+        return JSON.parse(cached);
+      }
+    }
+
+    const body = await this.fetchWithRetry(endpoint, options);
+
+    if (cacheable && this.cache.writable) {
+      await this.cache.put(endpoint, body);
+    }
+
+    return JSON.parse(body);
+  }
+
+  /**
+   * Fetch a response body with retry logic.
+   * Transient failures (5xx, 429, timeouts, connection errors) are retried with
+   * jittered exponential backoff, or after the server's Retry-After when given.
+   * Every attempt passes through the circuit breaker. Once the API has failed
+   * repeatedly the circuit opens, and waiting out its reset timeout is the
+   * backoff before the half-open trial request.
+   * @param {string} endpoint - API endpoint
+   * @param {Object} options - Fetch options
+   * @returns {Promise<string>} Raw response body
+   */
+  async fetchWithRetry(endpoint, options = {}) {
     const url = `${this.config.api.baseUrl}${endpoint}`;
     let lastError;
 
     for (let attempt = 0; attempt <= this.config.api.retryAttempts; attempt++) {
       try {
+        await this.waitForCircuit();
         await this.rateLimiter.acquire();
-
-        this.logger.debug({ url, attempt }, 'Making API request');
-
-        const controller = new AbortController();
-        const timeoutId = setTimeout(() => controller.abort(), this.config.api.timeout);
-
-        const response = await fetch(url, {
-          ...options,
-          headers: {
-            'Authorization': `Bearer ${this.bearerToken}`,
-            'Content-Type': 'application/json',
-            ...options.headers
-          },
-          signal: controller.signal
-        });
-
-        clearTimeout(timeoutId);
-
-        if (!response.ok) {
-          const isRetryable = response.status >= 500 || response.status === 429;
-          throw new ApiError(
-            `API request failed: ${response.status} ${response.statusText}`,
-            response.status,
-            isRetryable
-          );
+        await this.waitForRateLimitReset();
+
+        this.breaker.acquire();
+        let body;
+        try {
+          body = await this.send(url, options, attempt);
+        } finally {
+          this.breaker.release();
         }
 
-        const data = await response.json();
+        this.breaker.recordSuccess();
         this.logger.debug({ url, attempt }, 'API request successful');
-        return data;
+        return body;
 
       } catch (error) {
         lastError = error;
 
-        const isRetryable = error.isRetryable || 
-                           error.name === 'AbortError' || 
-                           error.code === 'ECONNRESET';
+        const isRetryable = error.isRetryable ||
+                           error.name === 'AbortError' ||
+                           RETRYABLE_NETWORK_CODES.has(error.code ?? error.cause?.code);
+
+        // Rate limiting means the API is up; it does not count against the breaker
+        if (isRetryable && error.statusCode !== 429) {
+          this.breaker.recordFailure();
+        }
 
         if (!isRetryable || attempt === this.config.api.retryAttempts) {
+          this.stats.failures++;
           this.logger.error({ url, attempt, error }, 'API request failed permanently');
           throw error;
         }
 
-        const backoffMs = this.config.api.retryBackoff * Math.pow(2, attempt);
+        // An open circuit is waited out before the next attempt (waitForCircuit)
+        if (this.breaker.retryInMs() > 0) {
+          this.stats.retries++;
+          this.logger.warn({ url, attempt, error: error.message }, 'Retrying API request once the circuit breaker resets');
+          continue;
+        }
+
+        let backoffMs = backoffDelay(attempt, {
+          baseMs: this.config.api.retryBackoff,
+          maxMs: this.config.api.maxBackoffMs,
+          jitter: this.config.api.retryJitter
+        }, this.random);
+
+        if (error.retryAfterMs !== null && error.retryAfterMs !== undefined) {
+          const maxRetryAfterMs = this.config.api.maxRetryAfterMs ?? Infinity;
+          if (error.retryAfterMs > maxRetryAfterMs) {
+            this.stats.failures++;
+            this.logger.error({ url, attempt, retryAfterMs: error.retryAfterMs, maxRetryAfterMs },
+              'Retry-After exceeds api.maxRetryAfterMs; giving up');
+            throw error;
+          }
+          backoffMs = error.retryAfterMs;
+          this.stats.retryAfterWaits++;
+        }
+
+        this.stats.retries++;
+        this.stats.backoffMs += backoffMs;
         this.logger.warn({ url, attempt, backoffMs, error: error.message }, 'Retrying API request');
-        await new Promise(resolve => setTimeout(resolve, backoffMs));
+        await this.sleep(backoffMs);
       }
     }
 
@@ -152,68 +246,352 @@ export class MoltxCollector {
   }
 
   /**
-   * Fetch trending posts from MoltX
+   * Send one HTTP request
+   * @param {string} url - Request URL
+   * @param {Object} options - Fetch options
+   * @param {number} attempt - Attempt number (for logging)
+   * @returns {Promise<string>} Raw response body
+   * @throws {ApiError} On a non-2xx response
+   */
+  async send(url, options, attempt) {
+    this.logger.debug({ url, attempt }, 'Making API request');
+    this.stats.requests++;
+
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), this.config.api.timeout);
+
+    try {
+      const response = await fetch(url, {
+        ...options,
+        headers: {
+          ...(this.bearerToken ? { 'Authorization': `Bearer ${this.bearerToken}` } : {}),
+          'Content-Type': 'application/json',
+          ...options.headers
+        },
+        signal: controller.signal
+      });
+
+      this.stats.statusCodes[response.status] = (this.stats.statusCodes[response.status] ?? 0) + 1;
+      this.trackRateLimit(response.headers);
+
+      if (!response.ok) {
+        const isRetryable = response.status >= 500 || response.status === 429;
+        throw new ApiError(
+          `API request failed: ${response.status} ${response.statusText}`,
+          response.status,
+          isRetryable,
+          parseRetryAfter(response.headers.get('retry-after'))
+        );
+      }
+
+      return await response.text();
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
+  /**
+   * Wait until an open circuit admits its half-open trial request
+   */
+  async waitForCircuit() {
+    const waitMs = this.breaker.retryInMs();
+    if (waitMs <= 0) return;
+
+    this.stats.circuitWaits++;
+    this.stats.backoffMs += waitMs;
+    this.logger.warn({ waitMs, trips: this.breaker.trips }, 'Circuit breaker open; waiting to send a trial request');
+    // Timers may fire a little early; sleep until the breaker admits the trial
+    for (let remaining = waitMs; remaining > 0; remaining = this.breaker.retryInMs()) {
+      await this.sleep(remaining);
+    }
+  }
+
+  /**
+   * Remember when the rate-limit window resets once the server says it is exhausted
+   * @param {Headers} headers - Response headers
+   */
+  trackRateLimit(headers) {
+    const limit = parseRateLimit(headers);
+    if (limit && limit.remaining <= 0 && limit.resetAt !== null) {
+      this.rateLimitResetAt = limit.resetAt;
+    }
+  }
+
+  /**
+   * Wait out an exhausted server-side rate-limit window
+   */
+  async waitForRateLimitReset() {
+    if (this.rateLimitResetAt === null) return;
+    const waitMs = this.rateLimitResetAt - Date.now();
+    this.rateLimitResetAt = null;
+    if (waitMs <= 0) return;
+
+    const maxRetryAfterMs = this.config.api.maxRetryAfterMs ?? Infinity;
+    if (waitMs > maxRetryAfterMs) {
+      throw new ApiError(
+        `Rate limit resets in ${Math.ceil(waitMs / 1000)}s, beyond api.maxRetryAfterMs`,
+        429,
+        false
+      );
+    }
+
+    this.stats.rateLimitWaits++;
+    this.stats.backoffMs += waitMs;
+    this.logger.warn({ waitMs }, 'Rate limit exhausted; waiting for reset');
+    await this.sleep(waitMs);
+  }
+
+  /**
+   * Retry and circuit breaker summary for meta.json
+   * @returns {Object} Request counters and breaker state
+   */
+  networkSummary() {
+    return {
+      ...this.stats,
+      statusCodes: { ...this.stats.statusCodes },
+      circuitBreaker: this.breaker.summary()
+    };
+  }
+
+  /**
+   * Fetch one page of posts from a feed endpoint
+   * @param {string} endpoint - Endpoint path, e.g. /v1/trending
    * @param {Object} params - Query parameters
    * @returns {Promise<Array>} Array of posts
    */
-  async fetchTrending(params = {}) {
+  async fetchPage(endpoint, params = {}) {
     const queryParams = new URLSearchParams({
       limit: params.limit || 100,
       offset: params.offset || 0,
       ...params
     });
 
-    const data = await this.request(`/v1/trending?${queryParams}`);
+    const data = await this.request(`${endpoint}?${queryParams}`);
     return data.posts || [];
   }
 
   /**
-   * Fetch posts with pagination
+   * Fetch trending posts from MoltX
+   * @param {Object} params - Query parameters
+   * @returns {Promise<Array>} Array of posts
+   */
+  async fetchTrending(params = {}) {
+    return this.fetchPage(TRENDING_ENDPOINT, params);
+  }
+
+  /**
+   * Page through a feed, yielding each page's new posts as a batch.
+   * Posts are deduplicated by ID across pages (except in streaming runs, which
+   * the analyzer deduplicates; see BaseCollector.idFilter). With a PageStaging area every
+   * page is committed to disk as it arrives, and a staged collection resumes
+   * from its last committed page with the same result as an uninterrupted one
+   * (the committed pages are yielded first).
    * @param {Object} params - Query parameters
    * @param {number} maxPosts - Maximum number of posts to fetch
-   * @returns {Promise<Array>} Array of all posts
+   * @param {Object} options - { staging, endpoint } optional PageStaging for
+   *   checkpointing and feed endpoint (default /v1/trending)
    */
-  async fetchPaginated(params = {}, maxPosts = null) {
-    const allPosts = [];
+  async *paginate(params = {}, maxPosts = null, { staging = null, endpoint = TRENDING_ENDPOINT } = {}) {
+    const seenIds = this.idFilter();
+    let total = 0;
     let offset = 0;
     const limit = params.limit || 100;
 
-    while (true) {
-      const posts = await this.fetchTrending({ ...params, offset, limit });
-      
-      if (posts.length === 0) {
-        break;
+    // New posts of a page, capped at maxPosts overall
+    const take = (posts) => {
+      const batch = [];
+      for (const post of posts) {
+        if (maxPosts && total >= maxPosts) break;
+        if (seenIds && post?.id !== undefined && post?.id !== null && !seenIds.add(post.id)) continue;
+        batch.push(post);
+        total++;
+      }
+      return batch;
+    };
+
+    if (staging) {
+      const checkpoint = await staging.open({
+        params,
+        limit,
+        maxPosts,
+        ...(endpoint !== TRENDING_ENDPOINT ? { endpoint } : {})
+      });
+      for (const posts of await staging.readPages()) {
+        const batch = take(posts);
+        if (batch.length > 0) yield batch;
       }
+      offset = checkpoint.nextOffset;
+
+      if (checkpoint.pages > 0) {
+        this.logger.info({
+          runId: staging.runId,
+          pages: checkpoint.pages,
+          posts: total,
+          offset,
+          done: checkpoint.done
+        }, 'Resuming paginated collection from checkpoint');
+      }
+      if (checkpoint.done) {
+        return;
+      }
+    }
+
+    while (true) {
+      const posts = await this.fetchPage(endpoint, { ...params, offset, limit });
 
-      allPosts.push(...posts);
-      this.logger.info({ fetched: allPosts.length, batch: posts.length }, 'Fetched posts batch');
+      const batch = take(posts);
+      const done = posts.length < limit || (!!maxPosts && total >= maxPosts);
 
-      if (maxPosts && allPosts.length >= maxPosts) {
-        return allPosts.slice(0, maxPosts);
+      if (staging) {
+        await staging.commitPage(posts, { nextOffset: offset + limit, done });
       }
 
-      if (posts.length < limit) {
-        break;
+      if (posts.length === 0) {
+        return;
+      }
+
+      this.logger.info({ fetched: total, batch: posts.length }, 'Fetched posts batch');
+      if (batch.length > 0) yield batch;
+
+      if (done) {
+        return;
       }
 
       offset += limit;
     }
+  }
 
+  /**
+   * Fetch posts with pagination (see paginate)
+   * @param {Object} params - Query parameters
+   * @param {number} maxPosts - Maximum number of posts to fetch
+   * @param {Object} options - { staging, endpoint }
+   * @returns {Promise<Array>} Array of all posts
+   */
+  async fetchPaginated(params = {}, maxPosts = null, options = {}) {
+    const allPosts = [];
+    for await (const batch of this.paginate(params, maxPosts, options)) {
+      allPosts.push(...batch);
+    }
     return allPosts;
   }
 
+  /**
+   * Fetch posts window by window with since/until query parameters.
+   * Every post is tagged with the window it was requested for; the sample size
+   * is split evenly across windows.
+   * @param {Array<{start: number, end: number}>} windows - Windows in epoch ms (see planWindows)
+   * @param {number} maxPosts - Maximum number of posts overall
+   * @param {Object} options - { staging } optional PageStaging; each window checkpoints in a child area
+   * @returns {Promise<Array>} Posts tagged with `_window`
+   */
+  async fetchWindowed(windows, maxPosts = null, { staging = null } = {}) {
+    const perWindow = maxPosts ? Math.ceil(maxPosts / windows.length) : null;
+    const allPosts = [];
+
+    for (const [index, window] of windows.entries()) {
+      const tag = windowTag(window);
+      const posts = await this.fetchPaginated(
+        { since: tag.start, until: tag.end },
+        perWindow,
+        { staging: staging ? staging.child(`window-${String(index).padStart(4, '0')}`) : null }
+      );
+
+      this.logger.info({ window: tag, posts: posts.length }, 'Fetched time window');
+      for (const post of posts) {
+        allPosts.push({ ...post, _window: tag });
+      }
+    }
+
+    return maxPosts ? allPosts.slice(0, maxPosts) : allPosts;
+  }
+
+  /**
+   * Collect according to config.sampling: stratified across sampling.strata,
+   * a reservoir sample of the first sampling.reservoir.scanLimit trending
+   * posts, per time window with since/until (sampling.temporal.strategy =
+   * 'query'), or by paging through the trending feed
+   * @param {Object} options - { maxPosts, staging }
+   */
+  async *fetch({ maxPosts = this.config.sampling.maxSampleSize, staging = null } = {}) {
+    const { sampling } = this.config;
+    const temporal = sampling.temporal;
+    this.staging = staging;
+
+    if (sampling.stratified && sampling.strata.length > 0) {
+      // Pinned like the reservoir seed so a resumed run draws the same sample
+      const configured = sampling.reservoir?.seed;
+      const seed = configured ?? (staging ? await staging.pin('strata-seed', randomSeed) : randomSeed());
+      const { posts, design } = await new StratifiedSampler(this.config, this.logger, this, { seed }).sample({ staging });
+      this.design = design;
+      yield posts;
+      return;
+    }
+
+    if (sampling.reservoir?.enabled) {
+      // An unseeded run draws its seed once; it is pinned so a resumed run draws the same sample
+      const { scanLimit, seed: configured } = sampling.reservoir;
+      const seed = configured ?? (staging ? await staging.pin('reservoir-seed', randomSeed) : randomSeed());
+      this.logger.info({ mode: sampling.reservoir.mode, scanLimit, seed }, 'Scanning trending feed for a reservoir sample');
+      const { posts, design } = await new ReservoirSampler(this.config, this.logger, { seed })
+        .sample(this.paginate({}, scanLimit, { staging }));
+      this.design = { ...design, pages: staging?.committedPages ?? null };
+      yield posts;
+      return;
+    }
+
+    if (temporal.enabled && temporal.strategy === 'query') {
+      // The range is pinned in the staging area so a resumed run asks for the
+      // same windows, and in the response cache so a replay of the bucket does
+      const computeUntil = () => temporal.until ?? this.cache.pin('until', () => new Date(this.now()).toISOString());
+      const until = staging ? await staging.pin('until', computeUntil) : await computeUntil();
+      const windows = planWindows({ ...temporal, until });
+      this.windowQuery = {
+        since: new Date(windows[0].start).toISOString(),
+        until: new Date(windows.at(-1).end).toISOString()
+      };
+      this.logger.info({ windows: windows.length, ...this.windowQuery }, 'Collecting time windows with since/until');
+      yield await this.fetchWindowed(windows, maxPosts, { staging });
+      return;
+    }
+
+    if (sampling.stratified) {
+      this.logger.info('No sampling.strata configured; sampling the trending feed unstratified');
+    }
+    yield* this.paginate({}, maxPosts, { staging });
+  }
+
+  /**
+   * Provenance of the last fetch
+   * @returns {Object} { source, baseUrl, pages, network, cache?, sampling?, windowQuery? }
+   */
+  describe() {
+    return {
+      source: 'moltx',
+      baseUrl: this.config.api.baseUrl,
+      pages: this.staging?.committedPages ?? null,
+      network: this.networkSummary(),
+      // Cache hits/misses and entry hashes, enough to replay the run offline
+      ...(this.cache.enabled ? { cache: this.cache.summary() } : {}),
+      ...(this.design ? { sampling: this.design } : {}),
+      ...(this.windowQuery ? { windowQuery: this.windowQuery } : {})
+    };
+  }
+
   /**
    * Fetch posts for multiple endpoints
-   * @param {Array<string>} endpoints - Array of endpoint types
+   * (see StratifiedSampler for quota-based sampling across feeds)
+   * @param {Array<string>} endpoints - Endpoint paths
    * @param {Object} params - Query parameters
+   * @param {number} maxPosts - Maximum number of posts per endpoint
    * @returns {Promise<Object>} Posts grouped by endpoint
    */
-  async fetchMultipleEndpoints(endpoints, params = {}) {
+  async fetchMultipleEndpoints(endpoints, params = {}, maxPosts = null) {
     const results = {};
 
     for (const endpoint of endpoints) {
       this.logger.info({ endpoint }, 'Fetching from endpoint');
-      results[endpoint] = await this.fetchPaginated({ ...params, endpoint });
+      results[endpoint] = await this.fetchPaginated(params, maxPosts, { endpoint });
     }
 
     return results;
@@ -0,0 +1,168 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { stableJson } from '../utils/hashing.js';
+
+const CHECKPOINT_FILE = 'checkpoint.json';
+const PAGES_DIR = 'pages';
+
+/**
+ * Per-run staging area for paginated collection.
+ * Each fetched page is written to <baseDir>/.staging/<runId>/pages/ and then
+ * committed by atomically rewriting checkpoint.json, so a crash between the two
+ * leaves at most one uncommitted page that is simply fetched again on resume.
+ */
+export class PageStaging {
+  constructor(config, logger, runId) {
+    this.config = config;
+    this.logger = logger;
+    this.runId = runId;
+    this.dir = path.join(config.output.baseDir, '.staging', runId);
+    this.checkpoint = null;
+    this.children = [];
+  }
+
+  /**
+   * Path of a page file
+   * @param {number} index - Page index
+   * @returns {string}
+   */
+  pagePath(index) {
+    return path.join(this.dir, PAGES_DIR, `page-${String(index).padStart(6, '0')}.jsonl`);
+  }
+
+  /**
+   * Staging area for one stratum of a stratified collection
+   * @param {string} name - Stratum name
+   * @returns {PageStaging}
+   */
+  child(name) {
+    const child = new PageStaging(this.config, this.logger, this.runId);
+    child.dir = path.join(this.dir, 'strata', name);
+    this.children.push(child);
+    return child;
+  }
+
+  /**
+   * Pages committed so far, including those of stratum areas
+   * @returns {number}
+   */
+  get committedPages() {
+    return (this.checkpoint?.pages ?? 0) + this.children.reduce((sum, c) => sum + c.committedPages, 0);
+  }
+
+  /**
+   * Whether anything has been staged for this run
+   * @returns {Promise<boolean>}
+   */
+  async exists() {
+    return fs.stat(this.dir).then(() => true, () => false);
+  }
+
+  /**
+   * Open (or resume) the staging area for a collection
+   * @param {Object} request - { params, limit, maxPosts } identifying the collection
+   * @returns {Promise<Object>} Checkpoint
+   */
+  async open(request) {
+    const key = stableJson(request);
+
+    try {
+      const checkpoint = JSON.parse(await fs.readFile(path.join(this.dir, CHECKPOINT_FILE), 'utf-8'));
+      if (checkpoint.request !== key) {
+        throw new Error(
+          `Cannot resume ${this.runId}: collection parameters changed (staged ${checkpoint.request}, requested ${key})`
+        );
+      }
+      this.checkpoint = checkpoint;
+      return checkpoint;
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    await fs.mkdir(path.join(this.dir, PAGES_DIR), { recursive: true });
+    this.checkpoint = {
+      runId: this.runId,
+      request: key,
+      pages: 0,
+      nextOffset: 0,
+      postsStaged: 0,
+      done: false,
+      createdAt: new Date().toISOString(),
+      updatedAt: null
+    };
+    await this.writeCheckpoint();
+    return this.checkpoint;
+  }
+
+  /**
+   * Value fixed for the lifetime of the staging area, such as the time range
+   * of a windowed collection: computed and stored on first use, read back on resume
+   * @param {string} name - Value name
+   * @param {Function} compute - Produces the JSON-serializable value (may be async)
+   * @returns {Promise<*>}
+   */
+  async pin(name, compute) {
+    const file = path.join(this.dir, `${name}.json`);
+    try {
+      return JSON.parse(await fs.readFile(file, 'utf-8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    const value = await compute();
+    await fs.mkdir(this.dir, { recursive: true });
+    await fs.writeFile(`${file}.tmp`, JSON.stringify(value), 'utf-8');
+    await fs.rename(`${file}.tmp`, file);
+    return value;
+  }
+
+  /**
+   * Atomically replace checkpoint.json
+   */
+  async writeCheckpoint() {
+    this.checkpoint.updatedAt = new Date().toISOString();
+    const file = path.join(this.dir, CHECKPOINT_FILE);
+    await fs.writeFile(`${file}.tmp`, JSON.stringify(this.checkpoint, null, 2), 'utf-8');
+    await fs.rename(`${file}.tmp`, file);
+  }
+
+  /**
+   * Write a page and advance the checkpoint past it
+   * @param {Array<Object>} posts - Raw posts from the page
+   * @param {Object} cursor - { nextOffset, done }
+   */
+  async commitPage(posts, { nextOffset, done }) {
+    const index = this.checkpoint.pages;
+    const file = this.pagePath(index);
+    const text = posts.map(p => JSON.stringify(p)).join('\n') + (posts.length ? '\n' : '');
+    await fs.writeFile(`${file}.tmp`, text, 'utf-8');
+    await fs.rename(`${file}.tmp`, file);
+
+    this.checkpoint.pages = index + 1;
+    this.checkpoint.nextOffset = nextOffset;
+    this.checkpoint.postsStaged += posts.length;
+    this.checkpoint.done = done;
+    await this.writeCheckpoint();
+  }
+
+  /**
+   * Read committed pages in order (pages beyond the checkpoint are ignored)
+   * @returns {Promise<Array<Array<Object>>>} Posts per page
+   */
+  async readPages() {
+    const pages = [];
+    for (let i = 0; i < this.checkpoint.pages; i++) {
+      const text = await fs.readFile(this.pagePath(i), 'utf-8');
+      pages.push(text.split('\n').filter(line => line.trim()).map(line => JSON.parse(line)));
+    }
+    return pages;
+  }
+
+  /**
+   * Delete the staging area once the run has been written
+   */
+  async remove() {
+    await fs.rm(this.dir, { recursive: true, force: true });
+    this.logger.debug({ dir: this.dir }, 'Removed collection staging area');
+  }
+}
@@ -0,0 +1,179 @@
+import crypto from 'crypto';
+import { Prng } from '../utils/prng.js';
+
+/**
+ * Reservoir sampling modes (sampling.reservoir.mode)
+ */
+export const RESERVOIR_MODES = ['uniform', 'weighted'];
+
+/**
+ * Weight of a post in weighted mode: its impressions, with missing or zero
+ * impressions counting once (as in impression-weighted prevalence)
+ * @param {Object} post - Post
+ * @returns {number} Positive weight
+ */
+export function reservoirWeight(post) {
+  return Number.isFinite(post?.impressions) && post.impressions > 0 ? post.impressions : 1;
+}
+
+/**
+ * Fresh seed for runs that do not configure one (recorded in provenance)
+ * @returns {number}
+ */
+export function randomSeed() {
+  return crypto.randomInt(0, 2 ** 31);
+}
+
+/**
+ * Binary min-heap of { priority } entries
+ */
+class MinHeap {
+  constructor() {
+    this.items = [];
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  peek() {
+    return this.items[0];
+  }
+
+  push(item) {
+    const items = this.items;
+    items.push(item);
+    let i = items.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (items[parent].priority <= items[i].priority) break;
+      [items[parent], items[i]] = [items[i], items[parent]];
+      i = parent;
+    }
+  }
+
+  pop() {
+    const items = this.items;
+    const top = items[0];
+    const last = items.pop();
+    if (items.length > 0) {
+      items[0] = last;
+      let i = 0;
+      while (true) {
+        const left = 2 * i + 1;
+        const right = left + 1;
+        let smallest = i;
+        if (left < items.length && items[left].priority < items[smallest].priority) smallest = left;
+        if (right < items.length && items[right].priority < items[smallest].priority) smallest = right;
+        if (smallest === i) break;
+        [items[smallest], items[i]] = [items[i], items[smallest]];
+        i = smallest;
+      }
+    }
+    return top;
+  }
+}
+
+/**
+ * Seeded reservoir sample of a feed that is longer than the sample.
+ *
+ *  uniform  - Algorithm R: every scanned post is kept with probability
+ *             k / scanned, so the design weight is scanned / k for all
+ *  weighted - priority sampling (Duffield, Lund & Thorup): post i gets
+ *             priority w_i / u_i with w_i its impressions and u_i uniform in
+ *             (0, 1]; the k highest priorities are kept. With tau the
+ *             (k+1)-th highest priority, min(1, w_i / tau) is used as the
+ *             inclusion probability, and its inverse gives unbiased totals
+ *
+ * Only k posts (k + 1 in weighted mode) are held at a time. Posts come out
+ * in scan order, tagged `_sampling: { method, inclusionProbability,
+ * designWeight }` like stratified samples, so the analyzer reports
+ * design-weighted prevalences.
+ */
+export class ReservoirSampler {
+  /**
+   * @param {Object} config - Configuration (uses config.sampling.maxSampleSize and sampling.reservoir)
+   * @param {Object} logger - Logger
+   * @param {Object} options - { seed } overriding sampling.reservoir.seed
+   */
+  constructor(config, logger, { seed } = {}) {
+    this.config = config;
+    this.logger = logger;
+    this.options = { mode: 'uniform', scanLimit: 50000, ...(config.sampling.reservoir || {}) };
+    this.size = config.sampling.maxSampleSize;
+    this.seed = seed ?? this.options.seed ?? randomSeed();
+  }
+
+  /**
+   * Scan batches of posts and draw the sample
+   * @param {AsyncIterable<Array<Object>>} batches - Feed, already capped at the scan limit
+   * @returns {Promise<Object>} { posts, design }
+   */
+  async sample(batches) {
+    const { mode, scanLimit } = this.options;
+    const rng = new Prng(this.seed);
+    const k = this.size;
+    const reservoir = [];
+    const heap = new MinHeap();
+    let scanned = 0;
+
+    for await (const batch of batches) {
+      for (const post of batch) {
+        const index = scanned++;
+        if (mode === 'weighted') {
+          const priority = reservoirWeight(post) / (1 - rng.next());
+          if (heap.size <= k) {
+            heap.push({ index, priority, post });
+          } else if (priority > heap.peek().priority) {
+            heap.pop();
+            heap.push({ index, priority, post });
+          }
+        } else if (reservoir.length < k) {
+          reservoir.push({ index, post });
+        } else {
+          const j = rng.int(0, index);
+          if (j < k) reservoir[j] = { index, post };
+        }
+      }
+    }
+
+    let drawn;
+    let threshold = null;
+    if (mode === 'weighted') {
+      // The lowest of k + 1 priorities is the threshold, not part of the sample
+      threshold = heap.size > k ? heap.pop().priority : 0;
+      drawn = heap.items.map(({ index, post }) => {
+        const inclusionProbability = threshold > 0 ? Math.min(1, reservoirWeight(post) / threshold) : 1;
+        return { index, post, inclusionProbability };
+      });
+    } else {
+      const inclusionProbability = scanned > 0 ? Math.min(1, k / scanned) : 1;
+      drawn = reservoir.map(({ index, post }) => ({ index, post, inclusionProbability }));
+    }
+
+    const posts = drawn
+      .sort((a, b) => a.index - b.index)
+      .map(({ post, inclusionProbability }) => ({
+        ...post,
+        _sampling: { method: 'reservoir', inclusionProbability, designWeight: 1 / inclusionProbability }
+      }));
+
+    const design = {
+      method: 'reservoir',
+      mode,
+      seed: this.seed,
+      targetSize: k,
+      sampled: posts.length,
+      scanLimit,
+      // Scan depth: posts read from the feed, and whether it ran out first
+      scanned,
+      exhausted: scanned < scanLimit,
+      ...(mode === 'weighted'
+        ? { weight: 'impressions', threshold }
+        : { inclusionProbability: scanned > 0 ? Math.min(1, k / scanned) : 1 })
+    };
+
+    this.logger.info({ mode, seed: this.seed, scanned, sampled: posts.length }, 'Reservoir sample drawn');
+    return { posts, design };
+  }
+}
@@ -0,0 +1,226 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { sha256Hex, stableJson } from '../utils/hashing.js';
+
+/**
+ * Cache modes
+ *  off       - no caching
+ *  read      - serve hits, fetch misses without storing them
+ *  write     - always fetch, store every response
+ *  readwrite - serve hits, fetch and store misses
+ *  offline   - serve hits only; a miss fails instead of touching the network
+ */
+export const CACHE_MODES = ['off', 'read', 'write', 'readwrite', 'offline'];
+
+/**
+ * Error raised when an offline run needs a response that is not cached
+ */
+export class CacheMissError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'CacheMissError';
+    this.details = details;
+  }
+}
+
+/**
+ * Start of the time bucket containing a timestamp
+ * @param {Date|string|number} time - Timestamp
+ * @param {number} bucketMinutes - Bucket width
+ * @returns {string} ISO timestamp of the bucket start
+ */
+export function bucketStart(time, bucketMinutes) {
+  const ms = new Date(time).getTime();
+  if (!Number.isFinite(ms)) {
+    throw new Error(`Invalid cache bucket time: ${time}`);
+  }
+  const width = bucketMinutes * 60 * 1000;
+  return new Date(Math.floor(ms / width) * width).toISOString();
+}
+
+/**
+ * Content-addressed on-disk cache of API responses.
+ *
+ * Response bodies are stored verbatim under blobs/<sha256>.json; refs/<key>.json
+ * maps a request key (endpoint + sorted query parameters + time bucket) to the
+ * body hash. The bucket is fixed when the cache is created, so every page of a
+ * run shares one bucket, and pinning it (api.cache.bucket) replays a past run's
+ * exact responses.
+ */
+export class ResponseCache {
+  constructor(config, logger) {
+    const cacheConfig = config.api.cache ?? {};
+    this.config = config;
+    this.logger = logger;
+    this.mode = cacheConfig.mode ?? 'off';
+    this.bucketMinutes = cacheConfig.bucketMinutes ?? 60;
+    this.dir = cacheConfig.dir ?? path.join(config.output.baseDir, '.cache', 'responses');
+    this.bucket = bucketStart(cacheConfig.bucket ?? new Date(), this.bucketMinutes);
+    this.stats = { hits: 0, misses: 0, writes: 0 };
+    this.entries = [];
+
+    if (!CACHE_MODES.includes(this.mode)) {
+      throw new Error(`Unknown cache mode "${this.mode}" (expected one of: ${CACHE_MODES.join(', ')})`);
+    }
+  }
+
+  get enabled() {
+    return this.mode !== 'off';
+  }
+
+  get readable() {
+    return ['read', 'readwrite', 'offline'].includes(this.mode);
+  }
+
+  get writable() {
+    return ['write', 'readwrite'].includes(this.mode);
+  }
+
+  /**
+   * Cache key for a request
+   * @param {string} endpoint - Endpoint path with query string
+   * @returns {{ key: string, pathname: string, query: Object }}
+   */
+  keyFor(endpoint) {
+    const [pathname, search = ''] = endpoint.split('?');
+    const params = new URLSearchParams(search);
+    const query = {};
+    for (const name of [...new Set(params.keys())].sort()) {
+      const values = params.getAll(name);
+      query[name] = values.length === 1 ? values[0] : values;
+    }
+    const key = sha256Hex(stableJson({ endpoint: pathname, query, bucket: this.bucket }));
+    return { key, pathname, query };
+  }
+
+  refPath(key) {
+    return path.join(this.dir, 'refs', `${key}.json`);
+  }
+
+  blobPath(hash) {
+    return path.join(this.dir, 'blobs', `${hash}.json`);
+  }
+
+  /**
+   * Look up a cached response body
+   * @param {string} endpoint - Endpoint path with query string
+   * @returns {Promise<string|null>} Raw body, or null on a miss
+   */
+  async get(endpoint) {
+    const { key, pathname } = this.keyFor(endpoint);
+
+    let body = null;
+    let hash = null;
+    try {
+      ({ hash } = JSON.parse(await fs.readFile(this.refPath(key), 'utf-8')));
+      body = await fs.readFile(this.blobPath(hash), 'utf-8');
+      if (sha256Hex(body) !== hash) {
+        this.logger.warn({ key, hash }, 'Cached response failed its content hash; ignoring entry');
+        body = null;
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      body = null;
+    }
+
+    if (body === null) {
+      this.stats.misses++;
+      this.entries.push({ key, endpoint: pathname, hash: null, hit: false });
+
+      if (this.mode === 'offline') {
+        throw new CacheMissError(
+          `Cache miss in offline mode for ${endpoint} (bucket ${this.bucket})`,
+          { key, endpoint, bucket: this.bucket }
+        );
+      }
+      return null;
+    }
+
+    this.stats.hits++;
+    this.entries.push({ key, endpoint: pathname, hash, hit: true });
+    this.logger.debug({ endpoint, key, hash }, 'Response cache hit');
+    return body;
+  }
+
+  /**
+   * Store a response body
+   * @param {string} endpoint - Endpoint path with query string
+   * @param {string} body - Raw response body
+   * @returns {Promise<string>} Body hash
+   */
+  async put(endpoint, body) {
+    const { key, pathname, query } = this.keyFor(endpoint);
+    const hash = sha256Hex(body);
+
+    await fs.mkdir(path.join(this.dir, 'blobs'), { recursive: true });
+    await fs.mkdir(path.join(this.dir, 'refs'), { recursive: true });
+
+    const blob = this.blobPath(hash);
+    const exists = await fs.stat(blob).then(() => true, () => false);
+    if (!exists) {
+      await fs.writeFile(`${blob}.tmp`, body, 'utf-8');
+      await fs.rename(`${blob}.tmp`, blob);
+    }
+
+    const ref = this.refPath(key);
+    const record = { key, endpoint: pathname, query, bucket: this.bucket, hash, storedAt: new Date().toISOString() };
+    await fs.writeFile(`${ref}.tmp`, JSON.stringify(record, null, 2), 'utf-8');
+    await fs.rename(`${ref}.tmp`, ref);
+
+    this.stats.writes++;
+    // A miss already logged this request; record the hash it was stored under
+    const last = this.entries.findLast(e => e.key === key && !e.hit && e.hash === null);
+    if (last) {
+      last.hash = hash;
+    } else {
+      this.entries.push({ key, endpoint: pathname, hash, hit: false });
+    }
+    return hash;
+  }
+
+  /**
+   * Value fixed for the cache bucket, such as the `until` of a windowed
+   * collection whose default is "now": it ends up in the request keys, so a
+   * replay must plan the same range. Readable modes reuse a pinned value;
+   * otherwise it is computed, and stored when the cache is writable.
+   * @param {string} name - Value name
+   * @param {Function} compute - Produces the JSON-serializable value
+   * @returns {Promise<*>}
+   */
+  async pin(name, compute) {
+    if (!this.enabled) return compute();
+
+    const file = path.join(this.dir, 'pins', `${sha256Hex(stableJson({ pin: name, bucket: this.bucket }))}.json`);
+    if (this.readable) {
+      try {
+        const { value } = JSON.parse(await fs.readFile(file, 'utf-8'));
+        this.logger.debug({ name, value, bucket: this.bucket }, 'Using value pinned in the response cache');
+        return value;
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    }
+
+    const value = compute();
+    if (this.writable) {
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.writeFile(`${file}.tmp`, JSON.stringify({ name, bucket: this.bucket, value }, null, 2), 'utf-8');
+      await fs.rename(`${file}.tmp`, file);
+    }
+    return value;
+  }
+
+  /**
+   * Provenance record for meta.json
+   * @returns {Object} { mode, bucket, bucketMinutes, hits, misses, writes, entries }
+   */
+  summary() {
+    return {
+      mode: this.mode,
+      bucket: this.bucket,
+      bucketMinutes: this.bucketMinutes,
+      ...this.stats,
+      entries: this.entries.map(e => ({ ...e }))
+    };
+  }
+}
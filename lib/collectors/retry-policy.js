@@ -0,0 +1,58 @@
+/**
+ * Backoff delay before retry number `attempt` (0-based)
+ * Exponential in the attempt, capped at maxMs, then jittered:
+ *   none  - the capped delay itself
+ *   full  - uniform in [0, delay]
+ *   equal - delay/2 plus uniform in [0, delay/2]
+ * @param {number} attempt - Attempt that just failed
+ * @param {Object} options - { baseMs, maxMs, jitter }
+ * @param {Function} random - Uniform [0, 1) source
+ * @returns {number} Delay in milliseconds
+ */
+export function backoffDelay(attempt, { baseMs, maxMs = Infinity, jitter = 'equal' }, random = Math.random) {
+  const delay = Math.min(maxMs, baseMs * Math.pow(2, attempt));
+  if (jitter === 'full') return Math.round(random() * delay);
+  if (jitter === 'equal') return Math.round(delay / 2 + random() * delay / 2);
+  return delay;
+}
+
+/**
+ * Parse a Retry-After header (delta seconds or HTTP date)
+ * @param {string|null} value - Header value
+ * @param {number} now - Current time in ms
+ * @returns {number|null} Wait in milliseconds, or null when absent/unparseable
+ */
+export function parseRetryAfter(value, now = Date.now()) {
+  if (value === null || value === undefined || String(value).trim() === '') return null;
+  const text = String(value).trim();
+
+  if (/^\d+(\.\d+)?$/.test(text)) {
+    return Math.round(Number(text) * 1000);
+  }
+
+  const date = Date.parse(text);
+  return Number.isFinite(date) ? Math.max(0, date - now) : null;
+}
+
+/**
+ * Read rate-limit headers from a response
+ * Supports X-RateLimit-Remaining/X-RateLimit-Reset and the unprefixed
+ * RateLimit-Remaining/RateLimit-Reset. Reset values above 1e9 are taken as
+ * epoch seconds, smaller ones as seconds from now.
+ * @param {Headers} headers - Response headers
+ * @param {number} now - Current time in ms
+ * @returns {Object|null} { remaining, resetAt } or null when no headers are present
+ */
+export function parseRateLimit(headers, now = Date.now()) {
+  const read = (name) => headers.get(`x-ratelimit-${name}`) ?? headers.get(`ratelimit-${name}`);
+  const remaining = read('remaining');
+  if (remaining === null) return null;
+
+  const reset = Number(read('reset'));
+  let resetAt = null;
+  if (Number.isFinite(reset) && reset >= 0) {
+    resetAt = reset > 1e9 ? reset * 1000 : now + reset * 1000;
+  }
+
+  return { remaining: Number(remaining), resetAt };
+}
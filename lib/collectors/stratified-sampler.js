@@ -0,0 +1,182 @@
+import { ReservoirSampler, randomSeed } from './reservoir-sampler.js';
+
+/**
+ * Allocate per-stratum sample sizes
+ *  proportional - total * N_h / N, rounded by largest remainder so quotas sum to total
+ *  fixed        - each stratum's configured quota
+ * Quotas never exceed the stratum's population size.
+ * @param {Array<Object>} strata - [{ name, populationSize, quota }]
+ * @param {number} total - Overall sample size (proportional allocation)
+ * @param {string} allocation - 'proportional' | 'fixed'
+ * @returns {Object} Stratum name -> quota
+ */
+export function allocateQuotas(strata, total, allocation = 'proportional') {
+  if (allocation === 'fixed') {
+    return Object.fromEntries(strata.map(s => {
+      if (!Number.isInteger(s.quota)) {
+        throw new Error(`Stratum "${s.name}" needs a quota for fixed allocation`);
+      }
+      return [s.name, Math.min(s.quota, s.populationSize)];
+    }));
+  }
+
+  const population = strata.reduce((sum, s) => sum + s.populationSize, 0);
+  const n = Math.min(total, population);
+  const exact = strata.map(s => (n * s.populationSize) / population);
+  const quotas = exact.map(Math.floor);
+
+  let remaining = n - quotas.reduce((a, b) => a + b, 0);
+  const byRemainder = exact
+    .map((x, i) => ({ i, remainder: x - quotas[i] }))
+    .sort((a, b) => b.remainder - a.remainder || a.i - b.i);
+  for (const { i } of byRemainder) {
+    if (remaining === 0) break;
+    quotas[i]++;
+    remaining--;
+  }
+
+  return Object.fromEntries(strata.map((s, i) => [s.name, quotas[i]]));
+}
+
+/**
+ * Batches of a stratum feed without the posts already framed by an earlier
+ * stratum; every other post with an id is added to `framed`
+ * @param {AsyncIterable<Array<Object>>} batches - Stratum feed
+ * @param {Set} framed - Ids of posts in the frames so far
+ * @param {Object} counts - { scanned, overlap }, updated as the feed is read
+ */
+async function* unframed(batches, framed, counts) {
+  for await (const batch of batches) {
+    const fresh = [];
+    for (const post of batch) {
+      counts.scanned++;
+      if (post?.id !== undefined && post?.id !== null) {
+        if (framed.has(post.id)) {
+          counts.overlap++;
+          continue;
+        }
+        framed.add(post.id);
+      }
+      fresh.push(post);
+    }
+    if (fresh.length > 0) yield fresh;
+  }
+}
+
+/**
+ * Stratified sampler over several MoltX feeds.
+ *
+ * Each configured stratum (endpoint + query params) is scanned up to its
+ * populationSize, and its quota is drawn from the scanned posts (the
+ * stratum's frame) with a seeded uniform ReservoirSampler, so every post of
+ * the frame has the same chance of being drawn rather than the top of the
+ * feed being taken. A post's inclusion probability is its stratum's sample
+ * size over the frame size, and its design weight is the inverse; both are
+ * recorded on the post as `_sampling` for design-weighted estimation.
+ *
+ * Strata are made disjoint: a post in the frame of an earlier stratum is
+ * left out of later frames, so it has one inclusion probability (its first
+ * stratum's) whether or not it was drawn there.
+ */
+export class StratifiedSampler {
+  /**
+   * @param {Object} config - Configuration (uses config.sampling)
+   * @param {Object} logger - Logger
+   * @param {MoltxCollector} collector - Initialized collector
+   * @param {Object} options - { seed } overriding sampling.reservoir.seed
+   */
+  constructor(config, logger, collector, { seed } = {}) {
+    this.config = config;
+    this.logger = logger;
+    this.collector = collector;
+    this.strata = config.sampling.strata ?? [];
+    this.allocation = config.sampling.allocation ?? 'proportional';
+    this.seed = seed ?? config.sampling.reservoir?.seed ?? randomSeed();
+  }
+
+  /**
+   * Draw the stratified sample
+   * @param {Object} options - { staging } optional PageStaging; each stratum checkpoints in a child area
+   * @returns {Promise<Object>} { posts, design }
+   */
+  async sample({ staging = null } = {}) {
+    const quotas = allocateQuotas(this.strata, this.config.sampling.maxSampleSize, this.allocation);
+    const framed = new Set();
+    const posts = [];
+    const strata = [];
+    let duplicatesAcrossStrata = 0;
+
+    for (const stratum of this.strata) {
+      const quota = quotas[stratum.name];
+      const { endpoint } = stratum;
+      this.logger.info({ stratum: stratum.name, endpoint, quota, populationSize: stratum.populationSize }, 'Sampling stratum');
+
+      const stratumStaging = staging ? staging.child(stratum.name) : null;
+      const counts = { scanned: 0, overlap: 0 };
+
+      const feed = this.collector.paginate(stratum.params ?? {}, stratum.populationSize, {
+        staging: stratumStaging,
+        ...(endpoint ? { endpoint } : {})
+      });
+
+      const reservoir = new ReservoirSampler({
+        ...this.config,
+        sampling: {
+          ...this.config.sampling,
+          maxSampleSize: quota,
+          reservoir: { mode: 'uniform', scanLimit: stratum.populationSize }
+        }
+      }, this.logger, { seed: `${this.seed}:${stratum.name}` });
+      // Scanned even without a quota, so its posts stay out of later frames
+      const { posts: drawn, design } = await reservoir.sample(unframed(feed, framed, counts));
+      duplicatesAcrossStrata += counts.overlap;
+
+      const frameSize = design.scanned;
+      const inclusionProbability = frameSize > 0 ? drawn.length / frameSize : 0;
+      const designWeight = inclusionProbability > 0 ? 1 / inclusionProbability : null;
+
+      for (const post of drawn) {
+        posts.push({
+          ...post,
+          source: post.source ?? stratum.name,
+          _sampling: { stratum: stratum.name, inclusionProbability, designWeight }
+        });
+      }
+
+      strata.push({
+        name: stratum.name,
+        endpoint: endpoint ?? null,
+        params: stratum.params ?? {},
+        populationSize: stratum.populationSize,
+        // Posts read from the feed, those framed by an earlier stratum, and the rest
+        scanned: counts.scanned,
+        overlap: counts.overlap,
+        frameSize,
+        quota,
+        sampled: drawn.length,
+        // Frame smaller than the quota
+        shortfall: quota - drawn.length,
+        inclusionProbability,
+        designWeight,
+        pages: stratumStaging?.checkpoint?.pages ?? null
+      });
+    }
+
+    if (duplicatesAcrossStrata > 0) {
+      this.logger.warn({ duplicatesAcrossStrata }, 'Left posts framed by an earlier stratum out of later strata');
+    }
+
+    const design = {
+      method: 'stratified',
+      allocation: this.allocation,
+      seed: this.seed,
+      targetSize: Object.values(quotas).reduce((a, b) => a + b, 0),
+      sampled: posts.length,
+      duplicatesAcrossStrata,
+      strata
+    };
+
+    this.logger.info({ sampled: posts.length, strata: strata.length }, 'Stratified sample drawn');
+    return { posts, design };
+  }
+}
@@ -0,0 +1,437 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { z } from 'zod';
+import { BaseCollector } from './base-collector.js';
+import { Taxonomy } from '../analyzers/tag-packs.js';
+import { Prng } from '../utils/prng.js';
+import { sha256Hex } from '../utils/hashing.js';
+
+/**
+ * Directory of the named scenarios (config/scenarios/<name>.json)
+ */
+export const SCENARIO_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../../config/scenarios');
+
+/**
+ * Error class for unknown or malformed scenarios
+ */
+export class ScenarioError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'ScenarioError';
+    this.details = details;
+  }
+}
+
+const rate = z.number().min(0).max(1);
+// Feature id -> rate; ids are checked against the run's taxonomy (checkScenarioFeatures)
+const featureRates = z.record(rate);
+const period = {
+  startFraction: rate,
+  endFraction: rate
+};
+const endsAfterStart = [p => p.endFraction > p.startFraction, { message: 'endFraction must be after startFraction' }];
+
+/**
+ * Parameters of a synthetic scenario. Times are fractions of the scenario
+ * period so a scenario can be stretched without rewriting its events.
+ */
+export const ScenarioSchema = z.object({
+  name: z.string().min(1),
+  description: z.string().default(''),
+  seed: z.union([z.number().int(), z.string().min(1)]).default(42),
+  // Distinct posts (duplicates come on top)
+  posts: z.number().int().positive().default(1000),
+  start: z.string().datetime().default('2024-02-08T00:00:00.000Z'),
+  durationMinutes: z.number().int().positive().default(1440),
+  // Source endpoint -> relative weight
+  sources: z.record(z.number().nonnegative()).default({ top: 1, fallback: 1 }),
+  // Base rate of each feature
+  features: featureRates.default({}),
+  // Log-normal impressions
+  impressions: z.object({
+    logMean: z.number().default(7),
+    logSd: z.number().nonnegative().default(1.5)
+  }).default({}),
+  // A feature runs at `rate` instead of its base rate inside the period
+  surges: z.array(z.object({ feature: z.string().min(1), rate, ...period }).refine(...endsAfterStart)).default([]),
+  // Coordinated accounts: their own feature rates and inflated impressions
+  campaign: z.object({
+    fraction: rate,
+    impressionMultiplier: z.number().positive().default(50),
+    source: z.string().min(1).optional(),
+    features: featureRates.default({})
+  }).optional(),
+  // Periods with no posts at all
+  gaps: z.array(z.object(period).refine(...endsAfterStart)).default([]),
+  // Share of posts carrying an email address or phone number
+  pii: z.object({ rate }).default({ rate: 0 }),
+  // Share of posts served again (same id and content) up to maxCopies more times
+  duplicates: z.object({
+    rate,
+    maxCopies: z.number().int().positive().default(3)
+  }).default({ rate: 0, maxCopies: 3 })
+}).strict();
+
+// Posts without any feature; they must not trip a tag pack pattern
+const FILLER = ['Good morning everyone', 'Thoughts on the weekend?', 'Just sharing an update', 'Coffee first', 'What a day'];
+
+/**
+ * Seed as recorded in provenance ("42" from the command line is 42)
+ * @param {string|number} seed - Seed
+ * @returns {string|number}
+ */
+export function normalizeSeed(seed) {
+  return typeof seed === 'string' && /^-?\d+$/.test(seed) ? Number(seed) : seed;
+}
+
+/**
+ * Names of the scenarios in SCENARIO_DIR
+ * @returns {Promise<Array<string>>}
+ */
+export async function listScenarios() {
+  const entries = await fs.readdir(SCENARIO_DIR).catch(() => []);
+  return entries.filter(f => f.endsWith('.json')).map(f => path.basename(f, '.json')).sort();
+}
+
+/**
+ * Load and validate a scenario by name (config/scenarios/<name>.json) or path
+ * @param {string} nameOrPath - Scenario name or JSON file path
+ * @returns {Promise<Object>} { scenario, file, sha256 }
+ */
+export async function loadScenario(nameOrPath) {
+  const isPath = nameOrPath.endsWith('.json') || nameOrPath.includes('/') || nameOrPath.includes(path.sep);
+  const file = isPath ? path.resolve(nameOrPath) : path.join(SCENARIO_DIR, `${nameOrPath}.json`);
+
+  let text;
+  try {
+    text = await fs.readFile(file, 'utf-8');
+  } catch (error) {
+    throw new ScenarioError(`Scenario not found: ${nameOrPath}`, { file, available: await listScenarios() });
+  }
+
+  let raw;
+  try {
+    raw = JSON.parse(text);
+  } catch (error) {
+    throw new ScenarioError(`Scenario ${file} is not valid JSON: ${error.message}`, { file });
+  }
+
+  const parsed = ScenarioSchema.safeParse(raw);
+  if (!parsed.success) {
+    throw new ScenarioError(`Invalid scenario ${file}`, { file, issues: parsed.error.issues });
+  }
+
+  return { scenario: parsed.data, file, sha256: sha256Hex(text) };
+}
+
+/**
+ * Check that a scenario only sets features of the taxonomy, and that every
+ * feature it can switch on has example phrases to write posts with
+ * @param {Object} scenario - Parsed scenario
+ * @param {Taxonomy} taxonomy - Taxonomy of the run
+ */
+export function checkScenarioFeatures(scenario, taxonomy) {
+  const rates = [
+    ...Object.entries(scenario.features),
+    ...Object.entries(scenario.campaign?.features ?? {}),
+    ...scenario.surges.map(s => [s.feature, s.rate])
+  ];
+  const unknown = [...new Set(rates.map(([f]) => f).filter(f => !taxonomy.featureIds.includes(f)))];
+  if (unknown.length > 0) {
+    throw new ScenarioError(`Scenario ${scenario.name} sets features the tag packs do not define: ${unknown.join(', ')}`,
+      { unknown, features: taxonomy.featureIds });
+  }
+
+  const withoutExamples = [...new Set(rates
+    .filter(([f, r]) => r > 0 && taxonomy.features.find(t => t.id === f).examples.length === 0)
+    .map(([f]) => f))];
+  if (withoutExamples.length > 0) {
+    throw new ScenarioError(`Tag pack features without examples cannot be generated: ${withoutExamples.join(', ')}`,
+      { withoutExamples });
+  }
+}
+
+/**
+ * Position in [0, 1) of the uth fraction of the period left open by the gaps
+ * @param {number} u - Uniform draw in [0, 1)
+ * @param {Array<Object>} gaps - Sorted, non-overlapping { startFraction, endFraction }
+ * @returns {number} Fraction of the period
+ */
+function placeOutsideGaps(u, gaps) {
+  const open = gaps.reduce((left, g) => left - (g.endFraction - g.startFraction), 1);
+  let position = u * open;
+  for (const gap of gaps) {
+    if (position < gap.startFraction) break;
+    position += gap.endFraction - gap.startFraction;
+  }
+  return position;
+}
+
+/**
+ * Merge overlapping gaps so placeOutsideGaps can skip each one once
+ * @param {Array<Object>} gaps - { startFraction, endFraction }
+ * @returns {Array<Object>} Sorted, disjoint gaps
+ */
+function normalizeGaps(gaps) {
+  const merged = [];
+  for (const gap of [...gaps].sort((a, b) => a.startFraction - b.startFraction)) {
+    const last = merged[merged.length - 1];
+    if (last && gap.startFraction <= last.endFraction) {
+      last.endFraction = Math.max(last.endFraction, gap.endFraction);
+    } else {
+      merged.push({ ...gap });
+    }
+  }
+  return merged;
+}
+
+/**
+ * Generate a scenario's posts. Feature text is drawn from the tag packs'
+ * example phrases. Every post carries its true feature labels under
+ * `labels`, which the collector strips before yielding; each kind of draw
+ * comes from its own PRNG sub-stream so changing one parameter leaves the
+ * others' draws alone.
+ * @param {Object} scenario - Parsed scenario (see checkScenarioFeatures)
+ * @param {string|number} seed - Seed
+ * @param {Taxonomy} taxonomy - Features to label and write
+ * @returns {Array<Object>} Posts in timestamp order, duplicates after their original
+ */
+export function generateScenario(scenario, seed, taxonomy) {
+  const rng = new Prng(seed);
+  const streams = Object.fromEntries(
+    ['time', 'campaign', 'source', 'labels', 'text', 'impressions', 'pii', 'duplicates'].map(s => [s, rng.fork(s)])
+  );
+  const start = Date.parse(scenario.start);
+  const durationMs = scenario.durationMinutes * 60 * 1000;
+  const gaps = normalizeGaps(scenario.gaps);
+
+  const fractions = Array.from({ length: scenario.posts }, () => placeOutsideGaps(streams.time.next(), gaps))
+    .sort((a, b) => a - b);
+
+  const posts = [];
+  fractions.forEach((fraction, i) => {
+    const campaign = scenario.campaign && streams.campaign.bernoulli(scenario.campaign.fraction);
+    const rates = { ...scenario.features, ...(campaign ? scenario.campaign.features : {}) };
+    for (const surge of scenario.surges) {
+      if (!campaign && fraction >= surge.startFraction && fraction < surge.endFraction) {
+        rates[surge.feature] = surge.rate;
+      }
+    }
+
+    const labels = Object.fromEntries(taxonomy.features.map(f => [f.id, streams.labels.bernoulli(rates[f.id] ?? 0)]));
+    const parts = taxonomy.features.filter(f => labels[f.id]).map(f => streams.text.pick(f.examples));
+    if (parts.length === 0) parts.push(streams.text.pick(FILLER));
+
+    const hasPii = streams.pii.bernoulli(scenario.pii.rate);
+    if (hasPii) {
+      parts.push(streams.pii.bernoulli(0.5)
+        ? `Mail me at user${i}@example.com`
+        : `Call 555-${String(streams.pii.int(0, 999)).padStart(3, '0')}-${String(streams.pii.int(0, 9999)).padStart(4, '0')}`);
+    }
+
+    let impressions = Math.round(Math.exp(streams.impressions.normal(scenario.impressions.logMean, scenario.impressions.logSd)));
+    if (campaign) impressions = Math.round(impressions * scenario.campaign.impressionMultiplier);
+
+    const post = {
+      id: `${scenario.name}_${i}`,
+      content: parts.join('. '),
+      impressions,
+      source: (campaign && scenario.campaign.source) || streams.source.weighted(scenario.sources),
+      timestamp: start + Math.floor(fraction * durationMs),
+      labels: { ...labels, pii: hasPii, campaign: Boolean(campaign) }
+    };
+    posts.push(post);
+
+    if (streams.duplicates.bernoulli(scenario.duplicates.rate)) {
+      const copies = streams.duplicates.int(1, scenario.duplicates.maxCopies);
+      for (let c = 0; c < copies; c++) posts.push({ ...post, labels: { ...post.labels, duplicate: true } });
+    }
+  });
+
+  return posts;
+}
+
+/**
+ * Collects the ground truth of the posts a synthetic run actually yielded
+ */
+class GroundTruthTally {
+  /**
+   * @param {Array<string>} features - Feature ids
+   */
+  constructor(features) {
+    this.features = features;
+    this.seen = new Set();
+    this.rawPosts = 0;
+    this.duplicates = 0;
+    this.posts = 0;
+    this.pii = 0;
+    this.campaign = 0;
+    this.impressionWeight = 0;
+    this.counts = Object.fromEntries(features.map(f => [f, 0]));
+    this.weighted = Object.fromEntries(features.map(f => [f, 0]));
+  }
+
+  add(post) {
+    this.rawPosts++;
+    if (this.seen.has(post.id)) {
+      this.duplicates++;
+      return;
+    }
+    this.seen.add(post.id);
+    this.posts++;
+
+    // Impression weights as in PrevalenceAnalyzer (zero impressions count once)
+    const weight = post.impressions || 1;
+    this.impressionWeight += weight;
+    if (post.labels.pii) this.pii++;
+    if (post.labels.campaign) this.campaign++;
+    for (const f of this.features) {
+      if (post.labels[f]) {
+        this.counts[f]++;
+        this.weighted[f] += weight;
+      }
+    }
+  }
+
+  summary() {
+    return {
+      rawPosts: this.rawPosts,
+      posts: this.posts,
+      duplicates: this.duplicates,
+      piiPosts: this.pii,
+      campaignPosts: this.campaign,
+      prevalences: Object.fromEntries(this.features.map(f => [f, {
+        count: this.counts[f],
+        prevalence: this.posts > 0 ? this.counts[f] / this.posts : 0,
+        impressionWeighted: this.impressionWeight > 0 ? this.weighted[f] / this.impressionWeight : 0
+      }]))
+    };
+  }
+}
+
+/**
+ * Collector that generates posts from a seeded scenario (the `synthetic`
+ * collector type, used by --dry-run). The same scenario file and seed always
+ * yield the same posts, and describe() reports the true feature prevalences
+ * of what was yielded so the analysis can be checked against them.
+ */
+export class SyntheticCollector extends BaseCollector {
+  /**
+   * @param {Object} config - Configuration (uses config.collector.synthetic, analysis.tagPacks and ingest.batchSize)
+   * @param {Object} logger - Logger
+   * @param {Object} options - { scenario, seed } overriding collector.synthetic
+   */
+  constructor(config, logger, { scenario, seed } = {}) {
+    super(config, logger);
+    this.scenarioName = scenario ?? config.collector?.synthetic?.scenario ?? 'baseline';
+    this.seedOverride = seed ?? config.collector?.synthetic?.seed;
+    this.loaded = null;
+    this.source = null;
+    this.groundTruth = null;
+  }
+
+  /**
+   * Load and validate the scenario file
+   */
+  async initialize() {
+    this.loaded = await loadScenario(this.scenarioName);
+    const { scenario, file, sha256 } = this.loaded;
+    this.taxonomy = Taxonomy.fromConfig(this.config);
+    checkScenarioFeatures(scenario, this.taxonomy);
+    this.seed = normalizeSeed(this.seedOverride ?? scenario.seed);
+    this.source = {
+      type: 'synthetic',
+      scenario: scenario.name,
+      file,
+      sha256,
+      seed: this.seed,
+      records: 0
+    };
+    this.logger.info({ scenario: scenario.name, seed: this.seed, file }, 'Loaded synthetic scenario');
+  }
+
+  /**
+   * Yield the scenario's posts in batches of ingest.batchSize
+   * @param {Object} options - { maxPosts }
+   */
+  async *fetch({ maxPosts = null } = {}) {
+    if (!this.loaded) await this.initialize();
+    const { scenario } = this.loaded;
+    const batchSize = this.config.ingest?.batchSize ?? 10000;
+    const posts = generateScenario(scenario, this.seed, this.taxonomy);
+    const tally = new GroundTruthTally(this.taxonomy.featureIds);
+    const limit = maxPosts ? Math.min(maxPosts, posts.length) : posts.length;
+
+    // Ground truth covers what was yielded, so it stays right when the
+    // consumer stops early
+    this.source.records = 0;
+    for (let i = 0; i < limit; i += batchSize) {
+      const batch = [];
+      for (const post of posts.slice(i, Math.min(i + batchSize, limit))) {
+        tally.add(post);
+        const { labels, ...unlabelled } = post;
+        batch.push(unlabelled);
+      }
+      this.source.records += batch.length;
+      this.groundTruth = this.describeGroundTruth(tally);
+      yield batch;
+    }
+
+    this.logger.info({ scenario: scenario.name, seed: this.seed, postCount: this.source.records }, 'Generated synthetic posts');
+  }
+
+  /**
+   * Ground truth document for ground_truth.json
+   * @param {GroundTruthTally} tally - Posts yielded so far
+   * @returns {Object} Ground truth
+   */
+  describeGroundTruth(tally) {
+    const { scenario } = this.loaded;
+    const start = Date.parse(scenario.start);
+    const at = (fraction) => new Date(start + fraction * scenario.durationMinutes * 60 * 1000).toISOString();
+
+    return {
+      scenario: scenario.name,
+      description: scenario.description,
+      seed: this.seed,
+      period: { start: at(0), end: at(1) },
+      ...tally.summary(),
+      surges: scenario.surges.map(s => ({ feature: s.feature, rate: s.rate, start: at(s.startFraction), end: at(s.endFraction) })),
+      gaps: normalizeGaps(scenario.gaps).map(g => ({ start: at(g.startFraction), end: at(g.endFraction) })),
+      ...(scenario.campaign ? { campaign: scenario.campaign } : {})
+    };
+  }
+
+  /**
+   * Provenance of the last fetch: scenario, seed and ground truth
+   * @returns {Object} { source, groundTruth }
+   */
+  describe() {
+    return { source: this.source, groundTruth: this.groundTruth };
+  }
+}
+
+/**
+ * Check overall prevalences against a scenario's ground truth
+ * @param {Object} groundTruth - SyntheticCollector ground truth
+ * @param {Object} analysisResults - PrevalenceAnalyzer results
+ * @returns {Object} Feature -> { truth, observed, difference, withinCi, truthWeighted, observedWeighted }
+ */
+export function compareGroundTruth(groundTruth, analysisResults) {
+  const overall = analysisResults?.overall ?? {};
+  return Object.fromEntries(Object.entries(groundTruth.prevalences).map(([feature, truth]) => {
+    const observed = overall.prevalences?.[feature];
+    const weighted = overall.weightedPrevalences?.[feature];
+    return [feature, {
+      truth: truth.prevalence,
+      observed: observed?.prevalence ?? null,
+      difference: observed ? observed.prevalence - truth.prevalence : null,
+      withinCi: observed
+        ? truth.prevalence >= observed.confidence.lower && truth.prevalence <= observed.confidence.upper
+        : null,
+      truthWeighted: truth.impressionWeighted,
+      observedWeighted: weighted?.prevalence ?? null
+    }];
+  }));
+}
@@ -0,0 +1,155 @@
+/**
+ * Fixed time windows for temporal sampling (sampling.temporal).
+ * Windows are aligned to multiples of batchSizeMinutes since the epoch, so the
+ * same post always lands in the same window regardless of when a run starts.
+ */
+
+/**
+ * Epoch milliseconds from a post timestamp (epoch number or date string)
+ * @param {*} value - Raw timestamp
+ * @returns {number|null} Epoch milliseconds
+ */
+export function toEpochMs(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const n = Number(value);
+  if (Number.isFinite(n)) return n;
+  const parsed = Date.parse(String(value));
+  return Number.isFinite(parsed) ? parsed : null;
+}
+
+/**
+ * Window containing a timestamp
+ * @param {number} ms - Epoch milliseconds
+ * @param {number} batchSizeMinutes - Window width
+ * @returns {{ start: number, end: number }} Half-open [start, end) in epoch ms
+ */
+export function windowFor(ms, batchSizeMinutes) {
+  const width = batchSizeMinutes * 60 * 1000;
+  const start = Math.floor(ms / width) * width;
+  return { start, end: start + width };
+}
+
+/**
+ * Consecutive windows covering a lookback period that ends at the last
+ * window boundary at or before `until`
+ * @param {Object} options - { until, lookbackMinutes, batchSizeMinutes }
+ * @returns {Array<{ start: number, end: number }>} Oldest first
+ */
+export function planWindows({ until, lookbackMinutes, batchSizeMinutes }) {
+  const width = batchSizeMinutes * 60 * 1000;
+  const end = Math.floor(new Date(until).getTime() / width) * width;
+  const count = Math.max(1, Math.ceil(lookbackMinutes / batchSizeMinutes));
+
+  return Array.from({ length: count }, (_, i) => {
+    const start = end - (count - i) * width;
+    return { start, end: start + width };
+  });
+}
+
+/**
+ * Serializable window tag for a post
+ * @param {{ start: number, end: number }} window - Window in epoch ms
+ * @returns {{ start: string, end: string }} ISO bounds
+ */
+export function windowTag(window) {
+  return { start: new Date(window.start).toISOString(), end: new Date(window.end).toISOString() };
+}
+
+/**
+ * Window a post falls in: its `_window` tag when it carries one (and no
+ * explicit width is asked for), otherwise the window of its timestamp
+ * @param {Object} post - Raw post
+ * @param {number|null} ms - Post timestamp in epoch ms
+ * @param {number|null} minutes - Explicit window width, or null to prefer the tag
+ * @param {number} fallbackMinutes - Width used for untagged posts
+ * @returns {{ start: string, end: string }|null} ISO bounds, null when untimed
+ */
+export function postWindow(post, ms, minutes = null, fallbackMinutes = 60) {
+  if (minutes === null && post._window !== undefined) return post._window;
+  return ms === null ? null : windowTag(windowFor(ms, minutes ?? fallbackMinutes));
+}
+
+/**
+ * Tag posts with their time window and summarize the covered period.
+ * Posts that already carry a `_window` (fetched per window with since/until)
+ * keep it; the rest are bucketed by their own timestamp. Posts without a
+ * usable timestamp get `_window: null` and are counted as untimed.
+ * @param {Array<Object>} posts - Posts
+ * @param {Object} temporal - sampling.temporal config { batchSizeMinutes, strategy }
+ * @returns {{ posts: Array<Object>, timeWindow: Object }}
+ */
+export function tagTimeWindows(posts, { batchSizeMinutes, strategy = 'client' }) {
+  const counts = new Map();
+  let untimed = 0;
+  let first = null;
+  let last = null;
+
+  const tagged = posts.map(post => {
+    const ms = toEpochMs(post.timestamp);
+    if (ms !== null) {
+      first = first === null ? ms : Math.min(first, ms);
+      last = last === null ? ms : Math.max(last, ms);
+    }
+
+    let window = post._window;
+    if (window === undefined) {
+      window = ms === null ? null : windowTag(windowFor(ms, batchSizeMinutes));
+    }
+
+    if (window === null) {
+      untimed++;
+    } else {
+      const entry = counts.get(window.start) ?? { ...window, posts: 0 };
+      entry.posts++;
+      counts.set(window.start, entry);
+    }
+
+    return { ...post, _window: window };
+  });
+
+  const windows = [...counts.values()].sort((a, b) => a.start.localeCompare(b.start));
+
+  return {
+    posts: tagged,
+    timeWindow: {
+      // Earliest and latest post timestamps actually collected
+      start: first === null ? null : new Date(first).toISOString(),
+      end: last === null ? null : new Date(last).toISOString(),
+      batchSizeMinutes,
+      strategy,
+      untimed,
+      windows
+    }
+  };
+}
+
+/**
+ * Combine the timeWindow summaries of two batches tagged separately
+ * (streaming runs tag batch by batch)
+ * @param {Object|null} a - timeWindow from tagTimeWindows (or null)
+ * @param {Object} b - timeWindow from tagTimeWindows
+ * @returns {Object} Combined timeWindow
+ */
+export function mergeTimeWindows(a, b) {
+  if (!a) return b;
+
+  const counts = new Map(a.windows.map(w => [w.start, { ...w }]));
+  for (const w of b.windows) {
+    const entry = counts.get(w.start) ?? { ...w, posts: 0 };
+    entry.posts += w.posts;
+    counts.set(w.start, entry);
+  }
+
+  // ISO-8601 UTC strings order the same as the instants they encode
+  const earliest = (x, y) => (x === null ? y : y === null ? x : (x < y ? x : y));
+  const latest = (x, y) => (x === null ? y : y === null ? x : (x > y ? x : y));
+
+  return {
+    ...a,
+    start: earliest(a.start, b.start),
+    end: latest(a.end, b.end),
+    untimed: a.untimed + b.untimed,
+    windows: [...counts.values()].sort((x, y) => x.start.localeCompare(y.start))
+  };
+}
+
@@ -0,0 +1,250 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { ProbeScheduler, ProbeContextBuilder } from '../alignment/schedulers/probe-scheduler.js';
+import { RunComparator } from '../analyzers/run-comparator.js';
+import { TaxonomyMismatchError } from '../analyzers/tag-packs.js';
+import { ComparisonReporter } from '../reporters/comparison-reporter.js';
+import { OutputReporter } from '../reporters/output-reporter.js';
+import { parseCron, nextCronTime } from '../utils/cron.js';
+import { mergeAlignmentConfig } from '../../config/alignment-schema.js';
+
+// Longest delay setTimeout honours; longer ones fire after 1 ms
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+/**
+ * Recurring collection/analysis loop for `watch`.
+ * Each cycle produces a run, compares it with the previous cycle (or a fixed
+ * baseline) and feeds the result to the ProbeScheduler, whose state is
+ * persisted between cycles and across restarts.
+ */
+export class WatchDaemon {
+  /**
+   * @param {Object} config - Configuration
+   * @param {Object} logger - Logger
+   * @param {Object} options - { runCycle, now }
+   *   runCycle: async ({ cycle }) => { runId, analysisResults, validationResults, metadata, status };
+   *   a run that fails validation gating resolves with a failed status rather than throwing
+   *   now: clock in epoch ms (default Date.now), overridable for tests
+   */
+  constructor(config, logger, { runCycle, now = () => Date.now() }) {
+    this.config = config;
+    this.logger = logger;
+    this.runCycle = runCycle;
+    this.now = now;
+    this.baseDir = config.output.baseDir;
+    this.stateFile = config.watch.stateFile || path.join(this.baseDir, 'watch_state.json');
+    this.cron = config.watch.cron ? parseCron(config.watch.cron) : null;
+    // Probe rates/thresholds come from the alignment defaults unless configured
+    this.scheduler = new ProbeScheduler(config.alignment ? config : mergeAlignmentConfig(config), logger);
+    this.state = { cycles: 0, failures: 0 };
+    this.stopping = false;
+    this.wake = null;
+  }
+
+  /**
+   * Load persisted state (scheduler history, last run) if present
+   * @returns {Promise<Object>} State
+   */
+  async loadState() {
+    try {
+      this.state = JSON.parse(await fs.readFile(this.stateFile, 'utf-8'));
+      if (this.state.scheduler) {
+        this.scheduler.importState(this.state.scheduler);
+      }
+      this.logger.info({ stateFile: this.stateFile, cycles: this.state.cycles, lastRunId: this.state.lastRunId }, 'Resumed watch state');
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+    return this.state;
+  }
+
+  /**
+   * Persist state atomically (write + rename)
+   */
+  async saveState() {
+    this.state.scheduler = this.scheduler.exportState();
+    this.state.updatedAt = new Date().toISOString();
+
+    await fs.mkdir(path.dirname(this.stateFile), { recursive: true });
+    const tmp = `${this.stateFile}.tmp`;
+    await fs.writeFile(tmp, JSON.stringify(this.state, null, 2), 'utf-8');
+    await fs.rename(tmp, this.stateFile);
+  }
+
+  /**
+   * Time of the next cycle
+   * @param {Date} from - Reference time
+   * @returns {Date}
+   */
+  nextRunAt(from = new Date(this.now())) {
+    if (this.cron) return nextCronTime(this.cron, from);
+    return new Date(from.getTime() + this.config.watch.intervalMinutes * 60000);
+  }
+
+  /**
+   * Sleep until a time, returning early when stop() is called. Waits longer
+   * than a timer allows (about 24.8 days, e.g. a monthly cron) are slept in
+   * chunks, re-checking the time after each.
+   * @param {Date} date - Wake-up time
+   */
+  async sleepUntil(date) {
+    let ms = date.getTime() - this.now();
+    while (ms > 0 && !this.stopping) {
+      await new Promise(resolve => {
+        const timer = setTimeout(resolve, Math.min(ms, MAX_TIMER_MS));
+        this.wake = () => {
+          clearTimeout(timer);
+          resolve();
+        };
+      });
+      ms = date.getTime() - this.now();
+    }
+    this.wake = null;
+  }
+
+  /**
+   * Request a graceful stop; an in-flight cycle is allowed to finish
+   * @param {string} reason - e.g. the signal name
+   */
+  stop(reason = 'stop') {
+    if (this.stopping) return;
+    this.stopping = true;
+    this.logger.info({ reason }, 'Stopping watch after the current cycle');
+    if (this.wake) this.wake();
+  }
+
+  /**
+   * Compare a new run with the baseline (or previous) run
+   * @returns {Promise<Object|null>} { baselineRunId, report, files } or null
+   */
+  async compareWithBaseline(runId, analysisResults) {
+    const baselineRunId = this.config.watch.baselineRunId || this.state.lastRunId;
+    if (!baselineRunId || baselineRunId === runId) return null;
+
+    let baseline;
+    try {
+      baseline = JSON.parse(await fs.readFile(path.join(this.baseDir, baselineRunId, 'analysis.json'), 'utf-8'));
+    } catch (error) {
+      this.logger.warn({ baselineRunId, error: error.message }, 'Baseline run not readable; skipping comparison');
+      return null;
+    }
+
+    let report;
+    try {
+      report = new RunComparator(this.config, this.logger)
+        .compare(baseline, analysisResults, { run1: baselineRunId, run2: runId });
+    } catch (error) {
+      if (!(error instanceof TaxonomyMismatchError)) throw error;
+      this.logger.warn({ baselineRunId, error: error.message }, 'Baseline uses different tag packs; skipping comparison');
+      return null;
+    }
+    const files = await new ComparisonReporter(this.config, this.logger)
+      .write(path.join(this.baseDir, 'comparisons'), report, ['json', 'md']);
+
+    return { baselineRunId, report, files };
+  }
+
+  /**
+   * Run one cycle: pipeline, comparison, probe scheduling, state
+   * @returns {Promise<Object>} Cycle summary
+   */
+  async runOnce() {
+    const cycle = this.state.cycles + 1;
+    const startedAt = new Date().toISOString();
+    this.logger.info({ cycle }, 'Starting watch cycle');
+
+    const { runId, analysisResults, validationResults, metadata, status } = await this.runCycle({ cycle });
+    // A gated validation failure still produced a run; it is compared and
+    // its violations reach the scheduler like any other
+    if (status?.status === 'failed') {
+      this.logger.warn({ cycle, runId, exitCode: status.exitCode }, 'Watch cycle run failed validation gating');
+    }
+    const comparison = await this.compareWithBaseline(runId, analysisResults);
+
+    const metricDeltas = {};
+    for (const [feature, c] of Object.entries(comparison?.report.comparison ?? {})) {
+      if (!feature.startsWith('_')) metricDeltas[feature] = -c.difference;
+    }
+
+    const tests = comparison?.report.summary.tests ?? 0;
+    const context = new ProbeContextBuilder()
+      .setModelVersion(metadata.gitSha, this.state.lastGitSha ?? metadata.gitSha)
+      .setCohortDrift(tests > 0 ? comparison.report.summary.significant / tests : 0)
+      .setMetricDeltas(metricDeltas)
+      .setPreviousViolations(this.state.lastViolations ?? [])
+      .build();
+    const probeDecision = this.scheduler.schedule(context);
+
+    const summary = {
+      cycle,
+      runId,
+      startedAt,
+      finishedAt: new Date().toISOString(),
+      validation: validationResults.valid ? 'passed' : 'failed',
+      status: status ? { status: status.status, exitCode: status.exitCode } : null,
+      baselineRunId: comparison?.baselineRunId ?? null,
+      comparison: comparison
+        ? { tests, significant: comparison.report.summary.significant, files: comparison.files }
+        : null,
+      probeDecision
+    };
+
+    this.state = {
+      ...this.state,
+      cycles: cycle,
+      lastRunId: runId,
+      lastGitSha: metadata.gitSha,
+      lastViolations: validationResults.violations ?? [],
+      lastCycle: summary,
+      lastError: null
+    };
+    await this.saveState();
+
+    this.logger.info({
+      cycle,
+      runId,
+      baselineRunId: summary.baselineRunId,
+      significant: summary.comparison?.significant ?? null,
+      probeRate: probeDecision.probeRate
+    }, 'Watch cycle complete');
+
+    return summary;
+  }
+
+  /**
+   * Run cycles until stopped (or maxCycles reached)
+   * @param {Object} options - { maxCycles }
+   * @returns {Promise<Object>} Final state
+   */
+  async start({ maxCycles = null } = {}) {
+    await new OutputReporter(this.config, this.logger).cleanupPartialRuns();
+    await this.loadState();
+
+    let completed = 0;
+    // Interval mode runs immediately; cron mode waits for the first match
+    let next = this.cron ? this.nextRunAt() : new Date(this.now());
+
+    while (!this.stopping) {
+      await this.sleepUntil(next);
+      if (this.stopping) break;
+
+      try {
+        await this.runOnce();
+      } catch (error) {
+        this.state.failures = (this.state.failures ?? 0) + 1;
+        this.state.lastError = { at: new Date().toISOString(), message: error.message };
+        await this.saveState();
+        this.logger.error({ error }, 'Watch cycle failed');
+      }
+
+      completed++;
+      if (maxCycles && completed >= maxCycles) break;
+
+      next = this.nextRunAt();
+      this.logger.info({ next: next.toISOString() }, 'Next watch cycle scheduled');
+    }
+
+    this.logger.info({ cycles: completed, stateFile: this.stateFile }, 'Watch stopped');
+    return this.state;
+  }
+}
@@ -0,0 +1,177 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { taxonomyLabel } from '../analyzers/tag-packs.js';
+
+export const COMPARISON_FORMATS = ['json', 'md', 'html'];
+
+const pct = v => (v === null || v === undefined || !Number.isFinite(v) ? '-' : `${(v * 100).toFixed(2)}%`);
+const num = (v, digits = 4) => (v === null || v === undefined || !Number.isFinite(v) ? '-' : v.toFixed(digits));
+const taxonomyNote = (t) => {
+  if (!t) return 'unrecorded';
+  if (t.match === false) return `${taxonomyLabel(t.run1)} vs ${taxonomyLabel(t.run2)} (differ; shared features only)`;
+  return t.match ? taxonomyLabel(t.run1) : `${taxonomyLabel(t.run1)} vs ${taxonomyLabel(t.run2)}`;
+};
+
+/**
+ * Writes run comparison reports as JSON, Markdown and HTML diffs
+ */
+export class ComparisonReporter {
+  constructor(config, logger) {
+    this.config = config;
+    this.logger = logger;
+  }
+
+  /**
+   * Flatten block comparisons into table rows
+   * @param {Object} report - Comparison report from RunComparator
+   * @returns {Array<Object>} Rows sorted by block then feature
+   */
+  rows(report) {
+    const rows = [];
+    for (const [blockKey, block] of Object.entries(report.blocks)) {
+      for (const [feature, c] of Object.entries(block.features)) {
+        rows.push({
+          blockKey,
+          feature,
+          p1: c.block1_prevalence,
+          p2: c.block2_prevalence,
+          difference: c.difference,
+          h: c.effectSize.h,
+          pValue: c.multipleTesting.pValue,
+          qValue: c.multipleTesting.qValue,
+          rejected: c.multipleTesting.rejected
+        });
+      }
+    }
+    return rows;
+  }
+
+  /**
+   * Generate Markdown diff report
+   * @param {Object} report - Comparison report
+   * @returns {string} Markdown
+   */
+  generateMarkdown(report) {
+    const { summary, multipleTesting: mt } = report;
+    const lines = [
+      `# Run Comparison: ${report.run1} vs ${report.run2}`,
+      '',
+      `- Shared blocks: ${summary.sharedBlocks}`,
+      `- Block × feature tests: ${summary.tests}`,
+      `- Significant after BH (q=${mt.qTarget}): ${summary.significant}`,
+      `- Blocks only in ${report.run1}: ${report.onlyInRun1.length}`,
+      `- Blocks only in ${report.run2}: ${report.onlyInRun2.length}`,
+      `- Tag packs: ${taxonomyNote(report.taxonomy)}`,
+      '',
+      '## Significant Shifts',
+      ''
+    ];
+
+    if (report.significant.length === 0) {
+      lines.push('None.');
+    } else {
+      lines.push('| Block | Feature | Run 1 | Run 2 | Δ | q |', '|---|---|---|---|---|---|');
+      for (const s of report.significant) {
+        lines.push(`| ${s.blockKey} | ${s.feature} | ${pct(s.block1_prevalence)} | ${pct(s.block2_prevalence)} | ${pct(s.difference)} | ${num(s.qValue)} |`);
+      }
+    }
+
+    lines.push('', '## Overall', '', '| Feature | Run 1 | Run 2 | Δ | q |', '|---|---|---|---|---|');
+    for (const [feature, c] of Object.entries(report.comparison)) {
+      if (feature.startsWith('_')) continue;
+      lines.push(`| ${feature} | ${pct(c.block1_prevalence)} | ${pct(c.block2_prevalence)} | ${pct(c.difference)} | ${num(c.multipleTesting.qValue)} |`);
+    }
+
+    lines.push('', '## All Block Comparisons', '', '| Block | Feature | Run 1 | Run 2 | Δ | h | p | q |', '|---|---|---|---|---|---|---|---|');
+    for (const r of this.rows(report)) {
+      lines.push(`| ${r.blockKey} | ${r.feature} | ${pct(r.p1)} | ${pct(r.p2)} | ${pct(r.difference)} | ${num(r.h, 3)} | ${num(r.pValue)} | ${num(r.qValue)}${r.rejected ? ' *' : ''} |`);
+    }
+
+    for (const [label, blocks] of [[report.run1, report.onlyInRun1], [report.run2, report.onlyInRun2]]) {
+      if (blocks.length === 0) continue;
+      lines.push('', `## Blocks Only in ${label}`, '');
+      for (const b of blocks) {
+        lines.push(`- ${b.blockKey} (n=${b.sampleSize})`);
+      }
+    }
+
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * Generate HTML diff report
+   * @param {Object} report - Comparison report
+   * @returns {string} HTML content
+   */
+  generateHtml(report) {
+    const { summary, multipleTesting: mt } = report;
+    const unmatched = (label, blocks) => (blocks.length === 0 ? '' : `
+  <h2>Blocks Only in ${label}</h2>
+  <ul>${blocks.map(b => `<li><code>${b.blockKey}</code> (n=${b.sampleSize})</li>`).join('')}</ul>`);
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <title>CER-Telemetry Comparison - ${report.run1} vs ${report.run2}</title>
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Arial, sans-serif; max-width: 1200px; margin: 0 auto; padding: 20px; }
+    h1 { color: #2c3e50; border-bottom: 3px solid #3498db; padding-bottom: 10px; }
+    table { width: 100%; border-collapse: collapse; margin: 20px 0; }
+    th, td { padding: 8px; text-align: left; border-bottom: 1px solid #ddd; }
+    th { background-color: #3498db; color: white; }
+    tr.rejected { background: #fff5f5; font-weight: bold; }
+    .up { color: #e74c3c; }
+    .down { color: #27ae60; }
+  </style>
+</head>
+<body>
+  <h1>Run Comparison</h1>
+  <p><code>${report.run1}</code> vs <code>${report.run2}</code></p>
+  <p>${summary.tests} block × feature tests over ${summary.sharedBlocks} shared blocks;
+     <strong>${summary.significant}</strong> significant after Benjamini-Hochberg at q=${mt.qTarget}.</p>
+  <p>Tag packs: ${taxonomyNote(report.taxonomy)}</p>
+  <table>
+    <thead><tr><th>Block</th><th>Feature</th><th>Run 1</th><th>Run 2</th><th>Δ</th><th>Cohen's h</th><th>p</th><th>q</th></tr></thead>
+    <tbody>
+      ${this.rows(report).map(r => `<tr${r.rejected ? ' class="rejected"' : ''}><td><code>${r.blockKey}</code></td><td>${r.feature}</td><td>${pct(r.p1)}</td><td>${pct(r.p2)}</td><td class="${r.difference > 0 ? 'up' : r.difference < 0 ? 'down' : ''}">${pct(r.difference)}</td><td>${num(r.h, 3)}</td><td>${num(r.pValue)}</td><td>${num(r.qValue)}</td></tr>`).join('\n      ')}
+    </tbody>
+  </table>${unmatched(report.run1, report.onlyInRun1)}${unmatched(report.run2, report.onlyInRun2)}
+</body>
+</html>`;
+  }
+
+  /**
+   * Write the report in the requested formats
+   * @param {string} dir - Output directory
+   * @param {Object} report - Comparison report
+   * @param {Array<string>} formats - Subset of COMPARISON_FORMATS
+   * @returns {Promise<Object>} Written file paths by format
+   */
+  async write(dir, report, formats = COMPARISON_FORMATS) {
+    const unknown = formats.filter(f => !COMPARISON_FORMATS.includes(f));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown comparison format(s): ${unknown.join(', ')} (allowed: ${COMPARISON_FORMATS.join(', ')})`);
+    }
+
+    await fs.mkdir(dir, { recursive: true });
+    const stem = `compare_${report.run1}_vs_${report.run2}`.replace(/[^A-Za-z0-9_.-]/g, '_');
+    const files = {};
+
+    if (formats.includes('json')) {
+      files.json = path.join(dir, `${stem}.json`);
+      await fs.writeFile(files.json, JSON.stringify(report, null, 2), 'utf-8');
+    }
+    if (formats.includes('md')) {
+      files.md = path.join(dir, `${stem}.md`);
+      await fs.writeFile(files.md, this.generateMarkdown(report), 'utf-8');
+    }
+    if (formats.includes('html')) {
+      files.html = path.join(dir, `${stem}.html`);
+      await fs.writeFile(files.html, this.generateHtml(report), 'utf-8');
+    }
+
+    this.logger.info({ dir, files }, 'Wrote comparison report');
+    return files;
+  }
+}
@@ -0,0 +1,161 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import zlib from 'zlib';
+import { promisify } from 'util';
+import { sha256Hex } from '../utils/hashing.js';
+import { PiiDetector } from '../utils/pii-detector.js';
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+/**
+ * Raw input snapshot stored next to meta.json so a run can be replayed
+ */
+export class InputSnapshot {
+  constructor(config, logger) {
+    this.config = config;
+    this.logger = logger;
+  }
+
+  /**
+   * Snapshot options with defaults applied
+   * @returns {Object} { enabled, compress, redact }
+   */
+  options() {
+    return {
+      enabled: true,
+      compress: true,
+      redact: false,
+      ...(this.config?.output?.snapshot || {})
+    };
+  }
+
+  /**
+   * Write the raw posts of a run as JSONL (optionally gzipped and PII-redacted)
+   * @param {string} dir - Run directory
+   * @param {Array<Object>} posts - Raw posts as fed to the analyzer
+   * @returns {Promise<Object>} Snapshot descriptor for meta.json
+   */
+  async write(dir, posts) {
+    const { compress, redact } = this.options();
+
+    // Redaction is limited to free text so ids and timestamps (and therefore
+    // the run's dataHash) survive the round trip.
+    const piiDetector = redact ? new PiiDetector(this.config, this.logger) : null;
+    const rows = redact
+      ? posts.map(p => (typeof p.content === 'string' ? { ...p, content: piiDetector.redact(p.content) } : p))
+      : posts;
+
+    const text = rows.map(p => JSON.stringify(p)).join('\n') + '\n';
+    const file = compress ? 'input_snapshot.jsonl.gz' : 'input_snapshot.jsonl';
+    const body = compress ? await gzip(Buffer.from(text, 'utf-8')) : text;
+
+    await fs.writeFile(path.join(dir, file), body);
+
+    const descriptor = {
+      file,
+      format: 'jsonl',
+      compressed: compress,
+      redacted: redact,
+      records: rows.length,
+      sha256: sha256Hex(text)
+    };
+
+    this.logger.info({ filepath: path.join(dir, file), records: rows.length, redact }, 'Wrote input snapshot');
+    return descriptor;
+  }
+
+  /**
+   * Read a snapshot back and verify its content hash
+   * @param {string} dir - Run directory
+   * @param {Object} descriptor - Snapshot descriptor from meta.json
+   * @returns {Promise<Object>} { posts, sha256, verified }
+   */
+  async read(dir, descriptor) {
+    if (!descriptor?.file) {
+      throw new Error(`Run has no input snapshot: ${dir}`);
+    }
+
+    const raw = await fs.readFile(path.join(dir, descriptor.file));
+    const text = descriptor.compressed ? (await gunzip(raw)).toString('utf-8') : raw.toString('utf-8');
+    const sha256 = sha256Hex(text);
+
+    const posts = text
+      .split('\n')
+      .filter(line => line.trim().length > 0)
+      .map(line => JSON.parse(line));
+
+    return {
+      posts,
+      sha256,
+      verified: sha256 === descriptor.sha256
+    };
+  }
+}
+
+/**
+ * Posts rejected at ingest, written to quarantine.jsonl batch by batch so
+ * quarantined records (raw posts included) never pile up in memory on
+ * inputs with many invalid rows. Rows are appended to a spool file and moved
+ * into the run directory when the run is written. The file is never
+ * compressed, so it can be inspected directly; content is redacted like the
+ * snapshot.
+ */
+export class QuarantineSpool {
+  /**
+   * @param {Object} config - Configuration (uses output.snapshot.redact)
+   * @param {Object} logger - Logger
+   * @param {string} file - Spool file path
+   */
+  constructor(config, logger, file) {
+    this.logger = logger;
+    this.file = file;
+    this.redact = new InputSnapshot(config, logger).options().redact;
+    this.piiDetector = this.redact ? new PiiDetector(config, logger) : null;
+    this.hash = crypto.createHash('sha256');
+    this.records = 0;
+  }
+
+  /**
+   * Append one batch of quarantined records
+   * @param {Array<Object>} quarantined - [{ index, reasons, record }]
+   */
+  async append(quarantined) {
+    if (quarantined.length === 0) return;
+
+    const text = quarantined.map(({ index, reasons, record }) => JSON.stringify({
+      index,
+      reasons,
+      record: this.redact && typeof record?.content === 'string'
+        ? { ...record, content: this.piiDetector.redact(record.content) }
+        : record
+    }) + '\n').join('');
+
+    await fs.mkdir(path.dirname(this.file), { recursive: true });
+    await fs.appendFile(this.file, text, 'utf-8');
+    this.hash.update(text, 'utf-8');
+    this.records += quarantined.length;
+  }
+
+  /**
+   * Move the spooled records into a run directory as quarantine.jsonl
+   * @param {string} dir - Run directory
+   * @returns {Promise<Object|null>} { file, records, sha256 }, null when nothing was quarantined
+   */
+  async moveTo(dir) {
+    if (this.records === 0) return null;
+
+    const file = 'quarantine.jsonl';
+    await fs.rename(this.file, path.join(dir, file));
+    this.logger.info({ filepath: path.join(dir, file), records: this.records, redact: this.redact }, 'Wrote quarantined posts');
+    return { file, records: this.records, sha256: this.hash.digest('hex') };
+  }
+
+  /**
+   * Remove the spool file of a run that failed before it was written
+   */
+  async discard() {
+    await fs.rm(this.file, { force: true });
+  }
+}
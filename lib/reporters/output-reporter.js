@@ -3,6 +3,12 @@ import path from 'path';
 import { createObjectCsvWriter } from 'csv-writer';
 import crypto from 'crypto';
 import { SafetyReportReporter } from './safety-report-reporter.js';
+import { InputSnapshot, QuarantineSpool } from './input-snapshot.js';
+import { RunRegistry } from './run-registry.js';
+import { canonicalHash } from '../utils/hashing.js';
+
+// Prefix of staging directories for runs that are still being written
+export const PARTIAL_PREFIX = '.partial-';
 
 /**
  * Output reporter for multiple formats
@@ -51,6 +57,7 @@ export class OutputReporter {
       codeVersion: additionalMeta.codeVersion || 'unknown',
       configHash: this.hashConfig(this.config),
       config: this.config,
+      analysisHash: canonicalHash(analysisResults),
       summary: analysisResults.summary,
       validation: additionalMeta.validation,
       ...additionalMeta
@@ -164,6 +171,77 @@ export class OutputReporter {
     return records;
   }
 
+  /**
+   * HTML section for the intra-run prevalence series: the overall series per
+   * window and, with trend detection on, the overall Mann-Kendall results
+   * plus every significant block trend
+   * @param {Object} overall - Overall block analysis
+   * @param {Object} blocks - Block analyses
+   * @returns {string} HTML ('' when the run has no timed windows)
+   */
+  renderSeriesSection(overall, blocks) {
+    const series = overall.series;
+    if (!series || series.windows === 0) return '';
+
+    const features = Object.keys(overall.prevalences);
+    const pct = v => `${(v * 100).toFixed(2)}%`;
+    const trendRows = [['overall', series.trends]]
+      .concat(Object.entries(blocks).map(([key, block]) => [key, block.series?.trends]))
+      .flatMap(([key, trends]) => Object.entries(trends ?? {})
+        .filter(([, t]) => key === 'overall' || t.significant)
+        .map(([feature, t]) => ({ key, feature, ...t })));
+
+    return `
+    <div class="section">
+      <h2>Prevalence Over Time</h2>
+      <p>${series.windows} windows${series.untimed ? `; ${series.untimed} posts without a timestamp` : ''}</p>
+      <table>
+        <thead>
+          <tr>
+            <th>Window</th>
+            <th>Posts</th>
+            ${features.map(f => `<th>${f}</th>`).join('')}
+          </tr>
+        </thead>
+        <tbody>
+          ${series.buckets.map(b => `
+            <tr>
+              <td>${b.start}</td>
+              <td>${b.count}</td>
+              ${features.map(f => `<td>${pct(b.prevalences[f].prevalence)} [${pct(b.prevalences[f].lower)}, ${pct(b.prevalences[f].upper)}]</td>`).join('')}
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+      ${series.trends ? `
+      <h3>Mann-Kendall Trends (overall, and significant block trends)</h3>
+      <table>
+        <thead>
+          <tr>
+            <th>Block</th>
+            <th>Feature</th>
+            <th>Trend</th>
+            <th>Tau</th>
+            <th>p</th>
+            <th>Sen's Slope / hour</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${trendRows.map(t => `
+            <tr>
+              <td>${t.key}</td>
+              <td>${t.feature}</td>
+              <td>${t.trend}</td>
+              <td>${t.tau.toFixed(3)}</td>
+              <td>${t.pValue === null ? '-' : t.pValue.toFixed(4)}</td>
+              <td>${t.sensSlopePerHour === null ? '-' : pct(t.sensSlopePerHour)}</td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>` : ''}
+    </div>`;
+  }
+
   /**
    * Generate HTML report
    * @param {Object} metadata - Run metadata
@@ -172,7 +250,7 @@ export class OutputReporter {
    * @returns {string} HTML content
    */
   generateHtmlReport(metadata, analysisResults, validationResults) {
-    const { summary, overall, blocks } = analysisResults;
+    const { summary, overall, blocks, blockLedger } = analysisResults;
 
     const html = `<!DOCTYPE html>
 <html lang="en">
@@ -288,6 +366,17 @@ export class OutputReporter {
         <div class="metric-label">Blocks</div>
         <div class="metric-value">${summary.blockCount}</div>
       </div>
+      ${blockLedger ? `
+      <div class="metric">
+        <div class="metric-label">Small Blocks (${blockLedger.strategy})</div>
+        <div class="metric-value">${['merged', 'pooled', 'dropped']
+          .map(action => `${blockLedger.summary[action].posts} ${action}`).join(' / ')}</div>
+      </div>` : ''}
+      ${summary.weighting ? `
+      <div class="metric">
+        <div class="metric-label">Effective n (${summary.weighting.method})</div>
+        <div class="metric-value">${summary.weighting.effectiveN.toFixed(1)} (deff ${summary.weighting.designEffect?.toFixed(2) ?? 'n/a'})</div>
+      </div>` : ''}
     </div>
 
     <div class="section">
@@ -299,6 +388,8 @@ export class OutputReporter {
             <th>Count</th>
             <th>Prevalence</th>
             <th>95% CI</th>
+            ${overall.designWeightedPrevalences ? '<th>Design-Weighted</th>' : ''}
+            ${overall.calibratedPrevalences ? '<th>Calibrated</th><th>Calibrated CI</th>' : ''}
           </tr>
         </thead>
         <tbody>
@@ -308,12 +399,21 @@ export class OutputReporter {
               <td>${prev.count} / ${prev.total}</td>
               <td>${(prev.prevalence * 100).toFixed(2)}%</td>
               <td>[${(prev.confidence.lower * 100).toFixed(2)}%, ${(prev.confidence.upper * 100).toFixed(2)}%]</td>
+              ${overall.designWeightedPrevalences
+                ? `<td>${(overall.designWeightedPrevalences[feature].prevalence * 100).toFixed(2)}%</td>`
+                : ''}
+              ${overall.calibratedPrevalences ? (cal => `
+              <td>${(cal.prevalence * 100).toFixed(2)}%</td>
+              <td>[${(cal.confidence.lower * 100).toFixed(2)}%, ${(cal.confidence.upper * 100).toFixed(2)}%]</td>`)(overall.calibratedPrevalences[feature])
+                : ''}
             </tr>
           `).join('')}
         </tbody>
       </table>
     </div>
 
+    ${this.renderSeriesSection(overall, blocks)}
+
     <div class="section">
       <h2>Block Analysis</h2>
       ${Object.entries(blocks).map(([blockKey, block]) => `
@@ -357,24 +457,147 @@ export class OutputReporter {
    * @param {Object} analysisResults - Analysis results
    * @param {Object} validationResults - Validation results
    * @param {Object} additionalMeta - Additional metadata
+   * @param {Object} options - { inputPosts, quarantine, groundTruth, status } raw posts to snapshot
+   *   for replay, QuarantineSpool of posts rejected at ingest, synthetic-run ground truth, run status
    * @returns {Promise<Object>} Output paths
    */
-  async writeOutputs(analysisResults, validationResults, additionalMeta = {}) {
-    const runId = additionalMeta.runId || this.generateRunId();
-    const dir = await this.createOutputDirectory(runId);
+  async writeOutputs(analysisResults, validationResults, additionalMeta = {}, options = {}) {
+    return this.writeStaged(
+      additionalMeta.runId || this.generateRunId(),
+      (dir, outputs) => this.writeRunFiles(dir, outputs, analysisResults, validationResults, additionalMeta, options)
+    );
+  }
+
+  /**
+   * Write a run directory atomically and register the run. Files are written
+   * into a hidden `.partial-<runId>` staging directory that is renamed into
+   * place at the end, so an interrupted run never leaves a half-written run
+   * directory for the registry or `list` to see.
+   * @param {string} runId - Run identifier
+   * @param {Function} write - async (dir, outputs) => metadata; writes the
+   *   files into dir, records them in outputs.files and returns the metadata
+   *   to index
+   * @returns {Promise<Object>} Output paths { runId, dir, files }
+   */
+  async writeStaged(runId, write) {
+    const finalDir = path.join(this.config.output.baseDir, runId);
+
+    if (await fs.stat(finalDir).then(() => true, () => false)) {
+      throw new Error(`Run directory already exists: ${finalDir}`);
+    }
+
+    const dir = path.join(this.config.output.baseDir, `${PARTIAL_PREFIX}${runId}`);
+    await fs.rm(dir, { recursive: true, force: true });
+    await fs.mkdir(dir, { recursive: true });
+
+    const outputs = { runId, dir, files: {} };
+    let metadata;
+
+    try {
+      metadata = await write(dir, outputs);
+      await fs.rename(dir, finalDir);
+    } catch (error) {
+      await fs.rm(dir, { recursive: true, force: true });
+      throw error;
+    }
+
+    outputs.dir = finalDir;
+    for (const [name, filepath] of Object.entries(outputs.files)) {
+      outputs.files[name] = path.join(finalDir, path.relative(dir, filepath));
+    }
+
+    // Index the run so `list` and `trend` can query without scanning directories
+    await new RunRegistry(this.config, this.logger).register(metadata);
+
+    this.logger.info({ runId, dir: finalDir, fileCount: Object.keys(outputs.files).length },
+      'Wrote all outputs');
+
+    return outputs;
+  }
+
+  /**
+   * Spool for a run's quarantined records, next to its staging directory so
+   * cleanupPartialRuns() also removes one left by an interrupted run
+   * @param {string} runId - Run identifier
+   * @returns {QuarantineSpool}
+   */
+  quarantineSpool(runId) {
+    return new QuarantineSpool(this.config, this.logger,
+      path.join(this.config.output.baseDir, `${PARTIAL_PREFIX}${runId}.quarantine.jsonl`));
+  }
+
+  /**
+   * Remove staging directories left behind by interrupted runs
+   * @returns {Promise<Array<string>>} Removed directories
+   */
+  async cleanupPartialRuns() {
+    const baseDir = this.config.output.baseDir;
+    let names = [];
+    try {
+      names = await fs.readdir(baseDir);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    const removed = [];
+    for (const name of names.filter(n => n.startsWith(PARTIAL_PREFIX))) {
+      const dir = path.join(baseDir, name);
+      await fs.rm(dir, { recursive: true, force: true });
+      removed.push(dir);
+    }
+
+    if (removed.length > 0) {
+      this.logger.warn({ removed }, 'Removed partial run directories from interrupted runs');
+    }
+    return removed;
+  }
+
+  /**
+   * Write every artifact of a run into a directory
+   * @param {string} dir - Directory to write into
+   * @param {Object} outputs - { runId, files } (files is filled in)
+   * @param {Object} analysisResults - Analysis results
+   * @param {Object} validationResults - Validation results
+   * @param {Object} additionalMeta - Additional metadata
+   * @param {Object} options - { inputPosts, quarantine, groundTruth, status }
+   * @returns {Promise<Object>} Run metadata as written to meta.json
+   */
+  async writeRunFiles(dir, outputs, analysisResults, validationResults, additionalMeta, options) {
+    const { runId } = outputs;
+
+    // Input snapshot first so meta.json can describe it
+    let inputSnapshot;
+    if (options.inputPosts && this.config.output.snapshot?.enabled) {
+      const snapshot = new InputSnapshot(this.config, this.logger);
+      inputSnapshot = await snapshot.write(dir, options.inputPosts);
+      outputs.files.input_snapshot = path.join(dir, inputSnapshot.file);
+    }
+
+    let quarantine = additionalMeta.quarantine;
+    const written = options.quarantine ? await options.quarantine.moveTo(dir) : null;
+    if (written) {
+      quarantine = { ...quarantine, file: written.file, sha256: written.sha256 };
+      outputs.files.quarantine = path.join(dir, written.file);
+    }
 
     const metadata = this.generateMetadata(analysisResults, {
       ...additionalMeta,
+      ...(inputSnapshot ? { inputSnapshot } : {}),
+      ...(quarantine ? { quarantine } : {}),
       runId,
       validation: validationResults
     });
 
-    const outputs = { runId, dir, files: {} };
-
     // Write metadata
     await this.writeJson(dir, 'meta.json', metadata);
     outputs.files.meta = path.join(dir, 'meta.json');
 
+    // Synthetic runs: generated labels and how the analysis compared
+    if (options.groundTruth) {
+      await this.writeJson(dir, 'ground_truth.json', options.groundTruth);
+      outputs.files.ground_truth = path.join(dir, 'ground_truth.json');
+    }
+
     // Write formats specified in config
     if (this.config.output.formats.includes('json')) {
       await this.writeJson(dir, 'analysis.json', analysisResults);
@@ -422,9 +645,12 @@ export class OutputReporter {
       }
     }
 
-    this.logger.info({ runId, dir, fileCount: Object.keys(outputs.files).length }, 
-      'Wrote all outputs');
+    // Machine-readable outcome for CI gating (last, so it reflects a complete run)
+    if (options.status) {
+      await this.writeJson(dir, 'status.json', options.status);
+      outputs.files.status = path.join(dir, 'status.json');
+    }
 
-    return outputs;
+    return metadata;
   }
 }
@@ -0,0 +1,287 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * Fields that can be used in registry queries
+ */
+export const REGISTRY_FIELDS = [
+  'runId',
+  'kind',
+  'timestamp',
+  'configHash',
+  'dataHash',
+  'analysisHash',
+  'gitSha',
+  'packageVersion',
+  'validation',
+  'violationCount',
+  'source',
+  'sourceHash',
+  'uniquePosts',
+  'blockCount'
+];
+
+const OPERATORS = ['>=', '<=', '!=', '=', '>', '<', '~'];
+
+/**
+ * Parse a --where expression such as "timestamp>=2024-02-01,validation=passed"
+ * @param {string} expr - Comma-separated conditions
+ * @returns {Array<Object>} Conditions as { field, op, value }
+ */
+export function parseWhere(expr) {
+  if (!expr) return [];
+
+  return String(expr).split(',').map(s => s.trim()).filter(Boolean).map(condition => {
+    const op = OPERATORS
+      .map(o => ({ o, i: condition.indexOf(o) }))
+      .filter(({ i }) => i > 0)
+      .sort((a, b) => a.i - b.i || b.o.length - a.o.length)[0]?.o;
+
+    if (!op) {
+      throw new Error(`Invalid --where condition: "${condition}" (expected field<op>value with ${OPERATORS.join(' ')})`);
+    }
+
+    const [field, ...rest] = condition.split(op);
+    const name = field.trim();
+    if (!REGISTRY_FIELDS.includes(name)) {
+      throw new Error(`Unknown run field in --where: ${name} (allowed: ${REGISTRY_FIELDS.join(', ')})`);
+    }
+
+    return { field: name, op, value: rest.join(op).trim() };
+  });
+}
+
+/**
+ * Parse a --sort expression such as "timestamp:desc"
+ * @param {string} expr - field[:asc|desc]
+ * @returns {Object} { field, direction }
+ */
+export function parseSort(expr) {
+  const [field = 'timestamp', direction = 'asc'] = String(expr || 'timestamp').split(':');
+  if (!REGISTRY_FIELDS.includes(field)) {
+    throw new Error(`Unknown run field in --sort: ${field}`);
+  }
+  if (!['asc', 'desc'].includes(direction)) {
+    throw new Error(`Invalid sort direction: ${direction}`);
+  }
+  return { field, direction };
+}
+
+/**
+ * Compare an entry value with a query value (timestamps as dates, numerics as numbers)
+ */
+function compareValues(field, a, b) {
+  if (a === null || a === undefined) return null;
+
+  if (field === 'timestamp') {
+    const ta = Date.parse(a);
+    const tb = Date.parse(b);
+    if (Number.isFinite(ta) && Number.isFinite(tb)) return ta - tb;
+  }
+
+  const na = Number(a);
+  const nb = Number(b);
+  if (typeof a === 'number' && Number.isFinite(nb)) return na - nb;
+
+  return String(a).localeCompare(String(b));
+}
+
+/**
+ * Persistent, append-only index of runs under the output directory.
+ * Each line of index.jsonl is one run entry; a later line for the same runId
+ * supersedes an earlier one, so updates never rewrite history. Only rebuild()
+ * replaces the file, by writing a new index and renaming it over the old one.
+ */
+export class RunRegistry {
+  constructor(config, logger) {
+    this.config = config;
+    this.logger = logger;
+    this.baseDir = config.output.baseDir;
+    this.indexPath = path.join(this.baseDir, 'index.jsonl');
+  }
+
+  /**
+   * Build an index entry from run metadata
+   * @param {Object} metadata - meta.json contents
+   * @returns {Object} Registry entry
+   */
+  entryFromMetadata(metadata) {
+    const source = metadata.source;
+    const sourceLabel = (source && typeof source === 'object')
+      ? `${source.type}:${source.path ?? source.url ?? source.scenario ?? ''}`
+      : (source ?? null);
+
+    const validation = metadata.validation;
+
+    return {
+      runId: metadata.runId,
+      kind: metadata.kind ?? 'analysis',
+      timestamp: metadata.timestamp,
+      dir: metadata.runId,
+      configHash: metadata.configHash ?? null,
+      dataHash: metadata.dataHash ?? null,
+      analysisHash: metadata.analysisHash ?? null,
+      gitSha: metadata.gitSha ?? metadata.codeVersion ?? null,
+      packageVersion: metadata.packageVersion ?? null,
+      validation: validation ? (validation.valid ? 'passed' : 'failed') : 'unknown',
+      violationCount: validation?.violations?.length ?? null,
+      source: sourceLabel,
+      sourceHash: (source && typeof source === 'object') ? (source.sha256 ?? null) : null,
+      uniquePosts: metadata.summary?.uniquePosts ?? null,
+      blockCount: metadata.summary?.blockCount ?? null
+    };
+  }
+
+  /**
+   * Append a run to the index
+   * @param {Object} metadata - meta.json contents
+   * @returns {Promise<Object>} Entry written
+   */
+  async register(metadata) {
+    const entry = this.entryFromMetadata(metadata);
+    await fs.mkdir(this.baseDir, { recursive: true });
+    await fs.appendFile(this.indexPath, JSON.stringify(entry) + '\n', 'utf-8');
+    this.logger.debug({ runId: entry.runId, index: this.indexPath }, 'Registered run');
+    return entry;
+  }
+
+  /**
+   * Load the index (latest entry per runId)
+   * @returns {Promise<Array<Object>>} Entries
+   */
+  async load() {
+    let text;
+    try {
+      text = await fs.readFile(this.indexPath, 'utf-8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const byRun = new Map();
+    for (const line of text.split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        const entry = JSON.parse(line);
+        byRun.set(entry.runId, entry);
+      } catch {
+        this.logger.warn({ index: this.indexPath }, 'Skipping corrupt registry line');
+      }
+    }
+
+    return [...byRun.values()];
+  }
+
+  /**
+   * Rebuild the index by scanning run directories (for runs written before
+   * the registry existed, or after manual cleanup)
+   * @returns {Promise<Array<Object>>} Entries
+   */
+  async rebuild() {
+    const entries = [];
+    for (const dir of await this.directories()) {
+      try {
+        const meta = JSON.parse(await fs.readFile(path.join(this.baseDir, dir, 'meta.json'), 'utf-8'));
+        entries.push({ ...this.entryFromMetadata(meta), dir });
+      } catch {
+        // Not a run directory
+      }
+    }
+
+    entries.sort((a, b) => compareValues('timestamp', a.timestamp, b.timestamp) ?? 0);
+
+    // Replace the index atomically, so an interrupted rebuild never truncates it
+    await fs.mkdir(this.baseDir, { recursive: true });
+    const text = entries.map(e => JSON.stringify(e)).join('\n') + (entries.length ? '\n' : '');
+    await fs.writeFile(`${this.indexPath}.tmp`, text, 'utf-8');
+    await fs.rename(`${this.indexPath}.tmp`, this.indexPath);
+    this.logger.info({ index: this.indexPath, runs: entries.length }, 'Rebuilt run registry');
+
+    return entries;
+  }
+
+  /**
+   * Load the index, rebuilding it first when it disagrees with the run
+   * directories on disk: a run directory it does not list (runs that predate
+   * the registry, or copied in by hand) or an entry whose directory is gone
+   * @returns {Promise<Array<Object>>} Entries
+   */
+  async sync() {
+    const entries = await this.load();
+    const dirs = await this.directories();
+    const indexed = new Set(entries.map(e => e.dir));
+    const present = new Set(dirs);
+
+    const stale = entries.filter(e => !present.has(e.dir)).length;
+    let unindexed = 0;
+    for (const dir of dirs) {
+      if (indexed.has(dir)) continue;
+      const isRun = await fs.access(path.join(this.baseDir, dir, 'meta.json')).then(() => true, () => false);
+      if (isRun) unindexed++;
+    }
+
+    if (stale === 0 && unindexed === 0) return entries;
+    this.logger.warn({ index: this.indexPath, entries: entries.length, unindexed, stale },
+      'Run registry is out of date with the run directories; rebuilding it');
+    return this.rebuild();
+  }
+
+  /**
+   * Names of the directories under baseDir that may hold runs
+   * @returns {Promise<Array<string>>} Directory names
+   */
+  async directories() {
+    let dirents = [];
+    try {
+      dirents = await fs.readdir(this.baseDir, { withFileTypes: true });
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+    // Hidden directories hold partial (in-progress or interrupted) runs and caches
+    return dirents.filter(d => d.isDirectory() && !d.name.startsWith('.')).map(d => d.name);
+  }
+
+  /**
+   * Query runs
+   * @param {Object} options - { where, sort, limit } (where/sort as strings or parsed)
+   * @returns {Promise<Array<Object>>} Matching entries
+   */
+  async query({ where = [], sort = 'timestamp:asc', limit = null } = {}) {
+    const conditions = typeof where === 'string' ? parseWhere(where) : where;
+    const order = typeof sort === 'string' ? parseSort(sort) : sort;
+
+    let entries = await this.load();
+
+    entries = entries.filter(entry => conditions.every(({ field, op, value }) => {
+      const actual = entry[field];
+      if (op === '~') return actual !== null && actual !== undefined && String(actual).includes(value);
+
+      const cmp = compareValues(field, actual, value);
+      if (cmp === null) return op === '!=';
+
+      switch (op) {
+        case '=': return cmp === 0;
+        case '!=': return cmp !== 0;
+        case '>': return cmp > 0;
+        case '>=': return cmp >= 0;
+        case '<': return cmp < 0;
+        case '<=': return cmp <= 0;
+        default: return false;
+      }
+    }));
+
+    const sign = order.direction === 'desc' ? -1 : 1;
+    entries.sort((a, b) => {
+      const av = a[order.field];
+      const bv = b[order.field];
+      // Entries missing the sort field go last regardless of direction
+      if ((av === null || av === undefined) !== (bv === null || bv === undefined)) {
+        return (av === null || av === undefined) ? 1 : -1;
+      }
+      const cmp = compareValues(order.field, av, bv) ?? 0;
+      return sign * cmp || String(a.runId).localeCompare(String(b.runId));
+    });
+
+    return limit ? entries.slice(0, limit) : entries;
+  }
+}
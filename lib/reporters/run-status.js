@@ -0,0 +1,103 @@
+import {
+  ExitCode,
+  exitCodeFor,
+  exitCodeForViolations,
+  summarizeViolations
+} from '../utils/exit-codes.js';
+
+/**
+ * Status label for an exit code
+ */
+function statusLabel(exitCode) {
+  if (exitCode === ExitCode.SUCCESS) return 'passed';
+  if (exitCode === ExitCode.SUCCESS_WITH_WARNINGS) return 'passed_with_warnings';
+  return 'failed';
+}
+
+/**
+ * Machine-readable status for a completed run (status.json)
+ *
+ * Only runs that got as far as writing outputs have a run directory, so this
+ * status never describes collection, PII-gate or manifest failures; those
+ * come from failureStatus() and reach disk only through `--status-file`.
+ * @param {Object} params - { runId, source, postCount, piiSummary, validationResults, gated }
+ *   gated: whether blocking invariant violations fail the run
+ * @returns {Object} Run status
+ */
+export function buildRunStatus({ runId, source, postCount, piiSummary, validationResults, gated = true }) {
+  const violations = summarizeViolations(validationResults);
+  const warnings = [];
+
+  let exitCode = exitCodeForViolations(violations);
+  let reason = violations.highest ? `invariant_${violations.highest}` : 'success';
+
+  if (!gated && exitCode !== ExitCode.SUCCESS) {
+    warnings.push(`Invariant violations not gated (highest severity: ${violations.highest})`);
+    exitCode = ExitCode.SUCCESS_WITH_WARNINGS;
+  } else if (violations.highest === 'warning') {
+    warnings.push(`${violations.bySeverity.warning} warning-level invariant violation(s)`);
+  }
+
+  if ((piiSummary?.findings ?? 0) > 0) {
+    warnings.push(`PII detected in raw posts (${piiSummary.findings} finding(s))`);
+    if (exitCode === ExitCode.SUCCESS) exitCode = ExitCode.SUCCESS_WITH_WARNINGS;
+  }
+
+  if (exitCode === ExitCode.SUCCESS_WITH_WARNINGS && reason === 'success') {
+    reason = 'warnings';
+  }
+
+  return {
+    runId,
+    timestamp: new Date().toISOString(),
+    status: statusLabel(exitCode),
+    exitCode,
+    reason,
+    collection: {
+      ok: true,
+      source: (source && typeof source === 'object') ? source.type : (source ?? null),
+      posts: postCount ?? null
+    },
+    pii: {
+      findings: piiSummary?.findings ?? 0,
+      instances: piiSummary?.instances ?? 0,
+      blocked: false
+    },
+    validation: {
+      valid: !!validationResults?.valid,
+      gated,
+      highestSeverity: violations.highest,
+      bySeverity: violations.bySeverity,
+      byInvariant: violations.byInvariant
+    },
+    warnings
+  };
+}
+
+/**
+ * Status for a run that ended with an error before or while writing outputs
+ * @param {string} runId - Run identifier
+ * @param {Error} error - Thrown error
+ * @returns {Object} Run status
+ */
+export function failureStatus(runId, error) {
+  const exitCode = exitCodeFor(error);
+  const reason = error.reason
+    ?? (error.name === 'ManifestError' ? 'manifest_missing' : 'error');
+
+  return {
+    runId,
+    timestamp: new Date().toISOString(),
+    status: 'failed',
+    exitCode,
+    reason,
+    message: String(error.message).split('\n')[0],
+    collection: { ok: exitCode !== ExitCode.COLLECTION_FAILED, network: error.details?.network },
+    pii: { blocked: exitCode === ExitCode.PII_DETECTED, ...(error.details?.piiSummary ?? {}) },
+    manifest: exitCode === ExitCode.MANIFEST_MISSING
+      ? { ok: false, missing: error.details?.missing ?? [] }
+      : undefined,
+    validation: error.details?.status?.validation,
+    warnings: []
+  };
+}
@@ -1,25 +1,27 @@
 import fs from 'fs/promises';
 import path from 'path';
 import crypto from 'crypto';
+import { MultisetHash, sha256Hex } from '../utils/hashing.js';
+import { StatisticalAnalyzer } from '../analyzers/statistical-analyzer.js';
 
-function sha256Hex(data) {
-  return crypto.createHash('sha256').update(data).digest('hex');
+/**
+ * Identity of one post in the run's dataHash
+ * @param {Object} post - Post
+ * @returns {Object} { id, timestamp }
+ */
+export function dataHashRow(post) {
+  return { id: post.id ?? null, timestamp: post.timestamp ?? null };
 }
 
-function stableJson(obj) {
-  // Best-effort deterministic JSON for hashing/identity.
-  // Handles plain objects/arrays; not intended for cyclic structures.
-  const normalize = (x) => {
-    if (x === null || x === undefined) return x;
-    if (Array.isArray(x)) return x.map(normalize);
-    if (typeof x === 'object') {
-      const out = {};
-      for (const k of Object.keys(x).sort()) out[k] = normalize(x[k]);
-      return out;
-    }
-    return x;
-  };
-  return JSON.stringify(normalize(obj));
+/**
+ * Error for an incomplete provenance manifest
+ */
+export class ManifestError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'ManifestError';
+    this.details = details;
+  }
 }
 
 function ciWidth(ci) {
@@ -50,7 +52,7 @@ export class SafetyReportReporter {
     if (missing.length > 0) {
       const msg = `Safety report manifest missing required fields: ${missing.join(', ')}`;
       if (this.config?.reporting?.safetyReport?.failOnMissingManifest ?? true) {
-        throw new Error(msg);
+        throw new ManifestError(msg, { missing });
       }
       this.logger?.warn({ missing }, msg);
     }
@@ -112,6 +114,60 @@ export class SafetyReportReporter {
     };
   }
 
+  /**
+   * Secondary signals from the intra-run Mann-Kendall tests on each block's
+   * prevalence series (analysis.enableTrendDetection). Series with fewer than
+   * three windows are skipped; the rest form one Benjamini-Hochberg family.
+   * @param {Object} analysisResults - Analysis results
+   * @returns {Array<Object>} Trend signals, overall first, then blocks by key
+   */
+  trendSignals(analysisResults) {
+    const series = [['overall', analysisResults?.overall]]
+      .concat(Object.keys(analysisResults?.blocks ?? {}).sort().map(key => [key, analysisResults.blocks[key]]));
+
+    const tested = [];
+    for (const [blockKey, block] of series) {
+      for (const [feature, trend] of Object.entries(block?.series?.trends ?? {})) {
+        if (trend.trend === 'insufficient_data') continue;
+        tested.push({ blockKey, feature, trend });
+      }
+    }
+
+    if (tested.length === 0) return [];
+
+    const q = this.config?.analysis?.fdrQ ?? 0.05;
+    const bh = new StatisticalAnalyzer(this.config, this.logger).benjaminiHochberg(tested.map(t => t.trend.pValue), q);
+    const m = tested.length;
+
+    return tested.map(({ blockKey, feature, trend }, i) => {
+      const flags = ['power_unknown'];
+      // The normal approximation behind the Mann-Kendall p-value is rough below ~10 points
+      if (trend.windows < 10) flags.push('few_windows');
+
+      return {
+        signal_id: blockKey === 'overall' ? `overall.trend.${feature}` : `block.${blockKey}.trend.${feature}`,
+        description: `Mann-Kendall trend of ${feature} prevalence across time windows (${blockKey === 'overall' ? 'overall' : `block ${blockKey}`})`,
+        estimate: trend.tau,
+        ci: { lower: null, upper: null, method: null },
+        effect_size: { cohen_h: null, interpretation: null },
+        trend: {
+          direction: trend.trend,
+          windows: trend.windows,
+          S: trend.S,
+          Z: trend.Z,
+          sens_slope_per_hour: trend.sensSlopePerHour
+        },
+        tests: { p_value: trend.pValue, p_adjusted: bh.qValues[i], adjustment: 'benjamini-hochberg', m },
+        stats_quality: {
+          power_estimate: null,
+          power_assumptions: null,
+          multiplicity: { family: 'intra_run_trends', m, adjustment: 'benjamini-hochberg', p_adjusted: bh.qValues[i] },
+          flags
+        }
+      };
+    });
+  }
+
   assemble({ analysisResults, validationResults, metadata, piiSummary }) {
     const manifest = {
       run_id: metadata?.runId ?? metadata?.run_id,
@@ -119,7 +175,16 @@ export class SafetyReportReporter {
       package_version: metadata?.packageVersion,
       config_hash: metadata?.configHash ? `sha256:${String(metadata.configHash)}` : null,
       dependency_lock_hash: metadata?.dependencyLockHash ? `sha256:${String(metadata.dependencyLockHash)}` : null,
-      data_hash: metadata?.dataHash ? `sha256:${String(metadata.dataHash)}` : null
+      data_hash: metadata?.dataHash ? `sha256:${String(metadata.dataHash)}` : null,
+      // Feature taxonomy: optional, absent for runs that predate tag packs
+      ...(metadata?.taxonomy ? {
+        taxonomy_hash: `sha256:${metadata.taxonomy.hash}`,
+        tag_packs: metadata.taxonomy.packs.map(p => `${p.id}@${p.version}`)
+      } : {}),
+      ...(metadata?.blocking ? {
+        blocking_scheme: `${metadata.blocking.layout}@${metadata.blocking.version}`,
+        blocking_hash: `sha256:${metadata.blocking.hash}`
+      } : {})
     };
 
     this.assertManifest(manifest);
@@ -127,7 +192,18 @@ export class SafetyReportReporter {
     const sampleSize = analysisResults?.summary?.uniquePosts ?? null;
 
     // Sources: best-effort. In v0.1, default to moltx.
-    const sources = [metadata?.source ?? 'moltx'];
+    // File ingestion records a descriptor object; report it as type:basename.
+    // The REST collector records its feed URL; report it as type:url.
+    // Synthetic runs report type:scenario#seed=<seed>.
+    const source = metadata?.source ?? 'moltx';
+    const describeSource = (s) => {
+      if (s.url) return `${s.type}:${s.url}`;
+      if (s.scenario) return `${s.type}:${s.scenario}#seed=${s.seed}`;
+      return `${s.type}:${path.basename(String(s.path ?? ''))}`;
+    };
+    const sources = [
+      (source && typeof source === 'object') ? describeSource(source) : source
+    ];
 
     const timeWindow = { start: metadata?.timeWindow?.start ?? null, end: metadata?.timeWindow?.end ?? null };
 
@@ -152,7 +228,9 @@ export class SafetyReportReporter {
       manifest,
       data_summary: {
         sample_size: sampleSize,
-        effective_n: metadata?.effectiveN ?? null,
+        // Calibrated runs report the Kish n of their calibration weights,
+        // design-weighted samples that of their design weights, others the unique posts
+        effective_n: metadata?.effectiveN ?? analysisResults?.summary?.designEffectiveN ?? sampleSize,
         time_window: timeWindow,
         sources
       },
@@ -170,7 +248,7 @@ export class SafetyReportReporter {
       },
       findings: {
         primary_signals: primarySignals,
-        secondary_signals: []
+        secondary_signals: this.trendSignals(analysisResults)
       },
       privacy: {
         pii_redactions: piiSummary?.redactions ?? 0,
@@ -203,6 +281,9 @@ export class SafetyReportReporter {
     lines.push('- Git: `' + report.manifest.git_sha + '`');
     lines.push('- Config hash: `' + report.manifest.config_hash + '`');
     lines.push('- Data hash: `' + report.manifest.data_hash + '`');
+    if (report.manifest.taxonomy_hash) {
+      lines.push('- Tag packs: ' + report.manifest.tag_packs.join(', ') + ' (`' + report.manifest.taxonomy_hash + '`)');
+    }
     lines.push('');
     lines.push(`## Invariants: ${report.invariants.all_passed ? 'PASS' : 'FAIL'}`);
     if (!report.invariants.all_passed) {
@@ -223,6 +304,18 @@ export class SafetyReportReporter {
       }
     }
 
+    // Only trends that survive the BH adjustment; the JSON lists every tested series
+    const trends = report.findings.secondary_signals || [];
+    const q = this.config?.analysis?.fdrQ ?? 0.05;
+    const significant = trends.filter(s => typeof s.tests?.p_adjusted === 'number' && s.tests.p_adjusted <= q);
+    if (trends.length > 0) {
+      lines.push('');
+      lines.push(`## Intra-run trends (${significant.length} of ${trends.length} significant, BH q=${q})`);
+      for (const s of significant) {
+        lines.push(`- **${s.signal_id}**: ${s.trend.direction} (tau ${s.estimate.toFixed(3)}, q ${s.tests.p_adjusted.toFixed(4)}, ${s.trend.windows} windows)`);
+      }
+    }
+
     await fs.writeFile(fp, lines.join('\n') + '\n', 'utf-8');
     this.logger?.info({ filepath: fp }, 'Wrote Safety Telemetry Report (Markdown)');
     return fp;
@@ -233,9 +326,10 @@ export class SafetyReportReporter {
   }
 
   computeDataHash(posts) {
-    // Hash of sorted post IDs (and timestamps if present) for run identity.
-    const rows = (posts || []).map(p => ({ id: p.id ?? null, timestamp: p.timestamp ?? null }));
-    rows.sort((a, b) => String(a.id).localeCompare(String(b.id)));
-    return sha256Hex(stableJson(rows));
+    // Order-independent hash of post IDs (and timestamps if present) for run identity;
+    // the streaming pipeline builds the same hash batch by batch.
+    const hash = new MultisetHash();
+    for (const post of posts || []) hash.add(dataHashRow(post));
+    return hash.digest();
   }
 }
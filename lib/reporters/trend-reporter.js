@@ -0,0 +1,112 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * Writes cross-run trend results as JSON and a small HTML report
+ */
+export class TrendReporter {
+  constructor(config, logger) {
+    this.config = config;
+    this.logger = logger;
+  }
+
+  /**
+   * Render the prevalence series as an inline SVG line chart with CI band
+   * @param {Array<Object>} points - Series points
+   * @param {Object} options - { width, height }
+   * @returns {string} SVG markup
+   */
+  generateSvg(points, { width = 720, height = 240 } = {}) {
+    if (points.length === 0) {
+      return '<p>No data points.</p>';
+    }
+
+    const pad = 40;
+    const upper = Math.max(...points.map(p => p.upper ?? p.prevalence));
+    const yMax = Math.min(1, Math.max(upper * 1.1, 0.01));
+    const x = i => pad + (points.length === 1 ? (width - 2 * pad) / 2 : i * (width - 2 * pad) / (points.length - 1));
+    const y = v => height - pad - (v / yMax) * (height - 2 * pad);
+
+    const line = points.map((p, i) => `${x(i).toFixed(1)},${y(p.prevalence).toFixed(1)}`).join(' ');
+    const band = [
+      ...points.map((p, i) => `${x(i).toFixed(1)},${y(p.upper ?? p.prevalence).toFixed(1)}`),
+      ...points.map((p, i) => `${x(i).toFixed(1)},${y(p.lower ?? p.prevalence).toFixed(1)}`).reverse()
+    ].join(' ');
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">
+  <line x1="${pad}" y1="${height - pad}" x2="${width - pad}" y2="${height - pad}" stroke="#7f8c8d"/>
+  <line x1="${pad}" y1="${pad}" x2="${pad}" y2="${height - pad}" stroke="#7f8c8d"/>
+  <text x="${pad - 6}" y="${y(yMax) + 4}" font-size="10" text-anchor="end">${(yMax * 100).toFixed(1)}%</text>
+  <text x="${pad - 6}" y="${y(0) + 4}" font-size="10" text-anchor="end">0%</text>
+  <polygon points="${band}" fill="#3498db" fill-opacity="0.15"/>
+  <polyline points="${line}" fill="none" stroke="#3498db" stroke-width="2"/>
+  ${points.map((p, i) => `<circle cx="${x(i).toFixed(1)}" cy="${y(p.prevalence).toFixed(1)}" r="3" fill="#2c3e50"><title>${p.runId}: ${(p.prevalence * 100).toFixed(2)}%</title></circle>`).join('\n  ')}
+</svg>`;
+  }
+
+  /**
+   * Generate the HTML trend report
+   * @param {Object} report - Trend report
+   * @returns {string} HTML content
+   */
+  generateHtml(report) {
+    const { feature, block, series, trend } = report;
+    const mk = trend.mannKendall;
+    const fmt = v => (v === null || v === undefined ? '-' : (v * 100).toFixed(2) + '%');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <title>CER-Telemetry Trend - ${feature} / ${block}</title>
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Arial, sans-serif; max-width: 900px; margin: 0 auto; padding: 20px; }
+    h1 { color: #2c3e50; border-bottom: 3px solid #3498db; padding-bottom: 10px; }
+    table { width: 100%; border-collapse: collapse; margin: 20px 0; }
+    th, td { padding: 8px; text-align: left; border-bottom: 1px solid #ddd; }
+    th { background-color: #3498db; color: white; }
+    .success { color: #27ae60; font-weight: bold; }
+    .error { color: #e74c3c; font-weight: bold; }
+  </style>
+</head>
+<body>
+  <h1>Prevalence Trend: ${feature}</h1>
+  <p>Block <code>${block}</code> across ${trend.n} run(s)${report.missing.length ? `, ${report.missing.length} run(s) without data` : ''}.</p>
+  <p class="${trend.significant ? 'error' : 'success'}">
+    Mann-Kendall: ${trend.trend} (S=${mk.S ?? '-'}, Z=${mk.Z !== undefined ? mk.Z.toFixed(3) : '-'}, p=${mk.pValue !== undefined ? mk.pValue.toFixed(4) : '-'})${trend.significant ? ' — significant' : ''}
+  </p>
+  <p>Sen's slope: ${fmt(trend.sensSlope.perRun)} per run, ${fmt(trend.sensSlope.perDay)} per day</p>
+  ${this.generateSvg(series)}
+  <table>
+    <thead><tr><th>Run</th><th>Timestamp</th><th>Count</th><th>Prevalence</th><th>95% CI</th></tr></thead>
+    <tbody>
+      ${series.map(p => `<tr><td><code>${p.runId}</code></td><td>${p.timestamp}</td><td>${p.count} / ${p.total}</td><td>${fmt(p.prevalence)}</td><td>[${fmt(p.lower)}, ${fmt(p.upper)}]</td></tr>`).join('\n      ')}
+    </tbody>
+  </table>
+  <p><small>Generated ${report.generatedAt}</small></p>
+</body>
+</html>`;
+  }
+
+  /**
+   * Write trend.json and trend.html
+   * @param {string} dir - Output directory
+   * @param {Object} report - Trend report
+   * @returns {Promise<Object>} Written file paths
+   */
+  async write(dir, report) {
+    await fs.mkdir(dir, { recursive: true });
+
+    const files = {};
+    const stem = `trend_${report.feature}_${report.block}`.replace(/[^A-Za-z0-9_.-]/g, '_');
+
+    files.json = path.join(dir, `${stem}.json`);
+    await fs.writeFile(files.json, JSON.stringify(report, null, 2), 'utf-8');
+
+    files.html = path.join(dir, `${stem}.html`);
+    await fs.writeFile(files.html, this.generateHtml(report), 'utf-8');
+
+    this.logger.info({ dir, files }, 'Wrote trend report');
+    return files;
+  }
+}
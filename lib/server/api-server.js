@@ -0,0 +1,241 @@
+import http from 'http';
+import fs from 'fs/promises';
+import path from 'path';
+import { RunRegistry } from '../reporters/run-registry.js';
+import { OutputReporter } from '../reporters/output-reporter.js';
+import { RunComparator } from '../analyzers/run-comparator.js';
+import { TaxonomyMismatchError } from '../analyzers/tag-packs.js';
+import { ComparisonReporter } from '../reporters/comparison-reporter.js';
+
+// Run artifacts exposed under /runs/:id/<name>
+const RUN_FILES = {
+  meta: 'meta.json',
+  analysis: 'analysis.json',
+  validation: 'validation.json',
+  'safety-report': 'safety_report.json'
+};
+
+const RUN_ID_PATTERN = /^[A-Za-z0-9_][A-Za-z0-9_.-]*$/;
+
+/**
+ * HTTP error with a status code
+ */
+export class HttpError extends Error {
+  constructor(status, message, details = {}) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+/**
+ * Read-only local HTTP API over the output directory
+ */
+export class ApiServer {
+  constructor(config, logger) {
+    this.config = config;
+    this.logger = logger;
+    this.baseDir = config.output.baseDir;
+    this.registry = new RunRegistry(config, logger);
+    this.server = null;
+  }
+
+  /**
+   * Resolve a run directory, rejecting ids that could escape the output directory
+   * @param {string} runId - Run identifier from the URL
+   * @returns {string} Run directory
+   */
+  runDir(runId) {
+    if (!RUN_ID_PATTERN.test(runId) || runId.includes('..')) {
+      throw new HttpError(400, `Invalid run id: ${runId}`);
+    }
+    return path.join(this.baseDir, runId);
+  }
+
+  /**
+   * Read a JSON artifact of a run
+   * @param {string} runId - Run identifier
+   * @param {string} file - File name inside the run directory
+   * @returns {Promise<Object>} Parsed JSON
+   */
+  async readRunJson(runId, file) {
+    try {
+      return JSON.parse(await fs.readFile(path.join(this.runDir(runId), file), 'utf-8'));
+    } catch (error) {
+      // ENOTDIR: the run id names a file in baseDir, such as index.jsonl
+      if (error.code === 'ENOENT' || error.code === 'ENOTDIR') {
+        throw new HttpError(404, `${file} not found for run ${runId}`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * GET /runs
+   */
+  async listRuns(query) {
+    await this.registry.sync();
+
+    try {
+      const runs = await this.registry.query({
+        where: query.get('where') || undefined,
+        sort: query.get('sort') || 'timestamp:asc',
+        limit: query.get('limit') ? Number(query.get('limit')) : null
+      });
+      return { runs };
+    } catch (error) {
+      throw new HttpError(400, error.message);
+    }
+  }
+
+  /**
+   * GET /runs/:id/report.html
+   */
+  async renderReport(runId) {
+    const [metadata, analysis, validation] = await Promise.all([
+      this.readRunJson(runId, 'meta.json'),
+      this.readRunJson(runId, 'analysis.json'),
+      this.readRunJson(runId, 'validation.json')
+    ]);
+    return new OutputReporter(this.config, this.logger).generateHtmlReport(metadata, analysis, validation);
+  }
+
+  /**
+   * GET /compare?run1=&run2=[&format=json|md|html][&allowTaxonomyMismatch=true]
+   * Runs measured with different tag packs are refused with 409 unless allowed.
+   */
+  async compare(query) {
+    const run1 = query.get('run1');
+    const run2 = query.get('run2');
+    if (!run1 || !run2) {
+      throw new HttpError(400, 'compare requires run1 and run2 query parameters');
+    }
+
+    const [analysis1, analysis2] = await Promise.all([
+      this.readRunJson(run1, 'analysis.json'),
+      this.readRunJson(run2, 'analysis.json')
+    ]);
+
+    let report;
+    try {
+      report = new RunComparator(this.config, this.logger).compare(analysis1, analysis2, { run1, run2 }, {
+        allowTaxonomyMismatch: query.get('allowTaxonomyMismatch') === 'true'
+      });
+    } catch (error) {
+      if (error instanceof TaxonomyMismatchError) throw new HttpError(409, error.message);
+      throw error;
+    }
+    const format = query.get('format') || 'json';
+    const reporter = new ComparisonReporter(this.config, this.logger);
+
+    if (format === 'md') return { type: 'text/markdown; charset=utf-8', body: reporter.generateMarkdown(report) };
+    if (format === 'html') return { type: 'text/html; charset=utf-8', body: reporter.generateHtml(report) };
+    if (format !== 'json') throw new HttpError(400, `Unknown format: ${format} (json, md, html)`);
+    return report;
+  }
+
+  /**
+   * Route a request
+   * @param {string} method - HTTP method
+   * @param {URL} url - Parsed request URL
+   * @returns {Promise<Object>} JSON body, or { type, body } for non-JSON responses
+   */
+  async route(method, url) {
+    if (method !== 'GET') {
+      throw new HttpError(405, `Method not allowed: ${method}`);
+    }
+
+    const parts = url.pathname.split('/').filter(Boolean).map(decodeURIComponent);
+
+    if (parts.length === 0) {
+      return {
+        service: 'cer-telemetry',
+        routes: [
+          'GET /health',
+          'GET /runs?where=&sort=&limit=',
+          'GET /runs/:id',
+          ...Object.keys(RUN_FILES).filter(k => k !== 'meta').map(k => `GET /runs/:id/${k}`),
+          'GET /runs/:id/report.html',
+          'GET /compare?run1=&run2=&format=json|md|html'
+        ]
+      };
+    }
+
+    if (parts[0] === 'health' && parts.length === 1) {
+      return { status: 'ok', baseDir: this.baseDir };
+    }
+
+    if (parts[0] === 'runs') {
+      if (parts.length === 1) return this.listRuns(url.searchParams);
+      if (parts.length === 2) return this.readRunJson(parts[1], RUN_FILES.meta);
+      if (parts.length === 3 && parts[2] === 'report.html') {
+        return { type: 'text/html; charset=utf-8', body: await this.renderReport(parts[1]) };
+      }
+      if (parts.length === 3 && RUN_FILES[parts[2]]) {
+        return this.readRunJson(parts[1], RUN_FILES[parts[2]]);
+      }
+    }
+
+    if (parts[0] === 'compare' && parts.length === 1) {
+      return this.compare(url.searchParams);
+    }
+
+    throw new HttpError(404, `Not found: ${url.pathname}`);
+  }
+
+  /**
+   * Node http request handler
+   */
+  async handle(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    let status = 200;
+    let type = 'application/json; charset=utf-8';
+    let body;
+
+    try {
+      const result = await this.route(req.method, url);
+      if (result && typeof result.body === 'string' && result.type) {
+        ({ type, body } = result);
+      } else {
+        body = JSON.stringify(result, null, 2);
+      }
+    } catch (error) {
+      status = error instanceof HttpError ? error.status : (error instanceof URIError ? 400 : 500);
+      body = JSON.stringify({ error: error.message, ...(error.details ?? {}) });
+      if (status === 500) {
+        this.logger.error({ error, url: req.url }, 'Request failed');
+      }
+    }
+
+    res.writeHead(status, { 'Content-Type': type, 'Cache-Control': 'no-store' });
+    res.end(body);
+    this.logger.debug({ method: req.method, url: req.url, status }, 'Handled request');
+  }
+
+  /**
+   * Start listening
+   * @param {Object} options - { port, host }
+   * @returns {Promise<Object>} Bound { host, port }
+   */
+  async listen({ port = 8080, host = '127.0.0.1' } = {}) {
+    this.server = http.createServer((req, res) => this.handle(req, res));
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, host, resolve);
+    });
+
+    const address = this.server.address();
+    this.logger.info({ host: address.address, port: address.port, baseDir: this.baseDir }, 'API server listening');
+    return { host: address.address, port: address.port };
+  }
+
+  /**
+   * Stop the server
+   */
+  async close() {
+    if (!this.server) return;
+    await new Promise(resolve => this.server.close(resolve));
+    this.server = null;
+  }
+}
@@ -0,0 +1,149 @@
+import http from 'http';
+import { toEpochMs } from '../collectors/time-windows.js';
+
+/**
+ * Local stand-in for the MoltX API.
+ *
+ * Serves GET /v1/trending?limit&offset[&since&until] from fixture posts with the
+ * same response shape as the real API ({ posts }), so MoltxCollector's
+ * pagination, retry, circuit breaker and rate-limit handling can be exercised
+ * offline. Faults are opt-in:
+ *  - failEvery: every Nth request answers 503 (with Retry-After: retryAfterSeconds)
+ *  - rateLimit: { maxRequests, windowMs } per-window budget, advertised with
+ *    X-RateLimit-* headers and answered with 429 + Retry-After when exceeded
+ *  - requireToken: 401 without an Authorization: Bearer header
+ */
+export class MockMoltxServer {
+  /**
+   * @param {Object} config - Configuration
+   * @param {Object} logger - Logger
+   * @param {Object} options - { posts, failEvery, retryAfterSeconds, rateLimit, requireToken, now }
+   */
+  constructor(config, logger, options = {}) {
+    this.config = config;
+    this.logger = logger;
+    this.posts = options.posts ?? [];
+    this.failEvery = options.failEvery ?? 0;
+    this.retryAfterSeconds = options.retryAfterSeconds ?? 1;
+    this.rateLimit = options.rateLimit ?? null;
+    this.requireToken = options.requireToken ?? false;
+    this.now = options.now ?? (() => Date.now());
+
+    this.server = null;
+    this.requests = 0;
+    this.window = { start: 0, count: 0 };
+  }
+
+  /**
+   * Rate-limit headers for this request, or a 429 when the window is spent
+   * @returns {{ headers: Object, limited: boolean }}
+   */
+  checkRateLimit() {
+    if (!this.rateLimit) return { headers: {}, limited: false };
+
+    const { maxRequests, windowMs } = this.rateLimit;
+    const now = this.now();
+    if (now - this.window.start >= windowMs) {
+      this.window = { start: now, count: 0 };
+    }
+    this.window.count++;
+
+    const resetSeconds = Math.max(1, Math.ceil((this.window.start + windowMs - now) / 1000));
+    const headers = {
+      'X-RateLimit-Limit': String(maxRequests),
+      'X-RateLimit-Remaining': String(Math.max(0, maxRequests - this.window.count)),
+      'X-RateLimit-Reset': String(resetSeconds)
+    };
+
+    const limited = this.window.count > maxRequests;
+    if (limited) headers['Retry-After'] = String(resetSeconds);
+    return { headers, limited };
+  }
+
+  /**
+   * One page of the trending feed
+   * @param {URLSearchParams} query - limit, offset, since, until
+   * @returns {Object} { posts }
+   */
+  trending(query) {
+    const limit = Math.max(0, Number(query.get('limit') ?? 100));
+    const offset = Math.max(0, Number(query.get('offset') ?? 0));
+    const since = toEpochMs(query.get('since'));
+    const until = toEpochMs(query.get('until'));
+
+    let feed = this.posts;
+    if (since !== null || until !== null) {
+      feed = feed.filter(post => {
+        const ms = toEpochMs(post.timestamp);
+        return ms !== null && (since === null || ms >= since) && (until === null || ms < until);
+      });
+    }
+
+    return { posts: feed.slice(offset, offset + limit) };
+  }
+
+  /**
+   * Handle a request
+   */
+  handle(req, res) {
+    this.requests++;
+    const url = new URL(req.url, 'http://localhost');
+    let status = 200;
+    let headers = {};
+    let body;
+
+    if (url.pathname === '/health') {
+      body = { status: 'ok', posts: this.posts.length, requests: this.requests };
+    } else if (req.method !== 'GET' || url.pathname !== '/v1/trending') {
+      status = 404;
+      body = { error: `Not found: ${req.method} ${url.pathname}` };
+    } else if (this.requireToken && !/^Bearer \S+/.test(req.headers.authorization ?? '')) {
+      status = 401;
+      body = { error: 'Missing bearer token' };
+    } else {
+      const rate = this.checkRateLimit();
+      headers = rate.headers;
+
+      if (rate.limited) {
+        status = 429;
+        body = { error: 'Rate limit exceeded' };
+      } else if (this.failEvery > 0 && this.requests % this.failEvery === 0) {
+        status = 503;
+        headers['Retry-After'] = String(this.retryAfterSeconds);
+        body = { error: 'Injected failure' };
+      } else {
+        body = this.trending(url.searchParams);
+      }
+    }
+
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', ...headers });
+    res.end(JSON.stringify(body));
+    this.logger.debug({ method: req.method, url: req.url, status }, 'Handled mock request');
+  }
+
+  /**
+   * Start listening
+   * @param {Object} options - { port, host }
+   * @returns {Promise<Object>} { host, port }
+   */
+  async listen({ port = 8081, host = '127.0.0.1' } = {}) {
+    this.server = http.createServer((req, res) => this.handle(req, res));
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, host, resolve);
+    });
+
+    const address = this.server.address();
+    this.logger.info({ host: address.address, port: address.port, posts: this.posts.length }, 'Mock MoltX server listening');
+    return { host: address.address, port: address.port };
+  }
+
+  /**
+   * Stop the server
+   */
+  async close() {
+    if (!this.server) return;
+    await new Promise(resolve => this.server.close(resolve));
+    this.server = null;
+  }
+}
@@ -0,0 +1,116 @@
+/**
+ * Minimal 5-field cron expressions (minute hour day-of-month month day-of-week)
+ * for `watch --cron`. Supports `*`, lists, ranges and steps, evaluated in
+ * local time like crontab.
+ */
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'dayOfWeek', min: 0, max: 7 }
+];
+
+// Search horizon: a valid expression matches at least once in ~4 years (Feb 29)
+const MAX_LOOKAHEAD_MINUTES = 4 * 366 * 24 * 60;
+
+/**
+ * Parse one cron field into the set of allowed values
+ */
+function parseField(text, { name, min, max }) {
+  const values = new Set();
+
+  for (const part of text.split(',')) {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) {
+      throw new Error(`Invalid cron step in ${name}: "${part}"`);
+    }
+
+    let lo;
+    let hi;
+    if (range === '*') {
+      lo = min;
+      hi = max;
+    } else if (range.includes('-')) {
+      [lo, hi] = range.split('-').map(Number);
+    } else {
+      lo = Number(range);
+      hi = stepText === undefined ? lo : max;
+    }
+
+    if (!Number.isInteger(lo) || !Number.isInteger(hi) || lo < min || hi > max || lo > hi) {
+      throw new Error(`Invalid cron ${name}: "${part}" (allowed ${min}-${max})`);
+    }
+
+    for (let v = lo; v <= hi; v += step) values.add(v);
+  }
+
+  return values;
+}
+
+/**
+ * Parse a cron expression
+ * @param {string} expr - e.g. "*\/15 * * * *" or "0 6 * * 1-5"
+ * @returns {Object} Parsed schedule
+ */
+export function parseCron(expr) {
+  const parts = String(expr || '').trim().split(/\s+/);
+  if (parts.length !== FIELDS.length) {
+    throw new Error(`Invalid cron expression "${expr}": expected 5 fields (minute hour day month weekday)`);
+  }
+
+  const schedule = { expr: parts.join(' ') };
+  FIELDS.forEach((field, i) => {
+    schedule[field.name] = parseField(parts[i], field);
+  });
+
+  // 7 is an alias for Sunday
+  if (schedule.dayOfWeek.has(7)) schedule.dayOfWeek.add(0);
+
+  // Standard cron: when both day fields are restricted, either may match
+  schedule.domRestricted = parts[2] !== '*';
+  schedule.dowRestricted = parts[4] !== '*';
+
+  return schedule;
+}
+
+/**
+ * Whether a date (to the minute) matches a parsed schedule
+ * @param {Object} schedule - From parseCron
+ * @param {Date} date - Candidate time
+ * @returns {boolean}
+ */
+export function cronMatches(schedule, date) {
+  if (!schedule.minute.has(date.getMinutes())) return false;
+  if (!schedule.hour.has(date.getHours())) return false;
+  if (!schedule.month.has(date.getMonth() + 1)) return false;
+
+  const dom = schedule.dayOfMonth.has(date.getDate());
+  const dow = schedule.dayOfWeek.has(date.getDay());
+
+  if (schedule.domRestricted && schedule.dowRestricted) return dom || dow;
+  return dom && dow;
+}
+
+/**
+ * Next time strictly after `from` that matches the expression
+ * @param {string|Object} expr - Cron expression or parsed schedule
+ * @param {Date} from - Start time (default: now)
+ * @returns {Date} Next matching minute
+ */
+export function nextCronTime(expr, from = new Date()) {
+  const schedule = typeof expr === 'string' ? parseCron(expr) : expr;
+
+  const t = new Date(from.getTime());
+  t.setSeconds(0, 0);
+  t.setMinutes(t.getMinutes() + 1);
+
+  for (let i = 0; i < MAX_LOOKAHEAD_MINUTES; i++) {
+    if (cronMatches(schedule, t)) return t;
+    t.setMinutes(t.getMinutes() + 1);
+  }
+
+  throw new Error(`Cron expression "${schedule.expr}" never matches`);
+}
@@ -0,0 +1,101 @@
+/**
+ * Process exit codes for CI gating. Documented in the README; treat the
+ * numeric values as a stable contract.
+ */
+export const ExitCode = Object.freeze({
+  SUCCESS: 0,
+  // Unexpected error (bad arguments, I/O, bugs)
+  ERROR: 1,
+  // Run completed and was written, but with non-blocking findings
+  SUCCESS_WITH_WARNINGS: 2,
+  // API or input file could not be collected/parsed
+  COLLECTION_FAILED: 10,
+  // PII detected in raw posts while privacy.failOnPii is set
+  PII_DETECTED: 20,
+  // Invariant violations by highest severity
+  INVARIANT_CRITICAL: 30,
+  INVARIANT_ERROR: 31,
+  // Safety report provenance manifest incomplete
+  MANIFEST_MISSING: 40
+});
+
+/**
+ * Invariant severities, most severe first
+ */
+export const SEVERITIES = ['critical', 'error', 'warning'];
+
+/**
+ * Default severity per invariant class (override with validation.severities)
+ */
+export const INVARIANT_SEVERITY = Object.freeze({
+  denominator_hygiene: 'critical',
+  no_nan_inf: 'critical',
+  partition_sanity: 'critical',
+  determinism: 'error',
+  provenance_completeness: 'error',
+  monotonic_gating: 'error',
+  data_quality: 'error',
+  temporal_consistency: 'warning'
+});
+
+/**
+ * Error that ends a pipeline with a specific exit code
+ */
+export class PipelineError extends Error {
+  /**
+   * @param {number} exitCode - One of ExitCode
+   * @param {string} reason - Machine-readable reason, e.g. 'collection_failed'
+   * @param {string} message - Human-readable message
+   * @param {Object} details - Additional details (status, cause)
+   */
+  constructor(exitCode, reason, message, details = {}) {
+    super(message);
+    this.name = 'PipelineError';
+    this.exitCode = exitCode;
+    this.reason = reason;
+    this.details = details;
+  }
+}
+
+/**
+ * Exit code for an error thrown out of a command
+ * @param {Error} error - Thrown error
+ * @returns {number} Exit code
+ */
+export function exitCodeFor(error) {
+  if (error instanceof PipelineError) return error.exitCode;
+  if (error?.name === 'ManifestError') return ExitCode.MANIFEST_MISSING;
+  return ExitCode.ERROR;
+}
+
+/**
+ * Summarize validation results by severity
+ * @param {Object} validationResults - { valid, violations }
+ * @returns {Object} { highest, bySeverity, byInvariant }
+ */
+export function summarizeViolations(validationResults) {
+  const bySeverity = Object.fromEntries(SEVERITIES.map(s => [s, 0]));
+  const byInvariant = {};
+
+  for (const v of validationResults?.violations ?? []) {
+    const severity = v.severity ?? INVARIANT_SEVERITY[v.invariant] ?? 'error';
+    bySeverity[severity] = (bySeverity[severity] ?? 0) + 1;
+    byInvariant[v.invariant] ??= { severity, count: 0 };
+    byInvariant[v.invariant].count++;
+  }
+
+  const highest = SEVERITIES.find(s => bySeverity[s] > 0) ?? null;
+  return { highest, bySeverity, byInvariant };
+}
+
+/**
+ * Exit code for a validation summary (critical > error > warning)
+ * @param {Object} summary - From summarizeViolations
+ * @returns {number} Exit code
+ */
+export function exitCodeForViolations(summary) {
+  if (summary.highest === 'critical') return ExitCode.INVARIANT_CRITICAL;
+  if (summary.highest === 'error') return ExitCode.INVARIANT_ERROR;
+  if (summary.highest === 'warning') return ExitCode.SUCCESS_WITH_WARNINGS;
+  return ExitCode.SUCCESS;
+}
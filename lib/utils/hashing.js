@@ -0,0 +1,73 @@
+import crypto from 'crypto';
+
+/**
+ * SHA-256 hex digest
+ * @param {string|Buffer} data - Data to hash
+ * @returns {string} Hex digest
+ */
+export function sha256Hex(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+/**
+ * Deterministic JSON with sorted object keys
+ * Handles plain objects/arrays; not intended for cyclic structures.
+ * @param {*} obj - Value to serialize
+ * @returns {string} Canonical JSON
+ */
+export function stableJson(obj) {
+  const normalize = (x) => {
+    if (x === null || x === undefined) return x;
+    if (Array.isArray(x)) return x.map(normalize);
+    if (typeof x === 'object') {
+      const out = {};
+      for (const k of Object.keys(x).sort()) out[k] = normalize(x[k]);
+      return out;
+    }
+    return x;
+  };
+  return JSON.stringify(normalize(obj));
+}
+
+/**
+ * Canonical content hash of a JSON-serializable value
+ * Round-trips through JSON first so in-memory results hash the same as their
+ * serialized form on disk (undefined fields dropped, -0 normalized, etc.).
+ * @param {*} obj - Value to hash
+ * @returns {string} Hex digest
+ */
+export function canonicalHash(obj) {
+  const roundTripped = obj === undefined ? null : JSON.parse(JSON.stringify(obj));
+  return sha256Hex(stableJson(roundTripped));
+}
+
+const MULTISET_MODULUS = 1n << 256n;
+
+/**
+ * Order-independent hash of a multiset of JSON values: the sum of their
+ * SHA-256 digests modulo 2^256. Values can be added one at a time, so a
+ * dataset can be fingerprinted while streaming, and the result depends only
+ * on which values were added (with multiplicity), never on their order.
+ */
+export class MultisetHash {
+  constructor() {
+    this.sum = 0n;
+    this.count = 0;
+  }
+
+  /**
+   * Add a value
+   * @param {*} value - JSON-serializable value (canonicalized with stableJson)
+   */
+  add(value) {
+    this.sum = (this.sum + BigInt(`0x${sha256Hex(stableJson(value))}`)) % MULTISET_MODULUS;
+    this.count++;
+  }
+
+  /**
+   * @returns {string} 64-character hex digest
+   */
+  digest() {
+    return this.sum.toString(16).padStart(64, '0');
+  }
+}
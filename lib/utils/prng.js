@@ -0,0 +1,137 @@
+/**
+ * 128-bit seed state from an arbitrary seed (cyrb128 string hash)
+ * @param {string|number} seed - Seed
+ * @returns {Array<number>} Four 32-bit words
+ */
+export function seedState(seed) {
+  const text = String(seed);
+  let h1 = 1779033703;
+  let h2 = 3144134277;
+  let h3 = 1013904242;
+  let h4 = 2773480762;
+  for (let i = 0; i < text.length; i++) {
+    const k = text.charCodeAt(i);
+    h1 = h2 ^ Math.imul(h1 ^ k, 597399067);
+    h2 = h3 ^ Math.imul(h2 ^ k, 2869860233);
+    h3 = h4 ^ Math.imul(h3 ^ k, 951274213);
+    h4 = h1 ^ Math.imul(h4 ^ k, 2716044179);
+  }
+  h1 = Math.imul(h3 ^ (h1 >>> 18), 597399067);
+  h2 = Math.imul(h4 ^ (h2 >>> 22), 2869860233);
+  h3 = Math.imul(h1 ^ (h3 >>> 17), 951274213);
+  h4 = Math.imul(h2 ^ (h4 >>> 19), 2716044179);
+  return [(h1 ^ h2 ^ h3 ^ h4) >>> 0, (h2 ^ h1) >>> 0, (h3 ^ h1) >>> 0, (h4 ^ h1) >>> 0];
+}
+
+/**
+ * Seeded pseudo-random number generator (sfc32).
+ *
+ * The same seed always gives the same sequence, on every platform, so
+ * anything drawn from it (synthetic data, samples) can be reproduced from
+ * the seed recorded in provenance. Never use Math.random where a run must be
+ * reproducible.
+ */
+export class Prng {
+  /**
+   * @param {string|number} seed - Seed (numbers and their string form are equivalent)
+   */
+  constructor(seed) {
+    this.seed = seed;
+    [this.a, this.b, this.c, this.d] = seedState(seed);
+    // Discard the first outputs, which are weakly mixed
+    for (let i = 0; i < 15; i++) this.next();
+  }
+
+  /**
+   * Uniform float in [0, 1)
+   * @returns {number}
+   */
+  next() {
+    const t = (((this.a + this.b) >>> 0) + this.d) >>> 0;
+    this.d = (this.d + 1) >>> 0;
+    this.a = this.b ^ (this.b >>> 9);
+    this.b = (this.c + (this.c << 3)) >>> 0;
+    this.c = (this.c << 21) | (this.c >>> 11);
+    this.c = (this.c + t) >>> 0;
+    return t / 4294967296;
+  }
+
+  /**
+   * Uniform integer in [min, max]
+   * @param {number} min - Lower bound (inclusive)
+   * @param {number} max - Upper bound (inclusive)
+   * @returns {number}
+   */
+  int(min, max) {
+    return min + Math.floor(this.next() * (max - min + 1));
+  }
+
+  /**
+   * True with probability p
+   * @param {number} p - Probability
+   * @returns {boolean}
+   */
+  bernoulli(p) {
+    return this.next() < p;
+  }
+
+  /**
+   * Uniformly chosen element
+   * @param {Array} items - Non-empty array
+   * @returns {*}
+   */
+  pick(items) {
+    return items[Math.floor(this.next() * items.length)];
+  }
+
+  /**
+   * Key chosen with probability proportional to its weight
+   * @param {Object} weights - Key -> non-negative weight
+   * @returns {string}
+   */
+  weighted(weights) {
+    const entries = Object.entries(weights);
+    const total = entries.reduce((sum, [, w]) => sum + w, 0);
+    let r = this.next() * total;
+    for (const [key, w] of entries) {
+      r -= w;
+      if (r < 0) return key;
+    }
+    return entries[entries.length - 1][0];
+  }
+
+  /**
+   * Normal deviate (Box-Muller)
+   * @param {number} mean - Mean
+   * @param {number} sd - Standard deviation
+   * @returns {number}
+   */
+  normal(mean = 0, sd = 1) {
+    const u = 1 - this.next();
+    const v = this.next();
+    return mean + sd * Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+  }
+
+  /**
+   * Shuffle an array in place (Fisher-Yates)
+   * @param {Array} items - Array to shuffle
+   * @returns {Array} The same array
+   */
+  shuffle(items) {
+    for (let i = items.length - 1; i > 0; i--) {
+      const j = Math.floor(this.next() * (i + 1));
+      [items[i], items[j]] = [items[j], items[i]];
+    }
+    return items;
+  }
+
+  /**
+   * Independent generator for a named sub-stream, so adding draws to one
+   * part of a generator does not shift the values of another
+   * @param {string} label - Sub-stream name
+   * @returns {Prng}
+   */
+  fork(label) {
+    return new Prng(`${this.seed}/${label}`);
+  }
+}
@@ -0,0 +1,62 @@
+import fs from 'fs/promises';
+import crypto from 'crypto';
+import { execSync } from 'child_process';
+
+/**
+ * Get git commit hash for provenance
+ * @returns {Promise<string>} Short SHA or 'unknown'
+ */
+export async function getGitCommit() {
+  try {
+    const commit = execSync('git rev-parse --short HEAD', {
+      encoding: 'utf-8',
+      stdio: ['pipe', 'pipe', 'ignore']
+    }).trim();
+    return commit;
+  } catch {
+    return 'unknown';
+  }
+}
+
+/**
+ * Get package version for provenance
+ * @returns {Promise<string>} Version or 'unknown'
+ */
+export async function getPackageVersion() {
+  try {
+    const pkgPath = new URL('../../package.json', import.meta.url);
+    const pkg = JSON.parse(await fs.readFile(pkgPath, 'utf-8'));
+    return pkg.version || 'unknown';
+  } catch {
+    return 'unknown';
+  }
+}
+
+/**
+ * Hash the dependency lockfile for provenance
+ * @returns {Promise<string|null>} SHA-256 hex or null when no lockfile exists
+ */
+export async function getDependencyLockHash() {
+  try {
+    const lockPath = new URL('../../package-lock.json', import.meta.url);
+    const lockText = await fs.readFile(lockPath, 'utf-8');
+    return crypto.createHash('sha256').update(lockText).digest('hex');
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Code and environment provenance shared by every run type
+ * @returns {Promise<Object>} { gitSha, codeVersion, nodeVersion, packageVersion, dependencyLockHash }
+ */
+export async function collectCodeProvenance() {
+  const gitSha = await getGitCommit();
+  return {
+    gitSha,
+    codeVersion: gitSha,
+    nodeVersion: process.version,
+    packageVersion: await getPackageVersion(),
+    dependencyLockHash: await getDependencyLockHash()
+  };
+}
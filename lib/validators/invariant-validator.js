@@ -1,6 +1,14 @@
+import {
+  ExitCode,
+  INVARIANT_SEVERITY,
+  PipelineError,
+  summarizeViolations,
+  exitCodeForViolations
+} from '../utils/exit-codes.js';
+
 /**
  * Invariant validator for CER-Telemetry contracts
- * Enforces determinism, monotonic gating, partition sanity, and denominator hygiene
+ * Enforces determinism, monotonic gating, partition sanity, denominator hygiene and data quality
  */
 export class InvariantValidator {
   constructor(config, logger) {
@@ -28,6 +36,7 @@ export class InvariantValidator {
     this.validateProvenanceCompleteness(metadata);
     this.validateNoNaNInf(data);
     this.validateTemporalConsistency(data);
+    this.validateDataQuality(metadata);
 
     const isValid = this.violations.length === 0;
 
@@ -59,12 +68,24 @@ export class InvariantValidator {
   addViolation(invariant, message, details = {}) {
     this.violations.push({
       invariant,
+      severity: this.severityFor(invariant),
       message,
       details,
       timestamp: Date.now()
     });
   }
 
+  /**
+   * Severity of an invariant class (config override, then default)
+   * @param {string} invariant - Invariant name
+   * @returns {string} critical | error | warning
+   */
+  severityFor(invariant) {
+    return this.config.validation?.severities?.[invariant]
+      ?? INVARIANT_SEVERITY[invariant]
+      ?? 'error';
+  }
+
   /**
    * Validate determinism - same inputs should produce same outputs
    * @param {Object} metadata - Analysis metadata
@@ -149,6 +170,10 @@ export class InvariantValidator {
       );
     }
 
+    if (data.blockLedger) {
+      this.validateBlockLedger(data);
+    }
+
     // Check for empty blocks
     for (const [blockKey, block] of Object.entries(data.blocks)) {
       if (block.sampleSize === 0) {
@@ -161,6 +186,53 @@ export class InvariantValidator {
     }
   }
 
+  /**
+   * Check that the small-block ledger accounts for every post: its cells
+   * add up to the unique posts, and each block holds exactly the cells the
+   * ledger sends into it
+   * @param {Object} data - Analysis data with blockLedger
+   */
+  validateBlockLedger(data) {
+    const { cells } = data.blockLedger;
+    const ledgerTotal = cells.reduce((sum, c) => sum + c.size, 0);
+    if (ledgerTotal !== data.summary.uniquePosts) {
+      this.addViolation(
+        'partition_sanity',
+        'Block ledger does not account for every unique post',
+        { ledgerTotal, uniquePosts: data.summary.uniquePosts }
+      );
+    }
+
+    const seen = new Set();
+    const intoBlock = new Map();
+    for (const cell of cells) {
+      if (seen.has(cell.cell)) {
+        this.addViolation('partition_sanity', 'Cell listed twice in block ledger', { cell: cell.cell });
+      }
+      seen.add(cell.cell);
+      if (cell.into === null) continue;
+      if (!(cell.into in data.blocks)) {
+        this.addViolation(
+          'partition_sanity',
+          'Block ledger sends a cell into a block that does not exist',
+          { cell: cell.cell, into: cell.into }
+        );
+      }
+      intoBlock.set(cell.into, (intoBlock.get(cell.into) ?? 0) + cell.size);
+    }
+
+    for (const [blockKey, block] of Object.entries(data.blocks)) {
+      const fromLedger = intoBlock.get(blockKey) ?? 0;
+      if (fromLedger !== block.sampleSize) {
+        this.addViolation(
+          'partition_sanity',
+          'Block size does not match the cells the ledger puts in it',
+          { blockKey, sampleSize: block.sampleSize, fromLedger }
+        );
+      }
+    }
+  }
+
   /**
    * Validate denominator hygiene - no division by zero, NaN, or Inf
    * @param {Object} data - Analysis data
@@ -296,15 +368,43 @@ export class InvariantValidator {
     }
   }
 
+  /**
+   * Validate data quality - share of collected posts quarantined at ingest
+   * @param {Object} metadata - Analysis metadata
+   */
+  validateDataQuality(metadata) {
+    const quarantine = metadata?.quarantine;
+    if (!quarantine) return;
+
+    const maxRate = this.config.ingest?.quarantine?.maxRate ?? quarantine.maxRate;
+    if (quarantine.rate > maxRate) {
+      this.addViolation(
+        'data_quality',
+        'Quarantine rate above threshold',
+        {
+          quarantined: quarantine.quarantined,
+          total: quarantine.total,
+          rate: quarantine.rate,
+          maxRate,
+          byReason: quarantine.byReason
+        }
+      );
+    }
+  }
+
   /**
    * Generate validation report
    * @returns {Object} Human-readable report
    */
   generateReport() {
+    const { highest, bySeverity } = summarizeViolations({ violations: this.violations });
+
     const report = {
       summary: {
         valid: this.violations.length === 0,
         totalViolations: this.violations.length,
+        highestSeverity: highest,
+        violationsBySeverity: bySeverity,
         violationsByInvariant: {}
       },
       violations: this.violations
@@ -322,14 +422,23 @@ export class InvariantValidator {
   }
 
   /**
-   * Throw error if validation failed and config requires it
+   * Throw error if validation failed and config requires it.
+   * Only critical and error violations block; warnings are reported.
    */
   throwIfInvalid() {
-    if (this.violations.length > 0 && this.config.validation.failOnViolation) {
+    const summary = summarizeViolations({ violations: this.violations });
+    const exitCode = exitCodeForViolations(summary);
+
+    if (exitCode !== ExitCode.SUCCESS && exitCode !== ExitCode.SUCCESS_WITH_WARNINGS &&
+        this.config.validation.failOnViolation) {
       const report = this.generateReport();
-      throw new Error(
-        `Invariant validation failed with ${this.violations.length} violations:\n` +
-        JSON.stringify(report, null, 2)
+      throw new PipelineError(
+        exitCode,
+        `invariant_${summary.highest}`,
+        `Invariant validation failed with ${this.violations.length} violations ` +
+        `(critical: ${summary.bySeverity.critical}, error: ${summary.bySeverity.error}, warning: ${summary.bySeverity.warning})\n` +
+        JSON.stringify(report, null, 2),
+        { report }
       );
     }
   }
@@ -0,0 +1,140 @@
+import { z } from 'zod';
+import { toEpochMs } from '../collectors/time-windows.js';
+
+/**
+ * Shape every post must have before it reaches the analyzer. Unknown fields
+ * (media, links, _sampling, ...) pass through untouched.
+ */
+export const PostSchema = z.object({
+  id: z.union([z.string().trim().min(1), z.number().int().nonnegative()]),
+  content: z.string().nullable().optional(),
+  impressions: z.number().int().nonnegative(),
+  timestamp: z.union([z.number(), z.string()])
+    .refine(value => toEpochMs(value) > 0, { message: 'Unparseable or non-positive timestamp' }),
+  source: z.string().min(1).optional()
+}).passthrough();
+
+/**
+ * Reason code for one schema issue: <field>_missing or <field>_invalid
+ * @param {Object} issue - Zod issue
+ * @param {*} record - Record the issue was raised for
+ * @returns {string} Reason code
+ */
+function reasonFor(issue, record) {
+  const field = issue.path[0];
+  if (field === undefined) return 'not_an_object';
+  const missing = record[field] === undefined || record[field] === null;
+  return `${field}_${missing ? 'missing' : 'invalid'}`;
+}
+
+/**
+ * Ingest-time post validation.
+ *
+ * Records failing PostSchema, and records that parse but look wrong (a
+ * timestamp further in the future than ingest.quarantine.futureSkewMinutes),
+ * are set aside with their reasons instead of being analyzed with made-up
+ * values. The caller persists them as quarantine.jsonl and the rejection
+ * counts go into meta.json, where the data_quality invariant checks the rate.
+ */
+export class PostValidator {
+  constructor(config, logger) {
+    this.config = config;
+    this.logger = logger;
+    this.options = {
+      enabled: true,
+      maxRate: 0.05,
+      futureSkewMinutes: 5,
+      ...(config.ingest?.quarantine || {})
+    };
+    this.tally = { total: 0, quarantined: 0, byReason: {} };
+  }
+
+  /**
+   * Reasons a single record is rejected (empty when it is accepted)
+   * @param {*} record - Raw post
+   * @param {number} now - Reference time (epoch ms) for the future check
+   * @returns {Array<string>} Sorted, unique reason codes
+   */
+  check(record, now) {
+    const parsed = PostSchema.safeParse(record);
+    const reasons = new Set(parsed.success ? [] : parsed.error.issues.map(issue => reasonFor(issue, record)));
+
+    if (parsed.success) {
+      const ms = toEpochMs(record.timestamp);
+      if (ms > now + this.options.futureSkewMinutes * 60 * 1000) {
+        reasons.add('timestamp_in_future');
+      }
+    }
+
+    return [...reasons].sort();
+  }
+
+  /**
+   * Split one batch of collected posts into accepted and quarantined records,
+   * adding to the running counts reported by summary()
+   * @param {Array<Object>} posts - Collected posts
+   * @param {Object} options - { now } reference time (defaults to Date.now())
+   * @returns {Object} { posts, quarantined: [{ index, reasons, record }] } index is run-wide
+   */
+  filter(posts, { now = Date.now() } = {}) {
+    if (!this.options.enabled) {
+      return { posts, quarantined: [] };
+    }
+
+    const accepted = [];
+    const quarantined = [];
+
+    for (const record of posts) {
+      const index = this.tally.total++;
+      const reasons = this.check(record, now);
+      if (reasons.length === 0) {
+        accepted.push(record);
+        continue;
+      }
+      quarantined.push({ index, reasons, record });
+      this.tally.quarantined++;
+      for (const reason of reasons) {
+        this.tally.byReason[reason] = (this.tally.byReason[reason] ?? 0) + 1;
+      }
+    }
+
+    return { posts: accepted, quarantined };
+  }
+
+  /**
+   * Counts over every batch filtered so far (logged once)
+   * @returns {Object|null} { total, accepted, quarantined, rate, maxRate, byReason }, null when disabled
+   */
+  summary() {
+    if (!this.options.enabled) return null;
+
+    const { total, quarantined, byReason } = this.tally;
+    const summary = {
+      total,
+      accepted: total - quarantined,
+      quarantined,
+      rate: total > 0 ? quarantined / total : 0,
+      maxRate: this.options.maxRate,
+      byReason: Object.fromEntries(Object.entries(byReason).sort(([a], [b]) => a.localeCompare(b)))
+    };
+
+    if (quarantined > 0) {
+      this.logger.warn({ quarantined, total, byReason: summary.byReason }, 'Quarantined invalid posts');
+    } else {
+      this.logger.info({ total }, 'All posts passed schema validation');
+    }
+
+    return summary;
+  }
+
+  /**
+   * Split all collected posts into accepted and quarantined records
+   * @param {Array<Object>} posts - Collected posts
+   * @param {Object} options - { now } reference time (defaults to Date.now())
+   * @returns {Object} { posts, quarantined: [{ index, reasons, record }], summary }
+   */
+  validate(posts, options = {}) {
+    const result = this.filter(posts, options);
+    return { ...result, summary: this.summary() };
+  }
+}
@@ -0,0 +1,178 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { PrevalenceAnalyzer } from '../analyzers/prevalence-analyzer.js';
+import { InvariantValidator } from './invariant-validator.js';
+import { InputSnapshot } from '../reporters/input-snapshot.js';
+import { canonicalHash } from '../utils/hashing.js';
+
+/**
+ * List leaf paths whose values differ between two JSON values
+ * @param {*} a - Stored value
+ * @param {*} b - Replayed value
+ * @param {string} prefix - Current path
+ * @param {Array<Object>} out - Accumulator
+ * @returns {Array<Object>} Differences as { path, stored, replayed }
+ */
+export function diffJson(a, b, prefix = '', out = []) {
+  const isObject = (x) => x !== null && typeof x === 'object';
+
+  if (isObject(a) && isObject(b) && Array.isArray(a) === Array.isArray(b)) {
+    const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+    for (const key of [...keys].sort()) {
+      const childPath = Array.isArray(a) ? `${prefix}[${key}]` : (prefix ? `${prefix}.${key}` : key);
+      diffJson(a[key], b[key], childPath, out);
+    }
+    return out;
+  }
+
+  if (!Object.is(a, b)) {
+    out.push({ path: prefix || '$', stored: a, replayed: b });
+  }
+
+  return out;
+}
+
+/**
+ * Re-executes a stored run from its input snapshot and proves (or disproves)
+ * that the outputs are bit-identical
+ */
+export class ReplayVerifier {
+  constructor(config, logger) {
+    this.config = config;
+    this.logger = logger;
+    this.maxDifferences = 200;
+  }
+
+  /**
+   * Read a JSON file, returning null when absent
+   * @param {string} filepath - File path
+   * @returns {Promise<Object|null>} Parsed JSON
+   */
+  async readJsonIfExists(filepath) {
+    try {
+      return JSON.parse(await fs.readFile(filepath, 'utf-8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Violations reduced to their deterministic parts (no wall-clock fields)
+   * @param {Object} validationResults - Validation results
+   * @returns {Array<Object>} Comparable violations
+   */
+  comparableViolations(validationResults) {
+    return (validationResults?.violations || [])
+      .map(v => ({ invariant: v.invariant, message: v.message }))
+      .sort((x, y) => `${x.invariant}:${x.message}`.localeCompare(`${y.invariant}:${y.message}`));
+  }
+
+  /**
+   * Replay a stored run
+   * @param {string} runDir - Run directory containing meta.json and the input snapshot
+   * @param {Object} context - { codeVersion } of the replaying checkout
+   * @returns {Promise<Object>} Determinism receipt
+   */
+  async replay(runDir, context = {}) {
+    const metadata = await this.readJsonIfExists(path.join(runDir, 'meta.json'));
+    if (!metadata) {
+      throw new Error(`meta.json not found in ${runDir}`);
+    }
+
+    const storedAnalysis = await this.readJsonIfExists(path.join(runDir, 'analysis.json'));
+    const storedValidation = await this.readJsonIfExists(path.join(runDir, 'validation.json'))
+      ?? metadata.validation ?? null;
+
+    if (!metadata.analysisHash && !storedAnalysis) {
+      throw new Error(`Run ${metadata.runId} has neither analysisHash nor analysis.json to compare against`);
+    }
+
+    // Replay under the configuration the run was produced with
+    const runConfig = metadata.config || this.config;
+
+    const snapshot = new InputSnapshot(runConfig, this.logger);
+    const { posts, sha256, verified } = await snapshot.read(runDir, metadata.inputSnapshot);
+
+    if (!verified) {
+      this.logger.warn({ expected: metadata.inputSnapshot.sha256, actual: sha256 },
+        'Input snapshot hash mismatch');
+    }
+
+    this.logger.info({ runId: metadata.runId, posts: posts.length }, 'Replaying run from snapshot');
+
+    const analyzer = new PrevalenceAnalyzer(runConfig, this.logger);
+    const replayedAnalysis = analyzer.analyze(posts);
+
+    const storedMeta = { ...metadata };
+    delete storedMeta.validation;
+    const validator = new InvariantValidator(runConfig, this.logger);
+    const replayedValidation = validator.validate(replayedAnalysis, storedMeta);
+
+    const storedHash = metadata.analysisHash ?? canonicalHash(storedAnalysis);
+    const replayedHash = canonicalHash(replayedAnalysis);
+    const identical = storedHash === replayedHash;
+
+    // Field-level diff needs the stored analysis itself
+    let differences = [];
+    if (!identical && storedAnalysis) {
+      differences = diffJson(
+        JSON.parse(JSON.stringify(storedAnalysis)),
+        JSON.parse(JSON.stringify(replayedAnalysis))
+      );
+    }
+
+    const storedViolations = this.comparableViolations(storedValidation);
+    const replayedViolations = this.comparableViolations(replayedValidation);
+
+    const receipt = {
+      receiptType: 'determinism_replay',
+      runId: metadata.runId,
+      replayedAt: new Date().toISOString(),
+      identical,
+      analysisHash: {
+        method: 'sha256(stableJson(analysis))',
+        stored: storedHash,
+        replayed: replayedHash
+      },
+      inputSnapshot: {
+        file: metadata.inputSnapshot.file,
+        redacted: !!metadata.inputSnapshot.redacted,
+        records: posts.length,
+        expectedSha256: metadata.inputSnapshot.sha256,
+        actualSha256: sha256,
+        verified
+      },
+      provenance: {
+        configHash: metadata.configHash ?? null,
+        dataHash: metadata.dataHash ?? null,
+        storedCodeVersion: metadata.codeVersion ?? null,
+        replayCodeVersion: context.codeVersion ?? null,
+        codeVersionMatches: (context.codeVersion ?? null) === (metadata.codeVersion ?? null),
+        storedNodeVersion: metadata.nodeVersion ?? null,
+        replayNodeVersion: process.version
+      },
+      validation: {
+        storedValid: storedValidation?.valid ?? null,
+        replayedValid: replayedValidation.valid,
+        identical: JSON.stringify(storedViolations) === JSON.stringify(replayedViolations)
+      },
+      differenceCount: differences.length,
+      differences: differences.slice(0, this.maxDifferences),
+      truncated: differences.length > this.maxDifferences
+    };
+
+    if (identical) {
+      this.logger.info({ runId: metadata.runId, hash: replayedHash }, 'Replay is bit-identical');
+    } else {
+      this.logger.warn({
+        runId: metadata.runId,
+        storedHash,
+        replayedHash,
+        differenceCount: differences.length
+      }, 'Replay diverged from stored analysis');
+    }
+
+    return { receipt, replayedAnalysis, replayedValidation };
+  }
+}
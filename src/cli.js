@@ -2,16 +2,43 @@
 
 import { Command } from 'commander';
 import dotenv from 'dotenv';
-import { loadConfig, defaultConfig } from '../config/schema.js';
+import { loadLayeredConfig, deepMerge, setPath } from '../config/schema.js';
 import { createLogger } from '../lib/utils/logger.js';
-import { MoltxCollector } from '../lib/collectors/moltx-collector.js';
+import { createCollector } from '../lib/collectors/index.js';
+import { FileCollector, parseFieldMap } from '../lib/collectors/file-collector.js';
+import { PageStaging } from '../lib/collectors/page-staging.js';
+import { compareGroundTruth } from '../lib/collectors/synthetic-collector.js';
+import { mergeTimeWindows, tagTimeWindows } from '../lib/collectors/time-windows.js';
 import { PrevalenceAnalyzer } from '../lib/analyzers/prevalence-analyzer.js';
 import { InvariantValidator } from '../lib/validators/invariant-validator.js';
+import { PostValidator } from '../lib/validators/post-schema.js';
+import { TrendAnalyzer } from '../lib/analyzers/trend-analyzer.js';
+import { RunComparator } from '../lib/analyzers/run-comparator.js';
+import { taxonomyLabel } from '../lib/analyzers/tag-packs.js';
 import { OutputReporter } from '../lib/reporters/output-reporter.js';
-import { SafetyReportReporter } from '../lib/reporters/safety-report-reporter.js';
+import { TrendReporter } from '../lib/reporters/trend-reporter.js';
+import { ComparisonReporter } from '../lib/reporters/comparison-reporter.js';
+import { dataHashRow } from '../lib/reporters/safety-report-reporter.js';
+import { RunRegistry } from '../lib/reporters/run-registry.js';
+import { WatchDaemon } from '../lib/daemon/watch-daemon.js';
+import { ApiServer } from '../lib/server/api-server.js';
+import { MockMoltxServer } from '../lib/server/mock-moltx-server.js';
 import { PiiDetector } from '../lib/utils/pii-detector.js';
+import { ReplayVerifier } from '../lib/validators/replay-verifier.js';
+import { mergeAlignmentConfig } from '../config/alignment-schema.js';
+import { createAlignmentPack } from '../lib/alignment/index.js';
+import { loadReceipts } from '../lib/alignment/receipts.js';
+import { MultisetHash, canonicalHash } from '../lib/utils/hashing.js';
+import {
+  ExitCode,
+  PipelineError,
+  exitCodeFor,
+  exitCodeForViolations,
+  summarizeViolations
+} from '../lib/utils/exit-codes.js';
+import { buildRunStatus, failureStatus } from '../lib/reporters/run-status.js';
+import { getGitCommit, collectCodeProvenance } from '../lib/utils/provenance.js';
 import fs from 'fs/promises';
-import crypto from 'crypto';
 import path from 'path';
 
 dotenv.config();
@@ -19,103 +46,312 @@ dotenv.config();
 const program = new Command();
 
 /**
- * Main analysis workflow
+ * Config overrides from the CLI flags a command actually received.
+ * Unset flags fall through to the file and environment layers.
  */
-async function runAnalysis(options) {
-  // Load configuration
-  const config = loadConfig({
-    logging: {
-      level: options.logLevel || 'info',
-      pretty: !options.json
-    },
-    sampling: {
-      ...defaultConfig.sampling,
-      maxSampleSize: Number(options.maxSamples ?? defaultConfig.sampling.maxSampleSize)
-    },
-    output: {
-      formats: options.formats ? options.formats.split(',') : ['json', 'csv', 'html']
-    }
-  });
+function cliOverrides(options = {}, extra = {}) {
+  const overrides = {};
+  if (options.logLevel) setPath(overrides, 'logging.level', options.logLevel);
+  if (options.json) setPath(overrides, 'logging.pretty', false);
+  return deepMerge(overrides, extra);
+}
 
-  const logger = createLogger(config.logging);
-  logger.info({ config: config }, 'Starting CER-Telemetry analysis');
+/**
+ * Resolve layered configuration for a command
+ * (defaults < config/<NODE_ENV>.json < --config < env < CLI flags)
+ */
+function resolveConfig(overrides = {}) {
+  return loadLayeredConfig({ configFile: program.opts().config, cli: overrides }).config;
+}
+
+/**
+ * Resolve configuration for the analysis pipeline from analyze/watch flags
+ */
+function analysisConfig(options, extra = {}) {
+  return resolveConfig(cliOverrides(options, deepMerge({
+    sampling: options.maxSamples !== undefined
+      ? { maxSampleSize: Number(options.maxSamples) }
+      : undefined,
+    output: options.formats ? { formats: options.formats.split(',') } : undefined,
+    api: (options.cache || options.cacheBucket)
+      ? { cache: { mode: options.cache, bucket: options.cacheBucket } }
+      : undefined,
+    ingest: (options.inputFormat || options.fieldMap)
+      ? { format: options.inputFormat, fieldMap: options.fieldMap ? parseFieldMap(options.fieldMap) : undefined }
+      : undefined,
+    collector: (options.scenario || options.seed !== undefined)
+      ? { synthetic: { scenario: options.scenario, seed: options.seed } }
+      : undefined
+  }, extra)));
+}
 
+/**
+ * Collect, analyze, validate and write one run
+ * @param {Object} config - Resolved configuration
+ * @param {Object} logger - Logger
+ * @param {Object} options - { runId, resume, input, dryRun, skipValidation, throwIfGated }
+ *   throwIfGated (default true): throw when validation gating fails; when
+ *   false the written run is returned with its failed status
+ * @returns {Promise<Object>} { runId, outputs, analysisResults, validationResults, metadata, status }
+ */
+async function executePipeline(config, logger, options) {
   // Create reporter early so we can generate deterministic run metadata
   const reporter = new OutputReporter(config, logger);
   const runId = (options.runId && String(options.runId).trim().length > 0)
     ? String(options.runId).trim()
     : reporter.generateRunId();
 
+  // Fetch data
+  let batches;
+  let source;
+  let staging = null;
+  let collector = null;
+  let resumed = false;
+  let collection;
+  let sampling;
+  let windowQuery;
+  let groundTruth;
+  const temporal = config.sampling.temporal;
+  const streaming = config.analysis.streaming.enabled;
+
+  const collectionFailed = (error) => {
+    const pages = staging?.committedPages ?? 0;
+    const hint = pages > 0
+      ? ` (${pages} page(s) checkpointed; continue with: analyze --resume ${runId})`
+      : '';
+    return new PipelineError(ExitCode.COLLECTION_FAILED, 'collection_failed',
+      `Collection failed: ${error.message}${hint}`,
+      { cause: error.name, resumable: pages > 0, network: collector?.describe().network });
+  };
+
   try {
-    // Initialize collector
-    const collector = new MoltxCollector(config, logger);
+    // --input selects the filesystem collector and --dry-run the synthetic
+    // one (collector.synthetic scenario); otherwise collector.type decides
+    collector = createCollector(config, logger, options.input
+      ? { type: 'filesystem', path: options.input }
+      : options.dryRun ? { type: 'synthetic' } : {});
     await collector.initialize();
 
-    // Fetch data
-    logger.info('Fetching posts from MoltX API');
-    const posts = options.dryRun 
-      ? await loadMockData()
-      : await collector.fetchPaginated({}, config.sampling.maxSampleSize);
+    // Pages are checkpointed under <baseDir>/.staging/<runId> so a failed
+    // collection can continue with `analyze --resume <runId>`
+    if (collector.checkpointed) {
+      staging = new PageStaging(config, logger, runId);
+      resumed = await staging.exists();
+    }
+    if (options.resume && !resumed) {
+      throw new Error(`No collection checkpoint for run ${runId} in ${staging?.dir ?? config.output.baseDir}`);
+    }
 
-    logger.info({ postCount: posts.length }, 'Fetched posts');
+    logger.info({ runId, collector: collector.constructor.name, resumed, streaming }, 'Collecting posts');
+    batches = collector.batches({ maxPosts: config.sampling.maxSampleSize, staging });
+  } catch (error) {
+    throw collectionFailed(error);
+  }
 
-    // Check for PII (also capture a compact summary for safety_report)
-    const piiDetector = new PiiDetector(config, logger);
-    const piiFindings = piiDetector.scanObject(posts);
-    if (piiFindings.length > 0) {
-      const report = piiDetector.generateReport(piiFindings);
-      logger.warn({ label: 'raw_posts', report }, 'PII detected in data');
-    }
-    const piiSummary = (() => {
-      const rep = piiDetector.generateReport(piiFindings);
-      return { findings: rep.totalFindings, instances: rep.totalInstances };
-    })();
+  // Each batch is schema-checked (invalid or suspicious records are
+  // quarantined rather than analyzed with made-up values), tagged with its
+  // time window, PII-scanned and hashed before analysis. In streaming mode
+  // accepted posts go straight to the analyzer's accumulators; otherwise they
+  // are also kept for the input snapshot. Quarantined records are spooled to
+  // disk batch by batch, so only their counts stay in memory.
+  const postValidator = new PostValidator(config, logger);
+  const piiDetector = new PiiDetector(config, logger);
+  const dataHash = new MultisetHash();
+  const validatedAt = Date.now();
+  const quarantineSpool = reporter.quarantineSpool(runId);
+  const inputPosts = streaming ? null : [];
+  const piiSummary = { findings: 0, instances: 0 };
+  let timeWindow = temporal.enabled
+    ? tagTimeWindows([], { batchSizeMinutes: temporal.batchSizeMinutes }).timeWindow
+    : null;
+  let collected = 0;
 
-    // Analyze
-    const analyzer = new PrevalenceAnalyzer(config, logger);
-    const analysisResults = analyzer.analyze(posts);
+  async function* guardCollection() {
+    try {
+      for await (const batch of batches) yield batch;
+    } catch (error) {
+      throw collectionFailed(error);
+    }
+  }
 
-    // Validate
-    const validator = new InvariantValidator(config, logger);
-    const gitSha = await getGitCommit();
+  async function* prepare() {
+    try {
+      yield* prepareBatches();
+    } catch (error) {
+      // A failed collection or PII gate leaves no quarantined records behind
+      await quarantineSpool.discard();
+      throw error;
+    }
+  }
 
-    const packageVersion = await getPackageVersion();
-    const dependencyLockHash = await getDependencyLockHash();
+  async function* prepareBatches() {
+    for await (const batch of guardCollection()) {
+      collected += batch.length;
+      const filtered = postValidator.filter(batch, { now: validatedAt });
+      let posts = filtered.posts;
 
-    // Data identity: hash of sorted post IDs (+ timestamps when present)
-    const dataHash = new SafetyReportReporter(config, logger).computeDataHash(posts);
+      if (timeWindow) {
+        let batchWindow;
+        ({ posts, timeWindow: batchWindow } = tagTimeWindows(posts, { batchSizeMinutes: temporal.batchSizeMinutes }));
+        timeWindow = mergeTimeWindows(timeWindow, batchWindow);
+      }
 
-    const metadata = {
-      runId,
-      timestamp: new Date().toISOString(),
-      config,
-      configHash: reporter.hashConfig(config),
-      gitSha,
-      codeVersion: gitSha,
-      nodeVersion: process.version,
-      packageVersion,
-      dependencyLockHash,
-      dataHash,
-      source: options.dryRun ? 'mock' : 'moltx',
-      piiSummary
-    };
-    const validationResults = validator.validate(analysisResults, metadata);
+      // Quarantined records are persisted too, so they are scanned with the rest
+      const piiFindings = piiDetector.scanObject(
+        filtered.quarantined.length > 0 ? [...posts, ...filtered.quarantined.map(q => q.record)] : posts
+      );
+      if (piiFindings.length > 0) {
+        const report = piiDetector.generateReport(piiFindings);
+        logger.warn({ label: 'raw_posts', report }, 'PII detected in data');
+        piiSummary.findings += report.totalFindings;
+        piiSummary.instances += report.totalInstances;
 
-    // Generate report
-    const validationReport = validator.generateReport();
-    logger.info({ validationReport }, 'Validation complete');
+        // PII gate: stop before anything (including the input snapshot) is persisted
+        if (config.privacy.failOnPii) {
+          throw new PipelineError(ExitCode.PII_DETECTED, 'pii_detected',
+            `PII detected in raw posts (${piiSummary.findings} finding(s)); privacy.failOnPii is set`, { piiSummary });
+        }
+      }
 
-    // Throw if validation failed and configured to do so
-    if (!options.skipValidation) {
-      validator.throwIfInvalid();
+      await quarantineSpool.append(filtered.quarantined);
+      for (const post of posts) {
+        dataHash.add(dataHashRow(post));
+        inputPosts?.push(post);
+      }
+      yield posts;
     }
+  }
+
+  // Analyze (exact dedup in memory; streaming runs dedup per analysis.streaming)
+  const analyzer = new PrevalenceAnalyzer(config, logger);
+  const analysisResults = await analyzer.analyzeStream(prepare(), streaming ? {} : { dedup: 'exact' });
+  const quarantine = postValidator.summary();
+  logger.info({ postCount: collected }, 'Fetched posts');
+
+  let details;
+  ({ source, sampling, windowQuery, groundTruth, ...details } = collector.describe());
+  if (Object.keys(details).length > 0) {
+    collection = { ...details, resumed };
+  }
+
+  // Synthetic runs: how close the detectors came to the generated labels
+  if (groundTruth) {
+    groundTruth = { ...groundTruth, detection: compareGroundTruth(groundTruth, analysisResults) };
+    const missed = Object.entries(groundTruth.detection).filter(([, d]) => d.withinCi === false).map(([f]) => f);
+    logger[missed.length > 0 ? 'warn' : 'info']({ scenario: groundTruth.scenario, missed }, 'Checked analysis against ground truth');
+  }
+
+  // Record the period actually covered
+  if (timeWindow) {
+    timeWindow.strategy = windowQuery ? 'query' : 'client';
+    if (windowQuery) timeWindow.requested = windowQuery;
+  }
+
+  if (streaming && config.output.snapshot?.enabled) {
+    logger.warn('Streaming run: no input snapshot is written, so it cannot be replayed');
+  }
+
+  // Validate
+  const validator = new InvariantValidator(config, logger);
+  const codeProvenance = await collectCodeProvenance();
+
+  const metadata = {
+    runId,
+    timestamp: new Date().toISOString(),
+    config,
+    configHash: reporter.hashConfig(config),
+    ...codeProvenance,
+    // Data identity: order-independent hash of post IDs (+ timestamps when present)
+    dataHash: dataHash.digest(),
+    source,
+    ...(collection ? { collection } : {}),
+    ...(sampling ? { sampling } : {}),
+    ...(timeWindow ? { timeWindow } : {}),
+    ...(quarantine ? { quarantine } : {}),
+    // Tag packs the features were measured with (see compare --allow-taxonomy-mismatch)
+    taxonomy: analysisResults.summary.taxonomy,
+    // Blocking scheme the block keys were built with
+    blocking: analysisResults.summary.blocking,
+    // Calibration to population margins; its Kish effective n goes into the STR
+    ...(analysisResults.summary.weighting ? {
+      weighting: analysisResults.summary.weighting,
+      effectiveN: analysisResults.summary.weighting.effectiveN
+    } : {}),
+    piiSummary
+  };
+  const validationResults = validator.validate(analysisResults, metadata);
+
+  // Generate report
+  const validationReport = validator.generateReport();
+  logger.info({ validationReport }, 'Validation complete');
+
+  const gated = !options.skipValidation && config.validation.failOnViolation;
+  const status = buildRunStatus({
+    runId,
+    source,
+    postCount: analysisResults.summary.rawPosts,
+    piiSummary,
+    validationResults,
+    gated
+  });
 
-    // Write outputs
-    const outputs = await reporter.writeOutputs(
+  // Write outputs (failed runs are recorded too, with status.json saying why)
+  let outputs;
+  try {
+    outputs = await reporter.writeOutputs(
       analysisResults,
       validationResults,
-      metadata
+      metadata,
+      { inputPosts, quarantine: quarantineSpool, groundTruth, status }
     );
+  } catch (error) {
+    await quarantineSpool.discard();
+    throw error;
+  }
+
+  // The run is complete; its collection checkpoint is no longer needed
+  if (staging) {
+    await staging.remove();
+  }
+
+  // Throw if validation failed and configured to do so
+  if (gated && options.throwIfGated !== false) {
+    try {
+      validator.throwIfInvalid();
+    } catch (error) {
+      error.details = { ...error.details, status, outputs };
+      throw error;
+    }
+  }
+
+  return { runId: outputs.runId, outputs, analysisResults, validationResults, metadata, status };
+}
+
+/**
+ * Main analysis workflow
+ */
+async function runAnalysis(options) {
+  // Load configuration
+  const config = analysisConfig(options);
+
+  const logger = createLogger(config.logging);
+  logger.info({ config: config }, 'Starting CER-Telemetry analysis');
+
+  if (options.resume && (options.input || options.dryRun)) {
+    throw new Error('--resume only applies to API collection (not --input or --dry-run)');
+  }
+  if (options.resume && options.runId && options.runId !== options.resume) {
+    throw new Error(`--resume ${options.resume} conflicts with --run-id ${options.runId}`);
+  }
+
+  const runId = options.resume
+    ? String(options.resume).trim()
+    : (options.runId && String(options.runId).trim().length > 0)
+      ? String(options.runId).trim()
+      : new OutputReporter(config, logger).generateRunId();
+
+  try {
+    const { outputs, validationResults, status } = await executePipeline(config, logger, { ...options, runId });
 
     logger.info({ outputs }, 'Analysis complete');
 
@@ -133,46 +369,72 @@ async function runAnalysis(options) {
     if (!validationResults.valid) {
       console.log(`Violations: ${validationResults.violations.length}`);
     }
+    console.log(`Status: ${status.status} (exit ${status.exitCode})`);
+    for (const warning of status.warnings) {
+      console.log(`  ! ${warning}`);
+    }
     console.log('='.repeat(60) + '\n');
 
+    if (options.statusFile) {
+      await fs.writeFile(options.statusFile, JSON.stringify(status, null, 2), 'utf-8');
+    }
+    process.exitCode = status.exitCode;
+
     return outputs;
 
   } catch (error) {
     logger.error({ error }, 'Analysis failed');
+    if (options.statusFile) {
+      const status = error.details?.status ?? failureStatus(runId, error);
+      await fs.writeFile(options.statusFile, JSON.stringify(status, null, 2), 'utf-8');
+    }
     throw error;
   }
 }
 
 /**
- * Validate existing run outputs
+ * Recurring collection and analysis with automatic comparison
  */
-async function getPackageVersion() {
-  try {
-    const pkgPath = new URL('../package.json', import.meta.url);
-    const pkg = JSON.parse(await fs.readFile(pkgPath, 'utf-8'));
-    return pkg.version || 'unknown';
-  } catch {
-    return 'unknown';
-  }
-}
+async function runWatch(options) {
+  const config = analysisConfig(options, {
+    watch: {
+      intervalMinutes: options.interval !== undefined ? Number(options.interval) : undefined,
+      cron: options.cron,
+      baselineRunId: options.baseline,
+      stateFile: options.stateFile
+    }
+  });
+
+  const logger = createLogger(config.logging);
+
+  const daemon = new WatchDaemon(config, logger, {
+    // A gated failure is recorded in the cycle summary instead of aborting the cycle
+    runCycle: () => executePipeline(config, logger, { ...options, runId: undefined, throwIfGated: false })
+  });
+
+  const onSignal = (signal) => daemon.stop(signal);
+  process.on('SIGTERM', onSignal);
+  process.on('SIGINT', onSignal);
+
+  logger.info({
+    schedule: config.watch.cron ? { cron: config.watch.cron } : { intervalMinutes: config.watch.intervalMinutes },
+    baselineRunId: config.watch.baselineRunId ?? 'previous',
+    stateFile: daemon.stateFile
+  }, 'Starting watch');
 
-async function getDependencyLockHash() {
   try {
-    const lockPath = new URL('../package-lock.json', import.meta.url);
-    const lockText = await fs.readFile(lockPath, 'utf-8');
-    return crypto.createHash('sha256').update(lockText).digest('hex');
-  } catch {
-    return null;
+    return await daemon.start({ maxCycles: options.maxCycles ? Number(options.maxCycles) : null });
+  } finally {
+    process.off('SIGTERM', onSignal);
+    process.off('SIGINT', onSignal);
   }
 }
 
+/**
+ * Validate existing run outputs
+ */
 async function validateRun(runId, options) {
-  const config = loadConfig({
-    logging: {
-      level: options.logLevel || 'info',
-      pretty: !options.json
-    }
-  });
+  const config = resolveConfig(cliOverrides(options));
 
   const logger = createLogger(config.logging);
 
@@ -192,6 +454,7 @@ async function validateRun(runId, options) {
     const validationResults = validator.validate(analysisResults, metadata);
 
     const report = validator.generateReport();
+    process.exitCode = exitCodeForViolations(summarizeViolations(validationResults));
     
     if (options.output) {
       await fs.writeFile(
@@ -216,11 +479,7 @@ async function validateRun(runId, options) {
  * Compare two runs
  */
 async function compareRuns(runId1, runId2, options) {
-  const config = loadConfig({
-    logging: {
-      level: options.logLevel || 'info'
-    }
-  });
+  const config = resolveConfig(cliOverrides(options));
 
   const logger = createLogger(config.logging);
 
@@ -232,17 +491,29 @@ async function compareRuns(runId1, runId2, options) {
     const run1 = JSON.parse(await fs.readFile(run1Path, 'utf-8'));
     const run2 = JSON.parse(await fs.readFile(run2Path, 'utf-8'));
 
-    // Create analyzer for comparison
-    const analyzer = new PrevalenceAnalyzer(config, logger);
+    const report = new RunComparator(config, logger).compare(run1, run2, { run1: runId1, run2: runId2 }, {
+      allowTaxonomyMismatch: options.allowTaxonomyMismatch
+    });
 
-    // Compare overall results
-    const comparison = analyzer.compareBlocks(run1.overall, run2.overall);
+    if (options.outputDir) {
+      const formats = options.formats ? options.formats.split(',').map(f => f.trim()) : undefined;
+      const files = await new ComparisonReporter(config, logger).write(options.outputDir, report, formats);
 
-    const report = {
-      run1: runId1,
-      run2: runId2,
-      comparison
-    };
+      console.log(`\nCompared ${runId1} vs ${runId2}: ${report.summary.significant} of ${report.summary.tests} block × feature shifts significant (BH q=${report.multipleTesting.qTarget})`);
+      for (const s of report.significant.slice(0, 10)) {
+        console.log(`  - ${s.blockKey} / ${s.feature}: ${(s.difference * 100).toFixed(2)}% (q=${s.qValue.toFixed(4)})`);
+      }
+      if (report.taxonomy.match === false) {
+        console.log(`  Tag packs differ (${taxonomyLabel(report.taxonomy.run1)} vs ${taxonomyLabel(report.taxonomy.run2)}); compared shared features only`);
+      }
+      if (report.onlyInRun1.length || report.onlyInRun2.length) {
+        console.log(`  Unmatched blocks: ${report.onlyInRun1.length} only in ${runId1}, ${report.onlyInRun2.length} only in ${runId2}`);
+      }
+      for (const [format, file] of Object.entries(files)) {
+        console.log(`  ${format}: ${file}`);
+      }
+      console.log();
+    }
 
     if (options.output) {
       await fs.writeFile(
@@ -251,7 +522,7 @@ async function compareRuns(runId1, runId2, options) {
         'utf-8'
       );
       logger.info({ output: options.output }, 'Wrote comparison report');
-    } else {
+    } else if (!options.outputDir) {
       console.log(JSON.stringify(report, null, 2));
     }
 
@@ -264,73 +535,308 @@ async function compareRuns(runId1, runId2, options) {
 }
 
 /**
- * Get git commit hash for provenance
+ * Replay a stored run from its input snapshot and verify determinism
+ */
+async function replayRun(runId, options) {
+  const config = resolveConfig(cliOverrides(options));
+
+  const logger = createLogger(config.logging);
+
+  try {
+    const runDir = path.join(config.output.baseDir, runId);
+    const verifier = new ReplayVerifier(config, logger);
+    const { receipt } = await verifier.replay(runDir, { codeVersion: await getGitCommit() });
+
+    const outputPath = options.output || path.join(runDir, 'replay_receipt.json');
+    await fs.writeFile(outputPath, JSON.stringify(receipt, null, 2), 'utf-8');
+    logger.info({ output: outputPath }, 'Wrote determinism receipt');
+
+    console.log(`\nReplay of ${runId}: ${receipt.identical ? '✓ BIT-IDENTICAL' : '✗ DIVERGED'}`);
+    console.log(`  Stored hash:   ${receipt.analysisHash.stored}`);
+    console.log(`  Replayed hash: ${receipt.analysisHash.replayed}`);
+    if (!receipt.inputSnapshot.verified) {
+      console.log('  Input snapshot hash mismatch');
+    }
+    if (!receipt.identical) {
+      console.log(`  Differing fields: ${receipt.differenceCount}`);
+      for (const diff of receipt.differences.slice(0, 10)) {
+        console.log(`    - ${diff.path}`);
+      }
+    }
+    console.log(`  Receipt: ${outputPath}\n`);
+
+    if (!receipt.identical) {
+      process.exitCode = ExitCode.ERROR;
+    }
+
+    return receipt;
+
+  } catch (error) {
+    logger.error({ error, runId }, 'Replay failed');
+    throw error;
+  }
+}
+
+/**
+ * Run the alignment pack over stored receipts
  */
-async function getGitCommit() {
+async function runAlignment(options) {
+  const baseConfig = resolveConfig(cliOverrides(options));
+  const config = mergeAlignmentConfig(baseConfig, {
+    ...(options.failOnViolation ? { failOnViolation: true } : {})
+  });
+
+  const logger = createLogger(config.logging);
+  const reporter = new OutputReporter(config, logger);
+
+  // Probe results carry configHash; the alignment invariants compare against it.
+  config.configHash = reporter.hashConfig(config);
+
+  const runId = (options.runId && String(options.runId).trim().length > 0)
+    ? String(options.runId).trim()
+    : reporter.generateRunId();
+
   try {
-    const { execSync } = await import('child_process');
-    const commit = execSync('git rev-parse --short HEAD', { 
-      encoding: 'utf-8',
-      stdio: ['pipe', 'pipe', 'ignore']
-    }).trim();
-    return commit;
-  } catch {
-    return 'unknown';
+    const readJsonOption = async (file, fallback) => (
+      file ? JSON.parse(await fs.readFile(file, 'utf-8')) : fallback
+    );
+
+    const { receipts, files } = await loadReceipts(options.receipts, logger);
+    const probeResults = await readJsonOption(options.probes, {});
+    const context = await readJsonOption(options.context, {});
+
+    const pack = createAlignmentPack(config, logger);
+    const analysis = await pack.analyze(receipts, probeResults, context);
+    const report = pack.generateReport(analysis);
+
+    const metadata = {
+      runId,
+      timestamp: new Date().toISOString(),
+      kind: 'alignment',
+      config,
+      configHash: config.configHash,
+      ...await collectCodeProvenance(),
+      dataHash: canonicalHash({ receipts, probeResults, context }),
+      source: {
+        type: 'receipts',
+        path: path.resolve(options.receipts),
+        files: files.length,
+        receipts: receipts.length,
+        probes: options.probes ? path.resolve(options.probes) : null,
+        context: options.context ? path.resolve(options.context) : null
+      },
+      summary: report.summary
+    };
+
+    // Staged and renamed into place like analyze runs
+    const { dir } = await reporter.writeStaged(runId, async (stagingDir, outputs) => {
+      for (const [name, file, data] of [
+        ['meta', 'meta.json', metadata],
+        ['alignment', 'alignment.json', analysis.toJSON()],
+        ['alignment_report', 'alignment_report.json', report]
+      ]) {
+        await reporter.writeJson(stagingDir, file, data);
+        outputs.files[name] = path.join(stagingDir, file);
+      }
+      return {
+        ...metadata,
+        validation: { valid: analysis.invariants?.valid !== false, violations: analysis.invariants?.violations ?? [] }
+      };
+    });
+
+    const invariantsValid = analysis.invariants?.valid !== false;
+
+    console.log('\n' + '='.repeat(60));
+    console.log('ALIGNMENT ANALYSIS COMPLETE');
+    console.log('='.repeat(60));
+    console.log(`Run ID: ${runId}`);
+    console.log(`Output Directory: ${dir}`);
+    console.log(`Receipts: ${receipts.length}`);
+    console.log(`Risk: ${report.summary.riskCategory} (${report.summary.riskScore})`);
+    console.log(`\nAlignment invariants: ${invariantsValid ? '✓ PASSED' : '✗ FAILED'}`);
+    console.log('='.repeat(60) + '\n');
+
+    if (!invariantsValid && config.alignment.failOnViolation) {
+      logger.error({ runId }, 'Alignment invariants failed');
+      process.exitCode = ExitCode.INVARIANT_ERROR;
+    }
+
+    return { runId, dir, analysis, report };
+
+  } catch (error) {
+    logger.error({ error }, 'Alignment analysis failed');
+    throw error;
   }
 }
 
 /**
- * Load mock data for dry-run mode
+ * Build a prevalence time series across stored runs and test it for trend
  */
-async function loadMockData() {
-  return Array.from({ length: 1000 }, (_, i) => ({
-    id: `post_${i}`,
-    content: [
-      'Check out this new token offering!',
-      'Our API is secure and ready for production',
-      'Click here for limited time offer',
-      'Receipt confirmed for your purchase',
-      'Engineering best practices for deployment'
-    ][i % 5],
-    impressions: Math.floor(Math.random() * 100000),
-    source: i % 2 === 0 ? 'top' : 'fallback',
-    timestamp: Date.now() - Math.floor(Math.random() * 86400000)
-  }));
+async function runTrend(options) {
+  const config = resolveConfig(cliOverrides(options));
+
+  const logger = createLogger(config.logging);
+
+  if (!config.analysis.enableTrendDetection) {
+    throw new Error('Trend detection is disabled (analysis.enableTrendDetection=false)');
+  }
+
+  try {
+    const block = options.block || 'overall';
+    const last = Number(options.last);
+    const registry = new RunRegistry(config, logger);
+
+    await registry.sync();
+
+    const where = ['kind=analysis', options.where].filter(Boolean).join(',');
+    const entries = (await registry.query({ where, sort: 'timestamp:asc' })).slice(-last);
+
+    const runs = [];
+    for (const entry of entries) {
+      try {
+        const analysis = JSON.parse(await fs.readFile(
+          path.join(config.output.baseDir, entry.dir, 'analysis.json'), 'utf-8'
+        ));
+        runs.push({ runId: entry.runId, timestamp: entry.timestamp, analysis });
+      } catch (error) {
+        logger.warn({ runId: entry.runId, error: error.message }, 'Skipping run without readable analysis');
+      }
+    }
+
+    const analyzer = new TrendAnalyzer(config, logger);
+    const { points, missing } = analyzer.buildSeries(runs, { feature: options.feature, block });
+    const trend = analyzer.analyze(points);
+
+    const report = {
+      generatedAt: new Date().toISOString(),
+      feature: options.feature,
+      block,
+      runsConsidered: runs.length,
+      series: points,
+      missing,
+      trend
+    };
+
+    const outputDir = options.outputDir || path.join(config.output.baseDir, 'trends');
+    const files = await new TrendReporter(config, logger).write(outputDir, report);
+
+    const pct = v => (v === null ? '-' : `${(v * 100).toFixed(3)}%`);
+    console.log(`\nTrend for ${options.feature} in ${block} over ${trend.n} run(s):`);
+    console.log(`  Mann-Kendall: ${trend.trend}${trend.significant ? ' (significant)' : ''}` +
+      (trend.mannKendall.pValue !== undefined ? `, p=${trend.mannKendall.pValue.toFixed(4)}` : ''));
+    console.log(`  Sen's slope: ${pct(trend.sensSlope.perRun)} per run, ${pct(trend.sensSlope.perDay)} per day`);
+    if (missing.length > 0) {
+      console.log(`  Runs without data for this block/feature: ${missing.length}`);
+    }
+    console.log(`  Report: ${files.html}\n`);
+
+    return report;
+
+  } catch (error) {
+    logger.error({ error, feature: options.feature }, 'Trend analysis failed');
+    throw error;
+  }
 }
 
 // Define CLI commands
 program
   .name('cer-telemetry')
   .description('CER-Telemetry: Content Cohort Analysis with Safety Invariants')
-  .version('2.0.0');
+  .version('2.0.0')
+  .option('-c, --config <file>', 'JSON config file layered over defaults and config/<NODE_ENV>.json');
 
 program
   .command('analyze')
   .description('Run full telemetry analysis pipeline')
-  .option('-m, --max-samples <number>', 'Maximum number of samples', '10000')
+  .option('-m, --max-samples <number>', 'Maximum number of samples (default: sampling.maxSampleSize)')
   .option('-r, --run-id <id>', 'Custom run ID')
-  .option('--dry-run', 'Use mock data instead of API', false)
-  .option('--skip-validation', 'Skip invariant validation', false)
-  .option('--formats <formats>', 'Output formats (json,csv,html)', 'json,csv,html')
-  .option('--log-level <level>', 'Log level', 'info')
+  .option('--resume <runId>', 'Continue an interrupted API collection from its last checkpointed page')
+  .option('--cache <mode>', 'API response cache: off, read, write, readwrite, offline (default: api.cache.mode)')
+  .option('--cache-bucket <time>', 'Pin the response cache time bucket (ISO timestamp) to replay a cached run')
+  .option('--dry-run', 'Generate posts from a seeded scenario instead of calling the API', false)
+  .option('--scenario <name>', 'Dry-run scenario name (config/scenarios) or JSON file (default: collector.synthetic.scenario)')
+  .option('--seed <seed>', 'Dry-run seed (default: the scenario\'s seed)')
+  .option('-i, --input <path>', 'Analyze a local post dump instead of calling the API')
+  .option('--input-format <format>', 'Input file format (jsonl, csv, arrow); inferred from extension if omitted')
+  .option('--field-map <mapping>', 'Map post fields to input columns, e.g. id=post_id,content=text')
+  .option('--skip-validation', 'Report invariant violations without failing the run', false)
+  .option('--formats <formats>', 'Output formats (default: output.formats, json,csv,html)')
+  .option('--status-file <file>', 'Also write the run status JSON here (written even when the run fails early)')
+  .option('--log-level <level>', 'Log level (default: info)')
   .option('--json', 'Output logs as JSON', false)
   .action(runAnalysis);
 
+program
+  .command('watch')
+  .description('Run the analysis pipeline on a schedule and compare each run with the previous or a baseline run')
+  .option('--interval <minutes>', 'Minutes between cycles (default: watch.intervalMinutes, 60)')
+  .option('--cron <expr>', 'Five-field cron schedule instead of an interval, e.g. "0 */6 * * *"')
+  .option('--baseline <runId>', 'Compare every cycle against this run instead of the previous cycle')
+  .option('--state-file <file>', 'Watch/probe scheduler state (default: <baseDir>/watch_state.json)')
+  .option('--max-cycles <n>', 'Stop after this many cycles')
+  .option('-m, --max-samples <number>', 'Maximum number of samples (default: sampling.maxSampleSize)')
+  .option('--dry-run', 'Generate posts from a seeded scenario instead of calling the API', false)
+  .option('--scenario <name>', 'Dry-run scenario name (config/scenarios) or JSON file (default: collector.synthetic.scenario)')
+  .option('--seed <seed>', 'Dry-run seed (default: the scenario\'s seed)')
+  .option('-i, --input <path>', 'Analyze a local post dump each cycle instead of calling the API')
+  .option('--input-format <format>', 'Input file format (jsonl, csv, arrow); inferred from extension if omitted')
+  .option('--field-map <mapping>', 'Map post fields to input columns, e.g. id=post_id,content=text')
+  .option('--skip-validation', 'Skip invariant validation', false)
+  .option('--formats <formats>', 'Output formats (default: output.formats, json,csv,html)')
+  .option('--log-level <level>', 'Log level (default: info)')
+  .option('--json', 'Output logs as JSON', false)
+  .action(runWatch);
+
 program
   .command('validate <runId>')
   .description('Validate invariants for an existing run')
   .option('-o, --output <file>', 'Output file for validation report')
-  .option('--log-level <level>', 'Log level', 'info')
+  .option('--log-level <level>', 'Log level (default: info)')
   .option('--json', 'Output as JSON', false)
   .action(validateRun);
 
 program
   .command('compare <runId1> <runId2>')
   .description('Compare two analysis runs')
-  .option('-o, --output <file>', 'Output file for comparison report')
-  .option('--log-level <level>', 'Log level', 'info')
+  .option('-o, --output <file>', 'Output file for the JSON comparison report')
+  .option('--output-dir <dir>', 'Write diff reports (JSON, Markdown, HTML) to this directory')
+  .option('--formats <formats>', 'Diff report formats for --output-dir (default: json,md,html)')
+  .option('--allow-taxonomy-mismatch', 'Compare runs measured with different tag packs (shared features only)', false)
+  .option('--log-level <level>', 'Log level (default: info)')
   .action(compareRuns);
 
+program
+  .command('replay <runId>')
+  .description('Re-run a stored input snapshot and verify the analysis is bit-identical')
+  .option('-o, --output <file>', 'Output file for the determinism receipt (default: <run>/replay_receipt.json)')
+  .option('--log-level <level>', 'Log level (default: info)')
+  .option('--json', 'Output logs as JSON', false)
+  .action(replayRun);
+
+program
+  .command('trend')
+  .description('Test a feature\'s prevalence for monotonic drift across stored runs (Mann-Kendall, Sen\'s slope)')
+  .requiredOption('--feature <name>', 'Feature to track, e.g. hasTokenPromo')
+  .option('--block <key>', 'Block key to track (default: overall)')
+  .option('--last <n>', 'Number of most recent analysis runs to include', '30')
+  .option('--where <conditions>', 'Additional run registry filter, e.g. "source~file"')
+  .option('-o, --output-dir <dir>', 'Directory for trend JSON/HTML (default: <baseDir>/trends)')
+  .option('--log-level <level>', 'Log level (default: info)')
+  .option('--json', 'Output logs as JSON', false)
+  .action(runTrend);
+
+program
+  .command('alignment')
+  .description('Run the SOPHRON alignment pack over telemetry receipts')
+  .requiredOption('--receipts <path>', 'Receipts directory (*.json, *.jsonl) or JSONL/JSON file')
+  .option('--probes <file>', 'JSON file with probe execution results')
+  .option('--context <file>', 'JSON file with probe scheduling context')
+  .option('-r, --run-id <id>', 'Custom run ID')
+  .option('--fail-on-violation', 'Exit non-zero when alignment invariants fail (overrides alignment.failOnViolation)', false)
+  .option('--log-level <level>', 'Log level (default: info)')
+  .option('--json', 'Output logs as JSON', false)
+  .action(runAlignment);
+
 program
   .command('activation-drift-proxy')
   .description('Run activation-delta drift prototype in proxy mode (synthetic or JSONL pairs)')
@@ -344,21 +850,17 @@ program
   .option('--l2 <number>', 'L2 regularization', '0')
   .option('--threshold <number>', 'Decision threshold', '0.5')
   .option('-o, --output <file>', 'Write JSON results to file')
-  .option('--log-level <level>', 'Log level', 'info')
+  .option('--log-level <level>', 'Log level (default: info)')
   .option('--json', 'Output logs as JSON', false)
   .action(async (options) => {
-    const config = loadConfig({
-      logging: {
-        level: options.logLevel || 'info',
-        pretty: !options.json
-      },
+    const config = resolveConfig(cliOverrides(options, {
       analysis: {
         activationDrift: {
           enabled: true,
           threshold: Number(options.threshold)
         }
       }
-    });
+    }));
 
     const logger = createLogger(config.logging);
 
@@ -394,24 +896,147 @@ program
 
 program
   .command('list')
-  .description('List all available runs')
-  .action(async () => {
-    const config = loadConfig();
-    const entries = await fs.readdir(config.output.baseDir);
-    
-    console.log('\nAvailable runs:');
-    for (const entry of entries) {
-      const metaPath = path.join(config.output.baseDir, entry, 'meta.json');
-      try {
-        const meta = JSON.parse(await fs.readFile(metaPath, 'utf-8'));
-        console.log(`  ${entry}`);
-        console.log(`    Timestamp: ${meta.timestamp}`);
-        console.log(`    Unique Posts: ${meta.summary.uniquePosts}`);
-      } catch {
-        // Skip invalid entries
+  .description('List runs from the run registry')
+  .option('--where <conditions>', 'Filter, e.g. "timestamp>=2024-02-01,validation=passed,source~file"')
+  .option('--sort <field[:dir]>', 'Sort field and direction', 'timestamp:asc')
+  .option('--limit <number>', 'Maximum number of runs to show')
+  .option('--json', 'Print matching entries as JSON', false)
+  .option('--rebuild', 'Rebuild the index from run directories first', false)
+  .action(async (options) => {
+    const config = resolveConfig();
+    const logger = createLogger({ ...config.logging, level: 'warn' });
+    const registry = new RunRegistry(config, logger);
+
+    // Index runs that predate the registry and drop runs removed by hand
+    if (options.rebuild) {
+      await registry.rebuild();
+    } else {
+      await registry.sync();
+    }
+
+    const runs = await registry.query({
+      where: options.where,
+      sort: options.sort,
+      limit: options.limit ? Number(options.limit) : null
+    });
+
+    if (options.json) {
+      console.log(JSON.stringify(runs, null, 2));
+      return;
+    }
+
+    console.log(`\nAvailable runs (${runs.length}):`);
+    for (const run of runs) {
+      console.log(`  ${run.runId}`);
+      console.log(`    Timestamp: ${run.timestamp}`);
+      console.log(`    Kind: ${run.kind}  Source: ${run.source ?? 'unknown'}  Validation: ${run.validation}`);
+      if (run.uniquePosts !== null && run.uniquePosts !== undefined) {
+        console.log(`    Unique Posts: ${run.uniquePosts}`);
       }
+      console.log(`    Config: ${run.configHash ?? '-'}  Data: ${String(run.dataHash ?? '-').substring(0, 16)}  Git: ${run.gitSha ?? '-'}`);
+    }
+    console.log();
+  });
+
+program
+  .command('serve')
+  .description('Serve runs, reports and comparisons over a local read-only HTTP API')
+  .option('-p, --port <number>', 'Port to listen on', '8080')
+  .option('--host <host>', 'Interface to bind', '127.0.0.1')
+  .option('--log-level <level>', 'Log level (default: info)')
+  .option('--json', 'Output logs as JSON', false)
+  .action(async (options) => {
+    const config = resolveConfig(cliOverrides(options));
+    const logger = createLogger(config.logging);
+
+    const server = new ApiServer(config, logger);
+    const { host, port } = await server.listen({ port: Number(options.port), host: options.host });
+    console.log(`\nServing ${config.output.baseDir} at http://${host}:${port}/ (Ctrl+C to stop)\n`);
+
+    const shutdown = async (signal) => {
+      logger.info({ signal }, 'Shutting down API server');
+      await server.close();
+    };
+    process.once('SIGTERM', shutdown);
+    process.once('SIGINT', shutdown);
+  });
+
+program
+  .command('mock-server')
+  .description('Serve the MoltX /v1/trending contract from fixture files for offline end-to-end runs')
+  .requiredOption('-f, --fixtures <paths...>', 'Fixture post files (jsonl, csv, arrow)')
+  .option('--field-map <mapping>', 'Map post fields to fixture columns, e.g. id=post_id,content=text')
+  .option('-p, --port <number>', 'Port to listen on', '8081')
+  .option('--host <host>', 'Interface to bind', '127.0.0.1')
+  .option('--fail-every <n>', 'Answer every Nth request with 503 + Retry-After')
+  .option('--retry-after <seconds>', 'Retry-After sent with injected failures', '1')
+  .option('--rate-limit <n>', 'Allow N requests per minute, then 429 + Retry-After')
+  .option('--require-token', 'Reject requests without a bearer token', false)
+  .option('--log-level <level>', 'Log level (default: info)')
+  .option('--json', 'Output logs as JSON', false)
+  .action(async (options) => {
+    const config = resolveConfig(cliOverrides(options));
+    const logger = createLogger(config.logging);
+
+    const fileCollector = new FileCollector(config, logger);
+    const fieldMap = options.fieldMap ? parseFieldMap(options.fieldMap) : {};
+    const posts = [];
+    for (const fixture of options.fixtures) {
+      posts.push(...(await fileCollector.load(fixture, { fieldMap })).posts);
+    }
+
+    const server = new MockMoltxServer(config, logger, {
+      posts,
+      failEvery: options.failEvery !== undefined ? Number(options.failEvery) : 0,
+      retryAfterSeconds: Number(options.retryAfter),
+      rateLimit: options.rateLimit !== undefined
+        ? { maxRequests: Number(options.rateLimit), windowMs: 60000 }
+        : null,
+      requireToken: options.requireToken
+    });
+    const { host, port } = await server.listen({ port: Number(options.port), host: options.host });
+    console.log(`\nMock MoltX API with ${posts.length} posts at http://${host}:${port}/v1/trending (Ctrl+C to stop)`);
+    console.log(`Point analyze at it with MOLTX_API_URL=http://${host}:${port}\n`);
+
+    const shutdown = async (signal) => {
+      logger.info({ signal }, 'Shutting down mock server');
+      await server.close();
+    };
+    process.once('SIGTERM', shutdown);
+    process.once('SIGINT', shutdown);
+  });
+
+const configCommand = program
+  .command('config')
+  .description('Inspect resolved configuration');
+
+configCommand
+  .command('show')
+  .description('Print the resolved configuration')
+  .option('--explain', 'Show which layer set each value', false)
+  .action((options) => {
+    const { config, origins, layers } = loadLayeredConfig({ configFile: program.opts().config });
+
+    if (!options.explain) {
+      console.log(JSON.stringify(config, null, 2));
+      return;
+    }
+
+    console.log('\nLayers (lowest precedence first):');
+    for (const layer of layers) {
+      console.log(`  - ${layer.name} (${layer.keys} values)`);
+    }
+
+    const width = Math.max(...Object.keys(origins).map(k => k.length));
+    console.log('\nResolved values:');
+    for (const [key, origin] of Object.entries(origins)) {
+      const value = key.split('.').reduce((node, part) => node?.[part], config);
+      console.log(`  ${key.padEnd(width)}  ${JSON.stringify(value)}  [${origin}]`);
     }
     console.log();
   });
 
-program.parse(process.argv);
+program.parseAsync(process.argv).catch((error) => {
+  console.error(`\n✗ ${String(error.message).split('\n')[0]}`);
+  process.exitCode = exitCodeFor(error);
+});
@@ -0,0 +1,229 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import * as ss from 'simple-statistics';
+import {
+  QuantileSketch,
+  Moments,
+  BloomFilter,
+  BlockAccumulator
+} from '../lib/analyzers/accumulators.js';
+import { PrevalenceAnalyzer } from '../lib/analyzers/prevalence-analyzer.js';
+import { MultisetHash } from '../lib/utils/hashing.js';
+import { tagTimeWindows, mergeTimeWindows } from '../lib/collectors/time-windows.js';
+import { SafetyReportReporter } from '../lib/reporters/safety-report-reporter.js';
+
+const mockLogger = {
+  info: () => {},
+  debug: () => {},
+  warn: () => {},
+  error: () => {}
+};
+
+const config = {
+  analysis: {
+    confidenceLevel: 0.95,
+    minBlockSize: 5,
+    impressionBands: { low: 100, mid: 1000, high: 10000 },
+    sketchAccuracy: 0.01,
+    streaming: { enabled: true, dedup: 'bloom', falsePositiveRate: 0.001 }
+  },
+  sampling: { maxSampleSize: 10000 }
+};
+
+const T0 = Date.parse('2024-02-08T10:00:00.000Z');
+
+// Deterministic posts, with every tenth one repeated
+const makePosts = (n) => {
+  const texts = ['token airdrop now', 'secure api deploy', 'click buy limited', 'receipt verified', 'hello'];
+  const posts = [];
+  for (let i = 0; i < n; i++) {
+    const post = {
+      id: `p${i}`,
+      content: texts[i % 5],
+      impressions: (i * 7919) % 20000,
+      source: i % 3 === 0 ? 'top' : 'fallback',
+      timestamp: T0 + i * 60000
+    };
+    posts.push(post);
+    if (i % 10 === 0) posts.push({ ...post });
+  }
+  return posts;
+};
+
+async function* inBatches(posts, size) {
+  for (let i = 0; i < posts.length; i += size) yield posts.slice(i, i + size);
+}
+
+describe('accumulators', () => {
+  it('should estimate quantiles within the sketch relative accuracy', () => {
+    const values = Array.from({ length: 5000 }, (_, i) => ((i * 104729) % 99991) + 1);
+    const sketch = new QuantileSketch({ relativeAccuracy: 0.01 });
+    values.forEach(v => sketch.add(v));
+
+    const sorted = [...values].sort((a, b) => a - b);
+    for (const q of [0.1, 0.25, 0.5, 0.75, 0.99]) {
+      const exact = sorted[Math.floor(q * (sorted.length - 1))];
+      assert.ok(Math.abs(sketch.quantile(q) - exact) <= 0.01 * exact + 1e-9, `q=${q}`);
+    }
+    assert.strictEqual(sketch.quantile(0), 1);
+    assert.throws(() => sketch.add(-1), RangeError);
+  });
+
+  it('should merge sketches and moments to the same result as one pass', () => {
+    const values = Array.from({ length: 1000 }, (_, i) => (i * 37) % 500);
+    const whole = new QuantileSketch();
+    const left = new QuantileSketch();
+    const right = new QuantileSketch();
+    const leftMoments = new Moments();
+    const rightMoments = new Moments();
+
+    values.forEach((v, i) => {
+      whole.add(v);
+      (i % 2 ? left : right).add(v);
+      (i % 2 ? leftMoments : rightMoments).add(v);
+    });
+    left.merge(right);
+    leftMoments.merge(rightMoments);
+
+    assert.deepStrictEqual([...left.buckets].sort(), [...whole.buckets].sort());
+    assert.strictEqual(left.quantile(0.5), whole.quantile(0.5));
+    assert.ok(Math.abs(leftMoments.mean - ss.mean(values)) < 1e-9);
+    assert.ok(Math.abs(leftMoments.stdDev - ss.standardDeviation(values)) < 1e-9);
+    assert.strictEqual(leftMoments.min, 0);
+    assert.strictEqual(leftMoments.max, 499);
+  });
+
+  it('should keep the sketch within maxBuckets', () => {
+    const sketch = new QuantileSketch({ relativeAccuracy: 0.01, maxBuckets: 64 });
+    const values = [];
+    for (let v = 1; v <= 100000; v *= 1.01) values.push(v);
+    values.forEach(v => sketch.add(v));
+    assert.ok(sketch.buckets.size <= 64);
+
+    // Only the lowest buckets are folded, so upper quantiles keep their accuracy
+    const exact = values[Math.floor(0.99 * (values.length - 1))];
+    assert.ok(Math.abs(sketch.quantile(0.99) - exact) <= 0.01 * exact);
+  });
+
+  it('should never report a seen key as new in the Bloom filter', () => {
+    const bloom = new BloomFilter({ expectedItems: 20000, falsePositiveRate: 0.01 });
+    let falsePositives = 0;
+    for (let i = 0; i < 20000; i++) {
+      if (!bloom.add(`post_${i}`)) falsePositives++;
+    }
+    for (let i = 0; i < 20000; i += 7) {
+      assert.strictEqual(bloom.add(`post_${i}`), false);
+    }
+    // Expected false positives over the fill are well below the final 1% rate
+    assert.ok(falsePositives < 200, `falsePositives=${falsePositives}`);
+    assert.strictEqual(bloom.describe().method, 'bloom');
+    assert.strictEqual(bloom.describe().items, 20000 - falsePositives);
+    assert.strictEqual(bloom.describe().overfilled, false);
+  });
+
+  it('should report the Bloom filter fill past its expected items', () => {
+    const bloom = new BloomFilter({ expectedItems: 100, falsePositiveRate: 0.01 });
+    for (let i = 0; i < 100; i++) bloom.add(`post_${i}`);
+    const sized = bloom.describe();
+    assert.ok(Math.abs(sized.estimatedFalsePositiveRate - 0.01) < 0.005, `rate=${sized.estimatedFalsePositiveRate}`);
+
+    for (let i = 100; i < 1000; i++) bloom.add(`post_${i}`);
+    const full = bloom.describe();
+    assert.strictEqual(full.overfilled, true);
+    assert.ok(full.fill > sized.fill && full.fill <= 1);
+    assert.ok(full.estimatedFalsePositiveRate > 0.5, `rate=${full.estimatedFalsePositiveRate}`);
+  });
+
+  it('should merge block accumulators like a single pass', () => {
+    const analyzer = new PrevalenceAnalyzer(config, mockLogger);
+    const features = makePosts(200).map(p => analyzer.extractFeatures(p));
+
+    const whole = new BlockAccumulator(analyzer.features);
+    const a = new BlockAccumulator(analyzer.features);
+    const b = new BlockAccumulator(analyzer.features);
+    features.forEach((f, i) => {
+      whole.add(f);
+      (i < 77 ? a : b).add(f);
+    });
+    a.merge(b);
+
+    assert.strictEqual(a.count, whole.count);
+    assert.deepStrictEqual(a.featureCounts, whole.featureCounts);
+    assert.deepStrictEqual(a.pairCounts, whole.pairCounts);
+    assert.strictEqual(a.totalImpressions, whole.totalImpressions);
+    assert.strictEqual(a.firstTimestamp, whole.firstTimestamp);
+    assert.strictEqual(a.lastTimestamp, whole.lastTimestamp);
+  });
+});
+
+describe('PrevalenceAnalyzer.analyzeStream', () => {
+  it('should match the in-memory analysis whatever the batch size', async () => {
+    const posts = makePosts(600);
+    const analyzer = new PrevalenceAnalyzer(config, mockLogger);
+    const inMemory = analyzer.analyze(posts);
+
+    for (const size of [1, 64, 10000]) {
+      const streamed = await analyzer.analyzeStream(inBatches(posts, size), { dedup: 'exact' });
+      assert.deepStrictEqual(streamed, inMemory, `batch size ${size}`);
+    }
+
+    const bloom = await analyzer.analyzeStream(inBatches(posts, 64));
+    assert.strictEqual(inMemory.summary.rawPosts, 660);
+    assert.strictEqual(inMemory.summary.uniquePosts, 600);
+    assert.strictEqual(bloom.summary.uniquePosts, 600);
+    assert.strictEqual(bloom.summary.dedup.method, 'bloom');
+    assert.deepStrictEqual(bloom.blocks, inMemory.blocks);
+  });
+
+  it('should warn when a stream outgrows the Bloom filter', async () => {
+    const warnings = [];
+    const logger = { ...mockLogger, warn: (fields, msg) => warnings.push({ ...fields, msg }) };
+    const small = { ...config, sampling: { maxSampleSize: 100 } };
+    const results = await new PrevalenceAnalyzer(small, logger).analyzeStream(inBatches(makePosts(600), 64));
+
+    const { dedup } = results.summary;
+    assert.strictEqual(dedup.expectedItems, 100);
+    assert.strictEqual(dedup.items, results.summary.uniquePosts);
+    assert.strictEqual(dedup.overfilled, true);
+    assert.ok(dedup.estimatedFalsePositiveRate > dedup.falsePositiveRate);
+    assert.deepStrictEqual(warnings.filter(w => /Bloom filter/.test(w.msg)).map(w => w.items), [dedup.items]);
+  });
+
+  it('should leave missing impressions and timestamps out of block statistics', () => {
+    const analyzer = new PrevalenceAnalyzer({ ...config, analysis: { ...config.analysis, minBlockSize: 1 } }, mockLogger);
+    const results = analyzer.analyze([
+      { id: 'a', content: 'hello', impressions: 10, timestamp: T0 },
+      { id: 'b', content: 'hello' }
+    ]);
+
+    assert.strictEqual(results.overall.impressionStats.count, 1);
+    assert.strictEqual(results.overall.metadata.firstTimestamp, T0);
+    assert.strictEqual(results.overall.metadata.lastTimestamp, T0);
+    assert.strictEqual(results.blocks.unknown_unknown_noTokenPromo.sampleSize, 1);
+  });
+});
+
+describe('streaming run identity', () => {
+  it('should hash the same posts the same regardless of order or batching', () => {
+    const posts = makePosts(50);
+    const reporter = new SafetyReportReporter(config, mockLogger);
+    const shuffled = [...posts].reverse();
+    assert.strictEqual(reporter.computeDataHash(posts), reporter.computeDataHash(shuffled));
+    assert.notStrictEqual(reporter.computeDataHash(posts), reporter.computeDataHash(posts.slice(1)));
+
+    const hash = new MultisetHash();
+    assert.match(hash.digest(), /^0{64}$/);
+  });
+
+  it('should merge per-batch time window summaries', () => {
+    const posts = makePosts(90).map((p, i) => (i === 5 ? { ...p, timestamp: undefined } : p));
+    const whole = tagTimeWindows(posts, { batchSizeMinutes: 30 }).timeWindow;
+
+    let merged = tagTimeWindows([], { batchSizeMinutes: 30 }).timeWindow;
+    for (let i = 0; i < posts.length; i += 17) {
+      merged = mergeTimeWindows(merged, tagTimeWindows(posts.slice(i, i + 17), { batchSizeMinutes: 30 }).timeWindow);
+    }
+
+    assert.deepStrictEqual(merged, whole);
+  });
+});
@@ -0,0 +1,135 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { fileURLToPath } from 'url';
+import { loadReceipts } from '../lib/alignment/receipts.js';
+import { ExitCode } from '../lib/utils/exit-codes.js';
+import { RunRegistry } from '../lib/reporters/run-registry.js';
+
+const mockLogger = {
+  info: () => {},
+  debug: () => {},
+  warn: () => {},
+  error: () => {}
+};
+
+describe('loadReceipts', () => {
+  let dir;
+
+  before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'cer-receipts-'));
+    await fs.mkdir(path.join(dir, 'receipts'));
+    await fs.writeFile(path.join(dir, 'receipts', 'b.jsonl'), '{"run_id":"b1"}\nnot json\n\n{"run_id":"b2"}\n');
+    await fs.writeFile(path.join(dir, 'receipts', 'a.json'), JSON.stringify([{ runId: 'a1' }, { runId: 'a2' }]));
+    await fs.writeFile(path.join(dir, 'receipts', 'c.json'), '{ broken');
+    await fs.writeFile(path.join(dir, 'receipts', 'notes.txt'), 'ignored');
+  });
+
+  after(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('should read a directory in name order and skip malformed input', async () => {
+    const warnings = [];
+    const logger = { ...mockLogger, warn: (fields, msg) => warnings.push({ ...fields, msg }) };
+    const { receipts, files } = await loadReceipts(path.join(dir, 'receipts'), logger);
+
+    assert.deepStrictEqual(files.map(f => path.basename(f)), ['a.json', 'b.jsonl', 'c.json']);
+    assert.deepStrictEqual(receipts.map(r => r.runId), ['a1', 'a2', 'b1', 'b2']);
+    assert.deepStrictEqual(warnings.map(w => w.msg), ['Skipping invalid receipt line', 'Skipping invalid receipt JSON']);
+    assert.strictEqual(warnings[0].line, 2);
+  });
+
+  it('should read a single JSONL file', async () => {
+    const { receipts, files } = await loadReceipts(path.join(dir, 'receipts', 'b.jsonl'), mockLogger);
+
+    assert.strictEqual(files.length, 1);
+    assert.deepStrictEqual(receipts.map(r => r.runId), ['b1', 'b2']);
+  });
+});
+
+describe('alignment command', () => {
+  const cli = fileURLToPath(new URL('../src/cli.js', import.meta.url));
+  let dir;
+  let configFile;
+
+  const run = (...args) => promisify(execFile)(process.execPath, [cli, '-c', configFile, 'alignment', ...args], {
+    timeout: 60000
+  });
+  const readJson = async (...parts) => JSON.parse(await fs.readFile(path.join(dir, 'runs', ...parts), 'utf-8'));
+
+  before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'cer-alignment-'));
+    await fs.mkdir(path.join(dir, 'receipts'));
+    await fs.writeFile(path.join(dir, 'receipts', 'a.json'), JSON.stringify({ runId: 'a1', tool: 'search' }));
+    await fs.writeFile(path.join(dir, 'receipts', 'b.jsonl'), '{"run_id":"b1"}\nnot json\n{"run_id":"b2"}\n');
+    // Probe without seed, configHash or inputSnapshot breaks INV-B
+    await fs.writeFile(path.join(dir, 'probes.json'), JSON.stringify({ cohortAnalysis: { id: 'cohort' } }));
+
+    configFile = path.join(dir, 'config.json');
+    await fs.writeFile(configFile, JSON.stringify({
+      output: { baseDir: path.join(dir, 'runs'), formats: ['json'] },
+      logging: { level: 'fatal', pretty: false }
+    }));
+  });
+
+  after(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('should write alignment.json and meta.json provenance for a receipts directory', async () => {
+    await run('--receipts', path.join(dir, 'receipts'), '-r', 'align_dir');
+
+    const meta = await readJson('align_dir', 'meta.json');
+    assert.strictEqual(meta.kind, 'alignment');
+    assert.deepStrictEqual(meta.source, {
+      type: 'receipts',
+      path: path.join(dir, 'receipts'),
+      files: 2,
+      receipts: 3,
+      probes: null,
+      context: null
+    });
+    assert.match(meta.dataHash, /^[0-9a-f]{64}$/);
+    assert.strictEqual(meta.configHash, meta.config.configHash);
+
+    const alignment = await readJson('align_dir', 'alignment.json');
+    assert.strictEqual(alignment.invariants.valid, true);
+
+    // Staged writes leave no partial directory behind and index the run
+    const entries = await fs.readdir(path.join(dir, 'runs'));
+    assert.ok(!entries.some(name => name.startsWith('.partial-')));
+    const runs = await new RunRegistry({ output: { baseDir: path.join(dir, 'runs') } }, mockLogger).query();
+    assert.ok(runs.some(entry => entry.runId === 'align_dir'));
+  });
+
+  it('should take a single JSONL file as input', async () => {
+    await run('--receipts', path.join(dir, 'receipts', 'b.jsonl'), '-r', 'align_file');
+
+    const meta = await readJson('align_file', 'meta.json');
+    assert.strictEqual(meta.source.files, 1);
+    assert.strictEqual(meta.source.receipts, 2);
+    assert.notStrictEqual(meta.dataHash, (await readJson('align_dir', 'meta.json')).dataHash);
+  });
+
+  it('should exit with the invariant code only under --fail-on-violation', async () => {
+    const probes = path.join(dir, 'probes.json');
+
+    await run('--receipts', path.join(dir, 'receipts'), '--probes', probes, '-r', 'align_warn');
+    const warned = await readJson('align_warn', 'alignment.json');
+    assert.strictEqual(warned.invariants.valid, false);
+    assert.ok(warned.invariants.violations.every(v => v.invariant === 'inv_b_probe_determinism'));
+
+    await assert.rejects(
+      run('--receipts', path.join(dir, 'receipts'), '--probes', probes, '-r', 'align_fail', '--fail-on-violation'),
+      error => error.code === ExitCode.INVARIANT_ERROR
+    );
+    const meta = await readJson('align_fail', 'meta.json');
+    assert.strictEqual(meta.source.probes, probes);
+    assert.strictEqual(meta.config.alignment.failOnViolation, true);
+  });
+});
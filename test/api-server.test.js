@@ -0,0 +1,96 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { ApiServer } from '../lib/server/api-server.js';
+
+const mockLogger = {
+  info: () => {},
+  debug: () => {},
+  warn: () => {},
+  error: () => {}
+};
+
+const analysis = (count) => {
+  const block = {
+    sampleSize: 500,
+    impressionStats: {},
+    prevalences: {
+      hasTokenPromo: { count, total: 500, prevalence: count / 500, confidence: { lower: 0, upper: 1 } }
+    },
+    weightedPrevalences: { hasTokenPromo: { prevalence: count / 500 } }
+  };
+  return {
+    summary: { rawPosts: 500, uniquePosts: 500, blockCount: 1 },
+    overall: block,
+    blocks: { mid_feed_tokenPromo: block }
+  };
+};
+
+describe('ApiServer', () => {
+  let baseDir;
+  let server;
+  let url;
+
+  const writeRun = async (runId, count, timestamp) => {
+    const dir = path.join(baseDir, runId);
+    await fs.mkdir(dir, { recursive: true });
+    await fs.writeFile(path.join(dir, 'meta.json'), JSON.stringify({ runId, timestamp, configHash: 'cfg', source: 'mock' }));
+    await fs.writeFile(path.join(dir, 'analysis.json'), JSON.stringify(analysis(count)));
+    await fs.writeFile(path.join(dir, 'validation.json'), JSON.stringify({ valid: true, violations: [] }));
+  };
+
+  before(async () => {
+    baseDir = await fs.mkdtemp(path.join(os.tmpdir(), 'cer-serve-'));
+    await writeRun('run_a', 50, '2024-02-01T00:00:00.000Z');
+    await writeRun('run_b', 150, '2024-02-02T00:00:00.000Z');
+
+    server = new ApiServer({ analysis: { confidenceLevel: 0.95 }, output: { baseDir } }, mockLogger);
+    const { port } = await server.listen({ port: 0 });
+    url = `http://127.0.0.1:${port}`;
+  });
+
+  after(async () => {
+    await server.close();
+    await fs.rm(baseDir, { recursive: true, force: true });
+  });
+
+  it('should list runs from the registry', async () => {
+    const res = await fetch(`${url}/runs?sort=timestamp:desc`);
+    assert.strictEqual(res.status, 200);
+    const { runs } = await res.json();
+    assert.deepStrictEqual(runs.map(r => r.runId), ['run_b', 'run_a']);
+
+    assert.strictEqual((await fetch(`${url}/runs?where=bogus=1`)).status, 400);
+  });
+
+  it('should serve run artifacts and render the HTML report', async () => {
+    const analysisRes = await fetch(`${url}/runs/run_a/analysis`);
+    assert.strictEqual((await analysisRes.json()).summary.uniquePosts, 500);
+
+    const report = await fetch(`${url}/runs/run_a/report.html`);
+    assert.match(report.headers.get('content-type'), /text\/html/);
+    assert.match(await report.text(), /CER-Telemetry Analysis Report/);
+
+    assert.strictEqual((await fetch(`${url}/runs/run_a/safety-report`)).status, 404);
+    assert.strictEqual((await fetch(`${url}/runs/nope/analysis`)).status, 404);
+    // A file in baseDir is not a run
+    assert.strictEqual((await fetch(`${url}/runs/index.jsonl`)).status, 404);
+    assert.strictEqual((await fetch(`${url}/runs/index.jsonl/analysis`)).status, 404);
+    assert.strictEqual((await fetch(`${url}/runs/..%2F..%2Fetc/meta`)).status, 400);
+  });
+
+  it('should compare two runs on demand', async () => {
+    const res = await fetch(`${url}/compare?run1=run_a&run2=run_b`);
+    const report = await res.json();
+    assert.strictEqual(report.summary.tests, 1);
+    assert.strictEqual(report.significant[0].blockKey, 'mid_feed_tokenPromo');
+
+    const md = await fetch(`${url}/compare?run1=run_a&run2=run_b&format=md`);
+    assert.match(await md.text(), /^# Run Comparison/);
+
+    assert.strictEqual((await fetch(`${url}/compare?run1=run_a`)).status, 400);
+    assert.strictEqual((await fetch(`${url}/runs`, { method: 'POST' })).status, 405);
+  });
+});
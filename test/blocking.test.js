@@ -0,0 +1,201 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { BlockingScheme, BlockingSchemeError, DEFAULT_BLOCKING, encodeBlockKey } from '../lib/analyzers/blocking.js';
+import { PrevalenceAnalyzer } from '../lib/analyzers/prevalence-analyzer.js';
+import { RunComparator } from '../lib/analyzers/run-comparator.js';
+import { InvariantValidator } from '../lib/validators/invariant-validator.js';
+import { ConfigSchema, defaultConfig, deepMerge } from '../config/schema.js';
+
+const mockLogger = {
+  info: () => {},
+  debug: () => {},
+  warn: () => {},
+  error: () => {}
+};
+
+const config = (blocking, analysis = {}) => ({
+  analysis: {
+    confidenceLevel: 0.95,
+    minBlockSize: 1,
+    impressionBands: { low: 100, mid: 1000, high: 10000 },
+    ...(blocking ? { blocking } : {}),
+    ...analysis
+  }
+});
+
+const posts = [
+  { id: 'a', content: 'New token drop', impressions: 50, source: 'feed', timestamp: '2024-02-08T00:10:00Z', language: 'EN' },
+  { id: 'b', content: 'Stay safe out there, and always verify links before you sign anything at all today', impressions: 500, source: 'feed', timestamp: '2024-02-08T01:20:00Z', language: 'de', author: { tier: 2 } },
+  { id: 'c', content: 'hello', impressions: 5000, source: 'search', timestamp: '2024-02-08T01:40:00Z', author: { tier: 2 } }
+];
+
+const keys = (blocking, input = posts) => Object.keys(new PrevalenceAnalyzer(config(blocking), mockLogger).analyze(input).blocks).sort();
+
+describe('BlockingScheme', () => {
+  it('should reproduce the original block keys by default', () => {
+    assert.deepStrictEqual(keys(), ['high_search_noTokenPromo', 'low_feed_tokenPromo', 'mid_feed_noTokenPromo']);
+    assert.strictEqual(keys(DEFAULT_BLOCKING).join(), keys().join());
+  });
+
+  it('should key posts by each dimension type', () => {
+    const dimensions = [
+      { type: 'feature', feature: 'hasSafetyLanguage', present: 'safe', absent: 'unsafe' },
+      { type: 'timeWindow', minutes: 60 },
+      { type: 'language' },
+      { type: 'contentLength', bounds: [10, 50], labels: ['tiny', 'short', 'long'] },
+      { type: 'field', field: 'author.tier', missing: 'anon' }
+    ];
+    assert.deepStrictEqual(keys({ dimensions }), [
+      'safe_2024-02-08T01:00:00.000Z_de_long_2',
+      'unsafe_2024-02-08T00:00:00.000Z_en_short_anon',
+      'unsafe_2024-02-08T01:00:00.000Z_unknown_tiny_2'
+    ]);
+  });
+
+  it('should prefer the sampling window tag over the timestamp', () => {
+    const tagged = [
+      { ...posts[0], _window: { start: '2024-02-07T18:00:00.000Z', end: '2024-02-08T06:00:00.000Z' } },
+      { ...posts[1], _window: null }
+    ];
+    assert.deepStrictEqual(keys({ dimensions: [{ type: 'timeWindow' }] }, tagged), ['2024-02-07T18:00:00.000Z', 'untimed']);
+    assert.deepStrictEqual(keys({ dimensions: [{ type: 'timeWindow', minutes: 1440 }] }, tagged), ['2024-02-08T00:00:00.000Z']);
+  });
+
+  it('should keep parts containing the separator in separate blocks', () => {
+    // Unambiguous keys stay plain, so keys match runs from before the escaping
+    assert.deepStrictEqual(keys(undefined, [{ id: 'v', content: 'hi', impressions: 50000, source: 'feed' }]), ['very_high_feed_noTokenPromo']);
+
+    const dimensions = [{ type: 'field', field: 'a' }, { type: 'field', field: 'b' }];
+    const tricky = [
+      { id: '1', content: 'hi', a: 'x_y', b: 'z' },
+      { id: '2', content: 'hi', a: 'x', b: 'y_z' },
+      { id: '3', content: 'hi', a: '*', b: '%' }
+    ];
+    assert.deepStrictEqual(keys({ dimensions }, tricky), ['%2A_%25', 'x%5Fy_z', 'x_y%5Fz']);
+    assert.deepStrictEqual(keys({ dimensions }, tricky.slice(0, 1)), ['x_y_z']);
+    assert.deepStrictEqual(keys({ dimensions: [{ type: 'field', field: 'a' }] }, [{ id: '1', content: 'hi', a: '_other' }]), ['%5Fother']);
+    assert.deepStrictEqual(encodeBlockKey(['mid', null]), 'mid_*');
+
+    // Cells whose values would join to the same key are still merged apart
+    const merged = new PrevalenceAnalyzer(config({ dimensions }, { minBlockSize: 2, smallBlocks: 'merge' }), mockLogger)
+      .analyze([...tricky, { id: '4', content: 'hi', a: 'x_y', b: 'q' }]);
+    assert.deepStrictEqual(Object.keys(merged.blocks), ['*_*', 'x_y_*']);
+    assert.strictEqual(merged.blocks['x_y_*'].sampleSize, 2);
+    assert.deepStrictEqual(merged.blockLedger.cells.filter(c => c.into === '*_*').map(c => c.cell), ['%2A_%25', 'x_y%5Fz']);
+  });
+
+  it('should record a version and a hash that follow the scheme content', () => {
+    const summary = blocking => new PrevalenceAnalyzer(config(blocking), mockLogger).analyze(posts).summary.blocking;
+    const base = summary();
+
+    assert.strictEqual(base.version, '1');
+    assert.strictEqual(base.layout, 'impressionBand_source_hasTokenPromo');
+    assert.match(base.hash, /^[0-9a-f]{64}$/);
+    // Defaults are filled in before hashing, so spelling them out changes nothing
+    assert.strictEqual(summary({
+      version: '1',
+      dimensions: [{ type: 'impressionBand' }, { type: 'source' }, { type: 'feature', feature: 'hasTokenPromo', present: 'tokenPromo' }]
+    }).hash, base.hash);
+    assert.notStrictEqual(summary({ ...DEFAULT_BLOCKING, version: '2' }).hash, base.hash);
+    assert.notStrictEqual(summary({ dimensions: [{ type: 'source' }] }).hash, base.hash);
+  });
+
+  it('should reject features outside the taxonomy and malformed dimensions', () => {
+    assert.throws(() => new BlockingScheme({ dimensions: [{ type: 'feature', feature: 'hasGiveaway' }] }, ['hasTokenPromo']),
+      BlockingSchemeError);
+    assert.throws(() => new BlockingScheme({ dimensions: [{ type: 'country' }] }, []), /Unknown blocking dimension/);
+
+    const parse = blocking => ConfigSchema.safeParse(deepMerge(defaultConfig, { analysis: { blocking } }));
+    assert.ok(parse({ dimensions: [{ type: 'contentLength' }, { type: 'field', field: 'author.tier' }] }).success);
+    assert.match(parse({ dimensions: [{ type: 'contentLength', bounds: [5] }] }).error.message, /one more label/);
+    assert.match(parse({ dimensions: [{ type: 'contentLength', bounds: [50, 10] }] }).error.message, /ascending/);
+    assert.ok(!parse({ dimensions: [] }).success);
+    assert.ok(!parse({ dimensions: [{ type: 'source', field: 'x' }] }).success);
+  });
+
+  it('should flag comparisons across blocking schemes', () => {
+    const run1 = new PrevalenceAnalyzer(config(), mockLogger).analyze(posts);
+    const run2 = new PrevalenceAnalyzer(config({ dimensions: [{ type: 'source' }] }), mockLogger).analyze(posts);
+    const warnings = [];
+    const logger = { ...mockLogger, warn: (_, msg) => warnings.push(msg) };
+
+    const report = new RunComparator(config(), logger).compare(run1, run2);
+    assert.strictEqual(report.blocking.match, false);
+    assert.strictEqual(report.summary.sharedBlocks, 0);
+    assert.ok(warnings.some(msg => /blocking schemes/.test(msg)));
+    assert.strictEqual(new RunComparator(config(), mockLogger).compare(run1, run1).blocking.match, true);
+  });
+});
+
+describe('Small blocks', () => {
+  const cell = (n, prefix, { impressions = 500, source = 'feed', content = 'hello' } = {}) =>
+    Array.from({ length: n }, (_, i) => ({ id: `${prefix}${i}`, content, impressions, source, timestamp: 1700000000000 + i }));
+
+  // With minBlockSize 5 only mid_feed_noTokenPromo is large enough
+  const cells = [
+    ...cell(10, 'big'),
+    ...cell(3, 'promo', { content: 'token drop' }),
+    ...cell(3, 'search', { source: 'search' }),
+    ...cell(2, 'low', { impressions: 10 })
+  ];
+
+  const analyze = smallBlocks => new PrevalenceAnalyzer(config(null, { minBlockSize: 5, smallBlocks }), mockLogger).analyze(cells);
+  const into = results => Object.fromEntries(results.blockLedger.cells.map(c => [c.cell, [c.action, c.into]]));
+
+  it('should drop small cells by default and record them', () => {
+    const results = analyze();
+    assert.deepStrictEqual(Object.keys(results.blocks), ['mid_feed_noTokenPromo']);
+    assert.deepStrictEqual(into(results), {
+      low_feed_noTokenPromo: ['dropped', null],
+      mid_feed_noTokenPromo: ['kept', 'mid_feed_noTokenPromo'],
+      mid_feed_tokenPromo: ['dropped', null],
+      mid_search_noTokenPromo: ['dropped', null]
+    });
+    assert.deepStrictEqual(results.blockLedger.summary.dropped, { cells: 3, posts: 8 });
+    assert.strictEqual(results.overall.sampleSize, 18);
+  });
+
+  it('should merge small cells up by collapsing the last dimensions', () => {
+    const results = analyze('merge');
+    assert.deepStrictEqual(Object.keys(results.blocks), ['mid_*_*', 'mid_feed_noTokenPromo']);
+    assert.strictEqual(results.blocks['mid_*_*'].sampleSize, 6);
+    assert.strictEqual(results.blocks['mid_*_*'].prevalences.hasTokenPromo.count, 3);
+    assert.deepStrictEqual(into(results), {
+      low_feed_noTokenPromo: ['dropped', null],
+      mid_feed_noTokenPromo: ['kept', 'mid_feed_noTokenPromo'],
+      mid_feed_tokenPromo: ['merged', 'mid_*_*'],
+      mid_search_noTokenPromo: ['merged', 'mid_*_*']
+    });
+  });
+
+  it('should pool small cells into _other', () => {
+    const results = analyze('pool');
+    assert.deepStrictEqual(Object.keys(results.blocks), ['_other', 'mid_feed_noTokenPromo']);
+    assert.strictEqual(results.blocks._other.sampleSize, 8);
+    assert.deepStrictEqual(results.blockLedger.summary.pooled, { cells: 3, posts: 8 });
+    assert.deepStrictEqual(results.blockLedger.summary.dropped, { cells: 0, posts: 0 });
+  });
+
+  it('should check that the ledger accounts for every post', () => {
+    const validate = results => new InvariantValidator({
+      sampling: { minSampleSize: 1 },
+      analysis: { minBlockSize: 5 }
+    }, mockLogger).validate(results, { configHash: 'c', codeVersion: 'v' }).violations
+      .filter(v => v.invariant === 'partition_sanity' || v.invariant === 'monotonic_gating');
+
+    for (const strategy of ['drop', 'merge', 'pool']) {
+      assert.deepStrictEqual(validate(analyze(strategy)), [], strategy);
+    }
+
+    const lost = analyze('pool');
+    lost.blockLedger.cells = lost.blockLedger.cells.filter(c => c.cell !== 'low_feed_noTokenPromo');
+    assert.deepStrictEqual(validate(lost).map(v => v.message), [
+      'Block ledger does not account for every unique post',
+      'Block size does not match the cells the ledger puts in it'
+    ]);
+
+    const misrouted = analyze('merge');
+    misrouted.blockLedger.cells.find(c => c.cell === 'mid_feed_tokenPromo').into = 'mid_feed_*';
+    assert.ok(validate(misrouted).some(v => /does not exist/.test(v.message)));
+  });
+});
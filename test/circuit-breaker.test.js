@@ -0,0 +1,280 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert';
+import http from 'http';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { fileURLToPath } from 'url';
+import { MoltxCollector } from '../lib/collectors/moltx-collector.js';
+import { CircuitBreaker, CircuitOpenError, CircuitState } from '../lib/collectors/circuit-breaker.js';
+import { backoffDelay, parseRateLimit, parseRetryAfter } from '../lib/collectors/retry-policy.js';
+
+const mockLogger = {
+  info: () => {},
+  debug: () => {},
+  warn: () => {},
+  error: () => {}
+};
+
+describe('CircuitBreaker', () => {
+  it('should open after the failure threshold and close after a half-open success', () => {
+    let now = 0;
+    const breaker = new CircuitBreaker({ failureThreshold: 2, resetTimeoutMs: 1000 }, mockLogger, { now: () => now });
+
+    breaker.acquire();
+    breaker.recordFailure();
+    breaker.acquire();
+    breaker.recordFailure();
+    assert.strictEqual(breaker.state, CircuitState.OPEN);
+    assert.throws(() => breaker.acquire(), CircuitOpenError);
+
+    now = 1000;
+    breaker.acquire();
+    assert.strictEqual(breaker.state, CircuitState.HALF_OPEN);
+    assert.throws(() => breaker.acquire(), /trial request already in flight/);
+
+    breaker.recordFailure();
+    assert.strictEqual(breaker.state, CircuitState.OPEN);
+    assert.strictEqual(breaker.trips, 2);
+
+    now = 2500;
+    breaker.acquire();
+    breaker.recordSuccess();
+    assert.strictEqual(breaker.state, CircuitState.CLOSED);
+
+    const summary = breaker.summary();
+    assert.strictEqual(summary.rejected, 2);
+    assert.deepStrictEqual(summary.transitions.map(t => t.to), ['open', 'half-open', 'open', 'half-open', 'closed']);
+  });
+
+  it('should free the half-open slot when a trial ends without a verdict', () => {
+    let now = 0;
+    const breaker = new CircuitBreaker({ failureThreshold: 1, resetTimeoutMs: 1000 }, mockLogger, { now: () => now });
+
+    breaker.acquire();
+    breaker.recordFailure();
+    assert.strictEqual(breaker.retryInMs(), 1000);
+
+    now = 1000;
+    assert.strictEqual(breaker.retryInMs(), 0);
+    breaker.acquire();
+    // A 429 or 404 trial records neither success nor failure
+    breaker.release();
+    assert.strictEqual(breaker.state, CircuitState.HALF_OPEN);
+
+    breaker.acquire();
+    breaker.release();
+    breaker.recordSuccess();
+    assert.strictEqual(breaker.state, CircuitState.CLOSED);
+  });
+
+  it('should jitter backoff and parse Retry-After and rate-limit headers', () => {
+    assert.strictEqual(backoffDelay(3, { baseMs: 100, jitter: 'none' }), 800);
+    assert.strictEqual(backoffDelay(10, { baseMs: 100, maxMs: 5000, jitter: 'none' }), 5000);
+    assert.strictEqual(backoffDelay(1, { baseMs: 100, jitter: 'equal' }, () => 0), 100);
+    assert.strictEqual(backoffDelay(1, { baseMs: 100, jitter: 'full' }, () => 0.5), 100);
+
+    const now = Date.parse('2024-02-08T10:00:00Z');
+    assert.strictEqual(parseRetryAfter('2', now), 2000);
+    assert.strictEqual(parseRetryAfter('Thu, 08 Feb 2024 10:00:30 GMT', now), 30000);
+    assert.strictEqual(parseRetryAfter('soon', now), null);
+    assert.strictEqual(parseRetryAfter(null, now), null);
+
+    const headers = new Headers({ 'X-RateLimit-Remaining': '0', 'X-RateLimit-Reset': String(now / 1000 + 5) });
+    assert.deepStrictEqual(parseRateLimit(headers, now), { remaining: 0, resetAt: now + 5000 });
+    assert.deepStrictEqual(parseRateLimit(new Headers({ 'RateLimit-Remaining': '3', 'RateLimit-Reset': '7' }), now),
+      { remaining: 3, resetAt: now + 7000 });
+    assert.strictEqual(parseRateLimit(new Headers(), now), null);
+  });
+});
+
+describe('MoltxCollector retries against a stub server', () => {
+  let server;
+  let script;
+  let requests;
+  let baseUrl;
+
+  const collector = (api = {}) => {
+    const c = new MoltxCollector({
+      api: {
+        baseUrl,
+        timeout: 5000,
+        retryAttempts: 3,
+        retryBackoff: 100,
+        retryJitter: 'none',
+        maxRetryAfterMs: 60000,
+        rateLimit: { maxRequests: 100, windowMs: 60000 },
+        ...api
+      },
+      output: { baseDir: '/nonexistent' }
+    }, mockLogger);
+    c.bearerToken = 'test';
+    // Sleeping advances a fake clock, which the circuit breaker reads
+    let clock = 0;
+    c.now = () => clock;
+    c.sleeps = [];
+    c.sleep = async (ms) => { c.sleeps.push(ms); clock += ms; };
+    return c;
+  };
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      requests++;
+      const { status = 200, headers = {}, body = { posts: [{ id: 'p1' }] } } = script.shift() ?? {};
+      res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+      res.end(JSON.stringify(body));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    script = [];
+    requests = 0;
+  });
+
+  it('should honour Retry-After on 429 without counting it against the breaker', async () => {
+    script = [
+      { status: 429, headers: { 'Retry-After': '2' } },
+      { status: 503 },
+      { status: 200 }
+    ];
+    const c = collector();
+    const posts = await c.fetchTrending();
+
+    assert.deepStrictEqual(posts, [{ id: 'p1' }]);
+    assert.deepStrictEqual(c.sleeps, [2000, 200]);
+
+    const summary = c.networkSummary();
+    assert.strictEqual(summary.requests, 3);
+    assert.strictEqual(summary.retries, 2);
+    assert.strictEqual(summary.retryAfterWaits, 1);
+    assert.deepStrictEqual(summary.statusCodes, { 200: 1, 429: 1, 503: 1 });
+    assert.strictEqual(summary.circuitBreaker.trips, 0);
+  });
+
+  it('should wait out an open circuit and close it with a half-open trial', async () => {
+    script = [{ status: 503 }, { status: 503 }, { status: 503 }, { status: 200 }];
+    const c = collector({ retryAttempts: 3, circuitBreaker: { failureThreshold: 2, resetTimeoutMs: 60000 } });
+
+    assert.deepStrictEqual(await c.fetchTrending(), [{ id: 'p1' }]);
+    assert.strictEqual(requests, 4);
+    // Backoff, then the reset timeout twice: the first trial fails and reopens the circuit
+    assert.deepStrictEqual(c.sleeps, [100, 60000, 60000]);
+
+    const { circuitBreaker, circuitWaits, failures } = c.networkSummary();
+    assert.strictEqual(circuitBreaker.state, 'closed');
+    assert.strictEqual(circuitBreaker.trips, 2);
+    assert.strictEqual(circuitBreaker.rejected, 0);
+    assert.deepStrictEqual(circuitBreaker.transitions.map(t => t.to), ['open', 'half-open', 'open', 'half-open', 'closed']);
+    assert.strictEqual(circuitWaits, 2);
+    assert.strictEqual(failures, 0);
+  });
+
+  it('should give up when the trials run out of attempts', async () => {
+    script = Array.from({ length: 10 }, () => ({ status: 503 }));
+    const c = collector({ retryAttempts: 2, circuitBreaker: { failureThreshold: 2, resetTimeoutMs: 1000 } });
+
+    await assert.rejects(() => c.fetchTrending(), /503/);
+    assert.strictEqual(requests, 3);
+    assert.strictEqual(c.networkSummary().circuitBreaker.state, 'open');
+  });
+
+  it('should not jam the breaker when a half-open trial gets a 4xx', async () => {
+    script = [{ status: 503 }, { status: 404 }, { status: 200 }];
+    const c = collector({ retryAttempts: 0, circuitBreaker: { failureThreshold: 1, resetTimeoutMs: 1000 } });
+
+    await assert.rejects(() => c.fetchTrending(), /503/);
+    await assert.rejects(() => c.fetchTrending(), /404/);
+    assert.strictEqual(c.networkSummary().circuitBreaker.state, 'half-open');
+
+    assert.deepStrictEqual(await c.fetchTrending(), [{ id: 'p1' }]);
+    assert.strictEqual(c.networkSummary().circuitBreaker.state, 'closed');
+  });
+
+  it('should clear the request timeout when fetch throws', async () => {
+    const c = collector({ baseUrl: 'http://127.0.0.1:1', retryAttempts: 0, timeout: 600000 });
+    await assert.rejects(() => c.fetchTrending());
+    // A leaked 10-minute timer would keep the test process alive
+    assert.strictEqual(c.networkSummary().requests, 1);
+  });
+
+  it('should wait for an exhausted rate-limit window and refuse overlong Retry-After', async () => {
+    script = [{ status: 200, headers: { 'X-RateLimit-Remaining': '0', 'X-RateLimit-Reset': '30' } }, { status: 200 }];
+    const c = collector();
+    await c.fetchTrending();
+    await c.fetchTrending();
+    assert.strictEqual(c.sleeps.length, 1);
+    assert.ok(c.sleeps[0] > 28000 && c.sleeps[0] <= 30000);
+    assert.strictEqual(c.networkSummary().rateLimitWaits, 1);
+
+    script = [{ status: 429, headers: { 'Retry-After': '3600' } }];
+    const impatient = collector();
+    await assert.rejects(() => impatient.fetchTrending(), /429/);
+    assert.deepStrictEqual(impatient.sleeps, []);
+  });
+});
+
+describe('analyze against a flaky API', () => {
+  const cli = fileURLToPath(new URL('../src/cli.js', import.meta.url));
+  let server;
+  let dir;
+  let script;
+
+  before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'cer-circuit-'));
+    const lines = await fs.readFile(fileURLToPath(new URL('../examples/fixtures/moltx_trending.jsonl', import.meta.url)), 'utf-8');
+    const posts = lines.trim().split('\n').slice(0, 40).map(line => JSON.parse(line));
+
+    server = http.createServer((req, res) => {
+      const status = script.shift() ?? 200;
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(status === 200 ? { posts } : { error: 'unavailable' }));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  });
+
+  after(async () => {
+    await new Promise(resolve => server.close(resolve));
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('should ride out an outage and record the breaker transitions in meta.json', async () => {
+    // Two failures open the circuit, the first half-open trial fails, the second recovers
+    script = [503, 503, 503];
+    const configFile = path.join(dir, 'config.json');
+    await fs.writeFile(configFile, JSON.stringify({
+      api: {
+        baseUrl: `http://127.0.0.1:${server.address().port}`,
+        retryAttempts: 3,
+        retryBackoff: 10,
+        retryJitter: 'none',
+        circuitBreaker: { failureThreshold: 2, resetTimeoutMs: 200 }
+      },
+      sampling: { stratified: false, minSampleSize: 1, maxSampleSize: 100 },
+      output: { baseDir: path.join(dir, 'runs'), formats: ['json'] },
+      logging: { level: 'error', pretty: false },
+      validation: { failOnViolation: false }
+    }));
+
+    const { MOLTX_API_URL, ...env } = process.env;
+    await promisify(execFile)(process.execPath, [cli, '-c', configFile, 'analyze', '-r', 'flaky'], {
+      env: { ...env, MOLTX_API_TOKEN: 'test' },
+      timeout: 60000
+    });
+
+    const meta = JSON.parse(await fs.readFile(path.join(dir, 'runs', 'flaky', 'meta.json'), 'utf-8'));
+    const { network } = meta.collection;
+    assert.strictEqual(network.requests, 4);
+    assert.strictEqual(network.failures, 0);
+    assert.strictEqual(network.circuitWaits, 2);
+    assert.strictEqual(network.circuitBreaker.state, 'closed');
+    assert.deepStrictEqual(network.circuitBreaker.transitions.map(t => t.to), ['open', 'half-open', 'open', 'half-open', 'closed']);
+  });
+});
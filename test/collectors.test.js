@@ -0,0 +1,215 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs/promises';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { createCollector } from '../lib/collectors/index.js';
+import { MoltxCollector } from '../lib/collectors/moltx-collector.js';
+import { FileCollector } from '../lib/collectors/file-collector.js';
+import { RestCollector } from '../lib/collectors/rest-collector.js';
+import { PageStaging } from '../lib/collectors/page-staging.js';
+import { MockMoltxServer } from '../lib/server/mock-moltx-server.js';
+
+const mockLogger = {
+  info: () => {},
+  debug: () => {},
+  warn: () => {},
+  error: () => {}
+};
+
+const FIXTURE = path.join(path.dirname(new URL(import.meta.url).pathname), '..', 'examples', 'fixtures', 'moltx_trending.jsonl');
+
+const baseConfig = (overrides = {}) => ({
+  api: {
+    baseUrl: 'http://127.0.0.1:1',
+    timeout: 5000,
+    retryAttempts: 3,
+    retryBackoff: 10,
+    rateLimit: { maxRequests: 1000, windowMs: 60000 }
+  },
+  sampling: { maxSampleSize: 1000, stratified: false, strata: [], temporal: { enabled: false } },
+  ingest: { fieldMap: {} },
+  output: { baseDir: '/nonexistent' },
+  ...overrides
+});
+
+describe('collectors', () => {
+  let baseDir;
+
+  before(async () => {
+    baseDir = await fs.mkdtemp(path.join(os.tmpdir(), 'cer-collectors-'));
+  });
+
+  after(async () => {
+    await fs.rm(baseDir, { recursive: true, force: true });
+  });
+
+  it('should create collectors by type', () => {
+    assert.ok(createCollector(baseConfig(), mockLogger) instanceof MoltxCollector);
+    assert.ok(createCollector(baseConfig(), mockLogger, { type: 'filesystem', path: FIXTURE }) instanceof FileCollector);
+    assert.ok(createCollector(
+      baseConfig({ collector: { type: 'rest', rest: { url: 'http://127.0.0.1:1/feed', pagination: { type: 'offset', pageSize: 10 } } } }),
+      mockLogger
+    ) instanceof RestCollector);
+    assert.throws(() => createCollector(baseConfig(), mockLogger, { type: 'ftp' }), /Unknown collector type/);
+  });
+
+  it('should read the filesystem collector input and describe its source', async () => {
+    const collector = createCollector(baseConfig(), mockLogger, { type: 'filesystem', path: FIXTURE });
+    await collector.initialize();
+    const posts = await collector.collect({ maxPosts: 30 });
+
+    assert.strictEqual(posts.length, 30);
+    const { source } = collector.describe();
+    assert.strictEqual(source.type, 'file');
+    assert.strictEqual(source.records, 30);
+    assert.match(source.sha256, /^[0-9a-f]{64}$/);
+
+    await assert.rejects(() => new FileCollector(baseConfig(), mockLogger).initialize(), /No input file/);
+  });
+
+  it('should page a REST feed by cursor with JSON paths and resume from a checkpoint', async () => {
+    const items = Array.from({ length: 23 }, (_, i) => ({ post_id: i, body: { text: `item ${i}` }, created: 1700000000000 + i }));
+    let failOnce = true;
+    const seen = [];
+    const server = http.createServer((req, res) => {
+      const url = new URL(req.url, 'http://localhost');
+      const start = Number(url.searchParams.get('after') ?? 0);
+      seen.push(url.searchParams.get('after'));
+      if (start === 20 && failOnce) {
+        failOnce = false;
+        res.writeHead(400).end('{}');
+        return;
+      }
+      const page = items.slice(start, start + 10);
+      const next = start + 10 < items.length ? String(start + 10) : null;
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ data: { results: page }, paging: { next } }));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    try {
+      const config = baseConfig({
+        output: { baseDir },
+        collector: {
+          type: 'rest',
+          rest: {
+            url: `http://127.0.0.1:${server.address().port}/api/feed?lang=en`,
+            params: {},
+            pagination: { type: 'cursor', pageSize: 10, limitParam: 'limit', cursorParam: 'after' },
+            postsPath: 'data.results',
+            nextCursorPath: 'paging.next',
+            fieldMap: { id: 'post_id', content: 'body.text', timestamp: 'created' }
+          }
+        }
+      });
+
+      await assert.rejects(
+        () => createCollector(config, mockLogger).collect({ staging: new PageStaging(config, mockLogger, 'rest_run') }),
+        /400/
+      );
+
+      const collector = createCollector(config, mockLogger);
+      const posts = await collector.collect({ staging: new PageStaging(config, mockLogger, 'rest_run') });
+
+      assert.deepStrictEqual(seen, [null, '10', '20', '20']);
+      assert.strictEqual(posts.length, 23);
+      assert.deepStrictEqual(posts[22], { id: '22', content: 'item 22', timestamp: 1700000000022 });
+
+      const description = collector.describe();
+      assert.deepStrictEqual(description.source, { type: 'rest', url: config.collector.rest.url });
+      assert.strictEqual(description.pages, 3);
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+});
+
+describe('MockMoltxServer', () => {
+  let posts;
+
+  before(async () => {
+    ({ posts } = await new FileCollector(baseConfig(), mockLogger).load(FIXTURE));
+  });
+
+  const withServer = async (options, fn) => {
+    const server = new MockMoltxServer({}, mockLogger, { posts, ...options });
+    const { port } = await server.listen({ port: 0 });
+    try {
+      await fn(`http://127.0.0.1:${port}`, server);
+    } finally {
+      await server.close();
+    }
+  };
+
+  const moltx = (baseUrl, onSleep = () => {}) => {
+    const collector = new MoltxCollector(baseConfig({ api: { ...baseConfig().api, baseUrl } }), mockLogger);
+    collector.bearerToken = 'test';
+    collector.sleeps = [];
+    collector.sleep = async (ms) => {
+      collector.sleeps.push(ms);
+      onSleep(ms);
+    };
+    return collector;
+  };
+
+  it('should serve the trending feed through pagination and injected failures', async () => {
+    await withServer({ failEvery: 2, retryAfterSeconds: 3 }, async (baseUrl, server) => {
+      const collector = moltx(baseUrl);
+      const fetched = await collector.collect({ maxPosts: 250 });
+
+      assert.deepStrictEqual(fetched.map(p => p.id), posts.map(p => p.id));
+      assert.deepStrictEqual(collector.sleeps, [3000, 3000]);
+      assert.strictEqual(server.requests, 5);
+      assert.strictEqual(collector.describe().network.statusCodes[503], 2);
+    });
+  });
+
+  it('should drop repeated post IDs except in streaming runs', async () => {
+    const repeated = [...posts.slice(0, 5), ...posts.slice(0, 5)];
+    const server = new MockMoltxServer({}, mockLogger, { posts: repeated });
+    const { port } = await server.listen({ port: 0 });
+    try {
+      const api = { ...baseConfig().api, baseUrl: `http://127.0.0.1:${port}` };
+      const ids = async (streaming) => {
+        const collector = new MoltxCollector(baseConfig({ api, analysis: { streaming: { enabled: streaming } } }), mockLogger);
+        collector.bearerToken = 'test';
+        return (await collector.collect({ maxPosts: 20 })).map(p => p.id);
+      };
+
+      assert.deepStrictEqual(await ids(false), posts.slice(0, 5).map(p => p.id));
+      // The analyzer deduplicates streaming runs; the collector keeps no ID set
+      assert.deepStrictEqual(await ids(true), repeated.map(p => p.id));
+    } finally {
+      await server.close();
+    }
+  });
+
+  it('should filter by since/until and enforce tokens and rate limits', async () => {
+    let now = 0;
+    await withServer({ rateLimit: { maxRequests: 2, windowMs: 60000 }, requireToken: true, now: () => now }, async (baseUrl) => {
+      const since = new Date(posts[10].timestamp).toISOString();
+      const until = new Date(posts[20].timestamp).toISOString();
+      const res = await fetch(`${baseUrl}/v1/trending?since=${since}&until=${until}`, { headers: { Authorization: 'Bearer t' } });
+      assert.strictEqual(res.headers.get('x-ratelimit-remaining'), '1');
+      assert.deepStrictEqual((await res.json()).posts.map(p => p.id), posts.slice(10, 20).map(p => p.id));
+
+      assert.strictEqual((await fetch(`${baseUrl}/v1/trending`)).status, 401);
+
+      // Sleeping advances the server clock (in whole seconds, like the reset header),
+      // so waiting out the reset opens a new window
+      const collector = moltx(baseUrl, (ms) => { now += Math.ceil(ms / 1000) * 1000; });
+      now = 1000;
+      await collector.fetchTrending({ limit: 5 });
+      const page = await collector.fetchTrending({ limit: 5 });
+
+      assert.strictEqual(page.length, 5);
+      assert.strictEqual(collector.sleeps.length, 1);
+      assert.ok(collector.sleeps[0] > 57000 && collector.sleeps[0] <= 59000);
+      const { network } = collector.describe();
+      assert.strictEqual(network.rateLimitWaits, 1);
+      assert.strictEqual(network.statusCodes[429], undefined);
+    });
+  });
+});
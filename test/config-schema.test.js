@@ -0,0 +1,70 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { deepMerge, interpolateEnv, loadLayeredConfig, ConfigError } from '../config/schema.js';
+
+describe('config loading', () => {
+  let dir;
+
+  before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'cer-config-'));
+    await fs.writeFile(path.join(dir, 'staging.json'), JSON.stringify({
+      $schema: './schema.js',
+      description: 'staging',
+      api: { baseUrl: '${STAGING_URL}', timeout: 45000 },
+      sampling: { minSampleSize: 150, maxSampleSize: 5000 }
+    }));
+    await fs.writeFile(path.join(dir, 'custom.json'), JSON.stringify({
+      sampling: { maxSampleSize: 7000 },
+      output: { formats: ['json'] }
+    }));
+  });
+
+  after(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('should deep merge objects and replace arrays', () => {
+    const merged = deepMerge(
+      { a: { b: 1, c: 2 }, list: [1, 2] },
+      { a: { c: 3 }, list: [9], skip: undefined }
+    );
+    assert.deepStrictEqual(merged, { a: { b: 1, c: 3 }, list: [9] });
+  });
+
+  it('should interpolate env placeholders with fallbacks', () => {
+    const out = interpolateEnv({ url: '${HOST}:${PORT:-8080}' }, { HOST: 'http://local' });
+    assert.strictEqual(out.url, 'http://local:8080');
+    assert.throws(() => interpolateEnv({ url: '${MISSING}' }, {}), ConfigError);
+  });
+
+  it('should apply layers in precedence order and explain origins', () => {
+    const { config, origins, layers } = loadLayeredConfig({
+      configDir: dir,
+      configFile: path.join(dir, 'custom.json'),
+      env: { NODE_ENV: 'staging', STAGING_URL: 'http://staging.local', MIN_SAMPLE_SIZE: '175' },
+      cli: { logging: { level: 'debug' } }
+    });
+
+    assert.deepStrictEqual(
+      layers.map(l => (l.name.startsWith('file:') ? path.basename(l.name) : l.name)),
+      ['default', 'staging.json', 'custom.json', 'env', 'cli']
+    );
+
+    assert.strictEqual(config.api.baseUrl, 'http://staging.local');
+    assert.strictEqual(config.api.timeout, 45000);
+    assert.strictEqual(config.sampling.maxSampleSize, 7000);
+    assert.strictEqual(config.sampling.minSampleSize, 175);
+    assert.strictEqual(config.logging.level, 'debug');
+    assert.deepStrictEqual(config.output.formats, ['json']);
+
+    assert.match(origins['api.timeout'], /staging\.json$/);
+    assert.match(origins['sampling.maxSampleSize'], /custom\.json$/);
+    assert.strictEqual(origins['sampling.minSampleSize'], 'env:MIN_SAMPLE_SIZE');
+    assert.strictEqual(origins['logging.level'], 'cli');
+    assert.strictEqual(origins['api.retryAttempts'], 'default');
+    assert.strictEqual(origins['$schema'], undefined);
+  });
+});
@@ -0,0 +1,90 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { ExitCode, PipelineError, exitCodeFor, summarizeViolations } from '../lib/utils/exit-codes.js';
+import { buildRunStatus, failureStatus } from '../lib/reporters/run-status.js';
+import { InvariantValidator } from '../lib/validators/invariant-validator.js';
+import { ManifestError } from '../lib/reporters/safety-report-reporter.js';
+
+const mockLogger = {
+  info: () => {},
+  debug: () => {},
+  warn: () => {},
+  error: () => {}
+};
+
+const config = (validation = {}) => ({
+  sampling: { minSampleSize: 100 },
+  analysis: { minBlockSize: 30 },
+  validation: { failOnViolation: true, ...validation }
+});
+
+const metadata = {
+  runId: 'r1',
+  timestamp: '2024-02-01T00:00:00.000Z',
+  config: {},
+  configHash: 'cfg',
+  codeVersion: 'abc123',
+  nodeVersion: 'v22'
+};
+
+const data = (prevalence, uniquePosts = 500) => ({
+  summary: { rawPosts: uniquePosts, uniquePosts },
+  blocks: { b1: { sampleSize: uniquePosts, prevalences: { hasTokenPromo: { count: 1, total: uniquePosts, prevalence } } } }
+});
+
+describe('exit codes', () => {
+  it('should classify violations by severity and let config override it', () => {
+    const validator = new InvariantValidator(config(), mockLogger);
+
+    validator.validate(data(NaN), metadata);
+    assert.throws(() => validator.throwIfInvalid(), (error) => {
+      assert.ok(error instanceof PipelineError);
+      assert.strictEqual(error.exitCode, ExitCode.INVARIANT_CRITICAL);
+      return true;
+    });
+
+    validator.validate(data(0.1), { ...metadata, codeVersion: undefined });
+    assert.throws(() => validator.throwIfInvalid(), e => e.exitCode === ExitCode.INVARIANT_ERROR);
+
+    const lenient = new InvariantValidator(config({ severities: { determinism: 'warning' } }), mockLogger);
+    const results = lenient.validate(data(0.1), { ...metadata, codeVersion: undefined });
+    assert.doesNotThrow(() => lenient.throwIfInvalid());
+    assert.strictEqual(summarizeViolations(results).highest, 'warning');
+    assert.strictEqual(lenient.generateReport().summary.violationsBySeverity.warning, 1);
+  });
+
+  it('should build run status with warnings for ungated violations and PII', () => {
+    const validationResults = { valid: false, violations: [{ invariant: 'no_nan_inf', severity: 'critical' }] };
+
+    const gated = buildRunStatus({ runId: 'r1', source: 'mock', postCount: 10, validationResults });
+    assert.strictEqual(gated.status, 'failed');
+    assert.strictEqual(gated.exitCode, ExitCode.INVARIANT_CRITICAL);
+    assert.deepStrictEqual(gated.validation.byInvariant, { no_nan_inf: { severity: 'critical', count: 1 } });
+
+    const ungated = buildRunStatus({ runId: 'r1', validationResults, gated: false });
+    assert.strictEqual(ungated.exitCode, ExitCode.SUCCESS_WITH_WARNINGS);
+
+    const pii = buildRunStatus({
+      runId: 'r1',
+      piiSummary: { findings: 2, instances: 3 },
+      validationResults: { valid: true, violations: [] }
+    });
+    assert.strictEqual(pii.status, 'passed_with_warnings');
+    assert.strictEqual(pii.reason, 'warnings');
+
+    // Manifest outcomes are only known to failureStatus
+    assert.strictEqual('manifest' in pii, false);
+  });
+
+  it('should map early failures to their exit codes', () => {
+    const collection = new PipelineError(ExitCode.COLLECTION_FAILED, 'collection_failed', 'boom');
+    assert.strictEqual(exitCodeFor(collection), 10);
+    assert.strictEqual(failureStatus('r1', collection).collection.ok, false);
+
+    const manifest = failureStatus('r1', new ManifestError('missing git_sha', { missing: ['git_sha'] }));
+    assert.strictEqual(manifest.exitCode, ExitCode.MANIFEST_MISSING);
+    assert.deepStrictEqual(manifest.manifest, { ok: false, missing: ['git_sha'] });
+
+    assert.strictEqual(exitCodeFor(new Error('unexpected')), ExitCode.ERROR);
+  });
+});
@@ -0,0 +1,124 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { tableFromArrays, tableToIPC } from 'apache-arrow';
+import { FileCollector, parseFieldMap, inferInputFormat } from '../lib/collectors/file-collector.js';
+import { PostValidator } from '../lib/validators/post-schema.js';
+
+const mockLogger = {
+  info: () => {},
+  debug: () => {},
+  warn: () => {},
+  error: () => {}
+};
+
+describe('FileCollector', () => {
+  let dir;
+
+  before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'cer-ingest-'));
+    await fs.writeFile(path.join(dir, 'posts.jsonl'), [
+      JSON.stringify({ post_id: 1, body: { text: 'token airdrop' }, views: '42', ts: '2024-02-08T00:00:00Z' }),
+      '',
+      JSON.stringify({ post_id: 2, body: { text: 'secure api' }, views: 7, ts: 1707350400000 })
+    ].join('\n'));
+    await fs.writeFile(path.join(dir, 'posts.csv'),
+      'id,content,impressions,source,timestamp\n' +
+      'a,Click here,10,top,1707350400000\n' +
+      'b,Receipt confirmed,,fallback,\n');
+
+    const table = tableFromArrays({
+      id: ['x1', 'x2'],
+      content: ['token airdrop', 'secure api'],
+      impressions: Float64Array.from([42, 7]),
+      timestamp: BigInt64Array.from([1707350400000n, 1707350460000n])
+    });
+    await fs.writeFile(path.join(dir, 'posts.arrow'), tableToIPC(table, 'file'));
+    await fs.writeFile(path.join(dir, 'posts.arrows'), tableToIPC(table, 'stream'));
+  });
+
+  after(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('should parse field map specs', () => {
+    assert.deepStrictEqual(parseFieldMap('id=post_id, content=text'), { id: 'post_id', content: 'text' });
+    assert.deepStrictEqual(parseFieldMap(''), {});
+    assert.throws(() => parseFieldMap('author=user'), /Unknown post field/);
+    assert.throws(() => parseFieldMap('id'), /Invalid field mapping/);
+  });
+
+  it('should infer formats from extensions', () => {
+    assert.strictEqual(inferInputFormat('dump.jsonl'), 'jsonl');
+    assert.strictEqual(inferInputFormat('dump.CSV'), 'csv');
+    assert.strictEqual(inferInputFormat('dump.arrow'), 'arrow');
+    assert.strictEqual(inferInputFormat('dump.txt'), null);
+  });
+
+  it('should map JSONL records through nested field paths', async () => {
+    const collector = new FileCollector({}, mockLogger);
+    const { posts, source } = await collector.load(path.join(dir, 'posts.jsonl'), {
+      fieldMap: { id: 'post_id', content: 'body.text', impressions: 'views', timestamp: 'ts' }
+    });
+
+    assert.strictEqual(posts.length, 2);
+    assert.deepStrictEqual(posts[0], {
+      id: '1',
+      content: 'token airdrop',
+      impressions: 42,
+      timestamp: Date.parse('2024-02-08T00:00:00Z')
+    });
+    assert.strictEqual(source.format, 'jsonl');
+    assert.match(source.sha256, /^[0-9a-f]{64}$/);
+    assert.strictEqual(source.records, 2);
+  });
+
+  it('should leave empty CSV cells unset', async () => {
+    const collector = new FileCollector({}, mockLogger);
+    const { posts } = await collector.load(path.join(dir, 'posts.csv'));
+
+    assert.strictEqual(posts[0].impressions, 10);
+    assert.strictEqual(posts[0].source, 'top');
+    assert.strictEqual('impressions' in posts[1], false);
+    assert.strictEqual('timestamp' in posts[1], false);
+  });
+
+  it('should honour maxPosts and reject unknown formats', async () => {
+    const collector = new FileCollector({}, mockLogger);
+    const { posts } = await collector.load(path.join(dir, 'posts.jsonl'), { maxPosts: 1 });
+    assert.strictEqual(posts.length, 1);
+
+    await assert.rejects(
+      collector.load(path.join(dir, 'posts.jsonl'), { format: 'xml' }),
+      /Unsupported input format/
+    );
+  });
+
+  it('should read Arrow IPC files and streams', async () => {
+    const collector = new FileCollector({}, mockLogger);
+    for (const file of ['posts.arrow', 'posts.arrows']) {
+      const { posts, source } = await collector.load(path.join(dir, file), { format: 'arrow' });
+
+      assert.deepStrictEqual(posts, [
+        { id: 'x1', content: 'token airdrop', impressions: 42, timestamp: 1707350400000 },
+        { id: 'x2', content: 'secure api', impressions: 7, timestamp: 1707350460000 }
+      ]);
+      assert.strictEqual(source.format, 'arrow');
+      assert.strictEqual(source.records, 2);
+    }
+  });
+
+  it('should pass JSONL lines that are not objects through to be quarantined', async () => {
+    const file = path.join(dir, 'scalars.jsonl');
+    await fs.writeFile(file, ['null', '5', '"text"', '[1]', JSON.stringify({ id: 'ok' })].join('\n'));
+
+    const { posts } = await new FileCollector({}, mockLogger).load(file);
+    assert.deepStrictEqual(posts, [null, 5, 'text', [1], { id: 'ok' }]);
+
+    const validator = new PostValidator({ ingest: { quarantine: { futureSkewMinutes: 5 } } }, mockLogger);
+    const { quarantined } = validator.filter(posts, { now: Date.now() });
+    assert.deepStrictEqual(quarantined.slice(0, 4).map(q => q.reasons), Array(4).fill(['not_an_object']));
+  });
+});
@@ -0,0 +1,98 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { MoltxCollector } from '../lib/collectors/moltx-collector.js';
+import { PageStaging } from '../lib/collectors/page-staging.js';
+import { SafetyReportReporter } from '../lib/reporters/safety-report-reporter.js';
+
+const mockLogger = {
+  info: () => {},
+  debug: () => {},
+  warn: () => {},
+  error: () => {}
+};
+
+// 25 posts served 10 per page; page 2 repeats the last post of page 1
+const FEED = Array.from({ length: 25 }, (_, i) => ({ id: `p${i}`, timestamp: 1700000000000 + i }));
+const page = (offset, limit) => {
+  const posts = FEED.slice(offset, offset + limit);
+  return offset === 10 ? [FEED[9], ...posts.slice(1)] : posts;
+};
+
+describe('PageStaging', () => {
+  let baseDir;
+  let config;
+
+  const collector = (failAtOffset = null) => {
+    const c = new MoltxCollector(config, mockLogger);
+    c.calls = [];
+    c.fetchPage = async (endpoint, { offset, limit }) => {
+      c.calls.push(offset);
+      if (offset === failAtOffset) throw new Error('API request failed: 503 Service Unavailable');
+      return page(offset, limit);
+    };
+    return c;
+  };
+
+  before(async () => {
+    baseDir = await fs.mkdtemp(path.join(os.tmpdir(), 'cer-staging-'));
+    config = {
+      api: { rateLimit: { maxRequests: 100, windowMs: 60000 } },
+      output: { baseDir }
+    };
+  });
+
+  after(async () => {
+    await fs.rm(baseDir, { recursive: true, force: true });
+  });
+
+  it('should resume from the last committed page with the same data hash', async () => {
+    const uninterrupted = await collector().fetchPaginated({ limit: 10 });
+    assert.strictEqual(uninterrupted.length, 24);
+
+    const staging = new PageStaging(config, mockLogger, 'run_resume');
+    await assert.rejects(
+      () => collector(20).fetchPaginated({ limit: 10 }, null, { staging }),
+      /503/
+    );
+    assert.strictEqual(staging.checkpoint.pages, 2);
+    assert.strictEqual(staging.checkpoint.nextOffset, 20);
+
+    const resumedCollector = collector();
+    const resumed = await resumedCollector.fetchPaginated({ limit: 10 }, null, {
+      staging: new PageStaging(config, mockLogger, 'run_resume')
+    });
+
+    assert.deepStrictEqual(resumedCollector.calls, [20]);
+    assert.deepStrictEqual(resumed, uninterrupted);
+
+    const reporter = new SafetyReportReporter({}, mockLogger);
+    assert.strictEqual(reporter.computeDataHash(resumed), reporter.computeDataHash(uninterrupted));
+  });
+
+  it('should refuse to resume with different collection parameters', async () => {
+    const staging = new PageStaging(config, mockLogger, 'run_params');
+    await collector(10).fetchPaginated({ limit: 10 }, null, { staging }).catch(() => {});
+
+    await assert.rejects(
+      () => collector().fetchPaginated({ limit: 10 }, 15, { staging: new PageStaging(config, mockLogger, 'run_params') }),
+      /collection parameters changed/
+    );
+  });
+
+  it('should return staged posts without refetching a completed collection', async () => {
+    const staging = new PageStaging(config, mockLogger, 'run_done');
+    const first = await collector().fetchPaginated({ limit: 10 }, 15, { staging });
+    assert.strictEqual(first.length, 15);
+
+    const again = collector();
+    const second = await again.fetchPaginated({ limit: 10 }, 15, { staging: new PageStaging(config, mockLogger, 'run_done') });
+    assert.deepStrictEqual(again.calls, []);
+    assert.deepStrictEqual(second, first);
+
+    await staging.remove();
+    assert.strictEqual(await staging.exists(), false);
+  });
+});
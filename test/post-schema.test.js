@@ -0,0 +1,168 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { PostSchema, PostValidator } from '../lib/validators/post-schema.js';
+import { InvariantValidator } from '../lib/validators/invariant-validator.js';
+import { PrevalenceAnalyzer } from '../lib/analyzers/prevalence-analyzer.js';
+import { QuarantineSpool } from '../lib/reporters/input-snapshot.js';
+
+const mockLogger = {
+  info: () => {},
+  debug: () => {},
+  warn: () => {},
+  error: () => {}
+};
+
+const NOW = Date.parse('2024-02-08T12:00:00.000Z');
+
+const config = (quarantine = {}) => ({
+  ingest: { fieldMap: {}, quarantine: { enabled: true, maxRate: 0.05, futureSkewMinutes: 5, ...quarantine } },
+  sampling: { minSampleSize: 1 },
+  analysis: { minBlockSize: 1, impressionBands: { low: 100, mid: 1000, high: 10000 } },
+  output: { snapshot: { redact: true } },
+  privacy: { enablePiiDetection: true },
+  validation: { severities: {} }
+});
+
+const post = (overrides = {}) => ({
+  id: 'p1',
+  content: 'Our API is secure',
+  impressions: 120,
+  timestamp: NOW - 60000,
+  ...overrides
+});
+
+describe('PostSchema', () => {
+  it('should accept well-formed posts and pass unknown fields through', () => {
+    const parsed = PostSchema.parse(post({ timestamp: '2024-02-08T10:00:00Z', media: ['x.png'], _sampling: { designWeight: 2 } }));
+    assert.deepStrictEqual(parsed.media, ['x.png']);
+    assert.strictEqual(parsed._sampling.designWeight, 2);
+    assert.ok(PostSchema.safeParse(post({ id: 7, content: null })).success);
+  });
+});
+
+describe('PostValidator', () => {
+  it('should quarantine malformed and suspicious posts with reasons', () => {
+    const validator = new PostValidator(config(), mockLogger);
+    const posts = [
+      post({ id: 'ok' }),
+      post({ id: 'no-impressions', impressions: undefined }),
+      post({ id: 'negative', impressions: -3 }),
+      post({ id: 'no-time', timestamp: undefined }),
+      post({ id: 'bad-time', timestamp: 'yesterday-ish' }),
+      post({ id: 'epoch-zero', timestamp: 0 }),
+      post({ id: 'future', timestamp: NOW + 10 * 60000 }),
+      post({ id: '', impressions: '12' }),
+      'not a post'
+    ];
+
+    const { posts: accepted, quarantined, summary } = validator.validate(posts, { now: NOW });
+
+    assert.deepStrictEqual(accepted.map(p => p.id), ['ok']);
+    assert.deepStrictEqual(
+      quarantined.map(q => [q.index, q.reasons]),
+      [
+        [1, ['impressions_missing']],
+        [2, ['impressions_invalid']],
+        [3, ['timestamp_missing']],
+        [4, ['timestamp_invalid']],
+        [5, ['timestamp_invalid']],
+        [6, ['timestamp_in_future']],
+        [7, ['id_invalid', 'impressions_invalid']],
+        [8, ['not_an_object']]
+      ]
+    );
+    assert.strictEqual(summary.total, 9);
+    assert.strictEqual(summary.quarantined, 8);
+    assert.strictEqual(summary.rate, 8 / 9);
+    assert.deepStrictEqual(summary.byReason, {
+      id_invalid: 1,
+      impressions_invalid: 2,
+      impressions_missing: 1,
+      not_an_object: 1,
+      timestamp_in_future: 1,
+      timestamp_invalid: 2,
+      timestamp_missing: 1
+    });
+  });
+
+  it('should pass everything through when quarantine is disabled', () => {
+    const validator = new PostValidator(config({ enabled: false }), mockLogger);
+    const posts = [post({ impressions: undefined })];
+    const result = validator.validate(posts, { now: NOW });
+    assert.strictEqual(result.posts, posts);
+    assert.strictEqual(result.summary, null);
+  });
+
+  it('should fail the data_quality invariant above the configured rate', () => {
+    const quarantine = { total: 100, quarantined: 6, rate: 0.06, maxRate: 0.05, byReason: { timestamp_missing: 6 } };
+
+    const strict = new InvariantValidator(config(), mockLogger);
+    strict.validateDataQuality({ quarantine });
+    assert.strictEqual(strict.violations.length, 1);
+    assert.strictEqual(strict.violations[0].invariant, 'data_quality');
+    assert.strictEqual(strict.violations[0].severity, 'error');
+
+    const lenient = new InvariantValidator(config({ maxRate: 0.1 }), mockLogger);
+    lenient.validateDataQuality({ quarantine });
+    assert.strictEqual(lenient.violations.length, 0);
+  });
+
+  it('should spool quarantined records batch by batch with reasons and redacted content', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'cer-quarantine-'));
+    try {
+      const spool = new QuarantineSpool(config(), mockLogger, path.join(dir, '.partial-r.quarantine.jsonl'));
+      await spool.append([
+        { index: 3, reasons: ['impressions_missing'], record: { id: 'x', content: 'mail me at someone@example.com' } }
+      ]);
+      await spool.append([]);
+      await spool.append([{ index: 9, reasons: ['not_an_object'], record: null }]);
+
+      const runDir = path.join(dir, 'run');
+      await fs.mkdir(runDir);
+      const written = await spool.moveTo(runDir);
+      assert.strictEqual(written.records, 2);
+
+      const text = await fs.readFile(path.join(runDir, written.file), 'utf-8');
+      assert.strictEqual(written.sha256, crypto.createHash('sha256').update(text).digest('hex'));
+      const rows = text.trim().split('\n').map(l => JSON.parse(l));
+      assert.deepStrictEqual(rows.map(r => r.index), [3, 9]);
+      assert.deepStrictEqual(rows[0].reasons, ['impressions_missing']);
+      assert.ok(!rows[0].record.content.includes('someone@example.com'));
+      assert.deepStrictEqual(await fs.readdir(dir), ['run']);
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('should write nothing for an empty spool and discard a leftover one', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'cer-quarantine-'));
+    try {
+      const file = path.join(dir, '.partial-r.quarantine.jsonl');
+      assert.strictEqual(await new QuarantineSpool(config(), mockLogger, file).moveTo(dir), null);
+
+      const spool = new QuarantineSpool(config(), mockLogger, file);
+      await spool.append([{ index: 0, reasons: ['id_missing'], record: {} }]);
+      await spool.discard();
+      assert.deepStrictEqual(await fs.readdir(dir), []);
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('PrevalenceAnalyzer.extractFeatures', () => {
+  it('should not invent impressions or timestamps', () => {
+    const analyzer = new PrevalenceAnalyzer(config(), mockLogger);
+    const features = analyzer.extractFeatures({ id: 'x', content: 'hello' });
+    assert.strictEqual(features.impressions, null);
+    assert.strictEqual(features.impressionBand, 'unknown');
+    assert.strictEqual(features.timestamp, null);
+
+    assert.strictEqual(analyzer.extractFeatures(post({ timestamp: '2024-02-08T10:00:00.000Z' })).timestamp,
+      Date.parse('2024-02-08T10:00:00.000Z'));
+  });
+});
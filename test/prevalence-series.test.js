@@ -0,0 +1,135 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { PrevalenceAnalyzer } from '../lib/analyzers/prevalence-analyzer.js';
+import { BlockAccumulator } from '../lib/analyzers/accumulators.js';
+import { SafetyReportReporter } from '../lib/reporters/safety-report-reporter.js';
+import { OutputReporter } from '../lib/reporters/output-reporter.js';
+
+const mockLogger = {
+  info: () => {},
+  debug: () => {},
+  warn: () => {},
+  error: () => {}
+};
+
+const HOUR = 3600000;
+const START = Date.parse('2024-02-08T00:00:00.000Z');
+
+const config = (analysis = {}) => ({
+  sampling: { temporal: { batchSizeMinutes: 60 } },
+  analysis: {
+    confidenceLevel: 0.95,
+    minBlockSize: 1,
+    impressionBands: { low: 100, mid: 1000, high: 10000 },
+    enableTrendDetection: true,
+    fdrQ: 0.05,
+    ...analysis
+  }
+});
+
+// 12 hourly windows of 20 posts; token promotion rises from 0 to 11 posts per window
+const posts = Array.from({ length: 12 * 20 }, (_, i) => {
+  const hour = Math.floor(i / 20);
+  return {
+    id: `p${i}`,
+    content: i % 20 < hour ? 'token drop' : 'hello',
+    impressions: 500,
+    source: 'feed',
+    timestamp: START + hour * HOUR + (i % 20) * 1000
+  };
+});
+
+describe('Prevalence series', () => {
+  it('should bucket every block and the overall block by window with Wilson intervals', () => {
+    const results = new PrevalenceAnalyzer(config({ enableTrendDetection: false }), mockLogger).analyze(posts);
+    const { series } = results.overall;
+
+    assert.strictEqual(series.windows, 12);
+    assert.strictEqual(series.untimed, 0);
+    assert.strictEqual(series.trends, undefined);
+    assert.deepStrictEqual(series.buckets.map(b => b.count), new Array(12).fill(20));
+    assert.deepStrictEqual(
+      { start: series.buckets[3].start, end: series.buckets[3].end },
+      { start: '2024-02-08T03:00:00.000Z', end: '2024-02-08T04:00:00.000Z' }
+    );
+
+    const promo = series.buckets[3].prevalences.hasTokenPromo;
+    assert.strictEqual(promo.count, 3);
+    assert.strictEqual(promo.prevalence, 0.15);
+    assert.ok(promo.lower < 0.15 && promo.upper > 0.15);
+
+    // Block series add up to the overall series
+    const perWindow = Object.values(results.blocks)
+      .map(b => b.series.buckets.map(w => w.count))
+      .reduce((sum, counts) => sum + counts.reduce((a, c) => a + c, 0), 0);
+    assert.strictEqual(perWindow, posts.length);
+  });
+
+  it('should use window tags, an explicit width, and count untimed posts', () => {
+    const tagged = posts.slice(0, 40).map((p, i) => ({
+      ...p,
+      _window: i < 30 ? { start: '2024-02-07T18:00:00.000Z', end: '2024-02-08T06:00:00.000Z' } : null
+    }));
+    const byTag = new PrevalenceAnalyzer(config(), mockLogger).analyze(tagged).overall.series;
+    assert.deepStrictEqual(byTag.buckets.map(b => [b.start, b.count]), [['2024-02-07T18:00:00.000Z', 30]]);
+    assert.strictEqual(byTag.untimed, 10);
+    assert.strictEqual(byTag.trends.hasTokenPromo.trend, 'insufficient_data');
+
+    const explicit = new PrevalenceAnalyzer(config({ series: { windowMinutes: 360 } }), mockLogger).analyze(posts).overall.series;
+    assert.strictEqual(explicit.windowMinutes, 360);
+    assert.deepStrictEqual(explicit.buckets.map(b => b.count), [120, 120]);
+  });
+
+  it('should merge window counts like a single pass', () => {
+    const analyzer = new PrevalenceAnalyzer(config(), mockLogger);
+    const whole = new BlockAccumulator(analyzer.features);
+    const a = new BlockAccumulator(analyzer.features);
+    const b = new BlockAccumulator(analyzer.features);
+    posts.forEach((post, i) => {
+      const features = analyzer.extractFeatures(post);
+      const window = i % 7 === 0 ? null : { start: `w${i % 3}`, end: `w${i % 3 + 1}` };
+      whole.add(features, window);
+      (i % 2 ? a : b).add(features, window);
+    });
+    a.merge(b);
+
+    assert.strictEqual(a.untimed, whole.untimed);
+    assert.deepStrictEqual(Object.fromEntries(a.windows), Object.fromEntries(whole.windows));
+  });
+
+  it('should detect an intra-run trend with Mann-Kendall', () => {
+    const { trends } = new PrevalenceAnalyzer(config(), mockLogger).analyze(posts).overall.series;
+
+    assert.strictEqual(trends.hasTokenPromo.trend, 'increasing');
+    assert.strictEqual(trends.hasTokenPromo.significant, true);
+    assert.strictEqual(trends.hasTokenPromo.windows, 12);
+    assert.ok(Math.abs(trends.hasTokenPromo.sensSlopePerHour - 0.05) < 1e-9);
+    assert.strictEqual(trends.hasSafetyLanguage.trend, 'no_trend');
+  });
+
+  it('should report trends as BH-adjusted STR secondary signals', () => {
+    const analysisResults = new PrevalenceAnalyzer(config(), mockLogger).analyze(posts);
+    const signals = new SafetyReportReporter(config(), mockLogger).trendSignals(analysisResults);
+
+    const promo = signals.find(s => s.signal_id === 'overall.trend.hasTokenPromo');
+    assert.strictEqual(promo.trend.direction, 'increasing');
+    assert.ok(promo.tests.p_adjusted >= promo.tests.p_value);
+    assert.strictEqual(promo.tests.m, signals.length);
+    assert.deepStrictEqual(promo.stats_quality.flags, ['power_unknown']);
+    assert.ok(signals.some(s => s.signal_id === 'block.mid_feed_noTokenPromo.trend.hasSafetyLanguage'));
+    assert.strictEqual(signals[0].signal_id.startsWith('overall.'), true);
+  });
+
+  it('should render the overall series and trends in the HTML report', () => {
+    const analysisResults = new PrevalenceAnalyzer(config(), mockLogger).analyze(posts);
+    const html = new OutputReporter(config(), mockLogger).generateHtmlReport(
+      { runId: 'run_1', timestamp: '2024-02-08T12:00:00.000Z' },
+      analysisResults,
+      { valid: true, violations: [] }
+    );
+
+    assert.match(html, /Prevalence Over Time/);
+    assert.match(html, /<td>2024-02-08T11:00:00.000Z<\/td>/);
+    assert.match(html, /<td>overall<\/td>\s*<td>hasTokenPromo<\/td>\s*<td>increasing<\/td>/);
+  });
+});
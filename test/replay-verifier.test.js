@@ -0,0 +1,85 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { loadConfig } from '../config/schema.js';
+import { PrevalenceAnalyzer } from '../lib/analyzers/prevalence-analyzer.js';
+import { InvariantValidator } from '../lib/validators/invariant-validator.js';
+import { OutputReporter } from '../lib/reporters/output-reporter.js';
+import { ReplayVerifier, diffJson } from '../lib/validators/replay-verifier.js';
+
+const mockLogger = {
+  info: () => {},
+  debug: () => {},
+  warn: () => {},
+  error: () => {}
+};
+
+const posts = Array.from({ length: 200 }, (_, i) => ({
+  id: `post_${i}`,
+  content: ['token airdrop today', 'secure api deploy', 'contact me at a@b.com'][i % 3],
+  impressions: i * 97,
+  source: i % 2 === 0 ? 'top' : 'fallback',
+  timestamp: 1707350400000 + i * 1000
+}));
+
+describe('ReplayVerifier', () => {
+  let baseDir;
+  let config;
+
+  before(async () => {
+    baseDir = await fs.mkdtemp(path.join(os.tmpdir(), 'cer-replay-'));
+    config = loadConfig({
+      logging: { level: 'error', pretty: false },
+      output: { baseDir, formats: ['json'], includeProvenance: true, generateReport: false },
+      reporting: { safetyReport: { enabled: false } }
+    });
+
+    const analysis = new PrevalenceAnalyzer(config, mockLogger).analyze(posts);
+    const metadata = { runId: 'replay_test', codeVersion: 'test', configHash: 'abc', config };
+    const validation = new InvariantValidator(config, mockLogger).validate(analysis, metadata);
+
+    await new OutputReporter(config, mockLogger)
+      .writeOutputs(analysis, validation, metadata, { inputPosts: posts });
+  });
+
+  after(async () => {
+    await fs.rm(baseDir, { recursive: true, force: true });
+  });
+
+  it('should list differing leaf paths', () => {
+    const diffs = diffJson({ a: 1, b: { c: [1, 2] } }, { a: 1, b: { c: [1, 3] }, d: true });
+    assert.deepStrictEqual(diffs.map(d => d.path), ['b.c[1]', 'd']);
+  });
+
+  it('should reproduce a stored run bit-identically', async () => {
+    const verifier = new ReplayVerifier(config, mockLogger);
+    const { receipt } = await verifier.replay(path.join(baseDir, 'replay_test'), { codeVersion: 'test' });
+
+    assert.strictEqual(receipt.identical, true);
+    assert.strictEqual(receipt.inputSnapshot.verified, true);
+    assert.strictEqual(receipt.inputSnapshot.records, posts.length);
+    assert.strictEqual(receipt.provenance.codeVersionMatches, true);
+    assert.strictEqual(receipt.differenceCount, 0);
+  });
+
+  it('should report the fields of a tampered analysis', async () => {
+    const runDir = path.join(baseDir, 'replay_test');
+    const analysisPath = path.join(runDir, 'analysis.json');
+    const metaPath = path.join(runDir, 'meta.json');
+
+    const analysis = JSON.parse(await fs.readFile(analysisPath, 'utf-8'));
+    analysis.overall.prevalences.hasTokenPromo.count += 1;
+    await fs.writeFile(analysisPath, JSON.stringify(analysis));
+
+    const meta = JSON.parse(await fs.readFile(metaPath, 'utf-8'));
+    delete meta.analysisHash;
+    await fs.writeFile(metaPath, JSON.stringify(meta));
+
+    const { receipt } = await new ReplayVerifier(config, mockLogger).replay(runDir);
+
+    assert.strictEqual(receipt.identical, false);
+    assert.deepStrictEqual(receipt.differences.map(d => d.path), ['overall.prevalences.hasTokenPromo.count']);
+  });
+});
@@ -0,0 +1,164 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { ReservoirSampler } from '../lib/collectors/reservoir-sampler.js';
+import { MoltxCollector } from '../lib/collectors/moltx-collector.js';
+import { PageStaging } from '../lib/collectors/page-staging.js';
+import { PrevalenceAnalyzer } from '../lib/analyzers/prevalence-analyzer.js';
+import { ConfigSchema, defaultConfig, deepMerge } from '../config/schema.js';
+
+const mockLogger = {
+  info: () => {},
+  debug: () => {},
+  warn: () => {},
+  error: () => {}
+};
+
+// Every fifth post promotes a token and has 50x the impressions of the rest
+const FEED = Array.from({ length: 500 }, (_, i) => ({
+  id: `p${i}`,
+  content: i % 5 === 0 ? 'token airdrop' : 'hello',
+  impressions: i % 5 === 0 ? 5000 : 100,
+  timestamp: 1700000000000 + i
+}));
+
+const config = (reservoir = {}, maxSampleSize = 50) => ({
+  sampling: { maxSampleSize, reservoir: { enabled: true, mode: 'uniform', scanLimit: 1000, ...reservoir } },
+  analysis: { confidenceLevel: 0.95, minBlockSize: 1, impressionBands: { low: 100, mid: 1000, high: 10000 } }
+});
+
+async function* pages(posts, size = 100) {
+  for (let i = 0; i < posts.length; i += size) yield posts.slice(i, i + size);
+}
+
+const draw = (reservoir, seed, posts = FEED, size) =>
+  new ReservoirSampler(config(reservoir, size), mockLogger, { seed }).sample(pages(posts));
+
+describe('ReservoirSampler', () => {
+  it('should draw the same uniform sample for a seed, in scan order', async () => {
+    const a = await draw({}, 7);
+    const b = await draw({}, 7);
+    const c = await draw({}, 8);
+
+    assert.strictEqual(a.posts.length, 50);
+    assert.deepStrictEqual(a.posts, b.posts);
+    assert.notDeepStrictEqual(a.posts.map(p => p.id), c.posts.map(p => p.id));
+
+    const indexes = a.posts.map(p => Number(p.id.slice(1)));
+    assert.deepStrictEqual(indexes, [...indexes].sort((x, y) => x - y));
+    assert.deepStrictEqual(a.posts[0]._sampling, { method: 'reservoir', inclusionProbability: 0.1, designWeight: 10 });
+    assert.deepStrictEqual(
+      { seed: a.design.seed, scanned: a.design.scanned, exhausted: a.design.exhausted, inclusionProbability: a.design.inclusionProbability },
+      { seed: 7, scanned: 500, exhausted: true, inclusionProbability: 0.1 }
+    );
+  });
+
+  it('should give every post the same chance in uniform mode', async () => {
+    const hits = new Array(40).fill(0);
+    const runs = 2000;
+    for (let seed = 0; seed < runs; seed++) {
+      const { posts } = await draw({}, seed, FEED.slice(0, 40), 10);
+      for (const post of posts) hits[Number(post.id.slice(1))]++;
+    }
+    for (const count of hits) {
+      assert.ok(Math.abs(count / runs - 0.25) < 0.05, `inclusion rate ${count / runs}`);
+    }
+  });
+
+  it('should keep everything when the feed is smaller than the sample', async () => {
+    for (const mode of ['uniform', 'weighted']) {
+      const { posts, design } = await draw({ mode }, 1, FEED.slice(0, 20));
+      assert.strictEqual(posts.length, 20);
+      assert.ok(posts.every(p => p._sampling.inclusionProbability === 1));
+      assert.strictEqual(design.sampled, 20);
+    }
+  });
+
+  it('should oversample high-impression posts and undo it with design weights', async () => {
+    const analyzer = new PrevalenceAnalyzer(config(), mockLogger);
+    const estimated = { impressions: 0, posts: 0, promo: 0 };
+    const runs = 200;
+
+    for (let seed = 0; seed < runs; seed++) {
+      const { posts, design } = await draw({ mode: 'weighted' }, seed);
+      assert.strictEqual(posts.length, 50);
+      assert.strictEqual(design.weight, 'impressions');
+      for (const post of posts) {
+        estimated.impressions += post.impressions * post._sampling.designWeight;
+        estimated.posts += post._sampling.designWeight;
+        if (post.content.includes('token')) estimated.promo += post._sampling.designWeight;
+      }
+
+      const overall = analyzer.analyze(posts).overall;
+      assert.ok(overall.prevalences.hasTokenPromo.prevalence > 0.5);
+      assert.ok(overall.designWeightedPrevalences.hasTokenPromo);
+    }
+
+    // Horvitz-Thompson totals are unbiased for any per-post quantity
+    const truth = FEED.reduce((sum, p) => sum + p.impressions, 0);
+    assert.ok(Math.abs(estimated.impressions / runs / truth - 1) < 0.03, `impressions ${estimated.impressions / runs}`);
+    assert.ok(Math.abs(estimated.posts / runs / FEED.length - 1) < 0.1, `posts ${estimated.posts / runs}`);
+    assert.ok(Math.abs(estimated.promo / estimated.posts - 0.2) < 0.03, `prevalence ${estimated.promo / estimated.posts}`);
+  });
+
+  it('should only combine with unstratified, client-windowed sampling', () => {
+    const parse = (sampling) => ConfigSchema.safeParse(deepMerge(defaultConfig, { sampling }));
+    const reservoir = { enabled: true, scanLimit: 20000 };
+
+    assert.ok(parse({ reservoir }).success);
+    assert.match(parse({ reservoir: { ...reservoir, scanLimit: 10 } }).error.message, /at least maxSampleSize/);
+    assert.match(parse({ reservoir, strata: [{ name: 'a', populationSize: 10 }] }).error.message, /sampling.strata/);
+    assert.match(
+      parse({ reservoir, temporal: { ...defaultConfig.sampling.temporal, strategy: 'query' } }).error.message,
+      /sampling.temporal.strategy/
+    );
+  });
+});
+
+describe('MoltxCollector reservoir sampling', () => {
+  let baseDir;
+
+  before(async () => {
+    baseDir = await fs.mkdtemp(path.join(os.tmpdir(), 'cer-reservoir-'));
+  });
+
+  after(async () => {
+    await fs.rm(baseDir, { recursive: true, force: true });
+  });
+
+  const collector = (reservoir) => {
+    const c = new MoltxCollector({
+      api: { rateLimit: { maxRequests: 1000, windowMs: 60000 } },
+      output: { baseDir },
+      ...deepMerge(config(reservoir), { sampling: { stratified: true, strata: [], temporal: { enabled: false } } })
+    }, mockLogger);
+    c.fetchPage = async (endpoint, { offset, limit }) => FEED.slice(offset, offset + limit);
+    return c;
+  };
+
+  it('should scan to the scan limit and record seed and scan depth', async () => {
+    const c = collector({ scanLimit: 300, seed: 3 });
+    const posts = await c.collect({ maxPosts: 50 });
+    const { sampling } = c.describe();
+
+    assert.strictEqual(posts.length, 50);
+    assert.ok(posts.every(p => Number(p.id.slice(1)) < 300));
+    assert.strictEqual(sampling.method, 'reservoir');
+    assert.strictEqual(sampling.seed, 3);
+    assert.strictEqual(sampling.scanned, 300);
+    assert.strictEqual(sampling.exhausted, false);
+    assert.strictEqual(sampling.inclusionProbability, 50 / 300);
+  });
+
+  it('should pin a drawn seed so a staged run redraws the same sample', async () => {
+    const c = collector({});
+    const staging = new PageStaging(c.config, mockLogger, 'run_reservoir');
+    const first = await c.collect({ staging });
+    const again = await collector({}).collect({ staging: new PageStaging(c.config, mockLogger, 'run_reservoir') });
+
+    assert.ok(Number.isInteger(c.describe().sampling.seed));
+    assert.deepStrictEqual(again, first);
+  });
+});
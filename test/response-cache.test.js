@@ -0,0 +1,146 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs/promises';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { MoltxCollector } from '../lib/collectors/moltx-collector.js';
+import { ResponseCache, CacheMissError, bucketStart } from '../lib/collectors/response-cache.js';
+
+const mockLogger = {
+  info: () => {},
+  debug: () => {},
+  warn: () => {},
+  error: () => {}
+};
+
+const FEED = Array.from({ length: 15 }, (_, i) => ({ id: `p${i}`, timestamp: 1700000000000 + i }));
+
+describe('ResponseCache', () => {
+  let baseDir;
+  let server;
+  let baseUrl;
+  let hits = 0;
+
+  const config = (cache) => ({
+    api: {
+      baseUrl,
+      timeout: 5000,
+      retryAttempts: 0,
+      retryBackoff: 1,
+      rateLimit: { maxRequests: 100, windowMs: 60000 },
+      cache: { bucket: '2024-02-08T10:17:00.000Z', bucketMinutes: 60, ...cache }
+    },
+    output: { baseDir }
+  });
+
+  const collect = async (cache) => {
+    const collector = new MoltxCollector(config(cache), mockLogger);
+    collector.bearerToken = 'test';
+    const posts = await collector.fetchPaginated({ limit: 10 });
+    return { posts, summary: collector.cache.summary() };
+  };
+
+  before(async () => {
+    baseDir = await fs.mkdtemp(path.join(os.tmpdir(), 'cer-cache-'));
+    server = http.createServer((req, res) => {
+      hits++;
+      const url = new URL(req.url, 'http://localhost');
+      const offset = Number(url.searchParams.get('offset'));
+      const limit = Number(url.searchParams.get('limit'));
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ posts: FEED.slice(offset, offset + limit) }));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    await new Promise(resolve => server.close(resolve));
+    await fs.rm(baseDir, { recursive: true, force: true });
+  });
+
+  it('should key entries by endpoint, sorted query and time bucket', () => {
+    const cache = new ResponseCache(config({}), mockLogger);
+    assert.strictEqual(cache.bucket, '2024-02-08T10:00:00.000Z');
+    assert.strictEqual(bucketStart('2024-02-08T10:59:59Z', 60), cache.bucket);
+
+    const a = cache.keyFor('/v1/trending?limit=10&offset=0');
+    const b = cache.keyFor('/v1/trending?offset=0&limit=10');
+    assert.strictEqual(a.key, b.key);
+    assert.notStrictEqual(a.key, cache.keyFor('/v1/trending?offset=10&limit=10').key);
+
+    const later = new ResponseCache(config({ bucket: '2024-02-08T11:00:00.000Z' }), mockLogger);
+    assert.notStrictEqual(later.keyFor('/v1/trending?limit=10&offset=0').key, a.key);
+  });
+
+  it('should replay a readwrite run offline with identical responses', async () => {
+    hits = 0;
+    const online = await collect({ mode: 'readwrite' });
+    assert.strictEqual(online.posts.length, 15);
+    assert.strictEqual(hits, 2);
+    assert.strictEqual(online.summary.misses, 2);
+    assert.strictEqual(online.summary.writes, 2);
+    assert.ok(online.summary.entries.every(e => /^[0-9a-f]{64}$/.test(e.hash)));
+
+    const offline = await collect({ mode: 'offline' });
+    assert.strictEqual(hits, 2);
+    assert.deepStrictEqual(offline.posts, online.posts);
+    assert.strictEqual(offline.summary.hits, 2);
+    assert.deepStrictEqual(
+      offline.summary.entries.map(e => [e.key, e.hash]),
+      online.summary.entries.map(e => [e.key, e.hash])
+    );
+  });
+
+  it('should replay a query-strategy run offline over the windows it planned', async () => {
+    const windowed = async (mode, now) => {
+      const collector = new MoltxCollector({
+        ...config({ mode, bucket: '2024-04-01T00:00:00.000Z' }),
+        sampling: {
+          maxSampleSize: 20,
+          stratified: false,
+          strata: [],
+          temporal: { enabled: true, strategy: 'query', lookbackMinutes: 120, batchSizeMinutes: 60 }
+        }
+      }, mockLogger);
+      collector.bearerToken = 'test';
+      collector.now = () => Date.parse(now);
+      const posts = await collector.collect();
+      return { posts, ...collector.describe() };
+    };
+
+    hits = 0;
+    const online = await windowed('readwrite', '2024-04-01T00:17:00.000Z');
+    assert.strictEqual(hits, 2);
+    assert.deepStrictEqual(online.windowQuery, { since: '2024-03-31T22:00:00.000Z', until: '2024-04-01T00:00:00.000Z' });
+
+    // Hours later "now" falls in another window, but the replay plans the pinned range
+    const offline = await windowed('offline', '2024-04-01T03:40:00.000Z');
+    assert.strictEqual(hits, 2);
+    assert.deepStrictEqual(offline.windowQuery, online.windowQuery);
+    assert.deepStrictEqual(offline.posts, online.posts);
+    assert.strictEqual(offline.cache.hits, 2);
+  });
+
+  it('should fail offline on a miss and bypass the cache when off', async () => {
+    await assert.rejects(
+      () => collect({ mode: 'offline', bucket: '2030-01-01T00:00:00.000Z' }),
+      (error) => error instanceof CacheMissError && /offline mode/.test(error.message)
+    );
+
+    hits = 0;
+    const off = await collect({ mode: 'off' });
+    assert.strictEqual(hits, 2);
+    assert.strictEqual(off.summary.hits + off.summary.misses, 0);
+  });
+
+  it('should ignore entries whose body no longer matches its hash', async () => {
+    const { summary } = await collect({ mode: 'readwrite', bucket: '2024-03-01T00:00:00.000Z' });
+    const cache = new ResponseCache(config({ mode: 'read', bucket: '2024-03-01T00:00:00.000Z' }), mockLogger);
+    await fs.writeFile(cache.blobPath(summary.entries[0].hash), '{"posts":[]}', 'utf-8');
+
+    assert.strictEqual(await cache.get('/v1/trending?limit=10&offset=0'), null);
+    assert.strictEqual(cache.stats.misses, 1);
+  });
+});
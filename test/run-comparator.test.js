@@ -0,0 +1,92 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { RunComparator } from '../lib/analyzers/run-comparator.js';
+import { ComparisonReporter } from '../lib/reporters/comparison-reporter.js';
+
+const mockLogger = {
+  info: () => {},
+  debug: () => {},
+  warn: () => {},
+  error: () => {}
+};
+
+const config = { analysis: { confidenceLevel: 0.95, fdrQ: 0.05 } };
+
+const prev = (count, total) => ({ count, total, prevalence: count / total });
+
+const block = (sampleSize, counts) => ({
+  sampleSize,
+  prevalences: Object.fromEntries(Object.entries(counts).map(([f, c]) => [f, prev(c, sampleSize)]))
+});
+
+const run = (blocks) => {
+  const overall = { hasTokenPromo: 0, hasSafetyLanguage: 0 };
+  let n = 0;
+  for (const b of Object.values(blocks)) {
+    n += b.sampleSize;
+    for (const [f, p] of Object.entries(b.prevalences)) overall[f] += p.count;
+  }
+  return { overall: block(n, overall), blocks };
+};
+
+describe('RunComparator', () => {
+  // The high-impression tokenPromo block shifts; the large mid block does not,
+  // so the overall shift is diluted.
+  const run1 = run({
+    very_high_feed_tokenPromo: block(400, { hasTokenPromo: 400, hasSafetyLanguage: 40 }),
+    mid_feed_noTokenPromo: block(4000, { hasTokenPromo: 0, hasSafetyLanguage: 400 }),
+    low_search_noTokenPromo: block(200, { hasTokenPromo: 0, hasSafetyLanguage: 20 })
+  });
+  const run2 = run({
+    very_high_feed_tokenPromo: block(400, { hasTokenPromo: 400, hasSafetyLanguage: 120 }),
+    mid_feed_noTokenPromo: block(4000, { hasTokenPromo: 0, hasSafetyLanguage: 404 }),
+    high_api_noTokenPromo: block(150, { hasTokenPromo: 0, hasSafetyLanguage: 15 })
+  });
+
+  const comparator = new RunComparator(config, mockLogger);
+  const report = comparator.compare(run1, run2, { run1: 'r1', run2: 'r2' });
+
+  it('should test every shared block × feature pair as one BH family', () => {
+    assert.strictEqual(report.summary.sharedBlocks, 2);
+    assert.strictEqual(report.summary.tests, 4);
+    assert.strictEqual(report.multipleTesting.family, 'compareRuns:block×feature');
+
+    const shift = report.blocks.very_high_feed_tokenPromo.features.hasSafetyLanguage;
+    assert.strictEqual(shift.multipleTesting.rejected, true);
+    assert.strictEqual(report.blocks.mid_feed_noTokenPromo.features.hasSafetyLanguage.multipleTesting.rejected, false);
+    assert.deepStrictEqual(
+      report.significant.map(s => `${s.blockKey}/${s.feature}`),
+      ['very_high_feed_tokenPromo/hasSafetyLanguage']
+    );
+  });
+
+  it('should report blocks present in only one run separately', () => {
+    assert.deepStrictEqual(report.onlyInRun1, [{ blockKey: 'low_search_noTokenPromo', sampleSize: 200 }]);
+    assert.deepStrictEqual(report.onlyInRun2, [{ blockKey: 'high_api_noTokenPromo', sampleSize: 150 }]);
+    assert.ok(!('low_search_noTokenPromo' in report.blocks));
+  });
+
+  it('should keep the overall comparison', () => {
+    assert.ok(report.comparison.hasSafetyLanguage);
+    assert.strictEqual(report.comparison._multipleTestingReceipt.family, 'compareBlocks:features');
+  });
+
+  it('should write JSON, Markdown and HTML diff reports', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'cer-compare-'));
+    try {
+      const files = await new ComparisonReporter(config, mockLogger).write(dir, report);
+      assert.deepStrictEqual(Object.keys(files), ['json', 'md', 'html']);
+
+      const md = await fs.readFile(files.md, 'utf-8');
+      assert.match(md, /very_high_feed_tokenPromo \| hasSafetyLanguage/);
+      assert.match(md, /Blocks Only in r1/);
+
+      await assert.rejects(() => new ComparisonReporter(config, mockLogger).write(dir, report, ['pdf']), /Unknown comparison format/);
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,120 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { RunRegistry, parseWhere, parseSort } from '../lib/reporters/run-registry.js';
+
+const mockLogger = {
+  info: () => {},
+  debug: () => {},
+  warn: () => {},
+  error: () => {}
+};
+
+const meta = (runId, timestamp, extra = {}) => ({
+  runId,
+  timestamp,
+  configHash: 'cfg1',
+  dataHash: `data_${runId}`,
+  gitSha: 'abc123',
+  source: 'moltx',
+  validation: { valid: true, violations: [] },
+  summary: { uniquePosts: 100, blockCount: 3 },
+  ...extra
+});
+
+describe('RunRegistry', () => {
+  let baseDir;
+  let registry;
+
+  before(async () => {
+    baseDir = await fs.mkdtemp(path.join(os.tmpdir(), 'cer-registry-'));
+    registry = new RunRegistry({ output: { baseDir } }, mockLogger);
+
+    await registry.register(meta('r1', '2024-02-01T10:00:00.000Z'));
+    await registry.register(meta('r2', '2024-02-02T10:00:00.000Z', {
+      configHash: 'cfg2',
+      validation: { valid: false, violations: [{ invariant: 'x' }] }
+    }));
+    await registry.register(meta('r3', '2024-02-03T10:00:00.000Z', {
+      source: { type: 'file', path: '/data/posts.jsonl', sha256: 'f00d' },
+      summary: { uniquePosts: 250, blockCount: 5 }
+    }));
+  });
+
+  after(async () => {
+    await fs.rm(baseDir, { recursive: true, force: true });
+  });
+
+  it('should parse where and sort expressions', () => {
+    assert.deepStrictEqual(parseWhere('timestamp>=2024-02-02, validation=passed'), [
+      { field: 'timestamp', op: '>=', value: '2024-02-02' },
+      { field: 'validation', op: '=', value: 'passed' }
+    ]);
+    assert.throws(() => parseWhere('nope=1'), /Unknown run field/);
+    assert.deepStrictEqual(parseSort('uniquePosts:desc'), { field: 'uniquePosts', direction: 'desc' });
+  });
+
+  it('should filter by date range, hash, status and source', async () => {
+    const ids = async (where) => (await registry.query({ where })).map(r => r.runId);
+
+    assert.deepStrictEqual(await ids('timestamp>=2024-02-02,timestamp<2024-02-03'), ['r2']);
+    assert.deepStrictEqual(await ids('configHash=cfg1'), ['r1', 'r3']);
+    assert.deepStrictEqual(await ids('validation=failed'), ['r2']);
+    assert.deepStrictEqual(await ids('source~file'), ['r3']);
+    assert.deepStrictEqual(await ids('sourceHash=f00d'), ['r3']);
+    assert.deepStrictEqual(await ids('uniquePosts>100'), ['r3']);
+  });
+
+  it('should sort, limit and let later entries supersede earlier ones', async () => {
+    await registry.register(meta('r1', '2024-02-01T10:00:00.000Z', { gitSha: 'def456' }));
+
+    const runs = await registry.query({ sort: 'timestamp:desc', limit: 2 });
+    assert.deepStrictEqual(runs.map(r => r.runId), ['r3', 'r2']);
+
+    const [r1] = await registry.query({ where: 'runId=r1' });
+    assert.strictEqual(r1.gitSha, 'def456');
+  });
+
+  it('should rebuild the index from run directories', async () => {
+    await fs.mkdir(path.join(baseDir, 'r9'), { recursive: true });
+    await fs.writeFile(path.join(baseDir, 'r9', 'meta.json'), JSON.stringify(meta('r9', '2024-01-01T00:00:00.000Z')));
+
+    const entries = await registry.rebuild();
+    assert.deepStrictEqual(entries.map(e => e.runId), ['r9']);
+  });
+
+  it('should rebuild on sync only when the index and the run directories disagree', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'cer-registry-sync-'));
+    try {
+      const warnings = [];
+      const synced = new RunRegistry({ output: { baseDir: dir } }, { ...mockLogger, warn: (fields, msg) => warnings.push(msg) });
+      const writeRun = async (runId, timestamp) => {
+        await fs.mkdir(path.join(dir, runId));
+        await fs.writeFile(path.join(dir, runId, 'meta.json'), JSON.stringify(meta(runId, timestamp)));
+      };
+
+      await writeRun('s1', '2024-01-01T00:00:00.000Z');
+      await synced.register(meta('s1', '2024-01-01T00:00:00.000Z'));
+      await fs.mkdir(path.join(dir, 'notes'));
+      await fs.mkdir(path.join(dir, '.cache'));
+      assert.deepStrictEqual((await synced.sync()).map(e => e.runId), ['s1']);
+      assert.strictEqual(warnings.length, 0);
+
+      // A run the index does not list
+      await writeRun('s2', '2024-01-02T00:00:00.000Z');
+      assert.deepStrictEqual((await synced.sync()).map(e => e.runId), ['s1', 's2']);
+      assert.strictEqual(warnings.length, 1);
+
+      // A listed run whose directory was removed
+      await fs.rm(path.join(dir, 's1'), { recursive: true });
+      assert.deepStrictEqual((await synced.sync()).map(e => e.runId), ['s2']);
+      assert.strictEqual(warnings.length, 2);
+
+      assert.deepStrictEqual((await fs.readdir(dir)).sort(), ['.cache', 'index.jsonl', 'notes', 's2']);
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  });
+});
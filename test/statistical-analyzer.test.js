@@ -171,6 +171,28 @@ describe('StatisticalAnalyzer', () => {
     });
   });
 
+  describe('sensSlope', () => {
+    it('should estimate slope robustly to an outlier', () => {
+      const analyzer = new StatisticalAnalyzer(mockConfig, mockLogger);
+      const result = analyzer.sensSlope([1, 2, 3, 40, 5, 6]);
+
+      assert.strictEqual(result.slope, 1);
+      assert.strictEqual(result.intercept, 1);
+    });
+
+    it('should use provided x positions', () => {
+      const analyzer = new StatisticalAnalyzer(mockConfig, mockLogger);
+      const result = analyzer.sensSlope([0.1, 0.2, 0.3], [0, 2, 4]);
+
+      assert(Math.abs(result.slope - 0.05) < 1e-12);
+    });
+
+    it('should handle a single point', () => {
+      const analyzer = new StatisticalAnalyzer(mockConfig, mockLogger);
+      assert.strictEqual(analyzer.sensSlope([1]).slope, null);
+    });
+  });
+
   describe('summarize', () => {
     it('should calculate summary statistics', () => {
       const analyzer = new StatisticalAnalyzer(mockConfig, mockLogger);
@@ -0,0 +1,143 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { allocateQuotas, StratifiedSampler } from '../lib/collectors/stratified-sampler.js';
+import { PrevalenceAnalyzer } from '../lib/analyzers/prevalence-analyzer.js';
+import { ConfigSchema, defaultConfig, deepMerge } from '../config/schema.js';
+
+const mockLogger = {
+  info: () => {},
+  debug: () => {},
+  warn: () => {},
+  error: () => {}
+};
+
+// Feeds keyed by endpoint + category; "promo" posts all mention tokens
+const feed = (prefix, n, content) => Array.from({ length: n }, (_, i) => ({
+  id: `${prefix}${i}`,
+  content,
+  impressions: 500,
+  timestamp: 1700000000000 + i
+}));
+
+const fakeCollector = (feeds) => ({
+  calls: [],
+  async *paginate(params, maxPosts, { endpoint }) {
+    this.calls.push({ endpoint, params, maxPosts });
+    const posts = feeds[`${endpoint}?${params.category ?? ''}`].slice(0, maxPosts);
+    for (let offset = 0; offset < posts.length; offset += 100) {
+      yield posts.slice(offset, offset + 100);
+    }
+  }
+});
+
+describe('StratifiedSampler', () => {
+  it('should allocate proportional quotas by largest remainder and fixed quotas as configured', () => {
+    const strata = [
+      { name: 'a', populationSize: 500 },
+      { name: 'b', populationSize: 300 },
+      { name: 'c', populationSize: 200 }
+    ];
+    assert.deepStrictEqual(allocateQuotas(strata, 10), { a: 5, b: 3, c: 2 });
+    assert.deepStrictEqual(allocateQuotas(strata, 7), { a: 4, b: 2, c: 1 });
+    assert.deepStrictEqual(allocateQuotas(strata, 5000), { a: 500, b: 300, c: 200 });
+
+    assert.deepStrictEqual(
+      allocateQuotas([{ name: 'a', populationSize: 10, quota: 50 }, { name: 'b', populationSize: 100, quota: 20 }], 0, 'fixed'),
+      { a: 10, b: 20 }
+    );
+    assert.throws(() => allocateQuotas(strata, 10, 'fixed'), /needs a quota/);
+  });
+
+  const designConfig = {
+    sampling: {
+      maxSampleSize: 100,
+      allocation: 'fixed',
+      strata: [
+        { name: 'general', endpoint: '/v1/trending', params: { category: 'general' }, populationSize: 900, quota: 50 },
+        { name: 'promo', endpoint: '/v1/new', params: {}, populationSize: 100, quota: 49 }
+      ]
+    },
+    analysis: { confidenceLevel: 0.95, minBlockSize: 10, impressionBands: { low: 100, mid: 1000, high: 10000 } }
+  };
+  const designFeeds = () => ({
+    '/v1/trending?general': feed('g', 1000, 'hello world'),
+    // Two posts of the general frame also appear in the promo feed
+    '/v1/new?': [...feed('g', 2, 'hello world'), ...feed('p', 150, 'new token airdrop')]
+  });
+
+  it('should draw each quota uniformly from the stratum frame and weight by the frame size', async () => {
+    const collector = fakeCollector(designFeeds());
+    const { posts, design } = await new StratifiedSampler(designConfig, mockLogger, collector, { seed: 7 }).sample();
+
+    // Each feed is scanned to its population size, not just its quota
+    assert.deepStrictEqual(collector.calls.map(c => c.maxPosts), [900, 100]);
+    assert.strictEqual(design.seed, 7);
+    assert.strictEqual(design.duplicatesAcrossStrata, 2);
+    assert.deepStrictEqual(
+      design.strata.map(s => [s.name, s.scanned, s.overlap, s.frameSize, s.sampled, s.shortfall]),
+      [['general', 900, 0, 900, 50, 0], ['promo', 100, 2, 98, 49, 0]]
+    );
+    assert.strictEqual(design.strata[1].inclusionProbability, 0.5);
+
+    // Not the top of the feed: the draw reaches past the first quota posts
+    const general = posts.filter(p => p._sampling.stratum === 'general').map(p => Number(p.id.slice(1)));
+    assert.ok(Math.max(...general) >= 50);
+    assert.ok(general.every(i => i < 900));
+
+    // Posts of the general frame are never drawn for promo
+    assert.ok(posts.filter(p => p._sampling.stratum === 'promo').every(p => p.id.startsWith('p')));
+
+    const promo = posts.find(p => p._sampling.stratum === 'promo');
+    assert.deepStrictEqual(promo._sampling, { stratum: 'promo', inclusionProbability: 0.5, designWeight: 2 });
+    assert.strictEqual(promo.source, 'promo');
+
+    const results = new PrevalenceAnalyzer(designConfig, mockLogger).analyze(posts);
+    const naive = results.overall.prevalences.hasTokenPromo.prevalence;
+    const weighted = results.overall.designWeightedPrevalences.hasTokenPromo;
+
+    assert.strictEqual(naive, 49 / 99);
+    // 49 * 2 promo posts out of 900 + 98 in the frames
+    assert.ok(Math.abs(weighted.prevalence - 98 / 998) < 1e-12);
+    assert.ok(Math.abs(weighted.totalWeight - 998) < 1e-9);
+  });
+
+  it('should reproduce the sample from its seed and record shortfalls', async () => {
+    const draw = seed => new StratifiedSampler(designConfig, mockLogger, fakeCollector(designFeeds()), { seed }).sample();
+    const ids = ({ posts }) => posts.map(p => p.id);
+
+    assert.deepStrictEqual(ids(await draw(7)), ids(await draw(7)));
+    assert.notDeepStrictEqual(ids(await draw(7)), ids(await draw(8)));
+
+    // A feed shorter than the quota is taken whole
+    const short = { ...designFeeds(), '/v1/new?': feed('p', 30, 'new token airdrop') };
+    const { design } = await new StratifiedSampler(designConfig, mockLogger, fakeCollector(short), { seed: 7 }).sample();
+    assert.deepStrictEqual(design.strata[1], {
+      ...design.strata[1],
+      frameSize: 30,
+      sampled: 30,
+      shortfall: 19,
+      inclusionProbability: 1,
+      designWeight: 1
+    });
+  });
+
+  it('should leave unweighted analyses unchanged', () => {
+    const config = { analysis: { confidenceLevel: 0.95, minBlockSize: 10, impressionBands: { low: 100, mid: 1000, high: 10000 } } };
+    const results = new PrevalenceAnalyzer(config, mockLogger).analyze(feed('x', 20, 'token'));
+    assert.strictEqual(results.overall.designWeightedPrevalences, undefined);
+  });
+
+  it('should require quotas for fixed allocation and unique stratum names', () => {
+    const parse = (sampling) => ConfigSchema.safeParse(deepMerge(defaultConfig, { sampling }));
+
+    assert.ok(parse({ strata: [{ name: 'a', populationSize: 10 }] }).success);
+    assert.match(
+      parse({ allocation: 'fixed', strata: [{ name: 'a', populationSize: 10 }] }).error.message,
+      /fixed allocation needs a quota/
+    );
+    assert.match(
+      parse({ strata: [{ name: 'a', populationSize: 10 }, { name: 'a', populationSize: 5 }] }).error.message,
+      /duplicate stratum/
+    );
+  });
+});
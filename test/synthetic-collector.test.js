@@ -0,0 +1,167 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { Prng } from '../lib/utils/prng.js';
+import {
+  ScenarioSchema,
+  ScenarioError,
+  SyntheticCollector,
+  compareGroundTruth,
+  generateScenario,
+  listScenarios,
+  loadScenario
+} from '../lib/collectors/synthetic-collector.js';
+import { createCollector } from '../lib/collectors/index.js';
+import { PrevalenceAnalyzer } from '../lib/analyzers/prevalence-analyzer.js';
+import { Taxonomy } from '../lib/analyzers/tag-packs.js';
+
+const mockLogger = {
+  info: () => {},
+  debug: () => {},
+  warn: () => {},
+  error: () => {}
+};
+
+const config = (synthetic = {}) => ({
+  collector: { type: 'synthetic', synthetic: { scenario: 'baseline', ...synthetic } },
+  ingest: { batchSize: 128 },
+  analysis: { confidenceLevel: 0.95, minBlockSize: 1, impressionBands: { low: 100, mid: 1000, high: 10000 } }
+});
+
+const taxonomy = Taxonomy.fromConfig({});
+
+const scenario = (overrides = {}) => ScenarioSchema.parse({
+  name: 'test',
+  posts: 2000,
+  features: { hasTokenPromo: 0.1, hasSafetyLanguage: 0.2 },
+  ...overrides
+});
+
+describe('Prng', () => {
+  it('should repeat its sequence for a seed and fork independent streams', () => {
+    const draws = (seed) => { const rng = new Prng(seed); return Array.from({ length: 5 }, () => rng.next()); };
+    assert.deepStrictEqual(draws(42), draws('42'));
+    assert.notDeepStrictEqual(draws(42), draws(43));
+    assert.ok(draws(1).every(x => x >= 0 && x < 1));
+
+    const rng = new Prng(42);
+    const fork = rng.fork('a').next();
+    rng.next();
+    assert.strictEqual(rng.fork('a').next(), fork);
+    assert.notStrictEqual(rng.fork('b').next(), fork);
+  });
+});
+
+describe('generateScenario', () => {
+  it('should be reproducible from the seed', () => {
+    const strip = posts => posts.map(({ labels, ...p }) => p);
+    assert.deepStrictEqual(strip(generateScenario(scenario(), 7, taxonomy)), strip(generateScenario(scenario(), 7, taxonomy)));
+    assert.notDeepStrictEqual(strip(generateScenario(scenario(), 7, taxonomy)), strip(generateScenario(scenario(), 8, taxonomy)));
+  });
+
+  it('should write text whose detected features are exactly its labels', () => {
+    const analyzer = new PrevalenceAnalyzer(config(), mockLogger);
+    const features = Object.fromEntries(taxonomy.featureIds.map(f => [f, 0.3]));
+    for (const post of generateScenario(scenario({ features }), 1, taxonomy)) {
+      const detected = analyzer.extractFeatures(post);
+      for (const f of taxonomy.featureIds) assert.strictEqual(detected[f], post.labels[f], `${post.content} / ${f}`);
+    }
+  });
+
+  it('should apply surges, gaps, campaigns, PII and duplicates', () => {
+    const posts = generateScenario(scenario({
+      surges: [{ feature: 'hasTokenPromo', rate: 0.9, startFraction: 0.5, endFraction: 0.75 }],
+      gaps: [{ startFraction: 0.1, endFraction: 0.2 }],
+      campaign: { fraction: 0.1, impressionMultiplier: 100, source: 'bots', features: { hasOutboundPressure: 1 } },
+      pii: { rate: 0.2 },
+      duplicates: { rate: 0.1, maxCopies: 2 }
+    }), 3, taxonomy);
+
+    const start = Date.parse('2024-02-08T00:00:00.000Z');
+    const fraction = p => (p.timestamp - start) / (1440 * 60 * 1000);
+    const organic = posts.filter(p => !p.labels.campaign && !p.labels.duplicate);
+    const share = (list) => list.filter(p => p.labels.hasTokenPromo).length / list.length;
+
+    assert.ok(posts.every(p => fraction(p) < 0.1 || fraction(p) >= 0.2));
+    assert.ok(share(organic.filter(p => fraction(p) >= 0.5 && fraction(p) < 0.75)) > 0.8);
+    assert.ok(share(organic.filter(p => fraction(p) < 0.5)) < 0.2);
+
+    const campaign = posts.filter(p => p.labels.campaign);
+    assert.ok(campaign.length > 100 && campaign.length < 300);
+    assert.ok(campaign.every(p => p.source === 'bots' && p.labels.hasOutboundPressure));
+    const median = list => list.map(p => p.impressions).sort((a, b) => a - b)[Math.floor(list.length / 2)];
+    assert.ok(median(campaign) > 20 * median(organic));
+
+    assert.ok(posts.filter(p => p.labels.pii).every(p => /@example\.com|555-/.test(p.content)));
+    const ids = new Set(posts.map(p => p.id));
+    assert.strictEqual(ids.size, 2000);
+    assert.ok(posts.length > 2000);
+  });
+});
+
+describe('loadScenario', () => {
+  it('should ship every named scenario as a valid file', async () => {
+    const names = await listScenarios();
+    assert.deepStrictEqual(names, ['baseline', 'bot-campaign', 'duplicate-spam', 'pii-heavy', 'timestamp-gaps', 'token-promo-surge']);
+    for (const name of names) {
+      const { scenario: loaded, sha256 } = await loadScenario(name);
+      assert.strictEqual(loaded.name, name);
+      assert.match(sha256, /^[0-9a-f]{64}$/);
+    }
+  });
+
+  it('should reject unknown names and malformed files', async () => {
+    await assert.rejects(loadScenario('no-such-scenario'), ScenarioError);
+
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'cer-scenario-'));
+    try {
+      const file = path.join(dir, 'bad.json');
+      await fs.writeFile(file, JSON.stringify({ name: 'bad', features: { hasTokenPromo: 2 } }));
+      await assert.rejects(loadScenario(file), (error) => error instanceof ScenarioError && error.details.issues.length > 0);
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('SyntheticCollector', () => {
+  it('should record scenario and seed and report ground truth matching the analysis', async () => {
+    const collector = createCollector(config({ scenario: 'duplicate-spam', seed: '9' }), mockLogger);
+    assert.ok(collector instanceof SyntheticCollector);
+    await collector.initialize();
+
+    const batches = [];
+    for await (const batch of collector.batches()) batches.push(batch);
+    assert.ok(batches.every(b => b.length <= 128 && b.every(p => !('labels' in p))));
+
+    const { source, groundTruth } = collector.describe();
+    assert.strictEqual(source.type, 'synthetic');
+    assert.strictEqual(source.scenario, 'duplicate-spam');
+    assert.strictEqual(source.seed, 9);
+    assert.strictEqual(source.records, batches.flat().length);
+    assert.strictEqual(groundTruth.rawPosts, source.records);
+    assert.strictEqual(groundTruth.posts, 1000);
+    assert.strictEqual(groundTruth.duplicates, source.records - 1000);
+
+    const analysis = new PrevalenceAnalyzer(config(), mockLogger).analyze(batches.flat());
+    assert.strictEqual(analysis.summary.uniquePosts, groundTruth.posts);
+    for (const [feature, check] of Object.entries(compareGroundTruth(groundTruth, analysis))) {
+      assert.strictEqual(check.difference, 0, feature);
+      assert.strictEqual(check.withinCi, true, feature);
+      assert.ok(Math.abs(check.observedWeighted - check.truthWeighted) < 1e-12, feature);
+    }
+  });
+
+  it('should cover only the posts yielded under maxPosts', async () => {
+    const collector = new SyntheticCollector(config(), mockLogger, { scenario: 'baseline' });
+    await collector.initialize();
+    const posts = await collector.collect({ maxPosts: 300 });
+
+    assert.strictEqual(posts.length, 300);
+    const { groundTruth } = collector.describe();
+    assert.strictEqual(groundTruth.posts, 300);
+    assert.strictEqual(groundTruth.seed, 42);
+  });
+});
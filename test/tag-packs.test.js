@@ -0,0 +1,192 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import {
+  TagPackError,
+  TaxonomyMismatchError,
+  Taxonomy,
+  checkTaxonomies,
+  loadTagPack
+} from '../lib/analyzers/tag-packs.js';
+import { PrevalenceAnalyzer } from '../lib/analyzers/prevalence-analyzer.js';
+import { RunComparator } from '../lib/analyzers/run-comparator.js';
+import { SafetyReportReporter } from '../lib/reporters/safety-report-reporter.js';
+import { SyntheticCollector } from '../lib/collectors/synthetic-collector.js';
+
+const mockLogger = {
+  info: () => {},
+  debug: () => {},
+  warn: () => {},
+  error: () => {}
+};
+
+const config = (tagPacks) => ({
+  collector: { type: 'synthetic', synthetic: { scenario: 'baseline' } },
+  ingest: { batchSize: 128 },
+  analysis: {
+    confidenceLevel: 0.95,
+    minBlockSize: 1,
+    impressionBands: { low: 100, mid: 1000, high: 10000 },
+    ...(tagPacks ? { tagPacks } : {})
+  },
+  comparison: { qTarget: 0.05 }
+});
+
+const pack = (overrides = {}) => ({
+  id: 'scam',
+  version: '0.1.0',
+  features: [{
+    id: 'hasGiveaway',
+    patterns: ['\\bgiveaway\\b'],
+    exclusions: ['\\bnot a giveaway\\b'],
+    examples: ['Huge giveaway today']
+  }],
+  ...overrides
+});
+
+const posts = [
+  { id: 'a', content: 'New token giveaway, claim now', impressions: 100 },
+  { id: 'b', content: 'This is not a giveaway, stay safe', impressions: 200 },
+  { id: 'c', content: 'hello world', impressions: 50 }
+];
+
+describe('Tag packs', () => {
+  let dir;
+  const write = async (name, content) => {
+    const file = path.join(dir, name);
+    await fs.writeFile(file, typeof content === 'string' ? content : JSON.stringify(content));
+    return file;
+  };
+
+  before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'cer-tag-packs-'));
+  });
+
+  after(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('should load the core pack with the original text features', () => {
+    const core = loadTagPack('core');
+    assert.strictEqual(core.id, 'core');
+    assert.match(core.sha256, /^[0-9a-f]{64}$/);
+
+    const taxonomy = Taxonomy.fromConfig({});
+    assert.deepStrictEqual(taxonomy.featureIds, [
+      'hasTokenPromo', 'hasSafetyLanguage', 'hasEngineeringLanguage', 'hasOutboundPressure', 'hasReceiptSignals'
+    ]);
+    assert.deepStrictEqual(taxonomy.match('new token, stay safe'), {
+      hasTokenPromo: true,
+      hasSafetyLanguage: true,
+      hasEngineeringLanguage: false,
+      hasOutboundPressure: false,
+      hasReceiptSignals: false
+    });
+  });
+
+  it('should give each core example exactly its own feature', () => {
+    const taxonomy = Taxonomy.fromConfig({});
+    for (const feature of taxonomy.features) {
+      for (const example of feature.examples) {
+        const flags = taxonomy.match(example.toLowerCase());
+        for (const id of taxonomy.featureIds) {
+          assert.strictEqual(flags[id], id === feature.id, `${example} / ${id}`);
+        }
+      }
+    }
+  });
+
+  it('should apply exclusions', async () => {
+    const taxonomy = new Taxonomy([loadTagPack(await write('scam.json', pack()))]);
+    assert.strictEqual(taxonomy.match('giveaway now').hasGiveaway, true);
+    assert.strictEqual(taxonomy.match('this is not a giveaway').hasGiveaway, false);
+  });
+
+  it('should reject missing, malformed and conflicting packs', async () => {
+    assert.throws(() => loadTagPack('no-such-pack'), TagPackError);
+    const broken = await write('broken.json', '{');
+    assert.throws(() => loadTagPack(broken), /not valid JSON/);
+
+    const invalid = [
+      pack({ version: undefined }),
+      pack({ features: [] }),
+      pack({ features: [{ id: 'hasX', patterns: ['('] }] }),
+      pack({ features: [{ id: 'impressions', patterns: ['x'] }] }),
+      pack({ features: [{ id: 'hasX', patterns: ['x'], weight: 2 }] })
+    ];
+    for (const [i, content] of invalid.entries()) {
+      const file = await write(`invalid-${i}.json`, content);
+      assert.throws(() => loadTagPack(file), TagPackError);
+    }
+
+    const clash = await write('clash.json', pack({ features: [{ id: 'hasTokenPromo', patterns: ['x'] }] }));
+    assert.throws(() => Taxonomy.fromConfig(config(['core', clash])), /defined by both core and scam/);
+  });
+
+  it('should measure the configured packs and record their hash', async () => {
+    const file = await write('scam.json', pack());
+    const core = new PrevalenceAnalyzer(config(), mockLogger).analyze(posts);
+    const extended = new PrevalenceAnalyzer(config(['core', file]), mockLogger).analyze(posts);
+
+    assert.ok(!('hasGiveaway' in core.overall.prevalences));
+    assert.strictEqual(extended.overall.prevalences.hasGiveaway.count, 1);
+    assert.deepStrictEqual(extended.summary.taxonomy.packs.map(p => `${p.id}@${p.version}`), ['core@1.0.0', 'scam@0.1.0']);
+    assert.notStrictEqual(core.summary.taxonomy.hash, extended.summary.taxonomy.hash);
+
+    // Editing a pattern changes the hash even without a version bump
+    const edited = await write('scam-edited.json', pack({ features: [{ ...pack().features[0], patterns: ['\\bgiveaways?\\b'] }] }));
+    assert.notStrictEqual(
+      Taxonomy.fromConfig(config([edited])).describe().hash,
+      Taxonomy.fromConfig(config([file])).describe().hash
+    );
+  });
+
+  it('should refuse to compare runs with different taxonomies unless allowed', async () => {
+    const file = await write('scam.json', pack());
+    const run1 = new PrevalenceAnalyzer(config(), mockLogger).analyze(posts);
+    const run2 = new PrevalenceAnalyzer(config(['core', file]), mockLogger).analyze(posts);
+    const comparator = new RunComparator(config(), mockLogger);
+
+    assert.strictEqual(checkTaxonomies(run1.summary.taxonomy, run1.summary.taxonomy).match, true);
+    assert.strictEqual(checkTaxonomies(null, run1.summary.taxonomy).match, null);
+    assert.throws(() => comparator.compare(run1, run2), (error) => {
+      assert.ok(error instanceof TaxonomyMismatchError);
+      assert.match(error.message, /core@1\.0\.0 vs core@1\.0\.0\+scam@0\.1\.0/);
+      assert.match(error.message, /--allow-taxonomy-mismatch/);
+      return true;
+    });
+
+    const report = comparator.compare(run1, run2, {}, { allowTaxonomyMismatch: true });
+    assert.strictEqual(report.taxonomy.match, false);
+    assert.ok(!('hasGiveaway' in report.comparison));
+    assert.ok('hasTokenPromo' in report.comparison);
+  });
+
+  it('should put the taxonomy hash in the STR manifest', () => {
+    const taxonomy = Taxonomy.fromConfig({}).describe();
+    const report = new SafetyReportReporter(config(), mockLogger).assemble({
+      analysisResults: { summary: { uniquePosts: 3 }, overall: { prevalences: {} } },
+      validationResults: { valid: true, violations: [] },
+      metadata: {
+        runId: 'run_1',
+        gitSha: 'abc',
+        packageVersion: '1.0.0',
+        configHash: 'c',
+        dependencyLockHash: 'd',
+        dataHash: 'e',
+        taxonomy
+      }
+    });
+
+    assert.strictEqual(report.manifest.taxonomy_hash, `sha256:${taxonomy.hash}`);
+    assert.deepStrictEqual(report.manifest.tag_packs, ['core@1.0.0']);
+  });
+
+  it('should reject scenarios that use features outside the taxonomy', async () => {
+    const scenario = await write('scenario.json', { name: 'unknown', posts: 10, features: { hasGiveaway: 0.5 } });
+    const collector = new SyntheticCollector(config(), mockLogger, { scenario });
+    await assert.rejects(() => collector.collect(), /hasGiveaway/);
+  });
+});
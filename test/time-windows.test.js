@@ -0,0 +1,78 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { planWindows, tagTimeWindows, windowFor } from '../lib/collectors/time-windows.js';
+import { MoltxCollector } from '../lib/collectors/moltx-collector.js';
+import { SafetyReportReporter } from '../lib/reporters/safety-report-reporter.js';
+
+const mockLogger = {
+  info: () => {},
+  debug: () => {},
+  warn: () => {},
+  error: () => {}
+};
+
+const T0 = Date.parse('2024-02-08T10:00:00.000Z');
+const MIN = 60 * 1000;
+
+describe('time windows', () => {
+  it('should align windows to batchSizeMinutes and plan a lookback', () => {
+    assert.deepStrictEqual(windowFor(T0 + 29 * MIN, 30), { start: T0, end: T0 + 30 * MIN });
+    assert.deepStrictEqual(windowFor(T0 + 30 * MIN, 30), { start: T0 + 30 * MIN, end: T0 + 60 * MIN });
+
+    const windows = planWindows({ until: new Date(T0 + 75 * MIN), lookbackMinutes: 90, batchSizeMinutes: 30 });
+    assert.deepStrictEqual(windows.map(w => (w.start - T0) / MIN), [-30, 0, 30]);
+    assert.strictEqual(windows.at(-1).end, T0 + 60 * MIN);
+  });
+
+  it('should tag posts by timestamp and record the covered period', () => {
+    const posts = [
+      { id: 'a', timestamp: T0 + 5 * MIN },
+      { id: 'b', timestamp: new Date(T0 + 40 * MIN).toISOString() },
+      { id: 'c', timestamp: T0 + 10 * MIN },
+      { id: 'd' }
+    ];
+
+    const { posts: tagged, timeWindow } = tagTimeWindows(posts, { batchSizeMinutes: 30 });
+
+    assert.deepStrictEqual(tagged[0]._window, { start: '2024-02-08T10:00:00.000Z', end: '2024-02-08T10:30:00.000Z' });
+    assert.strictEqual(tagged[3]._window, null);
+    assert.strictEqual(posts[0]._window, undefined);
+
+    assert.strictEqual(timeWindow.start, '2024-02-08T10:05:00.000Z');
+    assert.strictEqual(timeWindow.end, '2024-02-08T10:40:00.000Z');
+    assert.strictEqual(timeWindow.untimed, 1);
+    assert.deepStrictEqual(timeWindow.windows.map(w => [w.start, w.posts]), [
+      ['2024-02-08T10:00:00.000Z', 2],
+      ['2024-02-08T10:30:00.000Z', 1]
+    ]);
+
+    const report = new SafetyReportReporter({}, mockLogger).assemble({
+      analysisResults: { summary: { uniquePosts: 3 } },
+      validationResults: { valid: true, violations: [] },
+      metadata: { runId: 'r1', codeVersion: 'abc', configHash: 'c', dataHash: 'd', packageVersion: '2.0.0', dependencyLockHash: 'l', timeWindow }
+    });
+    assert.deepStrictEqual(report.data_summary.time_window, { start: timeWindow.start, end: timeWindow.end });
+  });
+
+  it('should fetch each window with since/until and keep the requested window', async () => {
+    const collector = new MoltxCollector({ api: { rateLimit: { maxRequests: 100, windowMs: 60000 } }, output: { baseDir: '/nonexistent' } }, mockLogger);
+    const requests = [];
+    collector.fetchPage = async (endpoint, params) => {
+      requests.push({ since: params.since, until: params.until, offset: params.offset });
+      // Server returns one late post per window; its own timestamp is outside the window
+      return params.offset === 0 ? [{ id: `p-${params.since}`, timestamp: Date.parse(params.until) + MIN }] : [];
+    };
+
+    const windows = planWindows({ until: new Date(T0), lookbackMinutes: 60, batchSizeMinutes: 30 });
+    const posts = await collector.fetchWindowed(windows, 10);
+
+    assert.deepStrictEqual(requests.map(r => [r.since, r.until]), [
+      ['2024-02-08T09:00:00.000Z', '2024-02-08T09:30:00.000Z'],
+      ['2024-02-08T09:30:00.000Z', '2024-02-08T10:00:00.000Z']
+    ]);
+
+    const { posts: tagged, timeWindow } = tagTimeWindows(posts, { batchSizeMinutes: 30, strategy: 'query' });
+    assert.deepStrictEqual(tagged.map(p => p._window.start), ['2024-02-08T09:00:00.000Z', '2024-02-08T09:30:00.000Z']);
+    assert.strictEqual(timeWindow.strategy, 'query');
+  });
+});
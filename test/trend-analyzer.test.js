@@ -0,0 +1,58 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { TrendAnalyzer } from '../lib/analyzers/trend-analyzer.js';
+
+const mockLogger = {
+  info: () => {},
+  debug: () => {},
+  warn: () => {},
+  error: () => {}
+};
+
+const run = (i, prevalence, blocks = {}) => ({
+  runId: `run_${i}`,
+  timestamp: new Date(Date.UTC(2024, 1, 1 + i)).toISOString(),
+  analysis: {
+    overall: {
+      prevalences: {
+        hasTokenPromo: { count: prevalence * 100, total: 100, prevalence, confidence: { lower: prevalence - 0.01, upper: prevalence + 0.01 } }
+      }
+    },
+    blocks
+  }
+});
+
+describe('TrendAnalyzer', () => {
+  const analyzer = new TrendAnalyzer({ analysis: { confidenceLevel: 0.95 } }, mockLogger);
+
+  it('should build a series and record runs without the block', () => {
+    const runs = [
+      run(0, 0.1, { mid_feed: { prevalences: { hasTokenPromo: { count: 5, total: 50, prevalence: 0.1, confidence: {} } } } }),
+      run(1, 0.2)
+    ];
+
+    const { points, missing } = analyzer.buildSeries(runs, { feature: 'hasTokenPromo', block: 'mid_feed' });
+    assert.strictEqual(points.length, 1);
+    assert.strictEqual(points[0].runId, 'run_0');
+    assert.deepStrictEqual(missing, [{ runId: 'run_1', reason: 'block_missing' }]);
+  });
+
+  it('should detect slow upward drift with Sen\'s slope per run and per day', () => {
+    const runs = Array.from({ length: 12 }, (_, i) => run(i, 0.1 + i * 0.005));
+    const { points } = analyzer.buildSeries(runs, { feature: 'hasTokenPromo' });
+    const trend = analyzer.analyze(points);
+
+    assert.strictEqual(trend.trend, 'increasing');
+    assert.strictEqual(trend.significant, true);
+    assert.ok(trend.mannKendall.pValue < 0.05);
+    assert.ok(Math.abs(trend.sensSlope.perRun - 0.005) < 1e-9);
+    assert.ok(Math.abs(trend.sensSlope.perDay - 0.005) < 1e-9);
+  });
+
+  it('should report insufficient data for short series', () => {
+    const { points } = analyzer.buildSeries([run(0, 0.1), run(1, 0.2)], { feature: 'hasTokenPromo' });
+    const trend = analyzer.analyze(points);
+    assert.strictEqual(trend.trend, 'insufficient_data');
+    assert.strictEqual(trend.significant, false);
+  });
+});
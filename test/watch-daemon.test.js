@@ -0,0 +1,177 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { WatchDaemon } from '../lib/daemon/watch-daemon.js';
+import { parseCron, nextCronTime } from '../lib/utils/cron.js';
+
+const mockLogger = {
+  info: () => {},
+  debug: () => {},
+  warn: () => {},
+  error: () => {}
+};
+
+describe('cron', () => {
+  it('should parse lists, ranges and steps', () => {
+    const schedule = parseCron('*/15 6-8 1,15 * 1-5');
+    assert.deepStrictEqual([...schedule.minute], [0, 15, 30, 45]);
+    assert.deepStrictEqual([...schedule.hour], [6, 7, 8]);
+    assert.deepStrictEqual([...schedule.dayOfMonth], [1, 15]);
+    assert.throws(() => parseCron('* * *'), /expected 5 fields/);
+    assert.throws(() => parseCron('61 * * * *'), /Invalid cron minute/);
+  });
+
+  it('should find the next matching minute', () => {
+    const from = new Date(2024, 1, 1, 10, 7, 30);
+    assert.deepStrictEqual(nextCronTime('*/15 * * * *', from), new Date(2024, 1, 1, 10, 15));
+    assert.deepStrictEqual(nextCronTime('0 6 * * *', from), new Date(2024, 1, 2, 6, 0));
+    // 2024-02-03 is a Saturday; next weekday 09:00 is Monday the 5th
+    assert.deepStrictEqual(nextCronTime('0 9 * * 1-5', new Date(2024, 1, 3, 12, 0)), new Date(2024, 1, 5, 9, 0));
+  });
+});
+
+describe('WatchDaemon', () => {
+  let baseDir;
+
+  const analysis = (safety) => ({
+    overall: {
+      sampleSize: 1000,
+      prevalences: { hasSafetyLanguage: { count: safety, total: 1000, prevalence: safety / 1000 } }
+    },
+    blocks: {
+      mid_feed_noTokenPromo: {
+        sampleSize: 1000,
+        prevalences: { hasSafetyLanguage: { count: safety, total: 1000, prevalence: safety / 1000 } }
+      }
+    }
+  });
+
+  const makeDaemon = (counts, watch = {}, { valid = () => true, now } = {}) => {
+    let i = 0;
+    const config = {
+      analysis: { confidenceLevel: 0.95, fdrQ: 0.05 },
+      output: { baseDir },
+      watch: { intervalMinutes: 0.0001, ...watch }
+    };
+    return new WatchDaemon(config, mockLogger, {
+      ...(now ? { now } : {}),
+      runCycle: async () => {
+        const runId = `run_${counts[i]}_${i}`;
+        const analysisResults = analysis(counts[i++]);
+        await fs.mkdir(path.join(baseDir, runId), { recursive: true });
+        await fs.writeFile(path.join(baseDir, runId, 'analysis.json'), JSON.stringify(analysisResults));
+        // A run that failed validation gating comes back with its failed status
+        const passed = valid(i - 1);
+        return {
+          runId,
+          analysisResults,
+          validationResults: passed
+            ? { valid: true, violations: [] }
+            : { valid: false, violations: [{ invariant: 'no_nan_inf', severity: 'critical' }] },
+          metadata: { gitSha: 'abc123' },
+          status: passed ? { status: 'passed', exitCode: 0 } : { status: 'failed', exitCode: 10 }
+        };
+      }
+    });
+  };
+
+  before(async () => {
+    baseDir = await fs.mkdtemp(path.join(os.tmpdir(), 'cer-watch-'));
+  });
+
+  after(async () => {
+    await fs.rm(baseDir, { recursive: true, force: true });
+  });
+
+  it('should compare each cycle with the previous run and persist scheduler state', async () => {
+    await fs.mkdir(path.join(baseDir, '.partial-run_interrupted'), { recursive: true });
+
+    const daemon = makeDaemon([100, 300]);
+    const state = await daemon.start({ maxCycles: 2 });
+
+    assert.strictEqual(state.cycles, 2);
+    assert.strictEqual(state.lastRunId, 'run_300_1');
+    assert.strictEqual(state.lastCycle.baselineRunId, 'run_100_0');
+    assert.strictEqual(state.lastCycle.comparison.significant, 1);
+    // Every block × feature test shifted, so the scheduler surges on cohort drift
+    assert.strictEqual(state.lastCycle.probeDecision.surgeActivated, true);
+    assert.strictEqual(state.scheduler.history.length, 2);
+
+    const names = await fs.readdir(baseDir);
+    assert.ok(!names.includes('.partial-run_interrupted'));
+    assert.ok((await fs.readdir(path.join(baseDir, 'comparisons'))).some(f => f.endsWith('.md')));
+
+    // A restarted daemon resumes the scheduler history and compares with the last run
+    const resumed = makeDaemon([300]);
+    const next = await resumed.start({ maxCycles: 1 });
+    assert.strictEqual(next.cycles, 3);
+    assert.strictEqual(next.lastCycle.baselineRunId, 'run_300_1');
+    assert.strictEqual(next.scheduler.history.length, 3);
+  });
+
+  it('should compare against a fixed baseline when configured', async () => {
+    const daemon = makeDaemon([200], { baselineRunId: 'run_100_0', stateFile: path.join(baseDir, 'other_state.json') });
+    const state = await daemon.start({ maxCycles: 1 });
+    assert.strictEqual(state.lastCycle.baselineRunId, 'run_100_0');
+  });
+
+  it('should stop gracefully while waiting for the next cycle', async () => {
+    const daemon = makeDaemon([100, 100], { intervalMinutes: 60, stateFile: path.join(baseDir, 'stop_state.json') });
+    const running = daemon.start();
+    setTimeout(() => daemon.stop('SIGTERM'), 50);
+    const state = await running;
+    assert.strictEqual(state.cycles, 1);
+  });
+
+  it('should keep a run that failed validation gating as the next baseline', async () => {
+    const daemon = makeDaemon([100, 300], { stateFile: path.join(baseDir, 'gated_state.json') }, { valid: i => i > 0 });
+    await daemon.start({ maxCycles: 1 });
+
+    assert.strictEqual(daemon.state.failures, 0);
+    assert.strictEqual(daemon.state.lastRunId, 'run_100_0');
+    assert.deepStrictEqual(daemon.state.lastCycle.status, { status: 'failed', exitCode: 10 });
+    assert.strictEqual(daemon.state.lastCycle.validation, 'failed');
+    assert.deepStrictEqual(daemon.state.lastViolations.map(v => v.invariant), ['no_nan_inf']);
+
+    await daemon.start({ maxCycles: 1 });
+    assert.strictEqual(daemon.state.lastCycle.baselineRunId, 'run_100_0');
+    assert.strictEqual(daemon.state.scheduler.history.length, 2);
+  });
+
+  it('should sleep past the longest timer delay in chunks', async () => {
+    // Injected clock and a hand-driven setTimeout, so no timer mocking is needed
+    const realSetTimeout = globalThis.setTimeout;
+    const timers = [];
+    const delays = [];
+    let clock = 0;
+    globalThis.setTimeout = (fn, ms) => {
+      delays.push(ms);
+      timers.push(fn);
+      return timers.length;
+    };
+    const settle = () => new Promise(resolve => setImmediate(resolve));
+
+    try {
+      const daemon = makeDaemon([], { cron: '0 0 1 * *', stateFile: path.join(baseDir, 'cron_state.json') }, { now: () => clock });
+      const thirtyDays = 30 * 24 * 3600000;
+      let woke = false;
+      const sleeping = daemon.sleepUntil(new Date(thirtyDays)).then(() => { woke = true; });
+
+      assert.deepStrictEqual(delays, [2 ** 31 - 1]);
+      clock += 2 ** 31 - 1;
+      timers.shift()();
+      await settle();
+      assert.strictEqual(woke, false);
+
+      assert.deepStrictEqual(delays, [2 ** 31 - 1, thirtyDays - (2 ** 31 - 1)]);
+      clock = thirtyDays;
+      timers.shift()();
+      await sleeping;
+      assert.strictEqual(timers.length, 0);
+    } finally {
+      globalThis.setTimeout = realSetTimeout;
+    }
+  });
+});
@@ -0,0 +1,195 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { Weighting, WeightingError } from '../lib/analyzers/weighting.js';
+import { PrevalenceAnalyzer } from '../lib/analyzers/prevalence-analyzer.js';
+import { BlockAccumulator } from '../lib/analyzers/accumulators.js';
+import { SafetyReportReporter } from '../lib/reporters/safety-report-reporter.js';
+import { ConfigSchema, defaultConfig, deepMerge } from '../config/schema.js';
+
+const mockLogger = {
+  info: () => {},
+  debug: () => {},
+  warn: () => {},
+  error: () => {}
+};
+
+const config = (weighting) => ({
+  analysis: {
+    confidenceLevel: 0.95,
+    minBlockSize: 1,
+    impressionBands: { low: 100, mid: 1000, high: 10000 },
+    ...(weighting ? { weighting: { enabled: true, ...weighting } } : {})
+  }
+});
+
+const source = shares => ({ dimension: { type: 'source' }, shares });
+const band = shares => ({ dimension: { type: 'impressionBand' }, shares });
+
+// Sources and bands are associated: feed posts are mostly mid, search posts mostly high
+const cell = (n, promo, { source = 'feed', impressions = 500 }) =>
+  Array.from({ length: n }, (_, i) => ({ source, impressions, content: i < promo ? 'token drop' : 'hello' }));
+const posts = [
+  ...cell(60, 30, { source: 'feed', impressions: 500 }),
+  ...cell(10, 1, { source: 'feed', impressions: 5000 }),
+  ...cell(5, 2, { source: 'search', impressions: 500 }),
+  ...cell(25, 2, { source: 'search', impressions: 5000 })
+].map((post, i) => ({ id: `p${i}`, ...post }));
+
+const analyze = (weighting, input = posts, logger = mockLogger) =>
+  new PrevalenceAnalyzer(config(weighting), logger).analyze(input);
+
+// Calibrated share of each category of a margin, from the block population shares
+const marginShares = (results, index) => {
+  const shares = {};
+  for (const [key, block] of Object.entries(results.blocks)) {
+    const category = key.split('_')[index];
+    shares[category] = (shares[category] ?? 0) + block.calibration.populationShare;
+  }
+  return shares;
+};
+
+describe('Weighting', () => {
+  it('should post-stratify to a single margin exactly', () => {
+    const results = analyze({ method: 'poststratify', margins: [source({ feed: 0.5, search: 0.5 })] });
+    const { weighting } = results.summary;
+
+    assert.strictEqual(weighting.iterations, 1);
+    assert.strictEqual(weighting.converged, true);
+    const shares = marginShares(results, 1);
+    assert.ok(Math.abs(shares.feed - 0.5) < 1e-12 && Math.abs(shares.search - 0.5) < 1e-12);
+
+    // feed 31/70 and search 4/30, each at half the population
+    const promo = results.overall.calibratedPrevalences.hasTokenPromo;
+    assert.ok(Math.abs(promo.prevalence - (0.5 * 31 / 70 + 0.5 * 4 / 30)) < 1e-12);
+    assert.strictEqual(results.overall.prevalences.hasTokenPromo.prevalence, 0.35);
+  });
+
+  it('should rake to several margins', () => {
+    const results = analyze({
+      margins: [source({ feed: 0.4, search: 0.6 }), band({ mid: 0.7, high: 0.3 })],
+      tolerance: 1e-9
+    });
+    const { weighting } = results.summary;
+
+    assert.strictEqual(weighting.method, 'rake');
+    assert.strictEqual(weighting.converged, true);
+    assert.ok(weighting.iterations > 1);
+    const bySource = marginShares(results, 1);
+    const byBand = marginShares(results, 0);
+    assert.ok(Math.abs(bySource.feed - 0.4) < 1e-8 && Math.abs(bySource.search - 0.6) < 1e-8);
+    assert.ok(Math.abs(byBand.mid - 0.7) < 1e-8 && Math.abs(byBand.high - 0.3) < 1e-8);
+  });
+
+  it('should report the Kish effective n and widen intervals by the design effect', () => {
+    const weights = [];
+    const results = analyze({ method: 'poststratify', margins: [source({ feed: 0.5, search: 0.5 })] });
+    const { weighting, uniquePosts } = results.summary;
+
+    // Weights sum to n: 70 feed posts at 50/70 and 30 search posts at 50/30
+    for (let i = 0; i < 70; i++) weights.push(50 / 70);
+    for (let i = 0; i < 30; i++) weights.push(50 / 30);
+    const sum = weights.reduce((a, w) => a + w, 0);
+    const effectiveN = (sum * sum) / weights.reduce((a, w) => a + w * w, 0);
+
+    assert.ok(Math.abs(weighting.effectiveN - effectiveN) < 1e-9);
+    assert.ok(Math.abs(weighting.designEffect - uniquePosts / effectiveN) < 1e-9);
+    assert.strictEqual(results.overall.calibration.effectiveN, weighting.effectiveN);
+
+    // Self-weighting margins give deff 1 and the unweighted interval
+    const flat = analyze({ method: 'poststratify', margins: [source({ feed: 0.7, search: 0.3 })] }).overall;
+    assert.ok(Math.abs(flat.calibration.designEffect - 1) < 1e-12);
+    assert.ok(Math.abs(flat.calibratedPrevalences.hasTokenPromo.confidence.lower - flat.prevalences.hasTokenPromo.confidence.lower) < 1e-12);
+
+    const width = p => p.confidence.upper - p.confidence.lower;
+    const calibrated = results.overall.calibratedPrevalences.hasTokenPromo;
+    const srs = new PrevalenceAnalyzer(config(), mockLogger).stats.wilsonConfidenceInterval(calibrated.prevalence * 100, 100);
+    assert.ok(width(calibrated) > srs.upper - srs.lower);
+  });
+
+  it('should exclude unlisted categories and renormalize empty ones', () => {
+    const warnings = [];
+    const logger = { ...mockLogger, warn: (_, msg) => warnings.push(msg) };
+    const extra = [...posts, { id: 'api1', source: 'api', impressions: 500, content: 'token drop' }];
+    const results = analyze({ method: 'poststratify', margins: [source({ feed: 0.4, search: 0.4, scrape: 0.2 })] }, extra, logger);
+    const { weighting } = results.summary;
+
+    assert.strictEqual(weighting.excludedPosts, 1);
+    assert.strictEqual(weighting.includedPosts, 100);
+    assert.deepStrictEqual(weighting.emptyCategories, [{ margin: 'source', category: 'scrape' }]);
+    assert.strictEqual(results.blocks.mid_api_tokenPromo.calibration.populationShare, 0);
+    assert.strictEqual(results.blocks.mid_api_tokenPromo.calibration.designEffect, null);
+    const shares = marginShares(results, 1);
+    assert.ok(Math.abs(shares.feed - 0.5) < 1e-12);
+    assert.strictEqual(warnings.length, 2);
+  });
+
+  it('should merge weighting cells like a single pass', () => {
+    const analyzer = new PrevalenceAnalyzer(config({ margins: [source({ feed: 0.5, search: 0.5 })] }), mockLogger);
+    const whole = new BlockAccumulator(analyzer.features);
+    const a = new BlockAccumulator(analyzer.features);
+    const b = new BlockAccumulator(analyzer.features);
+    posts.forEach((post, i) => {
+      const features = { ...analyzer.extractFeatures(post), designWeight: i % 3 ? 2 : null };
+      const cell = analyzer.weighting.cell(features, post);
+      whole.add(features, null, cell);
+      (i % 2 ? a : b).add(features, null, cell);
+    });
+    a.merge(b);
+
+    assert.deepStrictEqual(Object.fromEntries(a.cells), Object.fromEntries(whole.cells));
+  });
+
+  it('should stay off by default and reject unusable margins', () => {
+    const results = analyze();
+    assert.strictEqual(results.summary.weighting, undefined);
+    assert.strictEqual(results.overall.calibratedPrevalences, undefined);
+
+    assert.throws(() => new Weighting({ margins: [] }, [], mockLogger), WeightingError);
+    assert.throws(() => new Weighting({ method: 'poststratify', margins: [source({ feed: 1 }), band({ mid: 1 })] }, [], mockLogger),
+      /single margin/);
+    assert.throws(() => new Weighting({ margins: [source({ feed: 0.5 })] }, [], mockLogger), /sum to 1/);
+    assert.throws(() => new Weighting({ margins: [{ dimension: { type: 'feature', feature: 'hasGiveaway' }, shares: { giveaway: 1 } }] },
+      ['hasTokenPromo'], mockLogger), /Weighting margin/);
+
+    const parse = weighting => ConfigSchema.safeParse(deepMerge(defaultConfig, { analysis: { weighting } }));
+    assert.ok(parse({ enabled: true, margins: [source({ feed: 0.25, search: 0.75 }), band({ mid: 1 })] }).success);
+    assert.match(parse({ enabled: true }).error.message, /at least one margin/);
+    assert.match(parse({ margins: [source({ feed: 0.5, search: 0.2 })] }).error.message, /sum to 1/);
+    assert.match(parse({ method: 'poststratify', margins: [source({ feed: 1 }), band({ mid: 1 })] }).error.message, /single margin/);
+  });
+
+  it('should fill data_summary.effective_n in the safety report', () => {
+    const analysisResults = analyze({ method: 'poststratify', margins: [source({ feed: 0.5, search: 0.5 })] });
+    const report = new SafetyReportReporter(config(), mockLogger).assemble({
+      analysisResults,
+      validationResults: { valid: true, violations: [] },
+      metadata: {
+        runId: 'run_1',
+        gitSha: 'abc',
+        packageVersion: '1.0.0',
+        configHash: 'c',
+        dependencyLockHash: 'd',
+        dataHash: 'e',
+        effectiveN: analysisResults.summary.weighting.effectiveN
+      }
+    });
+
+    assert.strictEqual(report.data_summary.sample_size, 100);
+    assert.strictEqual(report.data_summary.effective_n, analysisResults.summary.weighting.effectiveN);
+  });
+
+  it('should fall back to the design-weight Kish n, then the unique posts, for effective_n', () => {
+    const metadata = { runId: 'run_1', gitSha: 'abc', packageVersion: '1.0.0', configHash: 'c', dependencyLockHash: 'd', dataHash: 'e' };
+    const effectiveN = analysisResults => new SafetyReportReporter(config(), mockLogger)
+      .assemble({ analysisResults, validationResults: { valid: true, violations: [] }, metadata }).data_summary.effective_n;
+
+    const unweighted = analyze(null);
+    assert.strictEqual(unweighted.summary.designEffectiveN, undefined);
+    assert.strictEqual(effectiveN(unweighted), 100);
+
+    // 50 posts at weight 1 and 50 at weight 3: (50 + 150)^2 / (50 + 450) = 80
+    const designed = analyze(null, posts.map((post, i) => ({ ...post, _sampling: { designWeight: i % 2 ? 3 : 1 } })));
+    assert.ok(Math.abs(designed.summary.designEffectiveN - 80) < 1e-9);
+    assert.strictEqual(effectiveN(designed), designed.summary.designEffectiveN);
+  });
+});